@@ -122,6 +122,86 @@ class DevOpsDashboard {
         },
       },
     });
+
+    // Call Quality Chart: RTT percentiles on the left axis, loss on the right
+    const callQualityCtx = document
+      .getElementById("callQualityChart")
+      .getContext("2d");
+    this.charts.callQuality = new Chart(callQualityCtx, {
+      type: "line",
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: "RTT p50 (ms)",
+            data: [],
+            borderColor: "#2563eb",
+            backgroundColor: "rgba(37, 99, 235, 0.1)",
+            borderWidth: 2,
+            fill: false,
+            tension: 0.4,
+            yAxisID: "y",
+          },
+          {
+            label: "RTT p95 (ms)",
+            data: [],
+            borderColor: "#7c3aed",
+            backgroundColor: "rgba(124, 58, 237, 0.1)",
+            borderWidth: 1,
+            borderDash: [5, 5],
+            fill: false,
+            tension: 0.4,
+            yAxisID: "y",
+          },
+          {
+            label: "Packet Loss p95 (%)",
+            data: [],
+            borderColor: "#dc2626",
+            backgroundColor: "rgba(220, 38, 38, 0.1)",
+            borderWidth: 2,
+            fill: true,
+            tension: 0.4,
+            yAxisID: "loss",
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        spanGaps: true,
+        scales: {
+          y: {
+            beginAtZero: true,
+            position: "left",
+            grid: {
+              color: "rgba(255, 255, 255, 0.1)",
+            },
+            ticks: {
+              color: "#94a3b8",
+            },
+          },
+          loss: {
+            beginAtZero: true,
+            suggestedMax: 5,
+            position: "right",
+            grid: {
+              drawOnChartArea: false,
+            },
+            ticks: {
+              color: "#94a3b8",
+            },
+          },
+          x: {
+            grid: {
+              color: "rgba(255, 255, 255, 0.1)",
+            },
+            ticks: {
+              color: "#94a3b8",
+            },
+          },
+        },
+      },
+    });
   }
 
   setupEventListeners() {
@@ -262,6 +342,48 @@ class DevOpsDashboard {
       connectionsChart.data.datasets[1].data.shift();
     }
     connectionsChart.update("none");
+
+    // Update call quality chart
+    const quality = data.video && data.video.quality;
+    if (quality) {
+      const callQualityChart = this.charts.callQuality;
+      callQualityChart.data.labels.push(now);
+      callQualityChart.data.datasets[0].data.push(quality.rttMs.p50);
+      callQualityChart.data.datasets[1].data.push(quality.rttMs.p95);
+      callQualityChart.data.datasets[2].data.push(quality.packetLossPct.p95);
+
+      if (callQualityChart.data.labels.length > 15) {
+        callQualityChart.data.labels.shift();
+        callQualityChart.data.datasets.forEach((dataset) => {
+          dataset.data.shift();
+        });
+      }
+      callQualityChart.update("none");
+
+      this.updateCallQuality(quality);
+    }
+  }
+
+  updateCallQuality(quality) {
+    const format = (value, unit) =>
+      value === null ? "–" : `${Math.round(value * 10) / 10}${unit}`;
+    const relayed = quality.pairs.filter((pair) => pair.relayed).length;
+
+    document.getElementById("quality-rtt").textContent = `RTT ${format(
+      quality.rttMs.p50,
+      "ms"
+    )} / ${format(quality.rttMs.p95, "ms")}`;
+    document.getElementById("quality-loss").textContent = `Loss ${format(
+      quality.packetLossPct.p50,
+      "%"
+    )} / ${format(quality.packetLossPct.p95, "%")}`;
+    document.getElementById("quality-jitter").textContent = `Jitter ${format(
+      quality.jitterMs.p50,
+      "ms"
+    )} / ${format(quality.jitterMs.p95, "ms")}`;
+    document.getElementById(
+      "quality-relay"
+    ).textContent = `Relayed ${relayed} of ${quality.activePairs} calls`;
   }
 
   updateSecurityEvents(securityData) {
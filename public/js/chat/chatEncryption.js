@@ -0,0 +1,158 @@
+// chatEncryption.js - end-to-end encryption of chat messages. The partners
+// swap ECDH P-256 public keys over encryption:key-exchange with channel
+// "chat" and derive the same AES-GCM key with HKDF; the server only ever
+// relays ciphertext. Media has its own keys in MediaEncryption, and the
+// safety number covers both pairs of keys, so a server that swapped either
+// shows up as a mismatch.
+class ChatEncryption {
+  constructor(socket) {
+    this.socket = socket;
+    this.keyPair = null;
+    this.publicKey = null; // base64 raw point, as sent to the partner
+    this.peerPublicKey = null;
+    this.keyPairPromise = null;
+    this.resetKey();
+  }
+
+  // Messages wait on this until the partner's key has arrived
+  resetKey() {
+    this.key = null;
+    this.keyReady = new Promise((resolve) => {
+      this.resolveKey = resolve;
+    });
+  }
+
+  // On pairing and after a reconnect. One key pair lasts the whole pair, so
+  // resending it never invalidates what the partner derived.
+  async start(peerId) {
+    await this.ensureKeyPair();
+    this.sendPublicKey(peerId);
+  }
+
+  ensureKeyPair() {
+    if (!this.keyPairPromise) {
+      this.keyPairPromise = crypto.subtle
+        .generateKey({ name: "ECDH", namedCurve: "P-256" }, false, [
+          "deriveBits",
+        ])
+        .then(async (keyPair) => {
+          this.keyPair = keyPair;
+          const raw = await crypto.subtle.exportKey("raw", keyPair.publicKey);
+          this.publicKey = this.toBase64(raw);
+        });
+    }
+    return this.keyPairPromise;
+  }
+
+  sendPublicKey(peerId) {
+    this.socket.emit("encryption:key-exchange", {
+      to: peerId,
+      channel: "chat",
+      type: "public-key",
+      publicKey: this.publicKey,
+    });
+  }
+
+  // A partner who reloaded the page arrives with a new key and needs ours
+  // again; answering only new keys keeps the two sides from ping-ponging.
+  // Resolves to "new" for the pair's first key, "changed" when it replaced
+  // another one, which is also what a server in the middle would look like,
+  // or null when nothing changed.
+  async handleKeyExchange(data) {
+    if (data.type !== "public-key" || data.publicKey === this.peerPublicKey) {
+      return null;
+    }
+
+    await this.ensureKeyPair();
+    const key = await this.deriveKey(data.publicKey);
+
+    const change = this.peerPublicKey ? "changed" : "new";
+    if (this.key) this.resetKey();
+    this.peerPublicKey = data.publicKey;
+    this.key = key;
+    this.resolveKey(key);
+    this.sendPublicKey(data.from);
+    return change;
+  }
+
+  // The HKDF salt covers both public keys, as for media
+  async deriveKey(peerPublicKey) {
+    const peerKey = await crypto.subtle.importKey(
+      "raw",
+      this.fromBase64(peerPublicKey),
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      []
+    );
+    const sharedSecret = await crypto.subtle.deriveBits(
+      { name: "ECDH", public: peerKey },
+      this.keyPair.privateKey,
+      256
+    );
+
+    const hkdfKey = await crypto.subtle.importKey(
+      "raw",
+      sharedSecret,
+      "HKDF",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: new TextEncoder().encode(
+          [this.publicKey, peerPublicKey].sort().join(":")
+        ),
+        info: new TextEncoder().encode("campusconnect chat e2ee v1"),
+      },
+      hkdfKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  // { ciphertext, iv } as chat_message carries them
+  async encrypt(message) {
+    const key = await this.keyReady;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: iv },
+      key,
+      new TextEncoder().encode(message)
+    );
+    return { ciphertext: this.toBase64(ciphertext), iv: this.toBase64(iv) };
+  }
+
+  // Throws when the message wasn't encrypted under our key
+  async decrypt({ ciphertext, iv }) {
+    if (!this.key) {
+      throw new Error("No chat key yet");
+    }
+
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.fromBase64(iv) },
+      this.key,
+      this.fromBase64(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  // The pair ended; the next partner gets a fresh key pair
+  reset() {
+    this.keyPair = null;
+    this.publicKey = null;
+    this.peerPublicKey = null;
+    this.keyPairPromise = null;
+    this.resetKey();
+  }
+
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  fromBase64(value) {
+    return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+  }
+}
@@ -0,0 +1,65 @@
+// chatFilter.js - the chat filter, shared by the chat clients. Chat is
+// end-to-end encrypted, so the rules the server sends on connection run
+// here (see server/modules/moderation/contentFilter.js): our own messages
+// are masked or held back before they're encrypted, and our partner's are
+// checked after they're decrypted. Hits go back to the server, which
+// decides whether the pair should end.
+class ChatFilter {
+  constructor(socket) {
+    this.socket = socket;
+    this.rules = []; // [{ id, action, regex }]
+    // Least to most strict, as in the server's CONTENT_FILTER.ACTIONS
+    this.actions = ["mask", "flag", "block"];
+  }
+
+  // `chat:filter-rules` { rules }. A rule this browser can't compile is
+  // skipped rather than stopping the others.
+  setRules(rules) {
+    this.rules = [];
+    (rules || []).forEach((rule) => {
+      try {
+        this.rules.push({
+          id: rule.id,
+          action: rule.action,
+          regex: new RegExp(rule.source, rule.flags + "g"),
+        });
+      } catch (error) {
+        console.warn(`ChatFilter: Skipping rule ${rule.id}`, error);
+      }
+    });
+  }
+
+  // { text, action, ruleIds }: `text` with masked matches starred out, and
+  // the strictest action of the rules that matched, or null for none
+  check(text) {
+    let masked = text;
+    let action = null;
+    const ruleIds = [];
+
+    this.rules.forEach((rule) => {
+      rule.regex.lastIndex = 0;
+      if (!rule.regex.test(text)) return;
+
+      ruleIds.push(rule.id);
+      if (rule.action === "mask") {
+        masked = masked.replace(rule.regex, (match) =>
+          match.replace(/\S/g, "*")
+        );
+      }
+      if (this.actions.indexOf(rule.action) > this.actions.indexOf(action)) {
+        action = rule.action;
+      }
+    });
+
+    return { text: masked, action: action, ruleIds: ruleIds };
+  }
+
+  // "sent" for a message we held back, "received" for one from our partner
+  report(ruleIds, direction) {
+    if (ruleIds.length === 0) return;
+    this.socket.emit("chat:filter-hit", {
+      ruleIds: ruleIds,
+      direction: direction,
+    });
+  }
+}
@@ -1,8 +1,11 @@
+// Chat events follow the contract in server/modules/chat/chatHandler.js
 class ChatManager {
   constructor() {
     this.socket = null;
     this.partner = null;
     this.isConnected = false;
+    this.chatReceipts = null;
+    this.isTyping = false;
     this.typingTimer = null;
 
     this.initializeChat();
@@ -25,6 +28,22 @@ class ChatManager {
       auth: { token },
       transports: ["websocket", "polling"],
     });
+    this.chatEncryption = new ChatEncryption(this.socket);
+    this.chatReceipts = new ChatReceipts(this.socket, this.chatEncryption);
+    this.chatFilter = new ChatFilter(this.socket);
+    this.safetyNumber = new SafetyNumberPanel(
+      document.getElementById("safetyNumberPanel"),
+      {
+        subject: "chat",
+        onVerify: () => {
+          if (this.partner) {
+            this.socket.emit("encryption:verified", {
+              to: this.partner.socketId,
+            });
+          }
+        },
+      }
+    );
 
     this.setupSocketEvents();
   }
@@ -35,46 +54,119 @@ class ChatManager {
       this.updateStatus("Connected - Waiting for partner...", "waiting");
     });
 
-    this.socket.on("user_paired", (data) => {
-      this.partner = data.pairedWith;
-      this.isConnected = true;
-      this.updateStatus(
-        `Connected with: ${data.pairedWith.email}`,
-        "connected"
-      );
-      this.addSystemMessage(
-        `You're now connected with ${data.pairedWith.email}! Start chatting.`
-      );
-      this.enableChatInput();
+    // Matched from the queue, or our pair survived a page load
+    this.socket.on("pairing:matched", (data) => {
+      this.chatReceipts.reset();
+      this.chatEncryption.reset();
+      this.safetyNumber.hide();
+      this.handlePaired(data);
+    });
+
+    this.socket.on("pairing:resumed", (data) => {
+      this.handlePaired(data);
+      this.chatReceipts.retryPending();
+    });
+
+    this.socket.on("peer-reconnected", (data) => {
+      if (this.partner) this.partner.socketId = data.peerId;
+      this.chatReceipts.retryPending();
     });
 
-    this.socket.on("signal", (data) => {
-      if (data.signal.type === "chat_message") {
-        this.displayMessage(
-          data.signal.message,
-          "received",
-          data.signal.timestamp
+    this.socket.on("chat_message", async (data) => {
+      this.hideTypingIndicator();
+      if (!this.chatReceipts.receive(data)) return;
+
+      try {
+        const message = await this.chatEncryption.decrypt(data);
+        const result = this.chatFilter.check(message);
+        this.chatFilter.report(result.ruleIds, "received");
+        if (result.action === "block") {
+          this.addSystemMessage(
+            "A message from your partner was hidden by the chat filter."
+          );
+          return;
+        }
+        this.displayMessage(result.text, "received", data.timestamp);
+      } catch (error) {
+        console.error("Could not decrypt a message:", error);
+        this.addSystemMessage(
+          "A message from your partner couldn't be decrypted."
         );
-      } else if (data.signal.type === "typing_start") {
-        this.showTypingIndicator();
-      } else if (data.signal.type === "typing_end") {
-        this.hideTypingIndicator();
       }
     });
 
-    this.socket.on("user_unpaired", (data) => {
-      this.isConnected = false;
-      this.partner = null;
+    this.socket.on("chat:filter-rules", (data) => {
+      this.chatFilter.setRules(data.rules);
+    });
+
+    this.socket.on("encryption:key-exchange", (data) => {
+      if (data.channel !== "chat") return;
+
+      this.chatEncryption
+        .handleKeyExchange(data)
+        .then((change) => {
+          if (!change) return;
+          this.showSafetyNumber();
+          if (change === "changed") {
+            this.handleChatKeyChange();
+          } else {
+            // Messages our partner missed are resent under the new key
+            this.chatReceipts.retryPending();
+          }
+        })
+        .catch((error) => {
+          console.error("Chat key exchange failed:", error);
+        });
+    });
+
+    this.socket.on("encryption:verified", (data) => {
+      this.safetyNumber.setPartnerVerified();
+      this.addSystemMessage(
+        data.mutual
+          ? "✅ You and your partner both verified the safety number."
+          : "Your partner marked the safety number as verified."
+      );
+    });
+
+    this.socket.on("typing_start", () => {
+      this.showTypingIndicator();
+    });
+
+    this.socket.on("typing_stop", () => {
+      this.hideTypingIndicator();
+    });
+
+    this.socket.on("peer-disconnected", (data) => {
+      this.endPair();
       this.updateStatus(
         "Partner disconnected - Waiting for new partner...",
         "disconnected"
       );
-      this.addSystemMessage("Your partner has disconnected.");
-      this.disableChatInput();
+      this.addSystemMessage(
+        {
+          partner_skipped: "Your partner moved on to someone new.",
+          content_violation:
+            "The chat was ended because messages broke the chat rules.",
+        }[data?.reason] || "Your partner has disconnected."
+      );
+    });
+
+    this.socket.on("pairing:skipped", () => {
+      this.endPair();
+      this.updateStatus("Finding a new partner...", "waiting");
+      this.addSystemMessage("You skipped your partner.");
     });
 
     this.socket.on("message_sent", (data) => {
-      console.log("Message sent confirmation:", data);
+      this.chatReceipts.handleSent(data);
+    });
+
+    this.socket.on("message_delivered", (data) => {
+      this.chatReceipts.handleReceipt(data, "delivered");
+    });
+
+    this.socket.on("message_read", (data) => {
+      this.chatReceipts.handleReceipt(data, "read");
     });
 
     this.socket.on("error", (data) => {
@@ -90,6 +182,22 @@ class ChatManager {
     });
   }
 
+  handlePaired(data) {
+    this.partner = { socketId: data.peerId, email: data.partnerEmail };
+    this.isConnected = true;
+    this.updateStatus(`Connected with: ${this.partner.email}`, "connected");
+    this.addSystemMessage(
+      `You're now connected with ${this.partner.email}! Start chatting.`
+    );
+    this.enableChatInput();
+
+    // Also after a reconnect, in case our key got lost on the way
+    this.chatEncryption.start(this.partner.socketId).catch((error) => {
+      console.error("Could not start chat encryption:", error);
+      this.showError("Chat encryption failed to start. Try reconnecting.");
+    });
+  }
+
   setupEventListeners() {
     // Send message button
     document.getElementById("sendButton").addEventListener("click", () => {
@@ -115,12 +223,67 @@ class ChatManager {
       this.handleTypingEnd();
     });
 
+    // The server ends the pair and puts us back in the queue
+    document.getElementById("nextBtn").addEventListener("click", () => {
+      this.skipPartner();
+    });
+
     // Disconnect button
     document.getElementById("disconnectBtn").addEventListener("click", () => {
       this.disconnect();
     });
   }
 
+  // Clears what belonged to the partner who just left
+  endPair() {
+    this.isConnected = false;
+    this.partner = null;
+    this.chatReceipts.reset();
+    this.chatEncryption.reset();
+    this.safetyNumber.hide();
+    this.hideTypingIndicator();
+    this.disableChatInput();
+  }
+
+  skipPartner() {
+    if (!this.partner || !this.socket) return;
+    this.socket.emit("pairing:skip");
+  }
+
+  // Both sides read the number out to each other to rule out a server in
+  // the middle of the chat's key exchange
+  showSafetyNumber() {
+    const chat = this.chatEncryption;
+    if (!chat.peerPublicKey) {
+      this.safetyNumber.hide();
+      return;
+    }
+
+    this.safetyNumber
+      .show([chat.publicKey], [chat.peerPublicKey])
+      .catch((error) => {
+        console.error("Could not derive safety number:", error);
+      });
+  }
+
+  // A reloaded page brings a new key, but so would a server in the middle,
+  // so nothing waiting is resent under it without asking
+  handleChatKeyChange() {
+    this.addSystemMessage(
+      "⚠️ Your partner's chat key changed. If they didn't just reload the page, someone may be reading the chat."
+    );
+
+    const pending = this.chatReceipts.countPending();
+    if (
+      pending > 0 &&
+      confirm(
+        `Resend ${pending} undelivered message(s) under your partner's new key?`
+      )
+    ) {
+      this.chatReceipts.retryPending();
+    }
+  }
+
   sendMessage() {
     if (!this.isConnected || !this.partner) {
       this.showError("Not connected to a partner");
@@ -132,18 +295,16 @@ class ChatManager {
 
     if (!message) return;
 
-    // Send signal to partner
-    this.socket.emit("signal", {
-      to: this.partner.socketId,
-      signal: {
-        type: "chat_message",
-        message: message,
-        timestamp: Date.now(),
-      },
-    });
+    const result = this.chatFilter.check(message);
+    if (result.action === "block") {
+      this.chatFilter.report(result.ruleIds, "sent");
+      this.showError("That message breaks the chat rules and wasn't sent.");
+      return;
+    }
 
-    // Display own message
-    this.displayMessage(message, "sent", Date.now());
+    // Display own message; its ticks follow the server's receipts
+    const messageDiv = this.displayMessage(result.text, "sent", Date.now());
+    this.chatReceipts.send(result.text, messageDiv);
 
     // Clear input
     messageInput.value = "";
@@ -164,6 +325,7 @@ class ChatManager {
 
     chatMessages.appendChild(messageDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
   }
 
   addSystemMessage(message) {
@@ -185,19 +347,15 @@ class ChatManager {
       clearTimeout(this.typingTimer);
     }
 
-    // Send typing start signal
-    this.socket.emit("signal", {
-      to: this.partner.socketId,
-      signal: {
-        type: "typing_start",
-        timestamp: Date.now(),
-      },
-    });
-
     // Set timer to send typing end after 2 seconds of inactivity
     this.typingTimer = setTimeout(() => {
       this.handleTypingEnd();
     }, 2000);
+
+    // Only the first keystroke tells the partner
+    if (this.isTyping) return;
+    this.isTyping = true;
+    this.socket.emit("typing_start");
   }
 
   handleTypingEnd() {
@@ -208,15 +366,9 @@ class ChatManager {
       this.typingTimer = null;
     }
 
-    this.socket.emit("signal", {
-      to: this.partner.socketId,
-      signal: {
-        type: "typing_end",
-        timestamp: Date.now(),
-      },
-    });
-
-    this.hideTypingIndicator();
+    if (!this.isTyping) return;
+    this.isTyping = false;
+    this.socket.emit("typing_stop");
   }
 
   showTypingIndicator() {
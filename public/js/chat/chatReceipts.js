@@ -0,0 +1,146 @@
+// chatReceipts.js - delivery and read receipts for chat messages, shared by
+// the chat clients. Follows the contract in server/modules/chat/chatHandler.js:
+// our messages show ticks as they move along, messages our partner hasn't
+// received are resent after a reconnect, and incoming messages are
+// acknowledged and deduplicated by their server id.
+class ChatReceipts {
+  constructor(socket, encryption) {
+    this.socket = socket;
+    this.encryption = encryption; // ChatEncryption, which holds the key
+    // clientMessageId -> { message, id, state, element } until read
+    this.outgoing = new Map();
+    this.seen = new Set(); // ids of incoming messages already shown
+    this.unread = []; // ids of incoming messages not yet reported read
+    this.states = ["pending", "sent", "delivered", "read"];
+
+    // Messages count as read once the page is in front of the user
+    document.addEventListener("visibilitychange", () => this.flushRead());
+    window.addEventListener("focus", () => this.flushRead());
+  }
+
+  // Sends a message and keeps `element`'s ticks up to date
+  send(message, element) {
+    const clientMessageId = crypto.randomUUID();
+    this.outgoing.set(clientMessageId, {
+      message: message,
+      id: null,
+      state: "pending",
+      element: element,
+    });
+    this.render(clientMessageId);
+    this.emitMessage(clientMessageId);
+    return clientMessageId;
+  }
+
+  // Waits for the chat key, so messages typed before it arrives stay
+  // pending until it does
+  async emitMessage(clientMessageId) {
+    const entry = this.outgoing.get(clientMessageId);
+    const envelope = await this.encryption.encrypt(entry.message);
+    if (this.outgoing.get(clientMessageId) !== entry) return;
+
+    this.socket.emit("chat_message", {
+      ...envelope,
+      clientMessageId: clientMessageId,
+    });
+  }
+
+  // Messages our partner hasn't confirmed receiving
+  countPending() {
+    let count = 0;
+    this.outgoing.forEach((entry) => {
+      if (entry.state === "pending" || entry.state === "sent") count++;
+    });
+    return count;
+  }
+
+  // After either side reconnects; the server dedupes by clientMessageId
+  retryPending() {
+    this.outgoing.forEach((entry, clientMessageId) => {
+      if (entry.state === "pending" || entry.state === "sent") {
+        this.emitMessage(clientMessageId);
+      }
+    });
+  }
+
+  // message_sent
+  handleSent(data) {
+    const entry = this.outgoing.get(data.clientMessageId);
+    if (!entry) return;
+
+    entry.id = data.id;
+    this.advance(data.clientMessageId, "sent");
+  }
+
+  // message_delivered and message_read
+  handleReceipt(data, state) {
+    this.outgoing.forEach((entry, clientMessageId) => {
+      if (entry.id && data.ids.includes(entry.id)) {
+        this.advance(clientMessageId, state);
+      }
+    });
+  }
+
+  advance(clientMessageId, state) {
+    const entry = this.outgoing.get(clientMessageId);
+    if (this.states.indexOf(state) <= this.states.indexOf(entry.state)) return;
+
+    entry.state = state;
+    this.render(clientMessageId);
+    if (state === "read") {
+      this.outgoing.delete(clientMessageId);
+    }
+  }
+
+  render(clientMessageId) {
+    const { element, state } = this.outgoing.get(clientMessageId);
+    if (!element) return;
+
+    let status = element.querySelector(".message-status");
+    if (!status) {
+      status = document.createElement("span");
+      element.appendChild(status);
+    }
+
+    const ticks = {
+      pending: ["🕓", "Sending"],
+      sent: ["✓", "Sent"],
+      delivered: ["✓✓", "Delivered"],
+      read: ["✓✓", "Read"],
+    };
+    status.className = `message-status ${state}`;
+    status.textContent = ticks[state][0];
+    status.title = ticks[state][1];
+  }
+
+  // An incoming chat_message. Returns false for one we've already shown,
+  // which a partner's retry can deliver twice.
+  receive(data) {
+    this.socket.emit("message_delivered", { ids: [data.id] });
+    if (this.seen.has(data.id)) return false;
+
+    this.seen.add(data.id);
+    this.unread.push(data.id);
+    this.flushRead();
+    return true;
+  }
+
+  flushRead() {
+    if (this.unread.length === 0) return;
+    if (document.visibilityState !== "visible" || !document.hasFocus()) {
+      return;
+    }
+
+    // The server takes at most 50 ids per receipt
+    while (this.unread.length > 0) {
+      this.socket.emit("message_read", { ids: this.unread.splice(0, 50) });
+    }
+  }
+
+  // The pair ended; nothing is resent to whoever comes next
+  reset() {
+    this.outgoing.clear();
+    this.seen.clear();
+    this.unread = [];
+  }
+}
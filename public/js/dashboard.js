@@ -19,7 +19,7 @@ class DashboardController {
     this.isSearching = false;
     this.isInSession = false;
     this.socketInitialized = false;
-    this.currentMode = null; // 'video' or 'text'
+    this.currentMode = null; // 'video', 'audio' or 'text'
     this.encouragementInterval = null;
 
     // Video elements
@@ -211,6 +211,15 @@ class DashboardController {
       });
     }
 
+    // Audio chat button
+    const startAudioChatBtn = document.getElementById("start-audio-chat");
+    if (startAudioChatBtn) {
+      startAudioChatBtn.addEventListener("click", () => {
+        this.logger.info("DashboardController: Start audio chat clicked");
+        this.startAudioChat();
+      });
+    }
+
     // Text chat button
     const startTextChatBtn = document.getElementById("start-text-chat");
     if (startTextChatBtn) {
@@ -416,6 +425,13 @@ class DashboardController {
     // NEW: Enhanced pairing system events
     this.socket.on("pairing:queued", (data) => {
       this.logger.info("DashboardController: Added to pairing queue", data);
+      if (data.mode && this.currentMode && data.mode !== this.currentMode) {
+        this.currentMode = data.mode;
+        this.showMessage(
+          `Your camera isn't available, so we're finding you an ${data.mode} partner.`,
+          "info"
+        );
+      }
       this.showQueueStatus(data.position, data.queueSize, data.totalUsers);
     });
 
@@ -477,9 +493,70 @@ class DashboardController {
       }
     });
 
-    this.socket.on("peer-disconnected", () => {
-      this.logger.info("DashboardController: Peer disconnected");
-      this.handlePeerDisconnected();
+    this.socket.on("encryption:key-exchange", (data) => {
+      // Chat keys belong to the chat page
+      if (data.channel === "chat") return;
+      if (this.videoManager) {
+        this.videoManager.handleKeyExchange(data).catch((error) => {
+          this.logger.error("DashboardController: Key exchange failed", {
+            error: error.message,
+          });
+        });
+      }
+    });
+
+    this.socket.on("encryption:state", (data) => {
+      if (this.videoManager) {
+        this.videoManager.handleEncryptionState(data);
+      }
+      this.showMessage(
+        data.encrypted
+          ? "🔒 Your call is end-to-end encrypted."
+          : "One of your browsers can't end-to-end encrypt calls. The call is still encrypted in transit.",
+        "info"
+      );
+    });
+
+    this.socket.on("peer-disconnected", (data) => {
+      this.logger.info("DashboardController: Peer disconnected", data);
+      this.handlePeerDisconnected(data);
+    });
+
+    this.socket.on("peer-reconnecting", (data) => {
+      this.logger.info("DashboardController: Partner reconnecting", data);
+      this.updateCallStatus("Partner reconnecting…", "searching");
+    });
+
+    this.socket.on("peer-reconnected", (data) => {
+      this.logger.info("DashboardController: Partner reconnected", data);
+      if (this.videoManager) {
+        this.videoManager.peerId = data.peerId;
+      }
+      this.updateCallStatus("Partner reconnected", "connected");
+    });
+
+    this.socket.on("pairing:resumed", (data) => {
+      this.logger.info("DashboardController: Pair resumed", data);
+      if (this.videoManager) {
+        this.videoManager.socket = this.socket;
+        this.videoManager.peerId = data.peerId;
+        if (data.iceRestart) {
+          this.videoManager.restartIce().catch((error) => {
+            this.logger.error("DashboardController: ICE restart failed", error);
+          });
+        }
+      }
+      this.updateCallStatus("Reconnected", "connected");
+    });
+
+    this.socket.on("pairing:skipped", (data) => {
+      this.logger.info("DashboardController: Skipped partner", data);
+    });
+
+    this.socket.on("user:blocked", (data) => {
+      this.logger.info("DashboardController: User blocked", data);
+      this.showMessage("User blocked. You won't be matched again.", "info");
+      this.endSession();
     });
 
     // Error events
@@ -490,11 +567,23 @@ class DashboardController {
 
     this.socket.on("connect_error", (error) => {
       this.logger.error("DashboardController: Socket connection error", error);
+
+      // Banned accounts get the reason and expiry from the server
+      if (error.data?.code?.startsWith("ACCOUNT_")) {
+        this.handleAccountBanned(error.data);
+        return;
+      }
+
       this.showError(
         "Failed to connect to server. Please check your internet connection."
       );
     });
 
+    this.socket.on("account:banned", (data) => {
+      this.logger.warn("DashboardController: Account banned", data);
+      this.handleAccountBanned(data);
+    });
+
     this.logger.info("DashboardController: Socket event handlers registered");
   }
 
@@ -568,6 +657,11 @@ class DashboardController {
     this.startMatchmakingWithMode("video");
   }
 
+  startAudioChat() {
+    this.logger.info("DashboardController: Starting audio chat");
+    this.startMatchmakingWithMode("audio");
+  }
+
   startTextChat() {
     this.logger.info("DashboardController: Starting text chat");
     this.startMatchmakingWithMode("text");
@@ -639,7 +733,7 @@ class DashboardController {
   }
 
   // NEW METHOD: Join pairing queue with mode
-  joinPairingQueue(mode) {
+  joinPairingQueue(mode, preflight) {
     if (!this.socket || !this.socket.connected) {
       this.logger.error(
         "DashboardController: Socket not connected for pairing"
@@ -653,11 +747,9 @@ class DashboardController {
       `DashboardController: Joining pairing queue for ${mode} chat`
     );
 
-    // Emit the pairing request with mode
-    this.socket.emit("pairing:join", {
-      mode: mode,
-      userData: this.authManager.getUserData(),
-    });
+    // Each mode has its own queue on the server, which may pick another one
+    // based on the pre-call check
+    this.socket.emit("join_queue", { mode: mode, preflight: preflight });
 
     // Add to activity
     this.addActivity(`🔍 Started searching for ${mode} study partner`);
@@ -676,11 +768,24 @@ class DashboardController {
     this.isSearching = true;
     this.currentMode = mode;
 
+    // Camera, microphone and network check before joining a call queue
+    let preflight;
+    if (mode !== "text") {
+      preflight = await this.runPreflightCheck(mode);
+      if (preflight === null) {
+        this.logger.info("DashboardController: Pre-call check closed");
+        this.isSearching = false;
+        this.currentMode = null;
+        return;
+      }
+    }
+
     // Update UI to show searching state
     this.showSearchingState(mode);
 
-    // For video chat, ensure VideoManager is available
-    if (mode === "video") {
+    // For video chat, ensure VideoManager is available. Without a working
+    // camera the server matches us for audio instead.
+    if (mode === "video" && preflight?.camera !== "fail") {
       // FIX: Check if VideoManager is available (it should be now)
       if (typeof VideoManager === "undefined") {
         this.logger.error("DashboardController: VideoManager not available", {
@@ -728,7 +833,105 @@ class DashboardController {
     }
 
     // Join the pairing queue with the specified mode
-    this.joinPairingQueue(mode);
+    this.joinPairingQueue(mode, preflight);
+  }
+
+  // Shows the pre-call check and resolves with its report once the user
+  // continues, or with null if they close it. Resolves with undefined when
+  // the check isn't available, so matchmaking goes ahead without it.
+  runPreflightCheck(mode) {
+    const modal = document.getElementById("preflightModal");
+    if (!modal || typeof PreflightCheck === "undefined") {
+      this.logger.warn("DashboardController: Pre-call check not available");
+      return Promise.resolve(undefined);
+    }
+
+    const preview = document.getElementById("preflightPreview");
+    const continueBtn = document.getElementById("preflightContinue");
+    const retryBtn = document.getElementById("preflightRetry");
+    const closeBtn = document.getElementById("closePreflightModal");
+
+    const check = new PreflightCheck({
+      mode: mode,
+      previewEl: preview,
+      meterEl: document.getElementById("preflightMicLevel"),
+    });
+    preview.style.display = mode === "audio" ? "none" : "block";
+    modal.style.display = "block";
+
+    return new Promise((resolve) => {
+      let report = null;
+
+      const runCheck = async () => {
+        continueBtn.disabled = true;
+        retryBtn.disabled = true;
+        this.renderPreflightReport(null, mode);
+
+        report = await check.run();
+        this.renderPreflightReport(report, mode);
+
+        // A call is no use without a microphone; text chat still is
+        continueBtn.disabled = report.microphone === "fail";
+        retryBtn.disabled = false;
+      };
+
+      const finish = (result) => {
+        check.stop();
+        modal.style.display = "none";
+        continueBtn.onclick = null;
+        retryBtn.onclick = null;
+        closeBtn.onclick = null;
+        resolve(result);
+      };
+
+      continueBtn.onclick = () => finish(report);
+      retryBtn.onclick = () => runCheck();
+      closeBtn.onclick = () => finish(null);
+      runCheck();
+    });
+  }
+
+  renderPreflightReport(report, mode) {
+    const icons = {
+      pending: "⏳",
+      pass: "✅",
+      warn: "⚠️",
+      fail: "❌",
+      skipped: "➖",
+    };
+    const rows = {
+      preflightCamera: report?.camera,
+      preflightMicrophone: report?.microphone,
+      preflightNetwork: report?.network,
+    };
+
+    Object.entries(rows).forEach(([id, status = "pending"]) => {
+      const row = document.getElementById(id);
+      row.dataset.status = status;
+      row.querySelector(".preflight-status").textContent = icons[status];
+    });
+
+    document.getElementById("preflightSummary").textContent =
+      this.describePreflightReport(report, mode);
+  }
+
+  describePreflightReport(report, mode) {
+    if (!report) {
+      return "Checking your camera, microphone and connection…";
+    }
+    if (report.microphone === "fail") {
+      return "We couldn't use your microphone. Check your browser permissions, or try text chat instead.";
+    }
+    if (mode === "video" && report.camera === "fail") {
+      return "We couldn't use your camera, so you'll be matched for an audio call.";
+    }
+    if (report.network === "fail") {
+      return "We couldn't reach our connection servers. Calls may not connect on this network.";
+    }
+    if (report.network === "warn") {
+      return "Your network may block calls with students on other networks.";
+    }
+    return "Everything looks good. Say something to see your mic level move.";
   }
 
   async initializeVideoManager() {
@@ -773,6 +976,22 @@ class DashboardController {
         this.localVideo,
         this.remoteVideo
       );
+      this.videoManager.onBandwidthFallback = (audioOnly) => {
+        this.showMessage(
+          audioOnly
+            ? "Your connection is too slow for video, so it's paused. Audio continues."
+            : "Your connection recovered. Video is back on.",
+          "info"
+        );
+      };
+      this.videoManager.onRemoteMediaState = ({ video }) => {
+        this.showMessage(
+          video === "paused"
+            ? "Your partner's connection is weak, so their video is paused."
+            : "Your partner's video is back on.",
+          "info"
+        );
+      };
 
       this.logger.info(
         "DashboardController: VideoManager instance created, calling initialize()"
@@ -844,8 +1063,18 @@ class DashboardController {
       this.encouragementInterval = null;
     }
 
+    // Show why we were matched (e.g. "You both like chess")
+    if (data.matchReason?.summary) {
+      this.showMessage(`🤝 ${data.matchReason.summary}`, "success");
+    }
+
+    // The server tells us which queue we were matched from
+    if (data.mode) {
+      this.currentMode = data.mode;
+    }
+
     // Update video manager with peer information if video mode
-    if (this.currentMode === "video" && this.videoManager) {
+    if (data.media?.video !== false && this.videoManager) {
       this.videoManager.peerId = data.peerId;
       this.videoManager.isInitiator = data.initiator;
 
@@ -868,6 +1097,9 @@ class DashboardController {
       if (this.currentMode === "video") {
         this.addActivity("✅ Matched with video study partner!");
         window.location.href = "/video-chat";
+      } else if (this.currentMode === "audio") {
+        this.addActivity("✅ Matched with audio study partner!");
+        window.location.href = "/video-chat?mode=audio";
       } else {
         this.addActivity("✅ Matched with text chat partner!");
         window.location.href = "/chat";
@@ -932,6 +1164,8 @@ class DashboardController {
       // Re-trigger the last search mode
       if (this.currentMode === "text") {
         this.startTextChat();
+      } else if (this.currentMode === "audio") {
+        this.startAudioChat();
       } else {
         this.startVideoChat();
       }
@@ -942,8 +1176,20 @@ class DashboardController {
       .appendChild(retryButton);
   }
 
-  handlePeerDisconnected() {
-    this.logger.info("DashboardController: Handling peer disconnection");
+  handlePeerDisconnected(data = {}) {
+    this.logger.info("DashboardController: Handling peer disconnection", data);
+
+    // The server has already put us back in the queue after a skip
+    if (data.reason === "partner_skipped") {
+      const mode = this.currentMode || "video";
+      this.showMessage(
+        "Your partner moved on. Finding you someone new...",
+        "info"
+      );
+      this.endSession();
+      this.showSearchingState(mode);
+      return;
+    }
 
     this.isInSession = false;
     this.currentMode = null;
@@ -952,6 +1198,14 @@ class DashboardController {
     this.endSession();
   }
 
+  handleAccountBanned(ban) {
+    this.endSession();
+    if (this.socket) {
+      this.socket.disconnect();
+    }
+    this.showError(ban.message);
+  }
+
   toggleVideo() {
     if (this.videoManager) {
       const newState = this.videoManager.toggleVideo();
@@ -0,0 +1,239 @@
+// bitrateController.js - steps outgoing video quality with network conditions
+class BitrateController {
+  constructor({ getSender, onAudioOnlyChange = null, onLevelChange = null }) {
+    this.getSender = getSender; // () => RTCRtpSender carrying our video
+    this.onAudioOnlyChange = onAudioOnlyChange; // (audioOnly) => void
+    this.onLevelChange = onLevelChange; // (level) => void
+
+    // Highest first. Resolution is scaled from whatever the camera captures.
+    this.levels = [
+      {
+        name: "high",
+        maxBitrate: 2500000,
+        scaleResolutionDownBy: 1,
+        maxFramerate: 30,
+      },
+      {
+        name: "medium",
+        maxBitrate: 1000000,
+        scaleResolutionDownBy: 1.5,
+        maxFramerate: 30,
+      },
+      {
+        name: "low",
+        maxBitrate: 500000,
+        scaleResolutionDownBy: 2,
+        maxFramerate: 24,
+      },
+      {
+        name: "minimal",
+        maxBitrate: 150000,
+        scaleResolutionDownBy: 4,
+        maxFramerate: 15,
+      },
+    ];
+
+    // Drop quickly, climb back slowly, so one bad sample doesn't flap
+    this.stepDownAfter = 2; // congested samples in a row
+    this.stepUpAfter = 6; // healthy samples in a row
+    this.resumeVideoAfter = 12; // healthy samples in a row while audio-only
+
+    this.congestedLoss = 0.08; // fraction of our packets the partner lost
+    this.healthyLoss = 0.02;
+    this.congestedRtt = 0.4; // seconds
+    this.healthyRtt = 0.25;
+    this.resumeBitrate = 300000; // estimate needed to try video again
+
+    this.reset();
+  }
+
+  reset() {
+    this.levelIndex = 0;
+    this.audioOnly = false;
+    this.congestedSamples = 0;
+    this.healthySamples = 0;
+    this.applying = false;
+  }
+
+  getLevel() {
+    return this.audioOnly ? null : this.levels[this.levelIndex];
+  }
+
+  // Called with each getStats() report while the call is connected
+  async update(report) {
+    if (this.applying) return;
+
+    const condition = this.assess(this.readOutbound(report));
+    if (condition === "congested") {
+      this.congestedSamples++;
+      this.healthySamples = 0;
+    } else if (condition === "healthy") {
+      this.healthySamples++;
+      this.congestedSamples = 0;
+    } else {
+      this.congestedSamples = 0;
+      this.healthySamples = 0;
+    }
+
+    if (this.congestedSamples >= this.stepDownAfter) {
+      this.congestedSamples = 0;
+      await this.stepDown();
+    } else if (
+      this.healthySamples >=
+      (this.audioOnly ? this.resumeVideoAfter : this.stepUpAfter)
+    ) {
+      this.healthySamples = 0;
+      await this.stepUp();
+    }
+  }
+
+  // How the partner is receiving what we send: their RTCP reports give loss
+  // and round trip, and the encoder says when bandwidth is what limits it.
+  // Video is preferred; audio keeps the numbers coming while video is off.
+  readOutbound(report) {
+    const outbound = {
+      fractionLost: null,
+      rtt: null,
+      bandwidthLimited: false,
+      availableBitrate: null,
+    };
+    let lossKind = null;
+
+    report.forEach((entry) => {
+      if (entry.type === "remote-inbound-rtp") {
+        if (lossKind === "video" && entry.kind !== "video") return;
+        if (typeof entry.fractionLost === "number") {
+          outbound.fractionLost = entry.fractionLost;
+          lossKind = entry.kind;
+        }
+        if (typeof entry.roundTripTime === "number") {
+          outbound.rtt = entry.roundTripTime;
+        }
+      } else if (entry.type === "outbound-rtp" && entry.kind === "video") {
+        outbound.bandwidthLimited =
+          entry.qualityLimitationReason === "bandwidth";
+      } else if (
+        entry.type === "candidate-pair" &&
+        (entry.selected || (entry.nominated && entry.state === "succeeded")) &&
+        typeof entry.availableOutgoingBitrate === "number"
+      ) {
+        outbound.availableBitrate = entry.availableOutgoingBitrate;
+      }
+    });
+
+    return outbound;
+  }
+
+  // "congested", "healthy", or "unknown" when there's nothing to go on yet
+  assess({ fractionLost, rtt, bandwidthLimited, availableBitrate }) {
+    if (fractionLost === null && rtt === null) return "unknown";
+
+    if (
+      fractionLost > this.congestedLoss ||
+      rtt > this.congestedRtt ||
+      (bandwidthLimited && !this.audioOnly)
+    ) {
+      return "congested";
+    }
+
+    const healthy =
+      (fractionLost === null || fractionLost <= this.healthyLoss) &&
+      (rtt === null || rtt <= this.healthyRtt);
+    if (!healthy) return "unknown";
+
+    // Only climb when the estimate leaves room for the next level
+    if (availableBitrate !== null) {
+      const next = this.audioOnly
+        ? this.resumeBitrate
+        : this.levels[Math.max(0, this.levelIndex - 1)].maxBitrate;
+      if (availableBitrate < next) return "unknown";
+    }
+    return "healthy";
+  }
+
+  async stepDown() {
+    if (this.audioOnly) return;
+
+    if (this.levelIndex < this.levels.length - 1) {
+      await this.applyLevel(this.levelIndex + 1);
+    } else {
+      await this.setAudioOnly(true);
+    }
+  }
+
+  async stepUp() {
+    if (this.audioOnly) {
+      await this.setAudioOnly(false);
+    } else if (this.levelIndex > 0) {
+      await this.applyLevel(this.levelIndex - 1);
+    }
+  }
+
+  async applyLevel(index) {
+    const level = this.levels[index];
+    const applied = await this.setEncodings({
+      active: true,
+      maxBitrate: level.maxBitrate,
+      scaleResolutionDownBy: level.scaleResolutionDownBy,
+      maxFramerate: level.maxFramerate,
+    });
+    if (!applied) return;
+
+    console.log("BitrateController: Video level changed", {
+      from: this.levels[this.levelIndex].name,
+      to: level.name,
+    });
+    this.levelIndex = index;
+    if (this.onLevelChange) {
+      this.onLevelChange(level);
+    }
+  }
+
+  // Pausing the encoding stops video without renegotiating, and video comes
+  // back at the lowest level
+  async setAudioOnly(audioOnly) {
+    const level = this.levels[this.levels.length - 1];
+    const applied = await this.setEncodings({
+      active: !audioOnly,
+      maxBitrate: level.maxBitrate,
+      scaleResolutionDownBy: level.scaleResolutionDownBy,
+      maxFramerate: level.maxFramerate,
+    });
+    if (!applied) return;
+
+    console.log(
+      audioOnly
+        ? "BitrateController: Falling back to audio only"
+        : "BitrateController: Resuming video"
+    );
+    this.audioOnly = audioOnly;
+    this.levelIndex = this.levels.length - 1;
+    if (this.onAudioOnlyChange) {
+      this.onAudioOnlyChange(audioOnly);
+    }
+  }
+
+  async setEncodings(settings) {
+    const sender = this.getSender();
+    if (!sender || !sender.getParameters) return false;
+
+    this.applying = true;
+    try {
+      const parameters = sender.getParameters();
+      if (!parameters.encodings || parameters.encodings.length === 0) {
+        parameters.encodings = [{}];
+      }
+      parameters.encodings.forEach((encoding) => {
+        Object.assign(encoding, settings);
+      });
+
+      await sender.setParameters(parameters);
+      return true;
+    } catch (error) {
+      console.warn("BitrateController: Could not update encodings", error);
+      return false;
+    } finally {
+      this.applying = false;
+    }
+  }
+}
@@ -0,0 +1,292 @@
+// fileTransfer.js - files sent straight to the partner over the call's
+// RTCDataChannel. Offers, answers and outcomes go through the server (see
+// server/modules/signaling/fileTransferHandler.js); the bytes never do.
+// Nothing is sent until the partner accepts, and the receiver checks what
+// arrived against the SHA-256 in the offer.
+class FileTransfer {
+  constructor(socket) {
+    this.socket = socket;
+    this.channel = null;
+    // transferId -> { id, direction, name, size, mimeType, sha256, state,
+    // bytes, file (outgoing), chunks and url (incoming), error }
+    this.transfers = new Map();
+    this.onUpdate = null; // (transfer) => void, set by the UI
+
+    // Same limits as the server's FILE_TRANSFER settings
+    this.maxFileSize = 25 * 1024 * 1024;
+    this.allowedTypes = [
+      "application/pdf",
+      "image/png",
+      "image/jpeg",
+      "image/gif",
+      "image/webp",
+      "text/plain",
+      "text/markdown",
+      "text/csv",
+      "application/json",
+    ];
+    // Browsers label source files inconsistently, if at all
+    this.codeFilePattern = /\.(c|cpp|go|h|java|js|md|php|py|rb|rs|sh|sql|ts)$/i;
+
+    // Each message is the transfer id followed by up to 16 KB of the file,
+    // a size every browser's data channel takes
+    this.idLength = 36;
+    this.chunkSize = 16 * 1024 - this.idLength;
+    this.maxBufferedAmount = 1024 * 1024;
+  }
+
+  // Both sides create the channel with the same id when they set up the
+  // peer connection, so it needs no negotiation of its own
+  attachChannel(channel) {
+    this.channel = channel;
+    channel.binaryType = "arraybuffer";
+    channel.bufferedAmountLowThreshold = this.maxBufferedAmount / 2;
+    channel.onmessage = (event) => this.handleChunk(event.data);
+    channel.onclose = () => {
+      this.transfers.forEach((transfer) => {
+        if (this.isActive(transfer) && transfer.state !== "offered") {
+          this.finish(transfer, "failed", "The connection closed");
+        }
+      });
+    };
+  }
+
+  // The type the server will accept for this file, or null. Code goes as
+  // plain text.
+  getMimeType(file) {
+    if (this.allowedTypes.includes(file.type)) return file.type;
+    if (file.type.startsWith("text/") || this.codeFilePattern.test(file.name)) {
+      return "text/plain";
+    }
+    return null;
+  }
+
+  // Offers a file to the partner. Throws, with a message for the user, for
+  // files we can't send.
+  async send(file) {
+    const mimeType = this.getMimeType(file);
+    if (!mimeType) {
+      throw new Error("PDFs, images and text or code files only");
+    }
+    if (file.size === 0 || file.size > this.maxFileSize) {
+      throw new Error("Files must be under 25 MB");
+    }
+
+    const transfer = {
+      id: crypto.randomUUID(),
+      direction: "outgoing",
+      name: file.name,
+      size: file.size,
+      mimeType: mimeType,
+      sha256: await this.hash(await file.arrayBuffer()),
+      state: "offered",
+      bytes: 0,
+      file: file,
+    };
+    this.transfers.set(transfer.id, transfer);
+    this.update(transfer);
+
+    this.socket.emit("file:offer", {
+      transferId: transfer.id,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      sha256: transfer.sha256,
+    });
+    return transfer;
+  }
+
+  accept(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.state !== "offered") return;
+
+    transfer.state = "receiving";
+    transfer.chunks = [];
+    this.update(transfer);
+    this.socket.emit("file:accept", { transferId: transferId });
+  }
+
+  decline(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.state !== "offered") return;
+
+    this.finish(transfer, "declined");
+    this.socket.emit("file:decline", { transferId: transferId });
+  }
+
+  cancel(transferId, error = null) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || !this.isActive(transfer)) return;
+
+    this.finish(transfer, "cancelled", error);
+    this.socket.emit("file:cancel", { transferId: transferId });
+  }
+
+  // file:offer from the partner
+  handleOffer(data) {
+    if (this.transfers.has(data.transferId)) return;
+
+    const transfer = {
+      id: data.transferId,
+      direction: "incoming",
+      name: data.name,
+      size: data.size,
+      mimeType: data.mimeType,
+      sha256: data.sha256,
+      state: "offered",
+      bytes: 0,
+    };
+    this.transfers.set(transfer.id, transfer);
+    this.update(transfer);
+  }
+
+  // file:accept, file:decline, file:cancel and file:complete from the
+  // partner
+  handleUpdate(data, action) {
+    const transfer = this.transfers.get(data.transferId);
+    if (!transfer || !this.isActive(transfer)) return;
+
+    if (action === "accept" && transfer.direction === "outgoing") {
+      transfer.state = "sending";
+      this.update(transfer);
+      this.sendChunks(transfer).catch((error) => {
+        console.error("FileTransfer: Sending failed", error);
+        this.cancel(transfer.id, "The file couldn't be sent");
+      });
+    } else if (action === "decline") {
+      this.finish(transfer, "declined");
+    } else if (action === "cancel") {
+      this.finish(transfer, "cancelled");
+    } else if (action === "complete" && transfer.direction === "outgoing") {
+      this.finish(
+        transfer,
+        data.verified ? "completed" : "failed",
+        data.verified ? null : "The file arrived damaged"
+      );
+    }
+  }
+
+  // An `error` the server tied to one of our transfers. Returns false for
+  // errors about anything else.
+  handleError(data) {
+    const transfer = this.transfers.get(data.transferId);
+    if (!transfer) return false;
+
+    if (this.isActive(transfer)) {
+      this.finish(transfer, "failed", data.message);
+    }
+    return true;
+  }
+
+  // Reading stops as soon as the transfer is cancelled, and waits whenever
+  // the channel has a megabyte queued
+  async sendChunks(transfer) {
+    if (!this.channel || this.channel.readyState !== "open") {
+      throw new Error("The data channel isn't open");
+    }
+
+    const header = new TextEncoder().encode(transfer.id);
+    while (transfer.bytes < transfer.size && transfer.state === "sending") {
+      if (this.channel.bufferedAmount > this.maxBufferedAmount) {
+        await new Promise((resolve) => {
+          this.channel.addEventListener("bufferedamountlow", resolve, {
+            once: true,
+          });
+        });
+        continue;
+      }
+
+      const chunk = await transfer.file
+        .slice(transfer.bytes, transfer.bytes + this.chunkSize)
+        .arrayBuffer();
+      if (transfer.state !== "sending") return;
+
+      const message = new Uint8Array(this.idLength + chunk.byteLength);
+      message.set(header);
+      message.set(new Uint8Array(chunk), this.idLength);
+      this.channel.send(message);
+
+      transfer.bytes += chunk.byteLength;
+      this.update(transfer);
+    }
+  }
+
+  handleChunk(data) {
+    if (!(data instanceof ArrayBuffer) || data.byteLength <= this.idLength) {
+      return;
+    }
+
+    const transferId = new TextDecoder().decode(data.slice(0, this.idLength));
+    const transfer = this.transfers.get(transferId);
+    // Chunks still in flight when we cancelled
+    if (!transfer || transfer.state !== "receiving") return;
+
+    transfer.chunks.push(data.slice(this.idLength));
+    transfer.bytes += data.byteLength - this.idLength;
+    if (transfer.bytes > transfer.size) {
+      this.verify(transfer, null);
+    } else if (transfer.bytes === transfer.size) {
+      const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+      transfer.chunks = null;
+      blob.arrayBuffer().then((buffer) => this.verify(transfer, blob, buffer));
+    } else {
+      this.update(transfer);
+    }
+  }
+
+  // Tells the partner, through the server, whether the bytes matched the
+  // offer; only matching files are offered for download
+  async verify(transfer, blob, buffer = null) {
+    const verified =
+      blob !== null && (await this.hash(buffer)) === transfer.sha256;
+    if (transfer.state !== "receiving") return;
+
+    if (verified) {
+      transfer.url = URL.createObjectURL(blob);
+    }
+    this.finish(
+      transfer,
+      verified ? "completed" : "failed",
+      verified ? null : "The file arrived damaged"
+    );
+    this.socket.emit("file:complete", {
+      transferId: transfer.id,
+      verified: verified,
+    });
+  }
+
+  finish(transfer, state, error = null) {
+    transfer.state = state;
+    transfer.error = error;
+    transfer.chunks = null;
+    transfer.file = null;
+    this.update(transfer);
+  }
+
+  // Offered, or bytes still on their way
+  isActive(transfer) {
+    return ["offered", "sending", "receiving"].includes(transfer.state);
+  }
+
+  update(transfer) {
+    if (this.onUpdate) this.onUpdate(transfer);
+  }
+
+  async hash(buffer) {
+    const digest = await crypto.subtle.digest("SHA-256", buffer);
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  // The call ended. Downloads already offered stay available.
+  reset() {
+    this.transfers.forEach((transfer) => {
+      if (this.isActive(transfer)) {
+        this.finish(transfer, "cancelled", "The call ended");
+      }
+    });
+    this.transfers.clear();
+    this.channel = null;
+  }
+}
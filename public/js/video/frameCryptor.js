@@ -0,0 +1,135 @@
+// frameCryptor.js - AES-GCM encryption of encoded media frames. Loaded as a
+// page script for Chrome's encoded streams, and as the worker behind
+// RTCRtpScriptTransform everywhere else.
+class FrameCryptor {
+  constructor() {
+    this.key = null; // AES-GCM CryptoKey derived by MediaEncryption
+    this.encrypting = false; // only once both sides hold the key
+    this.requireEncrypted = false; // drop clear frames once confirmed
+    this.ivLength = 12;
+    this.marker = 0xe2; // last byte of every frame we encrypted
+  }
+
+  configure(settings) {
+    if (settings.key !== undefined) this.key = settings.key;
+    if (settings.encrypting !== undefined) {
+      this.encrypting = settings.encrypting;
+    }
+    if (settings.requireEncrypted !== undefined) {
+      this.requireEncrypted = settings.requireEncrypted;
+    }
+  }
+
+  createTransform(operation) {
+    return new TransformStream({
+      transform: (frame, controller) =>
+        operation === "encrypt"
+          ? this.encryptFrame(frame, controller)
+          : this.decryptFrame(frame, controller),
+    });
+  }
+
+  // Codec headers stay in the clear so packetizers can still read them:
+  // VP8 needs 10 bytes of a key frame and 3 of any other, Opus its 1-byte
+  // TOC. Audio frames have no type.
+  getClearBytes(frame) {
+    if (frame.type === "key") return 10;
+    if (frame.type === "delta") return 3;
+    return 1;
+  }
+
+  // Frame layout: clear header | ciphertext and tag | IV | marker.
+  // The clear header is authenticated as additional data.
+  async encryptFrame(frame, controller) {
+    if (!this.key || !this.encrypting) {
+      controller.enqueue(frame);
+      return;
+    }
+
+    const data = new Uint8Array(frame.data);
+    const clearBytes = Math.min(this.getClearBytes(frame), data.length);
+    const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+
+    try {
+      const ciphertext = await crypto.subtle.encrypt(
+        {
+          name: "AES-GCM",
+          iv: iv,
+          additionalData: data.subarray(0, clearBytes),
+        },
+        this.key,
+        data.subarray(clearBytes)
+      );
+
+      const output = new Uint8Array(
+        clearBytes + ciphertext.byteLength + this.ivLength + 1
+      );
+      output.set(data.subarray(0, clearBytes), 0);
+      output.set(new Uint8Array(ciphertext), clearBytes);
+      output.set(iv, clearBytes + ciphertext.byteLength);
+      output[output.length - 1] = this.marker;
+
+      frame.data = output.buffer;
+      controller.enqueue(frame);
+    } catch (error) {
+      // Never fall back to sending the frame in the clear
+      console.warn("FrameCryptor: Dropped a frame that failed to encrypt");
+    }
+  }
+
+  async decryptFrame(frame, controller) {
+    const data = new Uint8Array(frame.data);
+    const clearBytes = Math.min(this.getClearBytes(frame), data.length);
+    const looksEncrypted =
+      data.length > clearBytes + this.ivLength + 16 &&
+      data[data.length - 1] === this.marker;
+
+    if (!this.key || !looksEncrypted) {
+      if (!this.requireEncrypted) controller.enqueue(frame);
+      return;
+    }
+
+    const ivStart = data.length - 1 - this.ivLength;
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        {
+          name: "AES-GCM",
+          iv: data.subarray(ivStart, data.length - 1),
+          additionalData: data.subarray(0, clearBytes),
+        },
+        this.key,
+        data.subarray(clearBytes, ivStart)
+      );
+
+      const output = new Uint8Array(clearBytes + plaintext.byteLength);
+      output.set(data.subarray(0, clearBytes), 0);
+      output.set(new Uint8Array(plaintext), clearBytes);
+
+      frame.data = output.buffer;
+      controller.enqueue(frame);
+    } catch (error) {
+      // A clear frame can end in the marker byte by chance
+      if (!this.requireEncrypted) controller.enqueue(frame);
+    }
+  }
+}
+
+// Worker side of RTCRtpScriptTransform: one cryptor serves every sender and
+// receiver of the call, and the page sends it keys and settings.
+if (
+  typeof WorkerGlobalScope !== "undefined" &&
+  self instanceof WorkerGlobalScope
+) {
+  const cryptor = new FrameCryptor();
+
+  self.onrtctransform = (event) => {
+    const { readable, writable, options } = event.transformer;
+    readable
+      .pipeThrough(cryptor.createTransform(options.operation))
+      .pipeTo(writable);
+  };
+
+  self.onmessage = (event) => {
+    cryptor.configure(event.data);
+  };
+}
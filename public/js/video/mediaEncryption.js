@@ -0,0 +1,200 @@
+// mediaEncryption.js - end-to-end encryption of call media. Each call gets a
+// fresh ECDH P-256 key pair; the partners swap public keys through the
+// server and derive the same AES-GCM key with HKDF, which never leaves the
+// browser. Frames are encrypted by FrameCryptor.
+class MediaEncryption {
+  // "script-transform", "encoded-streams", or null when the browser can't
+  // touch encoded frames and the call has to stay unencrypted
+  static getSupport() {
+    if (typeof RTCRtpScriptTransform !== "undefined") {
+      return "script-transform";
+    }
+    if (
+      typeof RTCRtpSender !== "undefined" &&
+      "createEncodedStreams" in RTCRtpSender.prototype
+    ) {
+      return "encoded-streams";
+    }
+    return null;
+  }
+
+  constructor() {
+    this.support = MediaEncryption.getSupport();
+    this.workerUrl = "/js/video/frameCryptor.js";
+    this.worker = null; // script-transform
+    this.cryptor = null; // encoded-streams, runs on this thread
+    this.attached = new WeakSet(); // senders and receivers with a transform
+    this.keyPair = null;
+    this.publicKey = null; // base64 raw point, as sent to the partner
+    this.peerPublicKey = null; // the partner's, as received
+  }
+
+  isSupported() {
+    return this.support !== null;
+  }
+
+  // Chrome only hands out encoded streams on connections created with this
+  getPeerConnectionOptions() {
+    return this.support === "encoded-streams"
+      ? { encodedInsertableStreams: true }
+      : {};
+  }
+
+  async generateKeyPair() {
+    this.keyPair = await crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+    const raw = await crypto.subtle.exportKey("raw", this.keyPair.publicKey);
+    this.publicKey = this.toBase64(raw);
+    return this.publicKey;
+  }
+
+  // The HKDF salt covers both public keys, so the media key is bound to this
+  // exact exchange
+  async deriveKey(peerPublicKey) {
+    if (!this.keyPair) {
+      throw new Error("No key pair to derive from");
+    }
+
+    const peerKey = await crypto.subtle.importKey(
+      "raw",
+      this.fromBase64(peerPublicKey),
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      []
+    );
+    const sharedSecret = await crypto.subtle.deriveBits(
+      { name: "ECDH", public: peerKey },
+      this.keyPair.privateKey,
+      256
+    );
+
+    const hkdfKey = await crypto.subtle.importKey(
+      "raw",
+      sharedSecret,
+      "HKDF",
+      false,
+      ["deriveKey"]
+    );
+    const salt = new TextEncoder().encode(
+      [this.publicKey, peerPublicKey].sort().join(":")
+    );
+    const mediaKey = await crypto.subtle.deriveKey(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: salt,
+        info: new TextEncoder().encode("campusconnect media e2ee v1"),
+      },
+      hkdfKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+
+    this.peerPublicKey = peerPublicKey;
+    this.configure({ key: mediaKey });
+    return mediaKey;
+  }
+
+  attachSender(sender) {
+    this.attach(sender, "encrypt");
+  }
+
+  attachReceiver(receiver) {
+    this.attach(receiver, "decrypt");
+  }
+
+  // With encoded streams every sender and receiver has to be piped through,
+  // or its media stalls; until a key is set frames pass unchanged
+  attach(senderOrReceiver, operation) {
+    if (!this.isSupported() || this.attached.has(senderOrReceiver)) return;
+    this.attached.add(senderOrReceiver);
+
+    if (this.support === "script-transform") {
+      senderOrReceiver.transform = new RTCRtpScriptTransform(
+        this.getWorker(),
+        { operation: operation }
+      );
+      return;
+    }
+
+    const { readable, writable } = senderOrReceiver.createEncodedStreams();
+    readable
+      .pipeThrough(this.getCryptor().createTransform(operation))
+      .pipeTo(writable)
+      .catch((error) => {
+        console.warn("MediaEncryption: Frame pipeline closed", error);
+      });
+  }
+
+  // The cryptor keeps only a header of VP8 frames in the clear; other video
+  // codecs would be unreadable to the packetizer
+  preferVp8(peerConnection) {
+    if (!this.isSupported() || !RTCRtpReceiver.getCapabilities) return;
+
+    const capabilities = RTCRtpReceiver.getCapabilities("video");
+    if (!capabilities) return;
+    const codecs = [...capabilities.codecs].sort(
+      (a, b) => (b.mimeType === "video/VP8") - (a.mimeType === "video/VP8")
+    );
+
+    peerConnection.getTransceivers().forEach((transceiver) => {
+      const kind =
+        transceiver.receiver.track?.kind || transceiver.sender.track?.kind;
+      if (kind === "video" && transceiver.setCodecPreferences) {
+        transceiver.setCodecPreferences(codecs);
+      }
+    });
+  }
+
+  // Encrypt outgoing frames, and refuse clear incoming ones, only once the
+  // server has confirmed both sides hold the key
+  setEncrypting(encrypting) {
+    this.configure({ encrypting: encrypting, requireEncrypted: encrypting });
+  }
+
+  configure(settings) {
+    if (this.support === "script-transform") {
+      this.getWorker().postMessage(settings);
+    } else if (this.support === "encoded-streams") {
+      this.getCryptor().configure(settings);
+    }
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(this.workerUrl);
+    }
+    return this.worker;
+  }
+
+  getCryptor() {
+    if (!this.cryptor) {
+      this.cryptor = new FrameCryptor();
+    }
+    return this.cryptor;
+  }
+
+  reset() {
+    if (this.worker) {
+      this.worker.terminate();
+    }
+    this.worker = null;
+    this.cryptor = null;
+    this.attached = new WeakSet();
+    this.keyPair = null;
+    this.publicKey = null;
+    this.peerPublicKey = null;
+  }
+
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  fromBase64(value) {
+    return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+  }
+}
@@ -0,0 +1,231 @@
+// preflightCheck.js - camera, microphone and network check before queueing
+class PreflightCheck {
+  constructor({ mode = "video", previewEl = null, meterEl = null } = {}) {
+    this.mode = mode; // "video" or "audio"
+    this.previewEl = previewEl;
+    this.meterEl = meterEl;
+
+    this.stream = null;
+    this.audioContext = null;
+    this.meterFrame = null;
+    this.peakLevel = 0;
+    this.candidateTimeout = 5000;
+  }
+
+  // Returns the report that goes along with join_queue:
+  // { camera, microphone, network, mediaTier, candidateTypes }
+  async run() {
+    this.stop();
+
+    const media = await this.checkMedia();
+    const network = await this.checkNetwork();
+
+    console.log("PreflightCheck: Finished", { ...media, ...network });
+    return { ...media, ...network };
+  }
+
+  // Works through the same constraint tiers as
+  // VideoManager.getUserMediaWithFallback(). Audio calls never ask for the
+  // camera, so it is reported as skipped.
+  async checkMedia() {
+    const tiers = VideoManager.getConstraintTiers();
+    const attempts =
+      this.mode === "audio"
+        ? [["audio", tiers.audio]]
+        : [
+            ["ideal", tiers.ideal],
+            ["fallback", tiers.fallback],
+            ["audio", tiers.audio],
+          ];
+
+    for (const [tier, constraints] of attempts) {
+      try {
+        this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+        this.showPreview();
+        this.startMeter();
+
+        return {
+          camera: this.getCameraStatus(),
+          microphone: this.stream.getAudioTracks().length > 0 ? "pass" : "fail",
+          mediaTier: tier,
+        };
+      } catch (error) {
+        console.warn("PreflightCheck: Constraint tier failed", {
+          tier,
+          error: error.message,
+        });
+      }
+    }
+
+    // Every tier wants the microphone, so see whether the camera works alone
+    if (this.mode !== "audio") {
+      try {
+        this.stream = await navigator.mediaDevices.getUserMedia({
+          video: tiers.fallback.video,
+          audio: false,
+        });
+        this.showPreview();
+        return { camera: "pass", microphone: "fail", mediaTier: null };
+      } catch (error) {
+        console.warn("PreflightCheck: Camera unavailable", {
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      camera: this.mode === "audio" ? "skipped" : "fail",
+      microphone: "fail",
+      mediaTier: null,
+    };
+  }
+
+  getCameraStatus() {
+    if (this.mode === "audio") return "skipped";
+    return this.stream.getVideoTracks().length > 0 ? "pass" : "fail";
+  }
+
+  // Gathers ICE candidates against the servers a call would use. A srflx
+  // candidate means STUN works and a relay candidate means TURN works; with
+  // host candidates only, calls connect on the same network at best.
+  async checkNetwork() {
+    const types = new Set();
+    let peerConnection = null;
+
+    try {
+      peerConnection = new RTCPeerConnection({
+        iceServers: await this.loadIceServers(),
+      });
+      peerConnection.createDataChannel("preflight");
+
+      const gathered = new Promise((resolve) => {
+        const timer = setTimeout(resolve, this.candidateTimeout);
+        peerConnection.onicecandidate = (event) => {
+          if (!event.candidate) {
+            clearTimeout(timer);
+            resolve();
+            return;
+          }
+          const type = this.getCandidateType(event.candidate);
+          if (type) types.add(type);
+        };
+      });
+
+      await peerConnection.setLocalDescription(
+        await peerConnection.createOffer()
+      );
+      await gathered;
+    } catch (error) {
+      console.warn("PreflightCheck: Network check failed", {
+        error: error.message,
+      });
+    } finally {
+      if (peerConnection) peerConnection.close();
+    }
+
+    let network = "fail";
+    if (types.has("srflx") || types.has("relay")) {
+      network = "pass";
+    } else if (types.has("host")) {
+      network = "warn";
+    }
+
+    return { network, candidateTypes: Array.from(types) };
+  }
+
+  getCandidateType(candidate) {
+    if (candidate.type) return candidate.type;
+    const match = / typ (host|srflx|prflx|relay)/.exec(candidate.candidate);
+    return match ? match[1] : null;
+  }
+
+  async loadIceServers() {
+    try {
+      const response = await fetch("/api/webrtc/ice-servers", {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+        },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      return data.iceServers;
+    } catch (error) {
+      console.warn("PreflightCheck: Using a public STUN server", {
+        error: error.message,
+      });
+      return [{ urls: "stun:stun.l.google.com:19302" }];
+    }
+  }
+
+  showPreview() {
+    if (!this.previewEl) return;
+
+    this.previewEl.srcObject = this.stream;
+    this.previewEl.muted = true;
+    this.previewEl.play().catch((error) => {
+      console.warn("PreflightCheck: Preview did not start", error);
+    });
+  }
+
+  startMeter() {
+    const track = this.stream.getAudioTracks()[0];
+    if (!track || !this.meterEl) return;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    this.audioContext = new AudioContextClass();
+    const analyser = this.audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    this.audioContext
+      .createMediaStreamSource(new MediaStream([track]))
+      .connect(analyser);
+
+    const samples = new Uint8Array(analyser.fftSize);
+    const draw = () => {
+      analyser.getByteTimeDomainData(samples);
+
+      let peak = 0;
+      samples.forEach((sample) => {
+        peak = Math.max(peak, Math.abs(sample - 128));
+      });
+
+      // Normal speech peaks around half of full scale
+      const level = Math.min(1, peak / 64);
+      this.peakLevel = Math.max(this.peakLevel, level);
+      this.meterEl.style.width = `${Math.round(level * 100)}%`;
+      this.meterFrame = requestAnimationFrame(draw);
+    };
+    draw();
+  }
+
+  // Whether the microphone has picked up anything louder than room noise
+  hasHeardSound() {
+    return this.peakLevel > 0.1;
+  }
+
+  stop() {
+    if (this.meterFrame) {
+      cancelAnimationFrame(this.meterFrame);
+      this.meterFrame = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.previewEl) {
+      this.previewEl.srcObject = null;
+    }
+    if (this.meterEl) {
+      this.meterEl.style.width = "0%";
+    }
+    this.peakLevel = 0;
+  }
+}
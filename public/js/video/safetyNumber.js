@@ -0,0 +1,110 @@
+// safetyNumber.js - lets partners check their keys out loud. Both sides
+// derive the same number and emoji from the public keys swapped over
+// encryption:key-exchange, for the call and for the chat; a server that
+// swapped in its own keys would leave each side looking at a different
+// number. video-chat.html shows it for the call and its chat, chat.html for
+// a text-only chat.
+
+// 64 emoji that are easy to tell apart when read aloud, one code point each
+const SAFETY_NUMBER_EMOJI = [
+  ..."🐶🐱🦊🐻🐼🐨🐯🦁🐮🐷🐸🐵🐔🐧🐦🦆🦉🐴🦄🐝🐛🦋🐌🐞🐢🐍🐙🦀🐬🐳🦈🐊" +
+    "🌵🌲🌻🍄🌙⭐🔥🌈🍎🍌🍇🍓🥕🌽🍕🍩⚽🏀🎲🎸🎺🚲🚀⛵🔑🔔📚🎈⏰💡🎁⚓",
+];
+
+class SafetyNumberPanel {
+  // Six groups of five digits plus eight emoji, from SHA-512 over each
+  // side's keys in a fixed order so the two sides agree. Each side passes
+  // its own keys and its partner's, in the same order.
+  static async derive(localKeys, peerKeys) {
+    const input = new TextEncoder().encode(
+      [localKeys.join("|"), peerKeys.join("|")].sort().join(":")
+    );
+    const hash = new Uint8Array(await crypto.subtle.digest("SHA-512", input));
+
+    const digits = [];
+    for (let group = 0; group < 6; group++) {
+      // 40 bits per group stays well inside a safe integer
+      let value = 0;
+      for (let i = 0; i < 5; i++) {
+        value = value * 256 + hash[group * 5 + i];
+      }
+      digits.push(String(value % 100000).padStart(5, "0"));
+    }
+
+    const emoji = Array.from(hash.subarray(30, 38)).map(
+      (byte) => SAFETY_NUMBER_EMOJI[byte % 64]
+    );
+
+    return { digits: digits, emoji: emoji };
+  }
+
+  constructor(element, { onVerify = null, subject = "call" } = {}) {
+    this.element = element;
+    this.onVerify = onVerify; // () => void when the user confirms a match
+    this.subject = subject; // what the status line says was verified
+    this.verified = false;
+    this.partnerVerified = false;
+
+    this.element
+      .querySelector(".safety-number-verify")
+      .addEventListener("click", () => this.markVerified());
+  }
+
+  async show(localKeys, peerKeys) {
+    const { digits, emoji } = await SafetyNumberPanel.derive(
+      localKeys,
+      peerKeys
+    );
+
+    this.element.querySelector(".safety-number-digits").textContent =
+      digits.join(" ");
+    this.element.querySelector(".safety-number-emoji").textContent =
+      emoji.join(" ");
+    this.verified = false;
+    this.partnerVerified = false;
+    this.renderStatus();
+    this.element.style.display = "block";
+  }
+
+  hide() {
+    this.element.style.display = "none";
+    this.verified = false;
+    this.partnerVerified = false;
+  }
+
+  markVerified() {
+    if (this.verified) return;
+
+    this.verified = true;
+    this.renderStatus();
+    if (this.onVerify) {
+      this.onVerify();
+    }
+  }
+
+  setPartnerVerified() {
+    this.partnerVerified = true;
+    this.renderStatus();
+  }
+
+  renderStatus() {
+    const status = this.element.querySelector(".safety-number-status");
+    const button = this.element.querySelector(".safety-number-verify");
+
+    if (this.verified && this.partnerVerified) {
+      status.textContent = `✅ You both verified this ${this.subject}.`;
+    } else if (this.verified) {
+      status.textContent = `✅ You marked this ${this.subject} verified.`;
+    } else if (this.partnerVerified) {
+      status.textContent =
+        `Your partner marked this ${this.subject} verified. ` +
+        "Compare the numbers too.";
+    } else {
+      status.textContent =
+        "Compare these with your partner, out loud or on another channel.";
+    }
+
+    button.disabled = this.verified;
+    this.element.classList.toggle("verified", this.verified);
+  }
+}
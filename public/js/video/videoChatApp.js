@@ -4,8 +4,16 @@ class VideoChatApp {
     this.socket = null;
     this.videoManager = null;
     this.chatManager = null;
+    this.chatReceipts = null;
+    this.chatEncryption = null;
+    this.chatFilter = null;
+    this.transcript = []; // recent messages, attached to reports
+    this.fileBubbles = new Map(); // transferId -> its chat bubble
     this.partner = null;
     this.isVideoCallActive = false;
+    this.safetyNumber = null;
+    // "video" or "audio"; text-only pairs use the chat page instead
+    this.mode = new URLSearchParams(location.search).get("mode") || "video";
 
     this.initializeApp();
   }
@@ -57,10 +65,167 @@ class VideoChatApp {
       this.handleSignal(data);
     });
 
+    this.socket.on("chat_message", async (data) => {
+      this.hideTypingIndicator();
+      if (!this.chatReceipts.receive(data)) return;
+
+      try {
+        const message = await this.chatEncryption.decrypt(data);
+        const result = this.chatFilter.check(message);
+        this.chatFilter.report(result.ruleIds, "received");
+        if (result.action === "block") {
+          // Reports still carry what was actually sent
+          this.recordTranscript(message, "received", data.timestamp);
+          this.addSystemMessage(
+            "A message from your partner was hidden by the chat filter."
+          );
+          return;
+        }
+        this.displayMessage(result.text, "received", data.timestamp);
+      } catch (error) {
+        console.error("VideoChatApp: Could not decrypt a message", error);
+        this.addSystemMessage(
+          "A message from your partner couldn't be decrypted."
+        );
+      }
+    });
+
+    this.socket.on("chat:filter-rules", (data) => {
+      this.chatFilter.setRules(data.rules);
+    });
+
+    this.socket.on("message_sent", (data) => {
+      this.chatReceipts.handleSent(data);
+    });
+
+    this.socket.on("message_delivered", (data) => {
+      this.chatReceipts.handleReceipt(data, "delivered");
+    });
+
+    this.socket.on("message_read", (data) => {
+      this.chatReceipts.handleReceipt(data, "read");
+    });
+
+    this.socket.on("typing_start", () => {
+      this.showTypingIndicator();
+    });
+
+    this.socket.on("typing_stop", () => {
+      this.hideTypingIndicator();
+    });
+
     this.socket.on("user_unpaired", (data) => {
       this.handleUserUnpaired(data);
     });
 
+    this.socket.on("peer-disconnected", (data) => {
+      this.handleUserUnpaired(data);
+    });
+
+    this.socket.on("peer-reconnecting", () => {
+      this.addSystemMessage("Partner reconnecting…");
+      this.updateStatus("Partner reconnecting…", "waiting");
+    });
+
+    this.socket.on("peer-reconnected", (data) => {
+      if (this.partner) this.partner.socketId = data.peerId;
+      if (this.videoManager) this.videoManager.peerId = data.peerId;
+      this.chatReceipts.retryPending();
+      this.addSystemMessage("Partner is back!");
+      this.updateStatus(`Connected with: ${this.partner?.email}`, "connected");
+    });
+
+    this.socket.on("pairing:resumed", (data) => {
+      this.handlePairResumed(data);
+    });
+
+    this.socket.on("pairing:skipped", () => {
+      this.addSystemMessage("You skipped your partner.");
+      this.cleanupCall();
+      this.updateStatus("Finding a new partner...", "waiting");
+      this.disableChatInput();
+    });
+
+    this.socket.on("user:blocked", () => {
+      this.addSystemMessage("User blocked. You won't be matched again.");
+      this.cleanupCall();
+      this.updateStatus("Partner blocked", "disconnected");
+      this.disableChatInput();
+    });
+
+    this.socket.on("user:block-error", (data) => {
+      this.showError(data.message);
+    });
+
+    this.socket.on("report:submitted", () => {
+      this.addSystemMessage("Thanks, your report was sent to our moderators.");
+    });
+
+    this.socket.on("report:error", (data) => {
+      this.showError(data.message);
+    });
+
+    this.socket.on("media:screen-share", (data) => {
+      this.handlePartnerScreenShare(data);
+    });
+
+    // Files shared over the call; see server fileTransferHandler.js
+    ["offer", "accept", "decline", "cancel", "complete"].forEach((action) => {
+      this.socket.on(`file:${action}`, (data) => {
+        if (this.videoManager) {
+          this.videoManager.handleFileEvent(action, data);
+        } else if (action === "offer") {
+          // No call to carry the file
+          this.socket.emit("file:decline", { transferId: data.transferId });
+        }
+      });
+    });
+
+    this.socket.on("encryption:key-exchange", (data) => {
+      if (data.channel === "chat") {
+        this.chatEncryption
+          .handleKeyExchange(data)
+          .then((change) => {
+            if (!change) return;
+            this.showSafetyNumber();
+            if (change === "changed") {
+              this.handleChatKeyChange();
+            } else {
+              // Messages our partner missed are resent under the new key
+              this.chatReceipts.retryPending();
+            }
+          })
+          .catch((error) => {
+            console.error("VideoChatApp: Chat key exchange failed", error);
+          });
+      } else if (this.videoManager) {
+        this.videoManager.handleKeyExchange(data).catch((error) => {
+          console.error("VideoChatApp: Key exchange failed", error);
+        });
+      }
+    });
+
+    this.socket.on("encryption:state", (data) => {
+      if (this.videoManager) {
+        this.videoManager.handleEncryptionState(data);
+      }
+      this.addSystemMessage(
+        data.encrypted
+          ? "🔒 Your call is end-to-end encrypted."
+          : "One of your browsers can't end-to-end encrypt calls. The call is still encrypted in transit."
+      );
+      this.showSafetyNumber();
+    });
+
+    this.socket.on("encryption:verified", (data) => {
+      this.safetyNumber.setPartnerVerified();
+      this.addSystemMessage(
+        data.mutual
+          ? "✅ You and your partner both verified the safety number."
+          : "Your partner marked the safety number as verified."
+      );
+    });
+
     this.socket.on("video-error", (data) => {
       this.showError(data.message);
     });
@@ -74,21 +239,38 @@ class VideoChatApp {
     });
 
     this.socket.on("error", (data) => {
+      // File errors show on the file's bubble instead
+      if (this.videoManager?.handleFileError(data)) return;
       this.showError(data.message);
     });
 
     this.socket.on("disconnect", (reason) => {
       this.handleDisconnect(reason);
     });
+
+    this.socket.on("account:banned", (data) => {
+      this.showError(data.message);
+    });
+
+    this.socket.on("connect_error", (error) => {
+      if (error.data?.message) {
+        this.showError(error.data.message);
+      }
+    });
   }
 
   async handleUserPaired(data) {
     this.partner = data.pairedWith;
+    if (data.mode) this.mode = data.mode;
     this.updateStatus(`Connected with: ${this.partner.email}`, "connected");
     this.addSystemMessage(`You're now connected with ${this.partner.email}!`);
 
-    // Enable chat
+    // Enable chat; messages wait for the partner's key before they're sent
     this.enableChatInput();
+    this.startChatEncryption();
+
+    // Text-only pairs skip media negotiation entirely
+    if (this.mode === "text") return;
 
     // Initialize video call
     await this.initializeVideoCall();
@@ -113,6 +295,34 @@ class VideoChatApp {
         localVideo,
         remoteVideo
       );
+      if (this.mode === "audio") {
+        this.videoManager.useAudioOnly();
+      }
+      this.videoManager.onScreenShareChange = (isSharing) => {
+        this.updateScreenShareIndicator(isSharing);
+      };
+      this.videoManager.onDevicesChange = (devices) => {
+        if (document.getElementById("devicePicker").style.display !== "none") {
+          this.renderDevicePicker(devices);
+        }
+      };
+      this.videoManager.onBandwidthFallback = (audioOnly) => {
+        this.addSystemMessage(
+          audioOnly
+            ? "Your connection is too slow for video, so it's paused. Audio continues."
+            : "Your connection recovered. Video is back on."
+        );
+      };
+      this.videoManager.onFileTransfer = (transfer) => {
+        this.renderFileTransfer(transfer);
+      };
+      this.videoManager.onRemoteMediaState = ({ video }) => {
+        this.addSystemMessage(
+          video === "paused"
+            ? "Your partner's connection is weak, so their video is paused."
+            : "Your partner's video is back on."
+        );
+      };
 
       // Initialize video with timeout
       const initPromise = this.videoManager.initialize();
@@ -129,7 +339,10 @@ class VideoChatApp {
       await this.videoManager.createOffer();
 
       this.isVideoCallActive = true;
-      this.addSystemMessage("Video call started!");
+      document.getElementById("attachButton").disabled = false;
+      this.addSystemMessage(
+        this.mode === "audio" ? "Audio call started!" : "Video call started!"
+      );
     } catch (error) {
       console.error("VideoChatApp: Failed to initialize video call", error);
       this.showError(
@@ -144,24 +357,13 @@ class VideoChatApp {
   handleSignal(data) {
     console.log("VideoChatApp: Handling signal", data.signal.type);
 
-    // Handle chat messages
-    if (data.signal.type === "chat_message") {
-      this.displayMessage(
-        data.signal.message,
-        "received",
-        data.signal.timestamp
-      );
-    }
-    // Handle typing indicators
-    else if (data.signal.type === "typing_start") {
-      this.showTypingIndicator();
-    } else if (data.signal.type === "typing_end") {
-      this.hideTypingIndicator();
-    }
-    // Handle WebRTC signals
-    else if (
+    // Chat and typing have their own events; these are WebRTC signals
+    if (
       this.videoManager &&
       (data.signal.type === "offer" ||
+        data.signal.type === "ice-restart" ||
+        data.signal.type === "renegotiate" ||
+        data.signal.type === "media-state" ||
         data.signal.type === "answer" ||
         data.signal.type === "ice-candidate")
     ) {
@@ -169,8 +371,23 @@ class VideoChatApp {
     }
   }
 
+  // Sends our chat key to the partner, again after a reconnect in case it
+  // got lost
+  startChatEncryption() {
+    this.chatEncryption.start(this.partner.socketId).catch((error) => {
+      console.error("VideoChatApp: Could not start chat encryption", error);
+      this.showError("Chat encryption failed to start. Try reconnecting.");
+    });
+  }
+
   handleUserUnpaired(data) {
-    this.addSystemMessage("Partner disconnected.");
+    this.addSystemMessage(
+      {
+        partner_skipped: "Your partner moved on to someone new.",
+        content_violation:
+          "The chat was ended because messages broke the chat rules.",
+      }[data?.reason] || "Partner disconnected."
+    );
     this.cleanupCall();
     this.updateStatus(
       "Partner disconnected - Waiting for new partner...",
@@ -179,7 +396,43 @@ class VideoChatApp {
     this.disableChatInput();
   }
 
+  // Our pair survived a reconnect, or we just arrived from the dashboard
+  async handlePairResumed(data) {
+    // Resend what our partner hasn't received; a no-op on first arrival
+    this.chatReceipts.retryPending();
+
+    if (!this.partner || !this.videoManager) {
+      await this.handleUserPaired({
+        pairedWith: { socketId: data.peerId, email: data.partnerEmail },
+        mode: data.mode,
+      });
+      return;
+    }
+
+    this.partner.socketId = data.peerId;
+    this.videoManager.peerId = data.peerId;
+    this.updateStatus(`Connected with: ${this.partner.email}`, "connected");
+    this.addSystemMessage("Reconnected!");
+    this.startChatEncryption();
+
+    if (data.iceRestart) {
+      this.videoManager.restartIce().catch((error) => {
+        console.error("VideoChatApp: ICE restart failed", error);
+      });
+    }
+  }
+
   handleDisconnect(reason) {
+    // Network blips: socket.io reconnects on its own and the server holds
+    // the pair for a grace period, so keep the call alive meanwhile
+    if (
+      ["transport close", "transport error", "ping timeout"].includes(reason)
+    ) {
+      this.addSystemMessage("Connection lost. Reconnecting…");
+      this.updateStatus("Reconnecting…", "waiting");
+      return;
+    }
+
     this.addSystemMessage("Disconnected from server. Please refresh the page.");
     this.cleanupCall();
     this.updateStatus("Disconnected from server", "error");
@@ -209,6 +462,27 @@ class VideoChatApp {
       this.handleTypingEnd();
     });
 
+    document.getElementById("attachButton").addEventListener("click", () => {
+      document.getElementById("fileInput").click();
+    });
+
+    document.getElementById("fileInput").addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) this.shareFile(file);
+    });
+
+    this.safetyNumber = new SafetyNumberPanel(
+      document.getElementById("safetyNumberPanel"),
+      {
+        onVerify: () => {
+          if (this.videoManager) {
+            this.videoManager.markSafetyNumberVerified();
+          }
+        },
+      }
+    );
+
     // Video control events
     document.getElementById("toggleVideo").addEventListener("click", () => {
       this.toggleVideo();
@@ -226,47 +500,82 @@ class VideoChatApp {
       this.toggleFullscreen();
     });
 
+    document.querySelectorAll("#devicePicker select").forEach((select) => {
+      select.addEventListener("change", () => {
+        this.handleDeviceSelected(select);
+      });
+    });
+
+    document.getElementById("screenShareBtn").addEventListener("click", () => {
+      this.toggleScreenShare();
+    });
+
+    document
+      .getElementById("stopScreenShare")
+      .addEventListener("click", () => {
+        this.toggleScreenShare();
+      });
+
+    document.getElementById("nextBtn").addEventListener("click", () => {
+      this.skipPartner();
+    });
+
+    document.getElementById("blockBtn").addEventListener("click", () => {
+      this.blockPartner();
+    });
+
+    document.getElementById("reportBtn").addEventListener("click", () => {
+      this.openReportModal();
+    });
+
+    document
+      .getElementById("closeReportModal")
+      .addEventListener("click", () => {
+        this.closeReportModal();
+      });
+
+    document.getElementById("submitReport").addEventListener("click", () => {
+      this.reportPartner();
+    });
+
     document.getElementById("disconnectBtn").addEventListener("click", () => {
       this.disconnect();
     });
   }
 
+  // Chat events follow the contract in server/modules/chat/chatHandler.js
   initializeManagers() {
-    // Chat manager will be initialized when we have a partner
+    this.chatEncryption = new ChatEncryption(this.socket);
+    this.chatReceipts = new ChatReceipts(this.socket, this.chatEncryption);
+    this.chatFilter = new ChatFilter(this.socket);
     this.chatManager = {
-      sendMessage: (message) => {
+      isTyping: false,
+      typingTimer: null,
+      // `element` shows the message's delivery ticks
+      sendMessage: (message, element) => {
         if (!this.partner) return;
-
-        this.socket.emit("signal", {
-          to: this.partner.socketId,
-          signal: {
-            type: "chat_message",
-            message: message,
-            timestamp: Date.now(),
-          },
-        });
+        this.chatReceipts.send(message, element);
       },
+      // Typing stops by itself after 2 seconds without input
       handleTypingStart: () => {
         if (!this.partner) return;
 
-        this.socket.emit("signal", {
-          to: this.partner.socketId,
-          signal: {
-            type: "typing_start",
-            timestamp: Date.now(),
-          },
-        });
+        clearTimeout(this.chatManager.typingTimer);
+        this.chatManager.typingTimer = setTimeout(() => {
+          this.handleTypingEnd();
+        }, 2000);
+
+        if (this.chatManager.isTyping) return;
+        this.chatManager.isTyping = true;
+        this.socket.emit("typing_start");
       },
       handleTypingEnd: () => {
-        if (!this.partner) return;
+        clearTimeout(this.chatManager.typingTimer);
+        this.chatManager.typingTimer = null;
 
-        this.socket.emit("signal", {
-          to: this.partner.socketId,
-          signal: {
-            type: "typing_end",
-            timestamp: Date.now(),
-          },
-        });
+        if (!this.chatManager.isTyping) return;
+        this.chatManager.isTyping = false;
+        this.socket.emit("typing_stop");
       },
     };
   }
@@ -282,11 +591,16 @@ class VideoChatApp {
 
     if (!message) return;
 
-    // Send via chat manager
-    this.chatManager.sendMessage(message);
+    const result = this.chatFilter.check(message);
+    if (result.action === "block") {
+      this.chatFilter.report(result.ruleIds, "sent");
+      this.showError("That message breaks the chat rules and wasn't sent.");
+      return;
+    }
 
-    // Display own message
-    this.displayMessage(message, "sent", Date.now());
+    // Display own message, then send it via chat manager
+    const messageDiv = this.displayMessage(result.text, "sent", Date.now());
+    this.chatManager.sendMessage(result.text, messageDiv);
 
     // Clear input
     messageInput.value = "";
@@ -307,6 +621,130 @@ class VideoChatApp {
 
     chatMessages.appendChild(messageDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    this.recordTranscript(message, type, timestamp);
+    return messageDiv;
+  }
+
+  // Only we can read the chat, so reports carry what we saw
+  recordTranscript(message, type, timestamp) {
+    this.transcript.push({
+      fromPartner: type === "received",
+      message: message,
+      timestamp: timestamp,
+    });
+    this.transcript = this.transcript.slice(-20);
+  }
+
+  async shareFile(file) {
+    if (!this.videoManager || !this.isVideoCallActive) {
+      this.showError("Start a call before sharing files");
+      return;
+    }
+
+    try {
+      await this.videoManager.sendFile(file);
+    } catch (error) {
+      this.showError(`Could not share ${file.name}: ${error.message}`);
+    }
+  }
+
+  // One bubble per transfer, redrawn as it moves along. Incoming files can
+  // only be downloaded once their hash has been checked.
+  renderFileTransfer(transfer) {
+    let bubble = this.fileBubbles.get(transfer.id);
+    if (!bubble) {
+      bubble = document.createElement("div");
+      bubble.className = `message file-transfer ${
+        transfer.direction === "outgoing" ? "sent" : "received"
+      }`;
+      this.fileBubbles.set(transfer.id, bubble);
+
+      const chatMessages = document.getElementById("chatMessages");
+      chatMessages.appendChild(bubble);
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    const name = document.createElement("div");
+    name.className = "file-name";
+    name.textContent = `📎 ${transfer.name} (${this.formatSize(
+      transfer.size
+    )})`;
+
+    const status = document.createElement("div");
+    status.className = "file-status";
+    const children = [name];
+    const actions = [];
+    const outgoing = transfer.direction === "outgoing";
+
+    if (transfer.state === "offered") {
+      status.textContent = outgoing
+        ? "Waiting for your partner to accept…"
+        : "Your partner wants to send you this file.";
+      actions.push(...(outgoing ? ["cancel"] : ["accept", "decline"]));
+    } else if (transfer.state === "sending" || transfer.state === "receiving") {
+      const progress = document.createElement("progress");
+      progress.className = "file-progress";
+      progress.max = transfer.size;
+      progress.value = transfer.bytes;
+      children.push(progress);
+
+      status.textContent =
+        transfer.bytes === transfer.size
+          ? "Waiting for your partner to check the file…"
+          : `${outgoing ? "Sending" : "Receiving"}… ${Math.floor(
+              (transfer.bytes / transfer.size) * 100
+            )}%`;
+      actions.push("cancel");
+    } else if (transfer.state === "completed") {
+      status.textContent = outgoing ? "Delivered ✓" : "Verified ✓";
+      if (!outgoing) {
+        if (transfer.mimeType.startsWith("image/")) {
+          const preview = document.createElement("img");
+          preview.className = "file-preview";
+          preview.src = transfer.url;
+          preview.alt = transfer.name;
+          children.push(preview);
+        }
+
+        const link = document.createElement("a");
+        link.className = "file-download";
+        link.href = transfer.url;
+        link.download = transfer.name;
+        link.textContent = "Download";
+        status.append(" ", link);
+      }
+    } else if (transfer.state === "declined") {
+      status.textContent = outgoing ? "Your partner declined." : "Declined.";
+    } else {
+      status.textContent =
+        transfer.error ||
+        (transfer.state === "cancelled" ? "Cancelled." : "Failed.");
+    }
+    children.push(status);
+
+    if (actions.length > 0) {
+      const labels = { accept: "Accept", decline: "Decline", cancel: "Cancel" };
+      const buttons = document.createElement("div");
+      buttons.className = "file-actions";
+      actions.forEach((action) => {
+        const button = document.createElement("button");
+        button.textContent = labels[action];
+        button.addEventListener("click", () => {
+          this.videoManager?.answerFile(transfer.id, action);
+        });
+        buttons.appendChild(button);
+      });
+      children.push(buttons);
+    }
+
+    bubble.replaceChildren(...children);
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
   }
 
   addSystemMessage(message) {
@@ -370,9 +808,107 @@ class VideoChatApp {
     }
   }
 
+  // Opens the picker for cameras, microphones and speakers
   async switchCamera() {
-    // This would require additional implementation for multiple cameras
-    this.showError("Camera switching not implemented in this version");
+    if (!this.videoManager || !this.isVideoCallActive) {
+      this.showError("Start a call before switching devices");
+      return;
+    }
+
+    const picker = document.getElementById("devicePicker");
+    if (picker.style.display !== "none") {
+      picker.style.display = "none";
+      return;
+    }
+
+    try {
+      this.renderDevicePicker(await this.videoManager.listDevices());
+      picker.style.display = "grid";
+    } catch (error) {
+      this.showError(`Could not list devices: ${error.message}`);
+    }
+  }
+
+  renderDevicePicker(devices) {
+    const current = this.videoManager.getCurrentDevices();
+
+    document.querySelectorAll("#devicePicker select").forEach((select) => {
+      const kind = select.dataset.kind;
+      select.innerHTML = "";
+
+      if (kind === "audiooutput") {
+        select.add(new Option("System default", ""));
+      }
+      devices[kind].forEach((device) => {
+        select.add(new Option(device.label, device.deviceId));
+      });
+
+      select.value = current[kind] || "";
+      // Nothing to choose from, or a speaker the browser can't route to
+      select.disabled =
+        kind === "audiooutput"
+          ? typeof HTMLMediaElement.prototype.setSinkId !== "function"
+          : select.options.length < 2 || !current[kind];
+    });
+  }
+
+  async handleDeviceSelected(select) {
+    if (!this.videoManager) return;
+
+    try {
+      await this.videoManager.switchDevice(select.dataset.kind, select.value);
+    } catch (error) {
+      this.showError(`Could not switch device: ${error.message}`);
+      this.renderDevicePicker(await this.videoManager.listDevices());
+    }
+  }
+
+  async toggleScreenShare() {
+    if (!this.videoManager || !this.isVideoCallActive) {
+      this.showError("Start a call before sharing your screen");
+      return;
+    }
+
+    try {
+      if (this.videoManager.isScreenSharing) {
+        await this.videoManager.stopScreenShare();
+      } else {
+        await this.videoManager.startScreenShare();
+      }
+    } catch (error) {
+      // Closing the browser's screen picker isn't worth an error message
+      if (error.name !== "NotAllowedError") {
+        this.showError(`Screen sharing failed: ${error.message}`);
+      }
+    }
+  }
+
+  updateScreenShareIndicator(isSharing) {
+    document.getElementById("screenShareIndicator").style.display = isSharing
+      ? "flex"
+      : "none";
+
+    const button = document.getElementById("screenShareBtn");
+    button.classList.toggle("active", isSharing);
+    button.textContent = isSharing ? "🖥️ Stop Sharing" : "🖥️ Share Screen";
+  }
+
+  handlePartnerScreenShare(data) {
+    this.showPartnerScreen(data.active);
+    this.addSystemMessage(
+      data.active
+        ? "Your partner is sharing their screen."
+        : "Your partner stopped sharing their screen."
+    );
+  }
+
+  // Screens are shown whole instead of cropped to fill the tile
+  showPartnerScreen(isSharing) {
+    const container = document.querySelector(".remote-video-container");
+    container.classList.toggle("screen-share", isSharing);
+    container.querySelector(".video-label").textContent = isSharing
+      ? "Partner's screen"
+      : "Partner";
   }
 
   toggleFullscreen() {
@@ -406,6 +942,42 @@ class VideoChatApp {
     statusElement.className = `status ${type}`;
   }
 
+  // Both sides read the number out to each other to rule out a server in
+  // the middle of either key exchange, so it waits for the call's keys and
+  // the chat's
+  showSafetyNumber() {
+    const keys = this.videoManager?.getSafetyNumberKeys();
+    const chat = this.chatEncryption;
+    if (!this.videoManager?.encryptionEnabled || !keys || !chat.peerPublicKey) {
+      this.safetyNumber.hide();
+      return;
+    }
+
+    this.safetyNumber
+      .show([keys.localKey, chat.publicKey], [keys.peerKey, chat.peerPublicKey])
+      .catch((error) => {
+        console.error("VideoChatApp: Could not derive safety number", error);
+      });
+  }
+
+  // A reloaded page brings a new key, but so would a server in the middle,
+  // so nothing waiting is resent under it without asking
+  handleChatKeyChange() {
+    this.addSystemMessage(
+      "⚠️ Your partner's chat key changed. If they didn't just reload the page, someone may be reading the chat. Compare the safety number again."
+    );
+
+    const pending = this.chatReceipts.countPending();
+    if (
+      pending > 0 &&
+      confirm(
+        `Resend ${pending} undelivered message(s) under your partner's new key?`
+      )
+    ) {
+      this.chatReceipts.retryPending();
+    }
+  }
+
   cleanupCall() {
     if (this.videoManager) {
       this.videoManager.cleanup();
@@ -414,18 +986,61 @@ class VideoChatApp {
 
     this.partner = null;
     this.isVideoCallActive = false;
+    this.chatReceipts.reset();
+    this.chatEncryption.reset();
+    this.transcript = [];
+    this.fileBubbles.clear();
+    document.getElementById("attachButton").disabled = true;
 
     // Show overlays
     document.getElementById("local-overlay").style.display = "flex";
     document.getElementById("remote-overlay").style.display = "flex";
 
     // Reset control buttons
+    document.getElementById("devicePicker").style.display = "none";
+    this.safetyNumber.hide();
+    this.updateScreenShareIndicator(false);
+    this.showPartnerScreen(false);
     document.getElementById("toggleVideo").classList.add("active");
     document.getElementById("toggleVideo").classList.remove("muted");
     document.getElementById("toggleAudio").classList.add("active");
     document.getElementById("toggleAudio").classList.remove("muted");
   }
 
+  skipPartner() {
+    if (!this.partner || !this.socket) return;
+    this.socket.emit("pairing:skip");
+  }
+
+  blockPartner() {
+    if (!this.partner || !this.socket) return;
+    if (!confirm("Block this user? You won't be matched with them again.")) {
+      return;
+    }
+    this.socket.emit("user:block");
+  }
+
+  openReportModal() {
+    if (!this.partner) return;
+    document.getElementById("reportModal").style.display = "block";
+  }
+
+  closeReportModal() {
+    document.getElementById("reportModal").style.display = "none";
+    document.getElementById("reportComment").value = "";
+  }
+
+  reportPartner() {
+    if (!this.socket) return;
+
+    this.socket.emit("report:partner", {
+      category: document.getElementById("reportCategory").value,
+      comment: document.getElementById("reportComment").value.trim(),
+      transcript: this.transcript,
+    });
+    this.closeReportModal();
+  }
+
   disconnect() {
     if (this.socket) {
       this.socket.disconnect();
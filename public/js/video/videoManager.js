@@ -15,11 +15,14 @@ class VideoManager {
     this.remoteVideoEl = remoteVideoEl;
 
     this.peerConnection = null;
+    this.pendingPeerConnection = null;
     this.localStream = null;
     this.remoteStream = null;
     this.isInitialized = false;
 
-    // Enhanced STUN servers with fallbacks
+    // Default STUN servers, replaced by loadIceServers() with the server's
+    // list (including TURN relays) before each call
+    this.iceServersExpireAt = null;
     this.rtcConfiguration = {
       iceServers: [
         { urls: "stun:stun.l.google.com:19302" },
@@ -34,79 +37,241 @@ class VideoManager {
     };
 
     // Progressive constraints for better compatibility
-    this.constraints = {
-      video: {
-        width: { ideal: 1280, min: 640, max: 1920 },
-        height: { ideal: 720, min: 480, max: 1080 },
-        frameRate: { ideal: 30, min: 20, max: 60 },
-        facingMode: "user",
-      },
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-        channelCount: 2,
-        sampleRate: 48000,
-        sampleSize: 16,
+    const tiers = VideoManager.getConstraintTiers();
+    this.constraints = tiers.ideal;
+    this.fallbackConstraints = tiers.fallback;
+    this.audioOnlyConstraints = tiers.audio;
+
+    this.connectionState = "new";
+    this.iceConnectionState = "new";
+    this.mediaTier = null; // which constraint tier got us media
+
+    // ICE restart with exponential backoff. The initiator sends the restart
+    // offers so both sides don't restart at once; the other side just waits.
+    this.iceRestartTimer = null;
+    this.iceRestartAttempts = 0;
+    this.iceRestartStartedAt = null;
+    this.iceRestartTrigger = null;
+    this.iceRestartMaxAttempts = 5;
+    this.iceRestartBaseDelay = 1000;
+    this.iceRestartMaxDelay = 16000;
+    this.iceDisconnectGrace = 3000; // "disconnected" often clears by itself
+
+    // Screen sharing
+    this.screenStream = null;
+    this.screenSender = null; // set when the screen went out on a new track
+    this.isScreenSharing = false;
+    this.onScreenShareChange = null; // (isSharing) => void, set by the UI
+
+    // Call quality sampled from getStats() while connected and reported to
+    // the server for the admin dashboard
+    this.statsTimer = null;
+    this.statsInterval = 5000;
+    this.previousStats = null; // counters from the last sample, for deltas
+    this.lastCallStats = null;
+    this.onCallStats = null; // (stats) => void, set by the UI
+
+    // Outgoing video steps down with the network and pauses below the lowest
+    // level; the partner is told through a media-state signal
+    this.bitrateController =
+      typeof BitrateController !== "undefined"
+        ? new BitrateController({
+            getSender: () => this.getVideoSender(),
+            onAudioOnlyChange: (audioOnly) =>
+              this.handleBandwidthFallback(audioOnly),
+          })
+        : null;
+    this.onBandwidthFallback = null; // (audioOnly) => void, set by the UI
+    this.onRemoteMediaState = null; // ({ video, reason }) => void
+
+    // Chosen camera, microphone and speaker, kept across calls
+    this.preferredDevices = this.loadDevicePreferences();
+    this.onDevicesChange = null; // (devices) => void, set by the UI
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+
+    // End-to-end media encryption, keyed by an ECDH exchange over
+    // encryption:key-exchange. The server confirms once both sides hold the
+    // key; until then, or for good when a browser lacks encoded transforms
+    // (the fallback), media goes out with DTLS-SRTP only.
+    this.mediaEncryption =
+      typeof MediaEncryption !== "undefined" ? new MediaEncryption() : null;
+    this.keyExchange = null; // promise for the public key we sent
+    this.encryptionEnabled = false;
+    this.encryptionFallback = !this.mediaEncryption?.isSupported();
+    this.onEncryptionStateChange = null; // (state) => void, set by the UI
+
+    // Files go straight to the partner over a data channel; the server only
+    // relays the offers and outcomes
+    this.fileTransfer =
+      typeof FileTransfer !== "undefined" ? new FileTransfer(socket) : null;
+    this.onFileTransfer = null; // (transfer) => void, set by the UI
+    if (this.fileTransfer) {
+      this.fileTransfer.onUpdate = (transfer) => {
+        if (this.onFileTransfer) this.onFileTransfer(transfer);
+      };
+    }
+  }
+
+  // The constraint tiers getUserMediaWithFallback() works through, best
+  // first. The pre-call check tries the same tiers before any call exists.
+  static getConstraintTiers() {
+    return {
+      ideal: {
+        video: {
+          width: { ideal: 1280, min: 640, max: 1920 },
+          height: { ideal: 720, min: 480, max: 1080 },
+          frameRate: { ideal: 30, min: 20, max: 60 },
+          facingMode: "user",
+        },
+        audio: {
+          echoCancellation: true,
+          noiseSuppression: true,
+          autoGainControl: true,
+          channelCount: 2,
+          sampleRate: 48000,
+          sampleSize: 16,
+        },
       },
-    };
 
-    this.fallbackConstraints = {
-      video: {
-        width: { min: 320, ideal: 640 },
-        height: { min: 240, ideal: 480 },
-        frameRate: { min: 15, ideal: 30 },
+      fallback: {
+        video: {
+          width: { min: 320, ideal: 640 },
+          height: { min: 240, ideal: 480 },
+          frameRate: { min: 15, ideal: 30 },
+        },
+        audio: {
+          echoCancellation: true,
+          noiseSuppression: true,
+        },
       },
+
       audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
+        video: false,
+        audio: {
+          echoCancellation: true,
+          noiseSuppression: true,
+          autoGainControl: true,
+        },
       },
     };
+  }
 
-    this.audioOnlyConstraints = {
-      video: false,
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-      },
+  // Sends the partner our public key, or word that we can't encrypt.
+  // Either side may go first; the other answers with its own key.
+  startKeyExchange() {
+    if (!this.keyExchange) {
+      this.keyExchange = this.sendPublicKey().catch((error) => {
+        this.keyExchange = null;
+        throw error;
+      });
+    }
+    return this.keyExchange;
+  }
+
+  async sendPublicKey() {
+    if (!this.mediaEncryption?.isSupported()) {
+      console.warn("VideoManager: Media encryption unsupported here");
+      this.socket.emit("encryption:key-exchange", {
+        to: this.peerId,
+        type: "unsupported",
+      });
+      return null;
+    }
+
+    const publicKey = await this.mediaEncryption.generateKeyPair();
+    this.socket.emit("encryption:key-exchange", {
+      to: this.peerId,
+      type: "public-key",
+      publicKey: publicKey,
+    });
+    return publicKey;
+  }
+
+  async handleKeyExchange(data) {
+    console.log("VideoManager: Key exchange message", { type: data.type });
+
+    if (data.type === "public-key") {
+      const ownKey = await this.startKeyExchange();
+      if (!ownKey) return;
+
+      await this.mediaEncryption.deriveKey(data.publicKey);
+      this.socket.emit("encryption:key-exchange", {
+        to: this.peerId,
+        type: "ready",
+      });
+    } else if (data.type === "unsupported") {
+      // Answer anyway so the server hears from both sides
+      await this.startKeyExchange();
+    }
+  }
+
+  // Both public keys of the exchange, for the safety number, or null until
+  // the partner's key has arrived
+  getSafetyNumberKeys() {
+    const encryption = this.mediaEncryption;
+    if (!encryption?.publicKey || !encryption.peerPublicKey) return null;
+
+    return {
+      localKey: encryption.publicKey,
+      peerKey: encryption.peerPublicKey,
     };
+  }
 
-    this.connectionState = "new";
-    this.iceConnectionState = "new";
-    // E2E Encryption properties
-    this.encryptionManager = require("./utils/advancedEncryption");
-    this.sessionKey = null;
-    this.peerPublicKey = null;
-    this.encryptionEnabled = false;
+  // The user compared safety numbers with their partner and they matched
+  markSafetyNumberVerified() {
+    this.socket.emit("encryption:verified", { to: this.peerId });
+  }
 
-    // Key exchange state
-    this.keyExchangeComplete = false;
-    this.pendingKeyExchange = new Map();
+  // Offers a file to the partner; it is sent once they accept
+  async sendFile(file) {
+    if (!this.fileTransfer) {
+      throw new Error("File sharing isn't available");
+    }
+    return this.fileTransfer.send(file);
   }
 
-  // Initialize E2E encryption
-  async initializeEncryption() {
-    try {
-      // Generate key pair for this session
-      const keyPair = this.encryptionManager.generateKeyPair();
-      this.privateKey = keyPair.privateKey;
-      this.publicKey = keyPair.publicKey;
+  // "accept", "decline" or "cancel" from the user
+  answerFile(transferId, action) {
+    this.fileTransfer?.[action](transferId);
+  }
 
-      // Generate session key
-      this.sessionKey = this.encryptionManager.generateSessionKey();
+  // file:offer, file:accept, file:decline, file:cancel and file:complete
+  // from the partner
+  handleFileEvent(action, data) {
+    if (!this.fileTransfer) return;
 
-      console.log("VideoManager: E2E encryption initialized");
-      return true;
-    } catch (error) {
-      console.error(
-        "VideoManager: E2E encryption initialization failed",
-        error
-      );
-      return false;
+    if (action === "offer") {
+      this.fileTransfer.handleOffer(data);
+    } else {
+      this.fileTransfer.handleUpdate(data, action);
     }
   }
 
+  // Returns true for errors about one of our file transfers
+  handleFileError(data) {
+    return this.fileTransfer?.handleError(data) || false;
+  }
+
+  // { encrypted, reason } from the server once both sides have reported
+  handleEncryptionState(state) {
+    console.log("VideoManager: Encryption state", state);
+
+    this.encryptionEnabled = state.encrypted;
+    this.encryptionFallback = !state.encrypted;
+    if (this.mediaEncryption?.isSupported()) {
+      this.mediaEncryption.setEncrypting(state.encrypted);
+    }
+    if (this.onEncryptionStateChange) {
+      this.onEncryptionStateChange(state);
+    }
+  }
+
+  // Audio-only pairs never ask for the camera, so no video is negotiated
+  useAudioOnly() {
+    this.constraints = this.audioOnlyConstraints;
+    this.fallbackConstraints = this.audioOnlyConstraints;
+  }
+
   async initialize() {
     if (this.isInitialized) {
       console.warn("VideoManager: Already initialized");
@@ -122,8 +287,20 @@ class VideoManager {
       await this.getUserMediaWithFallback();
 
       // Create the RTCPeerConnection
+      await this.loadIceServers();
       this.setupPeerConnection();
 
+      // The remembered speaker may have been unplugged since
+      await this.applySpeaker(this.preferredDevices.audiooutput).catch(
+        (error) => {
+          console.warn("VideoManager: Using the default speaker", error);
+        }
+      );
+      navigator.mediaDevices.addEventListener(
+        "devicechange",
+        this.handleDeviceChange
+      );
+
       console.log("VideoManager: Initialization completed successfully");
       this.isInitialized = true;
     } catch (error) {
@@ -139,12 +316,199 @@ class VideoManager {
     }
   }
 
+  loadDevicePreferences() {
+    try {
+      return JSON.parse(localStorage.getItem("mediaDevices")) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveDevicePreference(kind, deviceId) {
+    this.preferredDevices = { ...this.preferredDevices, [kind]: deviceId };
+    localStorage.setItem("mediaDevices", JSON.stringify(this.preferredDevices));
+  }
+
+  // Ask for the remembered devices without insisting on them, so a camera
+  // that has since been unplugged doesn't fail the call
+  withPreferredDevices(constraints) {
+    const withDevice = (trackConstraints, deviceId) => {
+      if (!trackConstraints || !deviceId) return trackConstraints;
+      const base = trackConstraints === true ? {} : trackConstraints;
+      return { ...base, deviceId: { ideal: deviceId } };
+    };
+
+    return {
+      video: withDevice(constraints.video, this.preferredDevices.videoinput),
+      audio: withDevice(constraints.audio, this.preferredDevices.audioinput),
+    };
+  }
+
+  // Devices grouped by kind: videoinput, audioinput and audiooutput.
+  // Labels are only filled in once the user has granted media access.
+  async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const grouped = { videoinput: [], audioinput: [], audiooutput: [] };
+
+    devices.forEach((device) => {
+      if (!grouped[device.kind]) return;
+      const list = grouped[device.kind];
+      list.push({
+        deviceId: device.deviceId,
+        label: device.label || `${device.kind} ${list.length + 1}`,
+      });
+    });
+
+    return grouped;
+  }
+
+  getCurrentDevices() {
+    const settings = (track) => track?.getSettings().deviceId || null;
+    return {
+      videoinput: settings(this.localStream?.getVideoTracks()[0]),
+      audioinput: settings(this.localStream?.getAudioTracks()[0]),
+      // An empty sinkId follows the system default, which needs no handling
+      audiooutput: this.remoteVideoEl?.sinkId || null,
+    };
+  }
+
+  // Swaps the camera or microphone in place with replaceTrack, so the call
+  // carries on without renegotiating. Speakers are switched on the remote
+  // video element.
+  async switchDevice(kind, deviceId, { remember = true } = {}) {
+    if (kind === "audiooutput") {
+      await this.applySpeaker(deviceId);
+    } else {
+      await this.replaceLocalTrack(kind, deviceId);
+    }
+
+    if (remember) {
+      this.saveDevicePreference(kind, deviceId);
+    }
+    console.log("VideoManager: Switched device", { kind, deviceId });
+  }
+
+  async replaceLocalTrack(kind, deviceId) {
+    if (!this.localStream) {
+      throw new Error("No active media stream");
+    }
+
+    const mediaKind = kind === "videoinput" ? "video" : "audio";
+    const oldTrack = this.localStream.getTracks().find(
+      (track) => track.kind === mediaKind
+    );
+    if (!oldTrack) {
+      throw new Error(`This call has no ${mediaKind} to switch`);
+    }
+
+    // The fallback tier is loose enough for most cameras and microphones
+    const fallback = this.fallbackConstraints[mediaKind];
+    const trackConstraints = fallback && fallback !== true ? fallback : {};
+    const stream = await navigator.mediaDevices.getUserMedia({
+      [mediaKind]: { ...trackConstraints, deviceId: { exact: deviceId } },
+    });
+    const newTrack = stream.getTracks()[0];
+    newTrack.enabled = oldTrack.enabled;
+
+    // While the screen is being shared the camera only goes back on air
+    // when sharing stops
+    const sender = this.peerConnection
+      ?.getSenders()
+      .find((candidate) => candidate.track === oldTrack);
+    if (sender) {
+      await sender.replaceTrack(newTrack);
+    }
+
+    this.localStream.removeTrack(oldTrack);
+    this.localStream.addTrack(newTrack);
+    oldTrack.stop();
+
+    if (mediaKind === "video" && !this.isScreenSharing && this.localVideoEl) {
+      this.setupVideoElement(this.localVideoEl, this.localStream, true);
+    }
+  }
+
+  // An empty deviceId goes back to the system default
+  async applySpeaker(deviceId) {
+    if (deviceId === undefined || deviceId === null) return;
+    if (!this.remoteVideoEl) return;
+    if (typeof this.remoteVideoEl.setSinkId !== "function") {
+      throw new Error("Choosing a speaker is not supported in this browser");
+    }
+    await this.remoteVideoEl.setSinkId(deviceId);
+  }
+
+  // Headsets coming and going: fall back to the default device when the one
+  // in use disappears, and go back to the remembered one when it returns
+  async handleDeviceChange() {
+    if (!this.localStream) return;
+
+    try {
+      const devices = await this.listDevices();
+      const current = this.getCurrentDevices();
+
+      for (const kind of ["videoinput", "audioinput", "audiooutput"]) {
+        const available = devices[kind].map((device) => device.deviceId);
+        const preferred = this.preferredDevices[kind];
+        if (!current[kind] || available.length === 0) continue;
+
+        if (
+          preferred &&
+          preferred !== current[kind] &&
+          available.includes(preferred)
+        ) {
+          await this.switchDevice(kind, preferred, { remember: false });
+        } else if (!available.includes(current[kind])) {
+          await this.switchDevice(kind, available[0], { remember: false });
+        }
+      }
+
+      if (this.onDevicesChange) this.onDevicesChange(devices);
+    } catch (error) {
+      console.error("VideoManager: Failed to handle device change", error);
+    }
+  }
+
+  // TURN credentials are short-lived, so they are fetched per call. If the
+  // request fails the call still goes ahead on the default STUN servers.
+  async loadIceServers() {
+    try {
+      const response = await fetch("/api/webrtc/ice-servers", {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+        },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      this.rtcConfiguration = {
+        ...this.rtcConfiguration,
+        iceServers: data.iceServers,
+      };
+      this.iceServersExpireAt = data.expiresAt;
+
+      console.log("VideoManager: ICE servers loaded", {
+        servers: data.iceServers.length,
+        expiresAt: data.expiresAt,
+      });
+    } catch (error) {
+      console.warn("VideoManager: Using default ICE servers", {
+        error: error.message,
+      });
+    }
+  }
+
   async getUserMediaWithFallback() {
     let stream = null;
 
     try {
       console.log("VideoManager: Attempting ideal constraints");
-      stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+      stream = await navigator.mediaDevices.getUserMedia(
+        this.withPreferredDevices(this.constraints)
+      );
+      this.mediaTier = "ideal";
     } catch (idealError) {
       console.warn("VideoManager: Ideal constraints failed, trying fallback", {
         error: idealError.message,
@@ -153,8 +517,9 @@ class VideoManager {
       try {
         console.log("VideoManager: Trying fallback constraints");
         stream = await navigator.mediaDevices.getUserMedia(
-          this.fallbackConstraints
+          this.withPreferredDevices(this.fallbackConstraints)
         );
+        this.mediaTier = "fallback";
       } catch (fallbackError) {
         console.warn(
           "VideoManager: Fallback constraints failed, trying audio only",
@@ -166,8 +531,9 @@ class VideoManager {
         try {
           console.log("VideoManager: Trying audio only");
           stream = await navigator.mediaDevices.getUserMedia(
-            this.audioOnlyConstraints
+            this.withPreferredDevices(this.audioOnlyConstraints)
           );
+          this.mediaTier = "audio";
 
           // Notify about audio-only mode
           if (this.socket) {
@@ -253,13 +619,27 @@ class VideoManager {
     console.log("VideoManager: Setting up peer connection");
 
     try {
-      this.peerConnection = new RTCPeerConnection(this.rtcConfiguration);
+      this.peerConnection = new RTCPeerConnection({
+        ...this.rtcConfiguration,
+        ...this.mediaEncryption?.getPeerConnectionOptions(),
+      });
 
       // Add local stream tracks to the connection
       this.localStream.getTracks().forEach((track) => {
         console.log("VideoManager: Adding local track", { kind: track.kind });
-        this.peerConnection.addTrack(track, this.localStream);
+        const sender = this.peerConnection.addTrack(track, this.localStream);
+        this.mediaEncryption?.attachSender(sender);
       });
+      this.mediaEncryption?.preferVp8(this.peerConnection);
+
+      // Both sides open the file channel with the same id, so it is part of
+      // the first offer and needs no negotiation of its own
+      this.fileTransfer?.attachChannel(
+        this.peerConnection.createDataChannel("files", {
+          negotiated: true,
+          id: 0,
+        })
+      );
 
       // Event handler for when the remote stream arrives
       this.peerConnection.ontrack = (event) => {
@@ -267,6 +647,7 @@ class VideoManager {
           tracks: event.streams.length,
           kind: event.track.kind,
         });
+        this.mediaEncryption?.attachReceiver(event.receiver);
 
         if (event.streams && event.streams[0]) {
           this.remoteStream = event.streams[0];
@@ -293,9 +674,14 @@ class VideoManager {
           if (this.socket) {
             this.socket.emit("video:connected");
           }
-        } else if (newState === "failed" || newState === "disconnected") {
-          console.error("VideoManager: Peer connection failed or disconnected");
-          this.handleError("Connection lost. Please try again.");
+          this.handleIceRecovered();
+          this.startStatsSampling();
+        } else if (newState === "disconnected") {
+          console.warn("VideoManager: Peer connection interrupted");
+          this.scheduleIceRestart("disconnected", this.iceDisconnectGrace);
+        } else if (newState === "failed") {
+          console.error("VideoManager: Peer connection failed");
+          this.scheduleIceRestart("failed", 0);
         }
       };
 
@@ -361,27 +747,431 @@ class VideoManager {
       });
 
       console.log("VideoManager: Offer sent to peer");
+
+      this.startKeyExchange().catch((error) => {
+        console.error("VideoManager: Key exchange failed", error);
+      });
     } catch (error) {
       console.error("VideoManager: Error creating offer", error);
       throw error;
     }
   }
 
+  // Renegotiate with fresh ICE credentials after a network change
+  async restartIce() {
+    if (!this.peerConnection) {
+      console.warn("VideoManager: No peer connection to restart");
+      return;
+    }
+
+    console.log("VideoManager: Restarting ICE", { peerId: this.peerId });
+
+    // A long call can outlive its TURN credentials
+    if (this.iceServersExpireAt && this.iceServersExpireAt <= Date.now()) {
+      await this.loadIceServers();
+      this.peerConnection.setConfiguration(this.rtcConfiguration);
+    }
+
+    const offer = await this.peerConnection.createOffer({ iceRestart: true });
+    await this.peerConnection.setLocalDescription(offer);
+
+    // Sent as its own signal type, which the server rate-limits apart from
+    // regular signaling traffic
+    this.socket.emit("signal", {
+      to: this.peerId,
+      signal: { type: "ice-restart", sdp: offer.sdp },
+    });
+  }
+
+  // Mid-call changes need a fresh offer. Only the initiator makes offers,
+  // so the other side asks it for one.
+  async renegotiate(reason) {
+    if (this.isInitiator) {
+      await this.createOffer();
+      return;
+    }
+
+    this.socket.emit("signal", {
+      to: this.peerId,
+      signal: { type: "renegotiate", reason: reason },
+    });
+  }
+
+  getVideoSender() {
+    return this.peerConnection
+      ?.getSenders()
+      .find((sender) => sender.track && sender.track.kind === "video");
+  }
+
+  // The screen replaces the camera track, so no renegotiation is needed.
+  // Audio-only calls have no video track yet: the screen goes out on a new
+  // one and the connection is renegotiated.
+  async startScreenShare() {
+    if (this.isScreenSharing) return;
+    if (!this.peerConnection) {
+      throw new Error("No active call");
+    }
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      throw new Error("Screen sharing is not supported in this browser");
+    }
+
+    const screenStream = await navigator.mediaDevices.getDisplayMedia({
+      video: { cursor: "always" },
+      audio: false,
+    });
+    const screenTrack = screenStream.getVideoTracks()[0];
+    screenTrack.contentHint = "detail";
+
+    const cameraSender = this.getVideoSender();
+    if (cameraSender) {
+      await cameraSender.replaceTrack(screenTrack);
+    } else {
+      // Same stream as the microphone, so the partner keeps one stream
+      this.screenSender = this.peerConnection.addTrack(
+        screenTrack,
+        this.localStream
+      );
+      this.mediaEncryption?.attachSender(this.screenSender);
+      await this.renegotiate("screen-share");
+    }
+
+    this.screenStream = screenStream;
+    this.isScreenSharing = true;
+    this.setupVideoElement(this.localVideoEl, screenStream, true);
+
+    // The browser's own "Stop sharing" button ends the track
+    screenTrack.addEventListener("ended", () => {
+      this.stopScreenShare().catch((error) => {
+        console.error("VideoManager: Failed to stop screen share", error);
+      });
+    });
+
+    this.socket.emit("media:screen-share", { active: true });
+    if (this.onScreenShareChange) this.onScreenShareChange(true);
+    console.log("VideoManager: Screen share started", {
+      replacedCamera: !!cameraSender,
+    });
+  }
+
+  async stopScreenShare() {
+    if (!this.isScreenSharing) return;
+    this.isScreenSharing = false;
+
+    this.screenStream.getTracks().forEach((track) => track.stop());
+    this.screenStream = null;
+
+    if (this.peerConnection) {
+      if (this.screenSender) {
+        this.peerConnection.removeTrack(this.screenSender);
+        await this.renegotiate("screen-share-ended");
+      } else {
+        const cameraTrack = this.localStream?.getVideoTracks()[0] || null;
+        await this.getVideoSender()?.replaceTrack(cameraTrack);
+      }
+    }
+    this.screenSender = null;
+
+    if (this.localStream && this.localVideoEl) {
+      this.setupVideoElement(this.localVideoEl, this.localStream, true);
+    }
+
+    if (this.socket) {
+      this.socket.emit("media:screen-share", { active: false });
+    }
+    if (this.onScreenShareChange) this.onScreenShareChange(false);
+    console.log("VideoManager: Screen share stopped");
+  }
+
+  scheduleIceRestart(trigger, delay) {
+    if (!this.peerConnection) return;
+
+    if (!this.iceRestartStartedAt) {
+      this.iceRestartStartedAt = Date.now();
+      this.iceRestartTrigger = trigger;
+    }
+
+    // A failure cuts short whatever is left of a disconnect grace period
+    if (
+      trigger === "failed" &&
+      this.iceRestartTimer &&
+      this.iceRestartAttempts === 0
+    ) {
+      clearTimeout(this.iceRestartTimer);
+      this.iceRestartTimer = null;
+    }
+
+    if (this.iceRestartTimer) return;
+    this.iceRestartTimer = setTimeout(() => this.attemptIceRestart(), delay);
+  }
+
+  async attemptIceRestart() {
+    this.iceRestartTimer = null;
+    if (!this.peerConnection || this.isIceConnected()) return;
+
+    if (this.iceRestartAttempts >= this.iceRestartMaxAttempts) {
+      console.error("VideoManager: Giving up on ICE restart", {
+        attempts: this.iceRestartAttempts,
+      });
+      this.reportIceRestart("failed");
+      this.resetIceRestart();
+      this.handleError("Connection lost. Please try again.");
+      return;
+    }
+
+    this.iceRestartAttempts++;
+    const delay = Math.min(
+      this.iceRestartBaseDelay * 2 ** (this.iceRestartAttempts - 1),
+      this.iceRestartMaxDelay
+    );
+
+    // Try again if this attempt hasn't reconnected by then
+    this.iceRestartTimer = setTimeout(() => this.attemptIceRestart(), delay);
+
+    if (this.isInitiator) {
+      console.log("VideoManager: ICE restart attempt", {
+        attempt: this.iceRestartAttempts,
+        nextCheckMs: delay,
+      });
+      try {
+        await this.restartIce();
+      } catch (error) {
+        console.error("VideoManager: ICE restart attempt failed", error);
+      }
+    }
+  }
+
+  handleIceRecovered() {
+    if (!this.iceRestartStartedAt) return;
+
+    console.log("VideoManager: Connection recovered", {
+      attempts: this.iceRestartAttempts,
+      durationMs: Date.now() - this.iceRestartStartedAt,
+    });
+    if (this.iceRestartAttempts > 0) {
+      this.reportIceRestart("recovered");
+    }
+    this.resetIceRestart();
+  }
+
+  // Only the side that sends the restarts reports them
+  reportIceRestart(outcome) {
+    if (!this.isInitiator || !this.socket || this.iceRestartAttempts === 0) {
+      return;
+    }
+
+    this.socket.emit("video:ice-restart", {
+      outcome: outcome,
+      attempts: this.iceRestartAttempts,
+      durationMs: Date.now() - this.iceRestartStartedAt,
+      trigger: this.iceRestartTrigger,
+    });
+  }
+
+  resetIceRestart() {
+    if (this.iceRestartTimer) {
+      clearTimeout(this.iceRestartTimer);
+    }
+    this.iceRestartTimer = null;
+    this.iceRestartAttempts = 0;
+    this.iceRestartStartedAt = null;
+    this.iceRestartTrigger = null;
+  }
+
+  isIceConnected() {
+    const state = this.peerConnection?.iceConnectionState;
+    return state === "connected" || state === "completed";
+  }
+
+  startStatsSampling() {
+    if (this.statsTimer) return;
+
+    this.statsTimer = setInterval(() => {
+      this.sampleCallStats().catch((error) => {
+        console.warn("VideoManager: Could not sample call stats", error);
+      });
+    }, this.statsInterval);
+  }
+
+  stopStatsSampling() {
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+    }
+    this.statsTimer = null;
+    this.previousStats = null;
+    this.lastCallStats = null;
+  }
+
+  async sampleCallStats() {
+    if (!this.peerConnection) return;
+
+    const report = await this.peerConnection.getStats();
+    const stats = this.readCallStats(report);
+    this.lastCallStats = stats;
+
+    if (this.socket) {
+      this.socket.emit("telemetry:call-stats", stats);
+    }
+    if (this.onCallStats) {
+      this.onCallStats(stats);
+    }
+    if (this.bitrateController) {
+      await this.bitrateController.update(report);
+    }
+  }
+
+  handleBandwidthFallback(audioOnly) {
+    if (this.socket) {
+      this.socket.emit("signal", {
+        to: this.peerId,
+        signal: {
+          type: "media-state",
+          video: audioOnly ? "paused" : "active",
+          reason: "bandwidth",
+        },
+      });
+    }
+    if (this.onBandwidthFallback) {
+      this.onBandwidthFallback(audioOnly);
+    }
+  }
+
+  // Turns a getStats() report into one sample. Loss and bitrate come from
+  // the counters' change since the previous sample; metrics the browser
+  // doesn't report (yet) are null.
+  readCallStats(report) {
+    const counters = {
+      timestamp: Date.now(),
+      packetsReceived: 0,
+      packetsLost: 0,
+      bytesReceived: 0,
+      bytesSent: 0,
+    };
+    let selectedPair = null;
+    let rttSeconds = null;
+    let jitterSeconds = null;
+    let frameRate = null;
+
+    report.forEach((entry) => {
+      if (entry.type === "transport" && entry.selectedCandidatePairId) {
+        selectedPair = report.get(entry.selectedCandidatePairId);
+      } else if (
+        entry.type === "candidate-pair" &&
+        !selectedPair &&
+        (entry.selected || (entry.nominated && entry.state === "succeeded"))
+      ) {
+        selectedPair = entry;
+      } else if (entry.type === "inbound-rtp") {
+        counters.packetsReceived += entry.packetsReceived || 0;
+        counters.packetsLost += Math.max(0, entry.packetsLost || 0);
+        counters.bytesReceived += entry.bytesReceived || 0;
+        if (typeof entry.jitter === "number") {
+          jitterSeconds = Math.max(jitterSeconds || 0, entry.jitter);
+        }
+        if (entry.kind === "video" && entry.framesPerSecond !== undefined) {
+          frameRate = entry.framesPerSecond;
+        }
+      } else if (entry.type === "outbound-rtp") {
+        counters.bytesSent += entry.bytesSent || 0;
+      } else if (
+        entry.type === "remote-inbound-rtp" &&
+        typeof entry.roundTripTime === "number"
+      ) {
+        rttSeconds = entry.roundTripTime;
+      }
+    });
+
+    let candidateType = null;
+    if (selectedPair) {
+      if (typeof selectedPair.currentRoundTripTime === "number") {
+        rttSeconds = selectedPair.currentRoundTripTime;
+      }
+      const local = report.get(selectedPair.localCandidateId);
+      const remote = report.get(selectedPair.remoteCandidateId);
+      // A relay on either end means the call goes through TURN
+      candidateType =
+        remote?.candidateType === "relay"
+          ? "relay"
+          : local?.candidateType || null;
+    }
+
+    const previous = this.previousStats || {
+      timestamp: null,
+      packetsReceived: 0,
+      packetsLost: 0,
+      bytesReceived: 0,
+      bytesSent: 0,
+    };
+    this.previousStats = counters;
+
+    const received = counters.packetsReceived - previous.packetsReceived;
+    const lost = counters.packetsLost - previous.packetsLost;
+    const elapsedMs = previous.timestamp
+      ? counters.timestamp - previous.timestamp
+      : null;
+    // Bits per millisecond is kilobits per second
+    const kbps = (bytes) =>
+      elapsedMs ? Math.max(0, (bytes * 8) / elapsedMs) : null;
+    const lossPct =
+      received + lost > 0
+        ? (Math.max(0, lost) * 100) / (received + lost)
+        : null;
+
+    return {
+      rttMs: this.roundStat(rttSeconds === null ? null : rttSeconds * 1000),
+      packetLossPct: this.roundStat(lossPct),
+      jitterMs: this.roundStat(
+        jitterSeconds === null ? null : jitterSeconds * 1000
+      ),
+      inboundKbps: this.roundStat(
+        kbps(counters.bytesReceived - previous.bytesReceived)
+      ),
+      outboundKbps: this.roundStat(
+        kbps(counters.bytesSent - previous.bytesSent)
+      ),
+      frameRate: this.roundStat(frameRate),
+      candidateType: candidateType,
+    };
+  }
+
+  roundStat(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+  }
+
   async handleSignal(signal) {
     if (!this.peerConnection) {
-      console.log("VideoManager: Creating peer connection for incoming signal");
-      this.setupPeerConnection();
+      // Signals that arrive while ICE servers load share one connection
+      if (!this.pendingPeerConnection) {
+        console.log(
+          "VideoManager: Creating peer connection for incoming signal"
+        );
+        this.pendingPeerConnection = this.loadIceServers().then(() => {
+          this.setupPeerConnection();
+        });
+      }
+      await this.pendingPeerConnection;
     }
 
     console.log("VideoManager: Handling signal", { type: signal.type });
 
     try {
-      if (signal.type === "offer") {
-        console.log("VideoManager: Processing offer");
+      if (signal.type === "offer" || signal.type === "ice-restart") {
+        console.log("VideoManager: Processing offer", { type: signal.type });
+
+        // Both sides sent an offer at once: the initiator's wins
+        if (this.peerConnection.signalingState !== "stable") {
+          if (this.isInitiator) {
+            console.warn("VideoManager: Ignoring colliding offer");
+            return;
+          }
+          await this.peerConnection.setLocalDescription({ type: "rollback" });
+        }
+
         await this.peerConnection.setRemoteDescription(
-          new RTCSessionDescription(signal)
+          new RTCSessionDescription({ type: "offer", sdp: signal.sdp })
         );
 
+        this.mediaEncryption?.preferVp8(this.peerConnection);
+
         console.log("VideoManager: Creating answer");
         const answer = await this.peerConnection.createAnswer({
           offerToReceiveAudio: true,
@@ -396,6 +1186,26 @@ class VideoManager {
         });
 
         console.log("VideoManager: Answer sent");
+
+        this.startKeyExchange().catch((error) => {
+          console.error("VideoManager: Key exchange failed", error);
+        });
+      } else if (signal.type === "renegotiate") {
+        if (this.isInitiator) {
+          console.log("VideoManager: Renegotiating", { reason: signal.reason });
+          await this.createOffer();
+        }
+      } else if (signal.type === "media-state") {
+        console.log("VideoManager: Partner media state changed", {
+          video: signal.video,
+          reason: signal.reason,
+        });
+        if (this.onRemoteMediaState) {
+          this.onRemoteMediaState({
+            video: signal.video,
+            reason: signal.reason,
+          });
+        }
       } else if (signal.type === "answer") {
         console.log("VideoManager: Processing answer");
         await this.peerConnection.setRemoteDescription(
@@ -442,11 +1252,35 @@ class VideoManager {
       this.remoteVideoEl.srcObject = null;
     }
 
+    this.resetIceRestart();
+    this.stopStatsSampling();
+    this.bitrateController?.reset();
+    this.mediaEncryption?.reset();
+    this.fileTransfer?.reset();
+    this.keyExchange = null;
+    this.encryptionEnabled = false;
+    navigator.mediaDevices?.removeEventListener(
+      "devicechange",
+      this.handleDeviceChange
+    );
+
+    // The call is ending, so there is nothing left to renegotiate
+    if (this.isScreenSharing) {
+      this.screenStream.getTracks().forEach((track) => track.stop());
+      if (this.socket) {
+        this.socket.emit("media:screen-share", { active: false });
+      }
+    }
+    this.screenStream = null;
+    this.screenSender = null;
+    this.isScreenSharing = false;
+
     // Close peer connection
     if (this.peerConnection) {
       this.peerConnection.close();
       this.peerConnection = null;
     }
+    this.pendingPeerConnection = null;
 
     // Show waiting overlays again
     const localOverlay = document.getElementById("local-overlay");
@@ -513,6 +1347,14 @@ class VideoManager {
       audioEnabled: this.localStream
         ? this.localStream.getAudioTracks()[0]?.enabled
         : false,
+      isScreenSharing: this.isScreenSharing,
+      callStats: this.lastCallStats,
+      videoLevel: this.bitrateController?.getLevel()?.name || null,
+      encryption: {
+        supported: !!this.mediaEncryption?.isSupported(),
+        enabled: this.encryptionEnabled,
+        fallback: this.encryptionFallback,
+      },
     };
   }
 
@@ -9,6 +9,56 @@ module.exports = {
   MAX_CONNECTIONS_PER_IP: 5,
   SESSION_TIMEOUT: 3600000, // 1 hour
   PAIRING_TIMEOUT: 30000, // 30 seconds
+  RECONNECT_GRACE_PERIOD: 15000, // keep a pair reserved for 15 seconds
+
+  // Matchmaking settings
+  MATCHMAKING: {
+    // Each mode has its own queue; users are only matched within a mode
+    MODES: ["video", "audio", "text"],
+    DEFAULT_MODE: "video",
+    // One of: fifo, random, interest-weighted, same-college
+    STRATEGY: process.env.MATCHMAKING_STRATEGY || "interest-weighted",
+    WEIGHTS: {
+      SHARED_INTEREST: 3, // per shared interest
+      SAME_MAJOR: 2,
+      SAME_COLLEGE: 1,
+      SIMILAR_WAIT: 1,
+    },
+    SIMILAR_WAIT_WINDOW: 10000, // 10 seconds
+    MIN_SCORE: 3, // required score for a fresh queue entry
+    RELAX_INTERVAL: 5000, // drop the required score by 1 every 5 seconds
+    SKIP_COOLDOWN: 2 * 60 * 1000, // 2 minutes before a skipped pair can rematch
+    RECENT_PARTNERS: {
+      LIMIT: 5, // partners remembered per user
+      TTL: 30 * 60 * 1000, // 30 minutes
+      STALL_AFTER: 15000, // allow a rematch once someone has waited 15 seconds
+    },
+  },
+
+  // Moderation settings
+  MODERATION: {
+    // Report category -> severity of the security event it raises
+    REPORT_CATEGORIES: {
+      harassment: "high",
+      hate_speech: "high",
+      sexual_content: "high",
+      underage: "critical",
+      self_harm: "critical",
+      spam: "medium",
+      other: "medium",
+    },
+    CASE_STATUSES: ["open", "reviewing", "actioned", "dismissed"],
+    TRANSCRIPT_SIZE: 20, // chat messages attached to a report
+    COMMENT_MAX_LENGTH: 1000,
+    // Penalty applied on the Nth active strike; past the end is permanent
+    STRIKE_PENALTIES: [
+      { type: "warning" },
+      { type: "suspension", duration: 24 * 60 * 60 * 1000 }, // 1 day
+      { type: "suspension", duration: 7 * 24 * 60 * 60 * 1000 }, // 7 days
+      { type: "permanent" },
+    ],
+    STRIKE_TTL: 90 * 24 * 60 * 60 * 1000, // strikes expire after 90 days
+  },
 
   // WebRTC settings
   ICE_SERVERS: [
@@ -16,12 +66,97 @@ module.exports = {
     { urls: "stun:stun1.l.google.com:19302" },
   ],
 
+  // TURN relays for networks that block direct connections. Credentials use
+  // the TURN REST shared-secret scheme (coturn's use-auth-secret).
+  TURN: {
+    URLS: process.env.TURN_URLS, // comma-separated turn: and turns: URLs
+    SECRET: process.env.TURN_SECRET,
+    CREDENTIAL_TTL: 60 * 60, // seconds
+  },
+
   // Signaling message types
   SIGNAL_TYPES: {
     OFFER: "offer",
     ANSWER: "answer",
     ICE_CANDIDATE: "ice-candidate",
-    CHAT_MESSAGE: "chat-message", // Future feature
+    ICE_CANDIDATE_LEGACY: "candidate",
+    RENEGOTIATE: "renegotiate", // ask the peer for a fresh offer
+    ICE_RESTART: "ice-restart", // offer with fresh ICE credentials
+    MEDIA_STATE: "media-state", // sender paused or resumed its video
+    APP: "app", // small named messages between partners
+  },
+
+  // Limits for signals relayed between partners
+  SIGNALING: {
+    MAX_SDP_LENGTH: 16 * 1024, // offers with simulcast run past 10 KB
+    MAX_CANDIDATE_LENGTH: 1024,
+    MAX_APP_DATA_LENGTH: 4 * 1024, // serialized JSON
+    // ICE restarts are budgeted apart from other signals per socket
+    ICE_RESTART_WINDOW_MS: 60000,
+    ICE_RESTART_MAX: 6,
+    // Kept in the pairing store, refreshed on every change
+    ENCRYPTION_STATE_TTL_MS: 12 * 60 * 60 * 1000,
+  },
+
+  // Text chat between partners, handled by ChatHandler
+  CHAT: {
+    MAX_MESSAGE_LENGTH: 1000, // characters, checked by clients before sending
+    // Messages arrive end-to-end encrypted: base64 AES-GCM output, which
+    // 1000 characters of UTF-8 plus the tag fit inside
+    MAX_CIPHERTEXT_LENGTH: 5400,
+    RATE_LIMIT_WINDOW_MS: 10000,
+    RATE_LIMIT_MAX: 10, // messages per socket per window
+    // Retries of messages already sent, counted apart so a reconnect can
+    // resend a backlog without eating into new messages
+    RESEND_RATE_LIMIT_MAX: 50,
+    // Receipt states and retry lookups are kept this long, in the pairing
+    // store so the partners can be on different instances
+    MESSAGE_TTL_MS: 60 * 60 * 1000,
+    MAX_RECEIPT_IDS: 50, // message ids in one receipt
+  },
+
+  // Chat filter. Messages are end-to-end encrypted, so the rules run in the
+  // browsers; the server hands them out and escalates the hits reported.
+  CONTENT_FILTER: {
+    // JSON file replacing config/contentFilterRules.json
+    RULES_PATH: process.env.CONTENT_FILTER_RULES,
+    ACTIONS: ["mask", "flag", "block"], // least to most strict
+    SEVERITY_POINTS: { low: 1, medium: 2, high: 4, critical: 8 },
+    ESCALATION_POINTS: 8, // reached by one user in a pair, ends the pair
+    ESCALATION_WINDOW_MS: 10 * 60 * 1000,
+    MAX_RULE_IDS: 20, // rules one hit report can name
+  },
+
+  // Files go peer to peer over an RTCDataChannel; the server only relays
+  // the offer, the answer and the outcome
+  FILE_TRANSFER: {
+    MAX_FILE_SIZE: 25 * 1024 * 1024, // 25 MB
+    // PDFs, screenshots and code. SVG is left out since it can carry scripts.
+    ALLOWED_TYPES: [
+      "application/pdf",
+      "image/png",
+      "image/jpeg",
+      "image/gif",
+      "image/webp",
+      "text/plain",
+      "text/markdown",
+      "text/csv",
+      "application/json",
+    ],
+    RATE_LIMIT_WINDOW_MS: 60000,
+    RATE_LIMIT_MAX: 10, // offers per socket per window
+    MAX_PENDING: 3, // unfinished transfers per sender
+    OFFER_TIMEOUT_MS: 2 * 60 * 1000, // unanswered offers lapse after this
+    TRANSFER_TIMEOUT_MS: 30 * 60 * 1000, // and unfinished transfers after this
+  },
+
+  // Call quality samples reported by clients from RTCPeerConnection.getStats()
+  CALL_STATS: {
+    SAMPLE_INTERVAL_MS: 5000, // how often clients sample
+    MIN_SAMPLE_INTERVAL_MS: 2000, // faster reports from one socket are dropped
+    WINDOW_MS: 15 * 60 * 1000, // percentiles cover this much history
+    MAX_SAMPLES: 5000, // global sample window, oldest dropped first
+    PAIR_IDLE_MS: 30000, // a pair with no samples for this long has ended
   },
 
   // Error messages
@@ -0,0 +1,33 @@
+-- Abuse reports and their outcomes (modules/moderation/moderationManager.js).
+-- Run once in the Supabase SQL editor.
+
+create table if not exists public.moderation_cases (
+  id uuid primary key,
+  status text not null,
+  category text not null,
+  reporter_id text not null,
+  reported_user_id text not null,
+  -- The whole case as the server builds it; the columns above are copies
+  -- for filtering
+  data jsonb not null,
+  created_at timestamptz not null,
+  updated_at timestamptz not null
+);
+
+-- listCases() filters on these and sorts newest first
+create index if not exists moderation_cases_status_idx
+  on public.moderation_cases (status, created_at desc);
+create index if not exists moderation_cases_reported_user_id_idx
+  on public.moderation_cases (reported_user_id);
+create index if not exists moderation_cases_reporter_id_idx
+  on public.moderation_cases (reporter_id);
+
+-- The server is the only client and connects with SUPABASE_ANON_KEY. The
+-- policy trusts that key, so it must never be shipped to the browser.
+alter table public.moderation_cases enable row level security;
+
+drop policy if exists "server manages cases" on public.moderation_cases;
+create policy "server manages cases" on public.moderation_cases
+  for all to anon
+  using (true)
+  with check (true);
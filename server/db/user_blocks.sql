@@ -0,0 +1,25 @@
+-- Per-user block lists (modules/moderation/blockManager.js).
+-- Run once in the Supabase SQL editor.
+
+create table if not exists public.user_blocks (
+  blocker_id text not null,
+  blocked_id text not null,
+  created_at timestamptz not null default now(),
+  -- block() upserts on this pair
+  primary key (blocker_id, blocked_id),
+  check (blocker_id <> blocked_id)
+);
+
+-- loadForUser() looks a user up on both sides
+create index if not exists user_blocks_blocked_id_idx
+  on public.user_blocks (blocked_id);
+
+-- The server is the only client and connects with SUPABASE_ANON_KEY. The
+-- policy trusts that key, so it must never be shipped to the browser.
+alter table public.user_blocks enable row level security;
+
+drop policy if exists "server manages blocks" on public.user_blocks;
+create policy "server manages blocks" on public.user_blocks
+  for all to anon
+  using (true)
+  with check (true);
@@ -0,0 +1,21 @@
+-- Bans, suspensions and strikes per account
+-- (modules/moderation/banManager.js). Run once in the Supabase SQL editor.
+
+create table if not exists public.user_sanctions (
+  -- persist() upserts on this
+  user_id text primary key,
+  -- { type, reason, issuedBy, issuedAt, expiresAt } or null
+  ban jsonb,
+  strikes jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- The server is the only client and connects with SUPABASE_ANON_KEY. The
+-- policy trusts that key, so it must never be shipped to the browser.
+alter table public.user_sanctions enable row level security;
+
+drop policy if exists "server manages sanctions" on public.user_sanctions;
+create policy "server manages sanctions" on public.user_sanctions
+  for all to anon
+  using (true)
+  with check (true);
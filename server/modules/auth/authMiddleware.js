@@ -4,12 +4,20 @@ const logger = require("../../utils/logger");  // ✅ Correct path
 class AuthMiddleware {
   constructor() {
     this.authenticateToken = this.authenticateToken.bind(this);
+    this.authenticateRequest = this.authenticateRequest.bind(this);
+    this.requireAdmin = this.requireAdmin.bind(this);
     this.validateEmail = this.validateEmail.bind(this);
     this.jwtSecret =
       process.env.JWT_SECRET || "fallback-secret-for-development";
+    // Comma-separated emails allowed to use the admin API
+    this.adminEmails = (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean);
 
     logger.info("AuthMiddleware initialized", {
       hasJwtSecret: !!process.env.JWT_SECRET,
+      adminCount: this.adminEmails.length,
       environment: process.env.NODE_ENV || "development",
     });
   }
@@ -106,6 +114,73 @@ class AuthMiddleware {
     }
   }
 
+  // Bearer token authentication for Express routes
+  authenticateRequest(req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+
+    if (!token) {
+      logger.warn("API request without bearer token", {
+        path: req.path,
+        ip: req.ip,
+      });
+      return res.status(401).json({
+        status: "error",
+        message: "Authentication required",
+      });
+    }
+
+    try {
+      const decoded = jwt.verify(token, this.jwtSecret);
+
+      if (!decoded.userId || !decoded.email) {
+        throw new Error("Token is missing user data");
+      }
+      // Login hands out short-lived tokens part way through MFA; only the
+      // session token it ends with may call the API
+      if (decoded.mfa_required || !decoded.sessionId) {
+        throw new Error("Token is not a session token");
+      }
+
+      req.user = {
+        userId: decoded.userId,
+        email: decoded.email,
+        sessionId: decoded.sessionId,
+      };
+
+      next();
+    } catch (error) {
+      logger.warn("API request with invalid token", {
+        path: req.path,
+        ip: req.ip,
+        error: error.message,
+      });
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or expired token",
+      });
+    }
+  }
+
+  // Admin-only Express routes; goes after authenticateRequest
+  requireAdmin(req, res, next) {
+    const email = req.user && req.user.email.toLowerCase();
+
+    if (!email || !this.adminEmails.includes(email)) {
+      logger.warn("Admin API request from a non-admin", {
+        path: req.path,
+        ip: req.ip,
+        userId: req.user && req.user.userId,
+      });
+      return res.status(403).json({
+        status: "error",
+        message: "Admin access required",
+      });
+    }
+
+    next();
+  }
+
   // Parse simple token (for development/fallback)
   parseSimpleToken(token) {
     try {
@@ -207,6 +282,34 @@ class AuthMiddleware {
     }
   }
 
+  // Short-lived proof that a user passed their second factor, swapped for a
+  // session token at /api/auth/login. It carries the user ID so login can
+  // check for bans before issuing that session token.
+  generateMfaToken(userId, email) {
+    return jwt.sign(
+      { userId: userId, email: email, mfa_verified: true },
+      this.jwtSecret,
+      { expiresIn: "5m" }
+    );
+  }
+
+  // { userId, email } from a token made by generateMfaToken, or null
+  verifyMfaToken(token, email) {
+    try {
+      const decoded = jwt.verify(token, this.jwtSecret);
+
+      if (!decoded.mfa_verified || !decoded.userId) return null;
+      if (decoded.email !== email) return null;
+      return { userId: decoded.userId, email: decoded.email };
+    } catch (error) {
+      logger.warn("Invalid MFA token provided", {
+        email: email,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   // Generate simple token (for development)
   generateSimpleToken(email) {
     const token = `dev_token_${Date.now()}_${email}`;
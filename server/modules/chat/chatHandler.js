@@ -0,0 +1,344 @@
+// chatHandler.js - text chat between the two members of a pair.
+//
+// Event contract, used by every browser client:
+//
+//   client -> server   chat_message   { ciphertext, iv, clientMessageId? }
+//   server -> partner  chat_message   { id, from, ciphertext, iv, timestamp }
+//   server -> sender   message_sent   { id, clientMessageId, timestamp }
+//   client -> server   typing_start, typing_stop   (no payload)
+//   server -> partner  typing_start, typing_stop   { from, timestamp }
+//   client -> server   message_delivered, message_read   { ids }
+//   server -> partner  message_delivered, message_read   { ids, timestamp }
+//
+// Messages always go to the sender's active pair; clients never name a
+// recipient. Rejected messages get an `error` { message, code } instead of
+// an ack.
+//
+// Text is end-to-end encrypted with AES-GCM under a key the partners derive
+// from ECDH public keys swapped over `encryption:key-exchange` with
+// channel "chat". The server only checks the envelope's size and rate,
+// which is why the content filter runs in the clients (see
+// ../moderation/contentFilter.js).
+//
+// Each message moves from "sent" to "delivered" to "read" as the recipient
+// reports it. A client that lost its connection resends whatever its
+// partner hasn't received with the same clientMessageId; the server
+// re-acks it with the original id and only redelivers it if it never
+// arrived, and recipients drop ids they have already shown. Message
+// records live in the pairing store for CHAT.MESSAGE_TTL_MS, so receipts
+// and retries work whichever instances the partners are on.
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+const healthMonitor = require("../../utils/healthMonitor");
+const { chatValidation } = require("../../utils/validation");
+const { CHAT } = require("../../config/constants");
+const { MemoryPairingStore } = require("../pairing/stores");
+
+const MESSAGE_STATES = ["sent", "delivered", "read"];
+
+class ChatHandler {
+  constructor(io, pairingManager, blockManager = null) {
+    this.io = io;
+    this.pairingManager = pairingManager;
+    this.blockManager = blockManager;
+    this.messageCounts = new Map(); // socketId -> recent message timestamps
+    this.rateLimitWindow = CHAT.RATE_LIMIT_WINDOW_MS;
+    this.rateLimitMax = CHAT.RATE_LIMIT_MAX;
+    this.resendCounts = new Map(); // socketId -> recent retry timestamps
+    this.resendLimitMax = CHAT.RESEND_RATE_LIMIT_MAX;
+    this.typing = new Map(); // socketId -> pairId it is shown typing in
+    this.store = pairingManager.store || new MemoryPairingStore();
+    this.messageTtl = CHAT.MESSAGE_TTL_MS;
+    this.messagesRelayed = 0;
+
+    logger.info("ChatHandler initialized", {
+      rateLimitWindow: this.rateLimitWindow,
+      rateLimitMax: this.rateLimitMax,
+    });
+  }
+
+  async handleMessage(socket, data) {
+    const { value, error } = chatValidation.message.validate(data, {
+      stripUnknown: true,
+    });
+    if (error) {
+      socket.emit("error", {
+        message: error.details[0].message,
+        code: "INVALID_MESSAGE",
+      });
+      return;
+    }
+
+    const original = value.clientMessageId
+      ? await this.store.findChatMessage(socket.userId, value.clientMessageId)
+      : null;
+    if (original) {
+      if (
+        !this.checkRateLimit(socket.id, this.resendCounts, this.resendLimitMax)
+      ) {
+        logger.warn("Chat resend rate limit exceeded", {
+          socketId: socket.id,
+          userId: socket.userId,
+        });
+        socket.emit("error", {
+          message: "You're sending messages too quickly",
+          code: "RATE_LIMIT_EXCEEDED",
+        });
+        return;
+      }
+      await this.resendMessage(socket, original, {
+        ciphertext: value.ciphertext,
+        iv: value.iv,
+      });
+      return;
+    }
+
+    if (!this.checkRateLimit(socket.id)) {
+      logger.warn("Chat rate limit exceeded", {
+        socketId: socket.id,
+        userId: socket.userId,
+      });
+      socket.emit("error", {
+        message: "You're sending messages too quickly",
+        code: "RATE_LIMIT_EXCEEDED",
+      });
+      return;
+    }
+
+    const peer = await this.getDeliverablePeer(socket);
+    if (!peer) return;
+
+    const id = crypto.randomUUID();
+    const timestamp = Date.now();
+    const envelope = { ciphertext: value.ciphertext, iv: value.iv };
+    await this.store.saveChatMessage(
+      {
+        id: id,
+        pairId: peer.pairId,
+        fromUserId: socket.userId,
+        clientMessageId: value.clientMessageId || null,
+        sentAt: timestamp,
+      },
+      this.messageTtl
+    );
+
+    // Sending a message ends typing on the partner's side
+    this.typing.delete(socket.id);
+
+    this.io.to(peer.socketId).emit("chat_message", {
+      id: id,
+      from: socket.id,
+      ...envelope,
+      timestamp: timestamp,
+    });
+    socket.emit("message_sent", {
+      id: id,
+      clientMessageId: value.clientMessageId,
+      timestamp: timestamp,
+    });
+    this.messagesRelayed++;
+
+    healthMonitor.trackSecurityEvent("chat_message", {
+      socketId: socket.id,
+      pairId: peer.pairId,
+      severity: "low",
+    });
+  }
+
+  // A retry of a message we already accepted: ack it again, and deliver it
+  // again only if the recipient never confirmed it. The retry is encrypted
+  // under the sender's current key, which may be newer than the original's.
+  async resendMessage(socket, record, envelope) {
+    const id = record.id;
+
+    socket.emit("message_sent", {
+      id: id,
+      clientMessageId: record.clientMessageId,
+      timestamp: record.sentAt,
+    });
+    if (this.getState(record.states) !== "sent") return;
+
+    // Never hand a message on to someone the sender has since moved on from
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (
+      !peer ||
+      peer.pairId !== record.pairId ||
+      this.isBlocked(socket, peer)
+    ) {
+      return;
+    }
+
+    this.io.to(peer.socketId).emit("chat_message", {
+      id: id,
+      from: socket.id,
+      ...envelope,
+      timestamp: record.sentAt,
+    });
+
+    logger.debug("Chat message redelivered", {
+      socketId: socket.id,
+      pairId: peer.pairId,
+      messageId: id,
+    });
+  }
+
+  // The recipient reports messages as "delivered" or "read". States only
+  // move forward, and only the pair's other member can report them.
+  async handleReceipt(socket, data, state) {
+    const { value, error } = chatValidation.receipt.validate(data, {
+      stripUnknown: true,
+    });
+    if (error) {
+      socket.emit("error", {
+        message: error.details[0].message,
+        code: "INVALID_RECEIPT",
+      });
+      return;
+    }
+
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer) return;
+
+    const moved = await Promise.all(
+      value.ids.map(async (id) => {
+        const record = await this.store.getChatMessage(id);
+        if (
+          !record ||
+          record.pairId !== peer.pairId ||
+          record.fromUserId === socket.userId
+        ) {
+          return false;
+        }
+
+        // Checked against the states from the same step that marks it, in
+        // case the other receipt for this message is being handled too
+        const before = await this.store.markChatMessage(id, state);
+        return (
+          before !== null &&
+          MESSAGE_STATES.indexOf(this.getState(before)) <
+            MESSAGE_STATES.indexOf(state)
+        );
+      })
+    );
+    const ids = value.ids.filter((id, i) => moved[i]);
+    if (ids.length === 0) return;
+
+    this.io.to(peer.socketId).emit(`message_${state}`, {
+      ids: ids,
+      timestamp: Date.now(),
+    });
+  }
+
+  // "sent", "delivered" or "read", or null once the id is no longer tracked
+  async getMessageState(id) {
+    const record = await this.store.getChatMessage(id);
+    return record ? this.getState(record.states) : null;
+  }
+
+  // The furthest of the states a message has been marked with
+  getState(states) {
+    return MESSAGE_STATES.filter((state) => states.includes(state)).pop();
+  }
+
+  // Only changes are relayed. Typing is tracked per pair, so a new partner
+  // never inherits it from the last one.
+  async handleTyping(socket, typing) {
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer || this.isBlocked(socket, peer)) return;
+
+    if ((this.typing.get(socket.id) === peer.pairId) === typing) return;
+
+    if (typing) {
+      this.typing.set(socket.id, peer.pairId);
+    } else {
+      this.typing.delete(socket.id);
+    }
+
+    this.io.to(peer.socketId).emit(typing ? "typing_start" : "typing_stop", {
+      from: socket.id,
+      timestamp: Date.now(),
+    });
+  }
+
+  // The sender's partner, or null after telling the sender why not
+  async getDeliverablePeer(socket) {
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer) {
+      socket.emit("error", {
+        message: "No active pair",
+        code: "NO_ACTIVE_PAIR",
+      });
+      return null;
+    }
+
+    // Peers on other instances are removed by their own instance
+    if (!this.pairingManager.isMemberConnected(peer)) {
+      socket.emit("error", {
+        message: "Peer disconnected",
+        code: "PEER_DISCONNECTED",
+      });
+      return null;
+    }
+
+    if (this.isBlocked(socket, peer)) {
+      logger.warn("Chat between blocked users rejected", {
+        socketId: socket.id,
+        peerId: peer.socketId,
+        userId: socket.userId,
+      });
+      socket.emit("error", {
+        message: "Messaging not allowed",
+        code: "USER_BLOCKED",
+      });
+      return null;
+    }
+
+    return peer;
+  }
+
+  isBlocked(socket, peer) {
+    return (
+      this.blockManager !== null &&
+      this.blockManager.isBlocked(socket.userId, peer.userId)
+    );
+  }
+
+  // Sliding window over this socket's recent messages
+  checkRateLimit(
+    socketId,
+    counts = this.messageCounts,
+    max = this.rateLimitMax
+  ) {
+    const now = Date.now();
+    const messages = (counts.get(socketId) || []).filter(
+      (timestamp) => timestamp > now - this.rateLimitWindow
+    );
+
+    if (messages.length >= max) {
+      counts.set(socketId, messages);
+      return false;
+    }
+
+    messages.push(now);
+    counts.set(socketId, messages);
+    return true;
+  }
+
+  cleanup(socketId) {
+    this.messageCounts.delete(socketId);
+    this.resendCounts.delete(socketId);
+    this.typing.delete(socketId);
+  }
+
+  getStats() {
+    return {
+      totalSockets: this.messageCounts.size,
+      messagesRelayed: this.messagesRelayed,
+      typing: this.typing.size,
+      rateLimitWindow: this.rateLimitWindow,
+      rateLimitMax: this.rateLimitMax,
+    };
+  }
+}
+
+module.exports = ChatHandler;
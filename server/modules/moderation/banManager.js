@@ -0,0 +1,279 @@
+const logger = require("../../utils/logger");
+const healthMonitor = require("../../utils/healthMonitor");
+const { MODERATION } = require("../../config/constants");
+
+// Account-level sanctions keyed on user ID, since students on campus Wi-Fi
+// share IPs. Kept in memory and written through to Supabase. With several
+// instances, `options.io` tells the others to reload a user after a change.
+class BanManager {
+  constructor(supabase = null, options = {}) {
+    this.supabase = supabase;
+    this.io = options.io || null;
+    this.tableName = options.tableName || "user_sanctions";
+    this.strikePenalties =
+      options.strikePenalties || MODERATION.STRIKE_PENALTIES;
+    this.strikeTtl = options.strikeTtl || MODERATION.STRIKE_TTL;
+    this.sanctions = new Map(); // userId -> { ban, strikes }
+    this.loadedUsers = new Set();
+
+    logger.info("BanManager initialized", {
+      persistent: !!this.supabase,
+      strikeLevels: this.strikePenalties.length,
+    });
+
+    // Another instance changed this user's sanctions
+    if (this.io) {
+      this.io.on("moderation:sanctions-changed", ({ userId } = {}) => {
+        if (userId) this.forgetUser(userId);
+      });
+    }
+  }
+
+  // The next check reads the user's sanctions from Supabase again
+  forgetUser(userId) {
+    this.sanctions.delete(userId);
+    this.loadedUsers.delete(userId);
+  }
+
+  async loadForUser(userId) {
+    if (!userId || !this.supabase || this.loadedUsers.has(userId)) return;
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select("user_id, ban, strikes")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (data) {
+        this.sanctions.set(userId, {
+          ban: data.ban || null,
+          strikes: data.strikes || [],
+        });
+      }
+      this.loadedUsers.add(userId);
+    } catch (error) {
+      logger.error("Failed to load sanctions", {
+        userId: userId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Active ban for a user, or null. Expired suspensions are cleared.
+  async getActiveBan(userId, now = Date.now()) {
+    await this.loadForUser(userId);
+
+    const record = this.sanctions.get(userId);
+    if (!record?.ban) return null;
+
+    if (record.ban.expiresAt && record.ban.expiresAt <= now) {
+      record.ban = null;
+      // Already logged by persist(); an expired ban must not block the user
+      await this.persist(userId).catch(() => {});
+      return null;
+    }
+    return record.ban;
+  }
+
+  async suspend(userId, { duration, reason, issuedBy }) {
+    return this.applyBan(userId, {
+      type: "suspension",
+      reason: reason,
+      issuedBy: issuedBy,
+      expiresAt: Date.now() + duration,
+    });
+  }
+
+  async banPermanently(userId, { reason, issuedBy }) {
+    return this.applyBan(userId, {
+      type: "permanent",
+      reason: reason,
+      issuedBy: issuedBy,
+      expiresAt: null,
+    });
+  }
+
+  async liftBan(userId, { issuedBy } = {}) {
+    await this.loadForUser(userId);
+
+    const record = this.sanctions.get(userId);
+    if (!record?.ban) return false;
+
+    record.ban = null;
+    await this.persist(userId);
+
+    logger.info("Ban lifted", { userId: userId, issuedBy: issuedBy });
+    healthMonitor.trackSecurityEvent("user_ban_lifted", {
+      userId: userId,
+      issuedBy: issuedBy,
+      severity: "medium",
+    });
+
+    return true;
+  }
+
+  // Record a strike and apply whatever penalty the new count calls for
+  async addStrike(userId, { reason, issuedBy, caseId }) {
+    await this.loadForUser(userId);
+
+    const now = Date.now();
+    const record = this.getRecord(userId);
+    record.strikes = this.getActiveStrikes(record, now);
+    record.strikes.push({
+      reason: reason,
+      issuedBy: issuedBy,
+      caseId: caseId || null,
+      at: now,
+    });
+
+    const strikeCount = record.strikes.length;
+    const penalty =
+      this.strikePenalties[strikeCount - 1] || { type: "permanent" };
+    const penaltyReason = `Strike ${strikeCount}: ${reason}`;
+
+    logger.warn("Strike added", {
+      userId: userId,
+      strikes: strikeCount,
+      penalty: penalty.type,
+      caseId: caseId,
+    });
+
+    // Never shorten a ban that is already in place
+    const currentBan = await this.getActiveBan(userId, now);
+    const outlastsPenalty =
+      currentBan &&
+      (currentBan.type === "permanent" ||
+        (penalty.type === "suspension" &&
+          currentBan.expiresAt >= now + penalty.duration));
+
+    let ban = null;
+    if (outlastsPenalty) {
+      ban = currentBan;
+      await this.persist(userId);
+    } else if (penalty.type === "suspension") {
+      ban = await this.suspend(userId, {
+        duration: penalty.duration,
+        reason: penaltyReason,
+        issuedBy: issuedBy,
+      });
+    } else if (penalty.type === "permanent") {
+      ban = await this.banPermanently(userId, {
+        reason: penaltyReason,
+        issuedBy: issuedBy,
+      });
+    } else {
+      await this.persist(userId);
+    }
+
+    return { strikes: strikeCount, penalty: penalty.type, ban: ban };
+  }
+
+  async getStatus(userId, now = Date.now()) {
+    const ban = await this.getActiveBan(userId, now);
+    const record = this.sanctions.get(userId);
+
+    return {
+      userId: userId,
+      ban: ban,
+      strikes: record ? this.getActiveStrikes(record, now) : [],
+    };
+  }
+
+  // What the client is told when a banned user tries to get in
+  toClientPayload(ban) {
+    const message =
+      ban.type === "permanent"
+        ? `Your account has been permanently banned. Reason: ${ban.reason}`
+        : `Your account is suspended until ${new Date(
+            ban.expiresAt
+          ).toISOString()}. Reason: ${ban.reason}`;
+
+    return {
+      code: ban.type === "permanent" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+      type: ban.type,
+      reason: ban.reason,
+      expiresAt: ban.expiresAt ? new Date(ban.expiresAt).toISOString() : null,
+      message: message,
+    };
+  }
+
+  async applyBan(userId, ban) {
+    await this.loadForUser(userId);
+
+    const record = this.getRecord(userId);
+    record.ban = { ...ban, issuedAt: Date.now() };
+    await this.persist(userId);
+
+    logger.warn("User banned", {
+      userId: userId,
+      type: ban.type,
+      expiresAt: ban.expiresAt,
+      issuedBy: ban.issuedBy,
+    });
+
+    healthMonitor.trackSecurityEvent("user_banned", {
+      userId: userId,
+      banType: ban.type,
+      reason: ban.reason,
+      expiresAt: ban.expiresAt,
+      issuedBy: ban.issuedBy,
+      severity: "high",
+    });
+
+    return record.ban;
+  }
+
+  getActiveStrikes(record, now = Date.now()) {
+    return (record.strikes || []).filter(
+      (strike) => now - strike.at < this.strikeTtl
+    );
+  }
+
+  getRecord(userId) {
+    if (!this.sanctions.has(userId)) {
+      this.sanctions.set(userId, { ban: null, strikes: [] });
+    }
+    return this.sanctions.get(userId);
+  }
+
+  async persist(userId) {
+    if (!this.supabase) return;
+
+    const record = this.getRecord(userId);
+    const { error } = await this.supabase.from(this.tableName).upsert(
+      {
+        user_id: userId,
+        ban: record.ban,
+        strikes: record.strikes,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" }
+    );
+
+    if (error) {
+      logger.error("Failed to persist sanctions", {
+        userId: userId,
+        error: error.message,
+      });
+      throw new Error("Failed to save sanctions");
+    }
+
+    if (this.io) {
+      try {
+        this.io.serverSideEmit("moderation:sanctions-changed", {
+          userId: userId,
+        });
+      } catch (error) {
+        logger.warn("Could not share sanctions with other instances", {
+          userId: userId,
+          error: error.message,
+        });
+      }
+    }
+  }
+}
+
+module.exports = BanManager;
@@ -0,0 +1,198 @@
+const logger = require("../../utils/logger");
+
+// Per-user block lists. Kept in memory for the matcher's synchronous checks
+// and written through to Supabase so blocks survive restarts. With several
+// instances, `options.io` carries each change to the others' caches.
+class BlockManager {
+  constructor(supabase = null, options = {}) {
+    this.supabase = supabase;
+    this.io = options.io || null;
+    this.tableName = options.tableName || "user_blocks";
+    this.blocks = new Map(); // blockerId -> Set of blocked user IDs
+    this.loadedUsers = new Set();
+
+    logger.info("BlockManager initialized", {
+      persistent: !!this.supabase,
+      tableName: this.tableName,
+    });
+
+    // Another instance blocked or unblocked someone
+    if (this.io) {
+      this.io.on(
+        "moderation:block-changed",
+        ({ blockerId, blockedId, blocked } = {}) => {
+          if (!blockerId || !blockedId) return;
+          if (blocked) {
+            this.addToCache(blockerId, blockedId);
+          } else {
+            this.removeFromCache(blockerId, blockedId);
+          }
+        }
+      );
+    }
+  }
+
+  // Pull every block involving this user so both directions are enforced
+  async loadForUser(userId) {
+    if (!userId || !this.supabase || this.loadedUsers.has(userId)) return;
+
+    try {
+      // One query per column; .eq() escapes the ID where .or() would not
+      const results = await Promise.all(
+        ["blocker_id", "blocked_id"].map((column) =>
+          this.supabase
+            .from(this.tableName)
+            .select("blocker_id, blocked_id")
+            .eq(column, userId)
+        )
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) throw failed.error;
+
+      const rows = results.flatMap((result) => result.data || []);
+      rows.forEach((row) => {
+        this.addToCache(row.blocker_id, row.blocked_id);
+      });
+      this.loadedUsers.add(userId);
+
+      logger.debug("Block list loaded", {
+        userId: userId,
+        entries: rows.length,
+      });
+    } catch (error) {
+      logger.error("Failed to load block list", {
+        userId: userId,
+        error: error.message,
+      });
+    }
+  }
+
+  async block(blockerId, blockedId) {
+    this.validatePair(blockerId, blockedId);
+
+    const alreadyBlocked = this.hasBlocked(blockerId, blockedId);
+    this.addToCache(blockerId, blockedId);
+
+    if (this.supabase && !alreadyBlocked) {
+      const { error } = await this.supabase.from(this.tableName).upsert(
+        {
+          blocker_id: blockerId,
+          blocked_id: blockedId,
+          created_at: new Date().toISOString(),
+        },
+        { onConflict: "blocker_id,blocked_id" }
+      );
+
+      if (error) {
+        logger.error("Failed to persist block", {
+          blockerId: blockerId,
+          blockedId: blockedId,
+          error: error.message,
+        });
+        throw new Error("Failed to save block");
+      }
+    }
+    this.broadcastChange(blockerId, blockedId, true);
+
+    logger.info("User blocked", {
+      blockerId: blockerId,
+      blockedId: blockedId,
+      alreadyBlocked: alreadyBlocked,
+    });
+
+    return !alreadyBlocked;
+  }
+
+  async unblock(blockerId, blockedId) {
+    this.validatePair(blockerId, blockedId);
+
+    const wasBlocked = this.hasBlocked(blockerId, blockedId);
+    this.removeFromCache(blockerId, blockedId);
+
+    if (this.supabase) {
+      const { error } = await this.supabase
+        .from(this.tableName)
+        .delete()
+        .eq("blocker_id", blockerId)
+        .eq("blocked_id", blockedId);
+
+      if (error) {
+        logger.error("Failed to remove block", {
+          blockerId: blockerId,
+          blockedId: blockedId,
+          error: error.message,
+        });
+        throw new Error("Failed to remove block");
+      }
+    }
+    this.broadcastChange(blockerId, blockedId, false);
+
+    logger.info("User unblocked", {
+      blockerId: blockerId,
+      blockedId: blockedId,
+      wasBlocked: wasBlocked,
+    });
+
+    return wasBlocked;
+  }
+
+  // True if either user has blocked the other
+  isBlocked(userId1, userId2) {
+    if (!userId1 || !userId2) return false;
+    return (
+      this.hasBlocked(userId1, userId2) || this.hasBlocked(userId2, userId1)
+    );
+  }
+
+  hasBlocked(blockerId, blockedId) {
+    return !!this.blocks.get(blockerId)?.has(blockedId);
+  }
+
+  getBlockedUsers(blockerId) {
+    return Array.from(this.blocks.get(blockerId) || []);
+  }
+
+  addToCache(blockerId, blockedId) {
+    if (!this.blocks.has(blockerId)) {
+      this.blocks.set(blockerId, new Set());
+    }
+    this.blocks.get(blockerId).add(blockedId);
+  }
+
+  removeFromCache(blockerId, blockedId) {
+    const blocked = this.blocks.get(blockerId);
+    if (!blocked) return;
+
+    blocked.delete(blockedId);
+    if (blocked.size === 0) this.blocks.delete(blockerId);
+  }
+
+  broadcastChange(blockerId, blockedId, blocked) {
+    if (!this.io) return;
+
+    try {
+      this.io.serverSideEmit("moderation:block-changed", {
+        blockerId: blockerId,
+        blockedId: blockedId,
+        blocked: blocked,
+      });
+    } catch (error) {
+      logger.warn("Could not share block change with other instances", {
+        blockerId: blockerId,
+        blockedId: blockedId,
+        error: error.message,
+      });
+    }
+  }
+
+  validatePair(blockerId, blockedId) {
+    if (!blockerId || !blockedId) {
+      throw new Error("Both user IDs are required");
+    }
+    if (blockerId === blockedId) {
+      throw new Error("You cannot block yourself");
+    }
+  }
+}
+
+module.exports = BlockManager;
@@ -0,0 +1,307 @@
+// contentFilter.js - the chat filter's rules and what happens when they
+// match.
+//
+// Chat is end-to-end encrypted, so only the browsers can read a message and
+// the rules run there, on every chat_message sent and received. Each rule
+// is a word list or a regular expression with a severity and an action:
+//
+//   mask    the matched text is starred out before sending
+//   flag    the message goes through, and the recipient reports it
+//   block   the message is not sent, or not shown if it arrives anyway
+//
+// The server hands the rules out with `chat:filter-rules` { rules } on
+// connection and takes reports as `chat:filter-hit` { ruleIds, direction }:
+// "sent" for a message the sender's own filter blocked, "received" for one
+// that reached the recipient's filter. The server can't check either claim,
+// so only "sent" reports, which a user makes about themselves, add points;
+// once one user in a pair collects CONTENT_FILTER.ESCALATION_POINTS within
+// the window the pair is ended. A "received" report is the recipient's word
+// against their partner's and opens a moderation case for a person to look
+// at instead.
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+const healthMonitor = require("../../utils/healthMonitor");
+const { moderationValidation } = require("../../utils/validation");
+const {
+  CHAT,
+  CONTENT_FILTER,
+  MODERATION,
+} = require("../../config/constants");
+
+const DEFAULT_RULES_PATH = path.join(
+  __dirname,
+  "../../config/contentFilterRules.json"
+);
+
+class ContentFilter {
+  constructor(options = {}) {
+    this.pairingManager = options.pairingManager || null;
+    this.moderationManager = options.moderationManager || null;
+    this.escalationPoints =
+      options.escalationPoints || CONTENT_FILTER.ESCALATION_POINTS;
+    this.escalationWindow =
+      options.escalationWindow || CONTENT_FILTER.ESCALATION_WINDOW_MS;
+    this.rules = new Map(); // id -> { id, category, severity, action, ... }
+    this.points = new Map(); // "pairId:userId" -> [{ points, at }]
+    this.reports = new Map(); // "pairId:reporterId" -> when a case was opened
+    this.hitCounts = new Map(); // socketId -> recent report timestamps
+
+    this.setRules(options.rules || this.loadRules());
+
+    logger.info("ContentFilter initialized", {
+      rules: this.rules.size,
+      escalationPoints: this.escalationPoints,
+    });
+  }
+
+  // { rules } from CONTENT_FILTER.RULES_PATH, or the bundled defaults
+  loadRules(rulesPath = CONTENT_FILTER.RULES_PATH || DEFAULT_RULES_PATH) {
+    return JSON.parse(fs.readFileSync(rulesPath, "utf8")).rules;
+  }
+
+  // Throws on a bad rule, so a broken config stops the server from starting
+  // rather than letting messages through unfiltered
+  setRules(rules) {
+    const compiled = new Map();
+
+    rules.forEach((rule) => {
+      const { value, error } = moderationValidation.filterRule.validate(rule);
+      if (error) {
+        throw new Error(`Invalid chat filter rule: ${error.message}`);
+      }
+      if (compiled.has(value.id)) {
+        throw new Error(`Duplicate chat filter rule: ${value.id}`);
+      }
+
+      const source = value.pattern || this.compileWords(value.words);
+      if (!source) return; // an empty word list
+
+      try {
+        new RegExp(source, value.flags);
+      } catch (regexError) {
+        throw new Error(
+          `Invalid chat filter rule ${value.id}: ${regexError.message}`
+        );
+      }
+
+      compiled.set(value.id, {
+        id: value.id,
+        category: value.category,
+        severity: value.severity,
+        action: value.action,
+        source: source,
+        flags: value.words ? "iu" : value.flags,
+      });
+    });
+
+    this.rules = compiled;
+  }
+
+  // Whole words or phrases, in any case and with any spacing between words
+  compileWords(words) {
+    if (words.length === 0) return null;
+
+    const alternatives = words.map((word) =>
+      word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+")
+    );
+    const letter = "[\\p{L}\\p{N}]";
+    return `(?<!${letter})(?:${alternatives.join("|")})(?!${letter})`;
+  }
+
+  // What the browsers need to run the rules themselves
+  getClientRules() {
+    return Array.from(this.rules.values()).map((rule) => ({
+      id: rule.id,
+      action: rule.action,
+      source: rule.source,
+      flags: rule.flags,
+    }));
+  }
+
+  // chat:filter-hit. Messages the sender's filter blocked count against the
+  // sender; anything the recipient's filter caught is reported for review.
+  async handleHit(socket, data) {
+    const { value, error } = moderationValidation.filterHit.validate(data, {
+      stripUnknown: true,
+    });
+    if (error) {
+      socket.emit("error", {
+        message: error.details[0].message,
+        code: "INVALID_FILTER_HIT",
+      });
+      return;
+    }
+
+    // Honest clients report at most one hit per chat message
+    if (!this.checkRateLimit(socket.id)) return;
+
+    const rules = value.ruleIds
+      .map((id) => this.rules.get(id))
+      .filter(Boolean);
+    if (rules.length === 0 || !this.pairingManager) return;
+
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer) return;
+
+    const categories = [...new Set(rules.map((rule) => rule.category))];
+    if (value.direction === "received") {
+      await this.reportPartner(socket, peer, rules, categories);
+      return;
+    }
+
+    const severity = this.getStrictest(
+      rules.map((rule) => rule.severity),
+      Object.keys(CONTENT_FILTER.SEVERITY_POINTS)
+    );
+    const action = this.getStrictest(
+      rules.map((rule) => rule.action),
+      CONTENT_FILTER.ACTIONS
+    );
+
+    healthMonitor.trackSecurityEvent(`chat_filter_${action}`, {
+      socketId: socket.id,
+      userId: socket.userId,
+      pairId: peer.pairId,
+      ruleIds: rules.map((rule) => rule.id),
+      categories: categories,
+      severity: severity,
+    });
+
+    const points = this.addPoints(
+      peer.pairId,
+      socket.userId,
+      CONTENT_FILTER.SEVERITY_POINTS[severity]
+    );
+    if (points < this.escalationPoints) return;
+
+    this.points.delete(`${peer.pairId}:${socket.userId}`);
+    logger.warn("Chat filter ended a pair", {
+      pairId: peer.pairId,
+      userId: socket.userId,
+      points: points,
+    });
+    healthMonitor.trackSecurityEvent("chat_filter_escalated", {
+      socketId: socket.id,
+      userId: socket.userId,
+      pairId: peer.pairId,
+      points: points,
+      severity: "high",
+    });
+
+    await this.pairingManager.endPairForModeration(
+      socket,
+      "content_violation"
+    );
+  }
+
+  // Recorded against the reporter, since nothing shows the partner sent what
+  // the reporter's filter says it caught, and turned into at most one case
+  // per reporter and pair each escalation window
+  async reportPartner(socket, peer, rules, categories) {
+    const ruleIds = rules.map((rule) => rule.id);
+    healthMonitor.trackSecurityEvent("chat_filter_reported", {
+      socketId: socket.id,
+      userId: socket.userId,
+      reportedUserId: peer.userId,
+      pairId: peer.pairId,
+      ruleIds: ruleIds,
+      categories: categories,
+      verified: false,
+      severity: "low",
+    });
+
+    const now = Date.now();
+    this.reports.forEach((openedAt, key) => {
+      if (openedAt <= now - this.escalationWindow) this.reports.delete(key);
+    });
+
+    const key = `${peer.pairId}:${socket.userId}`;
+    if (!this.moderationManager || this.reports.has(key)) return;
+    this.reports.set(key, now);
+
+    const category = categories.find(
+      (name) => name in MODERATION.REPORT_CATEGORIES
+    );
+    const result = await this.moderationManager.submitReport(
+      { userId: socket.userId, email: socket.userEmail },
+      {
+        pairId: peer.pairId,
+        reportedUserId: peer.userId,
+        category: category || "other",
+        comment: `Chat filter matched: ${ruleIds.join(", ")}`,
+      },
+      "chat_filter"
+    );
+    if (result.error) {
+      logger.warn("Chat filter report was not filed", {
+        pairId: peer.pairId,
+        userId: socket.userId,
+        code: result.code,
+      });
+    }
+  }
+
+  // The value furthest along `order`
+  getStrictest(values, order) {
+    return values.reduce((strictest, value) =>
+      order.indexOf(value) > order.indexOf(strictest) ? value : strictest
+    );
+  }
+
+  // Adds to a user's points in a pair and returns their total within the
+  // escalation window
+  addPoints(pairId, userId, points) {
+    const now = Date.now();
+    const key = `${pairId}:${userId}`;
+    const hits = (this.points.get(key) || []).filter(
+      (hit) => hit.at > now - this.escalationWindow
+    );
+    hits.push({ points: points, at: now });
+
+    // Re-insert so the Map stays ordered by last hit, then drop the users
+    // whose last hit has left the window
+    this.points.delete(key);
+    this.points.set(key, hits);
+    for (const [staleKey, staleHits] of this.points) {
+      if (staleHits[staleHits.length - 1].at > now - this.escalationWindow) {
+        break;
+      }
+      this.points.delete(staleKey);
+    }
+
+    return hits.reduce((total, hit) => total + hit.points, 0);
+  }
+
+  // Sliding window as for chat messages themselves
+  checkRateLimit(socketId) {
+    const now = Date.now();
+    const hits = (this.hitCounts.get(socketId) || []).filter(
+      (timestamp) => timestamp > now - CHAT.RATE_LIMIT_WINDOW_MS
+    );
+
+    if (hits.length >= CHAT.RATE_LIMIT_MAX) {
+      this.hitCounts.set(socketId, hits);
+      return false;
+    }
+
+    hits.push(now);
+    this.hitCounts.set(socketId, hits);
+    return true;
+  }
+
+  cleanup(socketId) {
+    this.hitCounts.delete(socketId);
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.size,
+      trackedUsers: this.points.size,
+      recentReports: this.reports.size,
+      escalationPoints: this.escalationPoints,
+    };
+  }
+}
+
+module.exports = ContentFilter;
@@ -0,0 +1,336 @@
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+const healthMonitor = require("../../utils/healthMonitor");
+const { MODERATION } = require("../../config/constants");
+
+// Allowed status changes; actioned and dismissed are final
+const CASE_TRANSITIONS = {
+  open: ["reviewing", "actioned", "dismissed"],
+  reviewing: ["actioned", "dismissed"],
+  actioned: [],
+  dismissed: [],
+};
+
+// Query fields -> the columns they filter on
+const CASE_FILTERS = {
+  status: "status",
+  category: "category",
+  reportedUserId: "reported_user_id",
+  reporterId: "reporter_id",
+};
+
+// Abuse reports and what moderators did about them. With Supabase the table
+// is the only copy, so every instance sees the same cases and a restart
+// loses none; without it (development and tests) cases live in memory.
+class ModerationManager {
+  constructor(options = {}) {
+    this.pairingManager = options.pairingManager || null;
+    this.supabase = options.supabase || null;
+    this.tableName = options.tableName || "moderation_cases";
+    this.cases = new Map();
+
+    logger.info("ModerationManager initialized", {
+      persistent: !!this.supabase,
+      tableName: this.tableName,
+    });
+  }
+
+  // Resolve who is being reported and open a case.
+  // Only a current or recent partner of the reporter can be reported.
+  // Returns { case } on success or { error, code } when the report is rejected.
+  async submitReport(reporter, report, source) {
+    const partner = this.pairingManager
+      ? await this.pairingManager.findPartner(reporter.userId, report.pairId)
+      : null;
+
+    if (!partner) {
+      return {
+        error: report.pairId
+          ? "That chat isn't one of your recent partners"
+          : "You don't have a partner to report",
+        code: "NO_PARTNER",
+      };
+    }
+
+    if (report.reportedUserId && report.reportedUserId !== partner.userId) {
+      return {
+        error: "Reported user doesn't match that chat",
+        code: "PARTNER_MISMATCH",
+      };
+    }
+
+    const moderationCase = await this.createCase({
+      reporter: reporter,
+      reported: { userId: partner.userId, email: partner.email },
+      pairId: partner.pairId,
+      category: report.category,
+      comment: report.comment,
+      transcript: (report.transcript || []).map((entry) => ({
+        fromUserId: entry.fromPartner ? partner.userId : reporter.userId,
+        message: entry.message,
+        timestamp: entry.timestamp,
+      })),
+      source: source,
+    });
+
+    return { case: moderationCase };
+  }
+
+  // Turn a report into a new moderation case. Chat is end-to-end encrypted,
+  // so a transcript the reporter attached is all the server can offer.
+  async createCase({
+    reporter,
+    reported,
+    pairId,
+    category,
+    comment,
+    transcript = [],
+    source,
+  }) {
+    const now = Date.now();
+    const moderationCase = {
+      id: crypto.randomUUID(),
+      status: "open",
+      category: category,
+      severity: MODERATION.REPORT_CATEGORIES[category] || "medium",
+      reporter: { userId: reporter.userId, email: reporter.email },
+      reported: { userId: reported.userId, email: reported.email },
+      pairId: pairId || null,
+      comment: comment || "",
+      // The reporter's client could have edited what it attached
+      transcript: transcript,
+      source: source,
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: "open", at: now, by: reporter.userId }],
+      resolution: null,
+    };
+
+    await this.saveCase(moderationCase);
+
+    logger.warn("Moderation case opened", {
+      caseId: moderationCase.id,
+      category: category,
+      reporterId: reporter.userId,
+      reportedUserId: reported.userId,
+      pairId: moderationCase.pairId,
+      transcriptMessages: moderationCase.transcript.length,
+    });
+
+    healthMonitor.trackSecurityEvent("abuse_report", {
+      caseId: moderationCase.id,
+      category: category,
+      userId: reporter.userId,
+      reportedUserId: reported.userId,
+      pairId: moderationCase.pairId,
+      source: source,
+      severity: moderationCase.severity,
+    });
+
+    return moderationCase;
+  }
+
+  async getCase(caseId) {
+    if (!this.supabase) return this.cases.get(caseId) || null;
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("data")
+      .eq("id", caseId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error("Failed to load moderation case", {
+        caseId: caseId,
+        error: error.message,
+      });
+      throw new Error("Failed to load moderation case");
+    }
+    return data ? data.data : null;
+  }
+
+  // Newest first, filtered by any combination of the query fields
+  async listCases(query = {}) {
+    const offset = query.offset || 0;
+    const limit = query.limit || 50;
+
+    if (this.supabase) {
+      let request = this.supabase
+        .from(this.tableName)
+        .select("data", { count: "exact" });
+      Object.entries(CASE_FILTERS).forEach(([field, column]) => {
+        if (query[field]) request = request.eq(column, query[field]);
+      });
+
+      const { data, count, error } = await request
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        logger.error("Failed to list moderation cases", {
+          error: error.message,
+        });
+        throw new Error("Failed to load moderation cases");
+      }
+
+      return {
+        cases: (data || []).map((row) => row.data),
+        total: count || 0,
+        counts: await this.getStatusCounts(),
+      };
+    }
+
+    const matches = Array.from(this.cases.values())
+      .filter(
+        (moderationCase) =>
+          (!query.status || moderationCase.status === query.status) &&
+          (!query.category || moderationCase.category === query.category) &&
+          (!query.reportedUserId ||
+            moderationCase.reported.userId === query.reportedUserId) &&
+          (!query.reporterId ||
+            moderationCase.reporter.userId === query.reporterId)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      cases: matches.slice(offset, offset + limit),
+      total: matches.length,
+      counts: await this.getStatusCounts(),
+    };
+  }
+
+  async getStatusCounts() {
+    if (this.supabase) {
+      const results = await Promise.all(
+        MODERATION.CASE_STATUSES.map((status) =>
+          this.supabase
+            .from(this.tableName)
+            .select("id", { count: "exact", head: true })
+            .eq("status", status)
+        )
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        logger.error("Failed to count moderation cases", {
+          error: failed.error.message,
+        });
+        throw new Error("Failed to load moderation cases");
+      }
+
+      return Object.fromEntries(
+        MODERATION.CASE_STATUSES.map((status, i) => [
+          status,
+          results[i].count || 0,
+        ])
+      );
+    }
+
+    const counts = Object.fromEntries(
+      MODERATION.CASE_STATUSES.map((status) => [status, 0])
+    );
+    this.cases.forEach((moderationCase) => {
+      counts[moderationCase.status]++;
+    });
+    return counts;
+  }
+
+  // Returns { case } on success or { error, code } when the change isn't allowed
+  async updateCaseStatus(caseId, status, { moderator, note } = {}) {
+    const current = await this.getCase(caseId);
+    if (!current) {
+      return { error: "Case not found", code: "CASE_NOT_FOUND" };
+    }
+
+    if (!CASE_TRANSITIONS[current.status].includes(status)) {
+      return {
+        error: `Cannot move a ${current.status} case to ${status}`,
+        code: "INVALID_TRANSITION",
+      };
+    }
+
+    const now = Date.now();
+    const moderationCase = { ...current, history: [...current.history] };
+    moderationCase.status = status;
+    moderationCase.updatedAt = now;
+    moderationCase.history.push({
+      status: status,
+      at: now,
+      by: moderator || "admin",
+      note: note || "",
+    });
+
+    if (status === "actioned" || status === "dismissed") {
+      moderationCase.resolution = {
+        status: status,
+        by: moderator || "admin",
+        note: note || "",
+        at: now,
+      };
+    }
+
+    // Another moderator, perhaps on another instance, got there first
+    if (!(await this.saveCase(moderationCase, current.status))) {
+      return {
+        error: "The case changed while you were updating it",
+        code: "CASE_CHANGED",
+      };
+    }
+
+    logger.info("Moderation case updated", {
+      caseId: caseId,
+      status: status,
+      moderator: moderator || "admin",
+    });
+
+    healthMonitor.trackSecurityEvent("moderation_case_updated", {
+      caseId: caseId,
+      status: status,
+      reportedUserId: moderationCase.reported.userId,
+      moderator: moderator || "admin",
+      severity: "low",
+    });
+
+    return { case: moderationCase };
+  }
+
+  // Inserts a new case, or updates one still in `previousStatus`. Returns
+  // false when the case has moved on from that status in the meantime.
+  async saveCase(moderationCase, previousStatus = null) {
+    if (!this.supabase) {
+      const stored = this.cases.get(moderationCase.id);
+      if (previousStatus && stored?.status !== previousStatus) return false;
+      this.cases.set(moderationCase.id, moderationCase);
+      return true;
+    }
+
+    const row = {
+      id: moderationCase.id,
+      status: moderationCase.status,
+      category: moderationCase.category,
+      reporter_id: moderationCase.reporter.userId,
+      reported_user_id: moderationCase.reported.userId,
+      data: moderationCase,
+      created_at: new Date(moderationCase.createdAt).toISOString(),
+      updated_at: new Date(moderationCase.updatedAt).toISOString(),
+    };
+    const table = this.supabase.from(this.tableName);
+    const { data, error } = previousStatus
+      ? await table
+          .update(row)
+          .eq("id", moderationCase.id)
+          .eq("status", previousStatus)
+          .select("id")
+      : await table.insert(row).select("id");
+
+    if (error) {
+      logger.error("Failed to persist moderation case", {
+        caseId: moderationCase.id,
+        error: error.message,
+      });
+      throw new Error("Failed to save moderation case");
+    }
+    return (data || []).length > 0;
+  }
+}
+
+module.exports = ModerationManager;
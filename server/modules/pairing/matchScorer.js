@@ -0,0 +1,112 @@
+const { MATCHMAKING } = require("../../config/constants");
+
+class MatchScorer {
+  constructor(options = {}) {
+    this.weights = { ...MATCHMAKING.WEIGHTS, ...(options.weights || {}) };
+    this.similarWaitWindow =
+      options.similarWaitWindow || MATCHMAKING.SIMILAR_WAIT_WINDOW;
+    this.minScore =
+      options.minScore !== undefined ? options.minScore : MATCHMAKING.MIN_SCORE;
+    this.relaxInterval = options.relaxInterval || MATCHMAKING.RELAX_INTERVAL;
+  }
+
+  // Score how well two queue entries fit together
+  score(user1, user2, now = Date.now()) {
+    const prefs1 = user1.userData?.preferences || {};
+    const prefs2 = user2.userData?.preferences || {};
+
+    const sharedInterests = this.getSharedInterests(
+      prefs1.interests,
+      prefs2.interests
+    );
+    const sameMajor = this.isSameValue(prefs1.major, prefs2.major);
+    const sameCollege = this.isSameValue(prefs1.college, prefs2.college);
+
+    const waitDiff = Math.abs(
+      (now - (user1.joinedAt || now)) - (now - (user2.joinedAt || now))
+    );
+    const similarWait = waitDiff <= this.similarWaitWindow;
+
+    let score = sharedInterests.length * this.weights.SHARED_INTEREST;
+    if (sameMajor) score += this.weights.SAME_MAJOR;
+    if (sameCollege) score += this.weights.SAME_COLLEGE;
+    if (similarWait) score += this.weights.SIMILAR_WAIT;
+
+    return {
+      score: score,
+      sharedInterests: sharedInterests,
+      sameMajor: sameMajor,
+      sameCollege: sameCollege,
+      similarWait: similarWait,
+    };
+  }
+
+  // Required score drops the longer the longest waiter has been queued
+  getRequiredScore(user1, user2, now = Date.now()) {
+    const longestWait = Math.max(
+      now - (user1.joinedAt || now),
+      now - (user2.joinedAt || now)
+    );
+    const relaxedBy = Math.floor(longestWait / this.relaxInterval);
+
+    return Math.max(0, this.minScore - relaxedBy);
+  }
+
+  // Build the reason payload sent to both users
+  buildMatchReason(result, user1, user2) {
+    const prefs = user1.userData?.preferences || {};
+    let summary = "You were matched with another student";
+
+    if (result.sharedInterests.length > 0) {
+      summary = `You both like ${this.formatList(result.sharedInterests)}`;
+    } else if (result.sameMajor) {
+      summary = `You're both studying ${prefs.major}`;
+    } else if (result.sameCollege) {
+      summary = `You're both at ${prefs.college}`;
+    }
+
+    return {
+      score: result.score,
+      sharedInterests: result.sharedInterests,
+      sameMajor: result.sameMajor,
+      sameCollege: result.sameCollege,
+      summary: summary,
+    };
+  }
+
+  getSharedInterests(interests1 = [], interests2 = []) {
+    if (!Array.isArray(interests1) || !Array.isArray(interests2)) return [];
+
+    const normalized2 = new Set(
+      interests2.map((interest) => this.normalize(interest)).filter(Boolean)
+    );
+    const shared = [];
+    const seen = new Set();
+
+    interests1.forEach((interest) => {
+      const key = this.normalize(interest);
+      if (key && normalized2.has(key) && !seen.has(key)) {
+        seen.add(key);
+        shared.push(String(interest).trim());
+      }
+    });
+
+    return shared;
+  }
+
+  isSameValue(value1, value2) {
+    const a = this.normalize(value1);
+    return !!a && a === this.normalize(value2);
+  }
+
+  normalize(value) {
+    return typeof value === "string" ? value.trim().toLowerCase() : "";
+  }
+
+  formatList(items) {
+    if (items.length === 1) return items[0];
+    return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+  }
+}
+
+module.exports = MatchScorer;
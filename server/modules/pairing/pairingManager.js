@@ -1,21 +1,77 @@
+const crypto = require("crypto");
 const logger = require("../../utils/logger");
 const healthMonitor = require("../../utils/healthMonitor");
-
+const { createStrategy } = require("./strategies");
+const { MemoryPairingStore } = require("./stores");
+const {
+  MATCHMAKING,
+  RECONNECT_GRACE_PERIOD,
+} = require("../../config/constants");
+
+// Socket.IO disconnect reasons that usually mean a network blip rather than
+// the user leaving on purpose
+const TRANSIENT_DISCONNECT_REASONS = [
+  "transport close",
+  "transport error",
+  "ping timeout",
+];
+
+// Queue and pair state lives in `this.store` so several server instances can
+// share it. Socket objects and timers belong to the instance that owns the
+// socket; queue entries and pair members carry that instance's `nodeId`.
 class PairingManager {
-  constructor(io) {
+  constructor(io, options = {}) {
     this.io = io;
-    this.waitingQueue = [];
-    this.activePairs = new Map();
+    this.store = options.store || new MemoryPairingStore();
+    this.nodeId = options.nodeId || crypto.randomUUID();
     this.pairingTimeouts = new Map();
     this.userSockets = new Map();
     this.userJoinTimes = new Map();
+    this.reconnectTimers = new Map(); // userId -> grace period timeout
     this.pairingTimeout = 30000; // 30 seconds
+    this.matchingLockTtl = 5000;
+    this.pairingInProgress = false;
+    this.pairingRequested = false;
+    this.skipCooldown =
+      options.skipCooldown !== undefined
+        ? options.skipCooldown
+        : MATCHMAKING.SKIP_COOLDOWN;
+    this.recentPartnerLimit =
+      options.recentPartnerLimit || MATCHMAKING.RECENT_PARTNERS.LIMIT;
+    this.recentPartnerTtl =
+      options.recentPartnerTtl || MATCHMAKING.RECENT_PARTNERS.TTL;
+    this.stallAfter =
+      options.stallAfter !== undefined
+        ? options.stallAfter
+        : MATCHMAKING.RECENT_PARTNERS.STALL_AFTER;
+    this.blockManager = options.blockManager || null;
+    this.reconnectGracePeriod =
+      options.reconnectGracePeriod !== undefined
+        ? options.reconnectGracePeriod
+        : RECONNECT_GRACE_PERIOD;
+    this.matchStrategy = createStrategy(
+      options.strategy || MATCHMAKING.STRATEGY,
+      options.strategyOptions
+    );
 
     logger.info("PairingManager initialized", {
-      initialQueueSize: this.waitingQueue.length,
-      initialPairs: this.activePairs.size,
+      store: this.store.name,
+      nodeId: this.nodeId,
+      strategy: this.matchStrategy.name,
     });
 
+    // Another instance asks us to re-queue a socket we own
+    if (typeof this.io.on === "function") {
+      this.io.on("pairing:requeue", ({ socketId, reason } = {}) => {
+        const socket = this.userSockets.get(socketId);
+        if (!socket || !socket.connected) return;
+
+        this.runAsync("Failed to re-queue socket", () =>
+          this.requeueSocket(socket, reason)
+        );
+      });
+    }
+
     // Start periodic queue status checks
     this.startQueueMonitoring();
   }
@@ -23,28 +79,52 @@ class PairingManager {
   // NEW: Monitor queue and provide status updates
   startQueueMonitoring() {
     setInterval(() => {
-      this.checkQueueStatus();
+      this.runAsync("Queue status check failed", () =>
+        this.checkQueueStatus()
+      );
     }, 5000); // Check every 5 seconds
   }
 
+  // Timer and event callbacks can't await, so log whatever they throw
+  runAsync(message, task) {
+    Promise.resolve()
+      .then(task)
+      .catch((error) => {
+        logger.error(message, { error: error.message, stack: error.stack });
+      });
+  }
+
   // NEW: Enhanced queue status checking
-  checkQueueStatus() {
-    const queueSize = this.waitingQueue.length;
+  async checkQueueStatus() {
+    const queues = await this.getQueuesByMode();
+    const queueSize = Object.values(queues).reduce(
+      (total, queue) => total + queue.length,
+      0
+    );
 
     logger.debug("Checking queue status", {
       queueSize: queueSize,
-      activePairs: this.activePairs.size / 2,
+      queues: this.countByMode(queues),
+      activePairs: await this.store.countPairs(),
     });
 
-    if (queueSize === 1) {
-      // Only one user in queue - notify them with helpful information
-      const user = this.waitingQueue[0];
+    let canPairAny = false;
+    Object.entries(queues).forEach(([mode, queue]) => {
+      if (queue.length >= 2) {
+        canPairAny = true;
+        return;
+      }
+      if (queue.length !== 1) return;
+
+      // Only one user in this mode - notify them with helpful information
+      const user = queue[0];
       const waitTime = Date.now() - (user.joinedAt || Date.now());
 
       const userSocket = this.userSockets.get(user.socketId);
       if (userSocket && userSocket.connected) {
         userSocket.emit("pairing:status", {
           message: "👋 You're the first one here!",
+          mode: mode,
           queueSize: 1,
           position: 1,
           waitTime: Math.floor(waitTime / 1000),
@@ -55,18 +135,57 @@ class PairingManager {
         logger.info("Single user waiting for partner", {
           socketId: user.socketId,
           email: user.userData?.email,
+          mode: mode,
           waitTime: `${Math.floor(waitTime / 1000)}s`,
         });
       }
-    } else if (queueSize >= 2) {
-      // Multiple users - attempt pairing
-      this.tryPairing();
+    });
+
+    if (canPairAny) {
+      // Multiple users in at least one mode - attempt pairing
+      await this.tryPairing();
     }
 
     return queueSize;
   }
 
-  addToQueue(socket, userData) {
+  // mode -> queue entries in join order, for every mode
+  async getQueuesByMode() {
+    const queues = await Promise.all(
+      MATCHMAKING.MODES.map((mode) => this.store.getQueue(mode))
+    );
+    return Object.fromEntries(
+      MATCHMAKING.MODES.map((mode, index) => [mode, queues[index]])
+    );
+  }
+
+  countByMode(queues) {
+    return Object.fromEntries(
+      Object.entries(queues).map(([mode, queue]) => [mode, queue.length])
+    );
+  }
+
+  normalizeMode(mode) {
+    return MATCHMAKING.MODES.includes(mode) ? mode : MATCHMAKING.DEFAULT_MODE;
+  }
+
+  // The queue a user actually joins. Someone who asked for video but whose
+  // camera failed the pre-call check is matched with audio users instead.
+  resolveMode(mode, preflight) {
+    const requested = this.normalizeMode(mode);
+    if (requested === "video" && preflight?.camera === "fail") {
+      return "audio";
+    }
+    return requested;
+  }
+
+  // What a pair in the given mode negotiates over WebRTC. Text pairs don't
+  // negotiate media at all.
+  getMediaForMode(mode) {
+    return { audio: mode !== "text", video: mode === "video" };
+  }
+
+  async addToQueue(socket, userData) {
     // Validate input
     if (!socket || !userData || !userData.email) {
       logger.error("Invalid input for addToQueue", {
@@ -77,12 +196,15 @@ class PairingManager {
     }
 
     // Check if user is already in queue or paired
-    if (this.isUserWaiting(socket.id) || this.isUserPaired(socket.id)) {
+    if (
+      (await this.isUserWaiting(socket.id)) ||
+      (await this.isUserPaired(socket.id))
+    ) {
       logger.warn("User already in queue or paired", {
         socketId: socket.id,
         email: userData.email,
-        queueSize: this.waitingQueue.length,
-        activePairs: this.activePairs.size / 2,
+        queueSize: await this.store.getQueueSize(),
+        activePairs: await this.store.countPairs(),
       });
 
       healthMonitor.trackConnection("pairing", "queue_rejected", {
@@ -92,23 +214,24 @@ class PairingManager {
       return false;
     }
 
+    const mode = this.normalizeMode(userData.mode);
     const queueItem = {
       socketId: socket.id,
+      nodeId: this.nodeId,
+      mode: mode,
       userData: userData,
       joinedAt: Date.now(),
     };
 
-    this.waitingQueue.push(queueItem);
     this.userSockets.set(socket.id, socket);
     this.userJoinTimes.set(socket.id, Date.now());
-
-    const queueSize = this.waitingQueue.length;
-    const position =
-      this.waitingQueue.findIndex((item) => item.socketId === socket.id) + 1;
+    const position = await this.store.enqueue(queueItem);
+    const queueSize = await this.store.getQueueSize(mode);
 
     logger.info("User added to pairing queue", {
       socketId: socket.id,
       email: userData.email,
+      mode: mode,
       queueSize: queueSize,
       position: position,
       totalUsers: this.userSockets.size,
@@ -116,12 +239,14 @@ class PairingManager {
 
     healthMonitor.trackConnection("pairing", "joined_queue", {
       socketId: socket.id,
+      mode: mode,
       queuePosition: position,
       queueSize: queueSize,
     });
 
     // Immediate status update
     socket.emit("pairing:queued", {
+      mode: mode,
       position: position,
       queueSize: queueSize,
       totalUsers: queueSize,
@@ -133,7 +258,7 @@ class PairingManager {
 
     // Check if we can pair immediately
     if (queueSize >= 2) {
-      this.tryPairing();
+      await this.tryPairing();
     } else {
       // Single user scenario - start timeout with better messaging
       this.handleSingleUserScenario(socket);
@@ -142,6 +267,31 @@ class PairingManager {
     return true;
   }
 
+  // Entry point for the join_queue socket event. The mode sticks to the
+  // socket so re-queues after a skip or disconnect stay in the same queue.
+  async joinQueue(socket, data = {}) {
+    const mode = this.resolveMode(data.mode, data.preflight);
+    if (mode !== this.normalizeMode(data.mode)) {
+      logger.info("Routing user to a different queue after pre-call check", {
+        socketId: socket.id,
+        requestedMode: data.mode,
+        mode: mode,
+        preflight: data.preflight,
+      });
+    }
+
+    socket.userData = {
+      ...(socket.userData || {}),
+      email: socket.userEmail || socket.userData?.email,
+      userId: socket.userId || socket.userData?.userId,
+      mode: mode,
+      preferences: data.preferences || {},
+      preflight: data.preflight || null,
+    };
+
+    return this.addToQueue(socket, socket.userData);
+  }
+
   // NEW: Handle single user scenario with better UX
   handleSingleUserScenario(socket) {
     logger.info("Starting pairing timer for single user", {
@@ -154,7 +304,9 @@ class PairingManager {
 
     // Set timeout with periodic updates
     const timeout = setTimeout(() => {
-      this.handlePairingTimeout(socket.id);
+      this.runAsync("Pairing timeout handling failed", () =>
+        this.handlePairingTimeout(socket.id)
+      );
     }, this.pairingTimeout);
 
     this.pairingTimeouts.set(socket.id, timeout);
@@ -170,13 +322,17 @@ class PairingManager {
 
     const encouragementInterval = setInterval(() => {
       encouragementCount++;
-      if (encouragementCount <= encouragementMessages.length) {
-        const user = this.waitingQueue.find(
-          (item) => item.socketId === socket.id
-        );
+      if (encouragementCount > encouragementMessages.length) {
+        clearInterval(encouragementInterval);
+        return;
+      }
+
+      const message = encouragementMessages[encouragementCount - 1];
+      this.runAsync("Encouragement update failed", async () => {
+        const user = await this.store.getQueueEntry(socket.id);
         if (user && this.userSockets.get(socket.id)?.connected) {
           socket.emit("pairing:status", {
-            message: encouragementMessages[encouragementCount - 1],
+            message: message,
             queueSize: 1,
             position: 1,
             waitTime: Math.floor((Date.now() - user.joinedAt) / 1000),
@@ -185,63 +341,116 @@ class PairingManager {
         } else {
           clearInterval(encouragementInterval);
         }
-      } else {
-        clearInterval(encouragementInterval);
-      }
+      });
     }, 10000); // Every 10 seconds
 
     // Store interval ID for cleanup
     socket.encouragementInterval = encouragementInterval;
   }
 
-  tryPairing() {
-    const queueSize = this.waitingQueue.length;
+  // Calls that arrive while a round is running are folded into one more round
+  async tryPairing() {
+    if (this.pairingInProgress) {
+      this.pairingRequested = true;
+      return;
+    }
+
+    this.pairingInProgress = true;
+    try {
+      do {
+        this.pairingRequested = false;
+        await this.runMatchingRound();
+      } while (this.pairingRequested);
+    } finally {
+      this.pairingInProgress = false;
+    }
+  }
+
+  async runMatchingRound() {
+    // Only one instance matches at a time so nobody gets paired twice
+    const lockToken = await this.store.acquireLock(
+      "matching",
+      this.matchingLockTtl
+    );
+    if (!lockToken) {
+      logger.debug("Matching already running on another instance");
+      return;
+    }
+
+    try {
+      for (const mode of MATCHMAKING.MODES) {
+        await this.matchMode(mode);
+      }
+
+      // Update remaining users about their new queue position
+      await this.updateQueuePositions();
+    } finally {
+      await this.store.releaseLock("matching", lockToken);
+    }
+  }
+
+  // Users are only ever matched against the queue for their own mode
+  async matchMode(mode) {
+    const queue = await this.store.getQueue(mode);
+    if (queue.length < 2) return;
 
     logger.debug("Attempting to pair users", {
-      queueSize: queueSize,
-      availablePairs: Math.floor(queueSize / 2),
-    });
-
-    // Pair users in batches
-    while (this.waitingQueue.length >= 2) {
-      const user1 = this.waitingQueue.shift();
-      const user2 = this.waitingQueue.shift();
-
-      // Validate both users are still connected
-      if (
-        !this.isSocketConnected(user1.socketId) ||
-        !this.isSocketConnected(user2.socketId)
-      ) {
-        logger.warn("One or both users disconnected during pairing", {
-          user1: user1.socketId,
-          user1Connected: this.isSocketConnected(user1.socketId),
-          user2: user2.socketId,
-          user2Connected: this.isSocketConnected(user2.socketId),
-        });
+      mode: mode,
+      queueSize: queue.length,
+      availablePairs: Math.floor(queue.length / 2),
+    });
 
-        // Return connected users back to queue
-        if (this.isSocketConnected(user1.socketId)) {
-          this.waitingQueue.unshift(user1);
-        }
-        if (this.isSocketConnected(user2.socketId)) {
-          this.waitingQueue.unshift(user2);
-        }
+    // Drop users who disconnected while waiting
+    const waiting = [];
+    for (const user of queue) {
+      if (this.isMemberConnected(user)) {
+        waiting.push(user);
         continue;
       }
 
+      logger.warn("User disconnected while waiting for pairing", {
+        socketId: user.socketId,
+      });
+      await this.store.removeFromQueue(user.socketId);
+      this.clearPairingTimeout(user.socketId);
+    }
+
+    const now = Date.now();
+    const history = await this.loadMatchHistory(waiting);
+    const pairs = this.matchStrategy.selectPairs(waiting, {
+      now: now,
+      canPair: (user1, user2) => this.canPair(user1, user2, now, history),
+    });
+
+    for (const { user1, user2, matchReason } of pairs) {
       logger.debug("Found pair candidates", {
         user1: user1.socketId,
         user2: user2.socketId,
+        mode: mode,
+        strategy: this.matchStrategy.name,
       });
 
-      this.createPair(user1, user2);
+      if (await this.claimQueued(user1, user2)) {
+        await this.createPair(user1, user2, matchReason);
+      }
     }
+  }
 
-    // Update remaining users about their new queue position
-    this.updateQueuePositions();
+  // Take both users out of the queue, or neither if one already left
+  async claimQueued(user1, user2) {
+    const first = await this.store.removeFromQueue(user1.socketId);
+    if (!first) return false;
+
+    const second = await this.store.removeFromQueue(user2.socketId);
+    if (!second) {
+      // Same join time, so they keep their place
+      await this.store.enqueue(first);
+      return false;
+    }
+    return true;
   }
 
-  createPair(user1, user2) {
+  async createPair(user1, user2, matchReason = null) {
     try {
       logger.debug("Creating pair", {
         user1: user1.socketId,
@@ -265,14 +474,25 @@ class PairingManager {
       }
 
       // Store active pair
-      this.activePairs.set(user1.socketId, user2.socketId);
-      this.activePairs.set(user2.socketId, user1.socketId);
+      const pairId = crypto.randomUUID();
+      const mode = this.normalizeMode(user1.mode);
+      const media = this.getMediaForMode(mode);
+      await this.store.savePair({
+        pairId: pairId,
+        mode: mode,
+        members: [this.toPairMember(user1), this.toPairMember(user2)],
+        pairedAt: Date.now(),
+      });
 
       // Remove join times
       this.userJoinTimes.delete(user1.socketId);
       this.userJoinTimes.delete(user2.socketId);
 
+      await this.recordRecentPartners(user1, user2, pairId);
+
       logger.info("Users paired successfully", {
+        pairId: pairId,
+        mode: mode,
         user1: {
           socketId: user1.socketId,
           email: user1.userData.email,
@@ -281,45 +501,65 @@ class PairingManager {
           socketId: user2.socketId,
           email: user2.userData.email,
         },
-        activePairs: this.activePairs.size / 2,
-        waitingQueue: this.waitingQueue.length,
+        activePairs: await this.store.countPairs(),
+        waitingQueue: await this.store.getQueueSize(),
       });
 
       // Track successful pairing
       healthMonitor.trackConnection("pairing", "success", {
+        pairId: pairId,
         user1: user1.socketId,
         user2: user2.socketId,
         user1Email: user1.userData.email,
         user2Email: user2.userData.email,
         waitingTime: Date.now() - user1.joinedAt,
+        mode: mode,
+        strategy: this.matchStrategy.name,
+        matchScore: matchReason?.score,
       });
 
       // Notify both users
       this.io.to(user1.socketId).emit("paired", {
+        pairId: pairId,
         peerId: user2.socketId,
         initiator: true,
         pairedAt: Date.now(),
         partnerEmail: user2.userData.email,
+        matchReason: matchReason,
+        mode: mode,
+        media: media,
       });
 
       this.io.to(user2.socketId).emit("paired", {
+        pairId: pairId,
         peerId: user1.socketId,
         initiator: false,
         pairedAt: Date.now(),
         partnerEmail: user1.userData.email,
+        matchReason: matchReason,
+        mode: mode,
+        media: media,
       });
 
       // Also emit the new event for enhanced handling
       this.io.to(user1.socketId).emit("pairing:matched", {
+        pairId: pairId,
         peerId: user2.socketId,
         initiator: true,
         partnerEmail: user2.userData.email,
+        matchReason: matchReason,
+        mode: mode,
+        media: media,
       });
 
       this.io.to(user2.socketId).emit("pairing:matched", {
+        pairId: pairId,
         peerId: user1.socketId,
         initiator: false,
         partnerEmail: user1.userData.email,
+        matchReason: matchReason,
+        mode: mode,
+        media: media,
       });
     } catch (error) {
       logger.error("Error creating pair", {
@@ -343,11 +583,11 @@ class PairingManager {
       });
 
       // Return users to queue if they're still connected
-      if (this.isSocketConnected(user1.socketId)) {
-        this.waitingQueue.unshift(user1);
+      if (this.isMemberConnected(user1)) {
+        await this.store.enqueue(user1);
       }
-      if (this.isSocketConnected(user2.socketId)) {
-        this.waitingQueue.unshift(user2);
+      if (this.isMemberConnected(user2)) {
+        await this.store.enqueue(user2);
       }
 
       // Notify users of pairing error
@@ -360,26 +600,533 @@ class PairingManager {
     }
   }
 
-  handleDisconnect(socketId) {
+  toPairMember(user) {
+    return {
+      socketId: user.socketId,
+      nodeId: user.nodeId || this.nodeId,
+      userId: this.getUserKey(user),
+      email: user.userData?.email,
+    };
+  }
+
+  // The other member of a stored pair
+  getPairPeer(pair, socketId) {
+    return pair.members.find((member) => member.socketId !== socketId) || null;
+  }
+
+  // Recent partners and skip cooldowns for everyone about to be matched, so
+  // the strategy's synchronous canPair checks don't hit the store
+  async loadMatchHistory(users) {
+    const history = new Map();
+
+    await Promise.all(
+      users.map(async (user) => {
+        const userKey = this.getUserKey(user);
+        const [partners, cooldowns] = await Promise.all([
+          this.getRecentPartners(userKey),
+          this.store.getSkipCooldowns(userKey),
+          this.blockManager && this.blockManager.loadForUser(userKey),
+        ]);
+        history.set(userKey, { partners, cooldowns });
+      })
+    );
+
+    return history;
+  }
+
+  // Whether two queue entries are allowed to be matched right now
+  canPair(user1, user2, now = Date.now(), history = new Map()) {
+    if (
+      this.blockManager &&
+      this.blockManager.isBlocked(
+        this.getUserKey(user1),
+        this.getUserKey(user2)
+      )
+    ) {
+      return false;
+    }
+    if (this.isInSkipCooldown(user1, user2, now, history)) return false;
+
+    // Recent partners are only rematched when the queue would otherwise stall
+    if (this.isRecentPartner(user1, user2, now, history)) {
+      const longestWait = Math.max(
+        now - (user1.joinedAt || now),
+        now - (user2.joinedAt || now)
+      );
+      return longestWait >= this.stallAfter;
+    }
+
+    return true;
+  }
+
+  isInSkipCooldown(user1, user2, now = Date.now(), history = new Map()) {
+    const cooldowns = history.get(this.getUserKey(user1))?.cooldowns || {};
+    const expiresAt = cooldowns[this.getUserKey(user2)];
+    return !!expiresAt && expiresAt > now;
+  }
+
+  // History and cooldowns are keyed on user IDs so they survive a page reload
+  getUserKey(user) {
+    return user.userData?.userId || user.socketId;
+  }
+
+  getSocketUserKey(socket) {
+    return socket.userData?.userId || socket.userId || socket.id;
+  }
+
+  async recordRecentPartners(user1, user2, pairId = null, now = Date.now()) {
+    const addPartner = async (user, partner) => {
+      const userKey = this.getUserKey(user);
+      const partnerKey = this.getUserKey(partner);
+      const history = (await this.getRecentPartners(userKey, now)).filter(
+        (entry) => entry.userId !== partnerKey
+      );
+
+      history.unshift({
+        userId: partnerKey,
+        email: partner.userData?.email,
+        pairId: pairId,
+        pairedAt: now,
+      });
+      await this.store.setRecentPartners(
+        userKey,
+        history.slice(0, this.recentPartnerLimit),
+        this.recentPartnerTtl
+      );
+    };
+
+    await Promise.all([addPartner(user1, user2), addPartner(user2, user1)]);
+  }
+
+  // Most recent first, with expired entries pruned
+  async getRecentPartners(userKey, now = Date.now()) {
+    const history = await this.store.getRecentPartners(userKey);
+    return history.filter(
+      (entry) => now - entry.pairedAt < this.recentPartnerTtl
+    );
+  }
+
+  async getPairId(socketId) {
+    const pair = await this.store.getPairBySocket(socketId);
+    return pair ? pair.pairId : null;
+  }
+
+  // The current partner of a socket as
+  // { socketId, nodeId, userId, email, pairId, mode }
+  async getPeer(socketId) {
+    const pair = await this.store.getPairBySocket(socketId);
+    if (!pair) return null;
+
+    const peer = this.getPairPeer(pair, socketId);
+    return peer
+      ? {
+          ...peer,
+          pairId: pair.pairId,
+          mode: this.normalizeMode(pair.mode),
+        }
+      : null;
+  }
+
+  // Find a user's current or recent partner, optionally for a specific pair
+  async findPartner(userKey, pairId = null) {
+    const pairs = await this.store.listPairs();
+    for (const pair of pairs) {
+      if (pairId && pair.pairId !== pairId) continue;
+
+      const self = pair.members.find((member) => member.userId === userKey);
+      if (!self) continue;
+
+      const peer = this.getPairPeer(pair, self.socketId);
+      return {
+        pairId: pair.pairId,
+        userId: peer?.userId,
+        email: peer?.email,
+        active: true,
+      };
+    }
+
+    if (!pairId) return null;
+
+    const recent = (await this.getRecentPartners(userKey)).find(
+      (entry) => entry.pairId === pairId
+    );
+    return recent
+      ? {
+          pairId: recent.pairId,
+          userId: recent.userId,
+          email: recent.email,
+          active: false,
+        }
+      : null;
+  }
+
+  isRecentPartner(user1, user2, now = Date.now(), history = new Map()) {
+    const partnerKey = this.getUserKey(user2);
+    const partners = history.get(this.getUserKey(user1))?.partners || [];
+    return partners.some(
+      (entry) =>
+        entry.userId === partnerKey &&
+        now - entry.pairedAt < this.recentPartnerTtl
+    );
+  }
+
+  // Remove a pair without touching either socket's connection.
+  // Returns the peer's pair member, or null if there was no pair to end.
+  async endPair(socketId, reason) {
+    const pair = await this.store.getPairBySocket(socketId);
+    if (!pair || !(await this.store.deletePair(pair.pairId))) return null;
+
+    const peer = this.getPairPeer(pair, socketId);
+
+    logger.info("Pair ended", {
+      pairId: pair.pairId,
+      socketId: socketId,
+      peerId: peer?.socketId,
+      reason: reason,
+      activePairs: await this.store.countPairs(),
+    });
+
+    healthMonitor.trackConnection("pairing", "ended", {
+      pairId: pair.pairId,
+      socketId: socketId,
+      peerId: peer?.socketId,
+      reason: reason,
+    });
+
+    return peer;
+  }
+
+  // End the current pair and put both users straight back in the queue
+  async skipPartner(socket) {
+    const peer = await this.endPair(socket.id, "partner_skipped");
+    if (!peer) {
+      logger.warn("Skip requested without an active pair", {
+        socketId: socket.id,
+      });
+      socket.emit("pairing-error", {
+        message: "You don't have a partner to skip",
+        code: "NOT_PAIRED",
+      });
+      return false;
+    }
+
+    if (this.skipCooldown > 0) {
+      await this.store.addSkipCooldown(
+        this.getSocketUserKey(socket),
+        peer.userId,
+        this.skipCooldown
+      );
+    }
+
+    this.io.to(peer.socketId).emit("peer-disconnected", {
+      reason: "partner_skipped",
+      timestamp: Date.now(),
+    });
+
+    socket.emit("pairing:skipped", {
+      peerId: peer.socketId,
+      timestamp: Date.now(),
+    });
+
+    // The skipped partner goes back first so they don't lose their turn
+    await this.requeueMember(peer, "partner_skipped");
+    if (socket.connected) {
+      await this.addToQueue(socket, socket.userData);
+    }
+
+    return true;
+  }
+
+  // End a pair on moderation grounds, such as repeated chat filter hits.
+  // Both members hear why, are kept apart for the skip cooldown and go back
+  // in the queue.
+  async endPairForModeration(socket, reason) {
+    const peer = await this.endPair(socket.id, reason);
+    if (!peer) return false;
+
+    if (this.skipCooldown > 0) {
+      await this.store.addSkipCooldown(
+        this.getSocketUserKey(socket),
+        peer.userId,
+        this.skipCooldown
+      );
+    }
+
+    const notice = { reason: reason, timestamp: Date.now() };
+    this.io.to(peer.socketId).emit("peer-disconnected", notice);
+    socket.emit("peer-disconnected", notice);
+
+    await this.requeueMember(peer, reason);
+    if (socket.connected) {
+      await this.addToQueue(socket, socket.userData);
+    }
+
+    return true;
+  }
+
+  // End any active pair between a blocker and the user they just blocked.
+  // The blocked user only sees an ordinary "partner left" and is re-queued.
+  async handleBlock(blockerId, blockedId) {
+    let endedPairs = 0;
+
+    const pairs = await this.store.listPairs();
+    for (const pair of pairs) {
+      const blocker = pair.members.find(
+        (member) => member.userId === blockerId
+      );
+      const hasBlocked = pair.members.some(
+        (member) => member.userId === blockedId
+      );
+      if (!blocker || !hasBlocked) continue;
+
+      const peer = await this.endPair(blocker.socketId, "user_blocked");
+      if (!peer) continue;
+      endedPairs++;
+
+      this.io.to(blocker.socketId).emit("pairing:ended", {
+        reason: "user_blocked",
+        timestamp: Date.now(),
+      });
+      this.io.to(peer.socketId).emit("peer-disconnected", {
+        reason: "partner_left",
+        timestamp: Date.now(),
+      });
+
+      await this.requeueMember(peer, "partner_blocked");
+    }
+
+    return endedPairs;
+  }
+
+  // Put a former partner back in the queue, asking the instance that owns
+  // their socket to do it when that isn't us
+  async requeueMember(member, reason) {
+    if (member.nodeId && member.nodeId !== this.nodeId) {
+      try {
+        this.io.serverSideEmit("pairing:requeue", {
+          socketId: member.socketId,
+          reason: reason,
+        });
+      } catch (error) {
+        logger.warn("Could not ask another instance to re-queue peer", {
+          socketId: member.socketId,
+          nodeId: member.nodeId,
+          error: error.message,
+        });
+      }
+      return false;
+    }
+
+    const socket = this.userSockets.get(member.socketId);
+    if (!socket || !socket.connected) return false;
+
+    return this.requeueSocket(socket, reason);
+  }
+
+  async requeueSocket(socket, reason) {
+    healthMonitor.trackConnection("pairing", "requeued", {
+      socketId: socket.id,
+      reason: reason,
+    });
+
+    return this.addToQueue(socket, socket.userData);
+  }
+
+  // Entry point for socket "disconnect". Paired users who drop because of
+  // the network keep their pair for a grace period instead of losing it.
+  async handleSocketDisconnect(socket, reason) {
+    const userKey = socket.userId || socket.userData?.userId;
+    const pair = await this.store.getPairBySocket(socket.id);
+
+    if (
+      !pair ||
+      !userKey ||
+      this.reconnectGracePeriod <= 0 ||
+      !TRANSIENT_DISCONNECT_REASONS.includes(reason)
+    ) {
+      await this.handleDisconnect(socket.id);
+      return false;
+    }
+
+    const peer = this.getPairPeer(pair, socket.id);
+
+    // Kept past the grace period so the expiry timer always finds it
+    await this.store.reserveReconnect(
+      userKey,
+      {
+        socketId: socket.id,
+        pairId: pair.pairId,
+        disconnectedAt: Date.now(),
+      },
+      this.reconnectGracePeriod * 2
+    );
+
+    this.clearReconnectTimer(userKey);
+    this.reconnectTimers.set(
+      userKey,
+      setTimeout(() => {
+        this.runAsync("Reconnect expiry failed", () =>
+          this.expireReconnect(userKey)
+        );
+      }, this.reconnectGracePeriod)
+    );
+
+    logger.info("Holding pair for reconnecting user", {
+      socketId: socket.id,
+      userId: userKey,
+      peerId: peer?.socketId,
+      reason: reason,
+      graceMs: this.reconnectGracePeriod,
+    });
+
+    healthMonitor.trackConnection("pairing", "reconnect_pending", {
+      socketId: socket.id,
+      peerId: peer?.socketId,
+      reason: reason,
+    });
+
+    if (peer) {
+      this.io.to(peer.socketId).emit("peer-reconnecting", {
+        graceMs: this.reconnectGracePeriod,
+        timestamp: Date.now(),
+      });
+    }
+
+    return true;
+  }
+
+  // Hand a reserved pair over to the user's new socket
+  async resumePair(socket) {
+    const userKey = socket.userId || socket.userData?.userId;
+    if (!userKey) return false;
+
+    const pending = await this.store.claimReconnect(userKey);
+    if (!pending) return false;
+
+    this.clearReconnectTimer(userKey);
+
+    const oldSocketId = pending.socketId;
+    const pair = await this.store.getPairBySocket(oldSocketId);
+    const peer = pair && this.getPairPeer(pair, oldSocketId);
+    const peerAvailable =
+      peer &&
+      (this.isMemberConnected(peer) ||
+        (await this.store.isReconnectPending(peer.socketId)));
+
+    if (!peerAvailable) {
+      await this.handleDisconnect(oldSocketId);
+      socket.emit("peer-disconnected", {
+        reason: "partner_left",
+        timestamp: Date.now(),
+      });
+      return false;
+    }
+
+    // Swap the old socket ID for the new one everywhere the pair is tracked
+    const oldSocket = this.userSockets.get(oldSocketId);
+    socket.userData = { ...(oldSocket?.userData || {}), ...socket.userData };
+    await this.store.replacePairMember(pending.pairId, oldSocketId, {
+      socketId: socket.id,
+      nodeId: this.nodeId,
+      userId: userKey,
+      email: socket.userData.email || socket.userEmail,
+    });
+    this.userSockets.delete(oldSocketId);
+    this.userSockets.set(socket.id, socket);
+
+    const downtime = Date.now() - pending.disconnectedAt;
+    const mode = this.normalizeMode(pair.mode);
+
+    logger.info("Pair resumed after reconnect", {
+      socketId: socket.id,
+      previousSocketId: oldSocketId,
+      peerId: peer.socketId,
+      pairId: pending.pairId,
+      downtime: downtime,
+    });
+
+    healthMonitor.trackConnection("pairing", "resumed", {
+      socketId: socket.id,
+      peerId: peer.socketId,
+      downtime: downtime,
+    });
+
+    // The reconnecting side drives the ICE restart
+    socket.emit("pairing:resumed", {
+      pairId: pending.pairId,
+      peerId: peer.socketId,
+      partnerEmail: peer.email,
+      mode: mode,
+      media: this.getMediaForMode(mode),
+      initiator: true,
+      iceRestart: true,
+    });
+
+    this.io.to(peer.socketId).emit("peer-reconnected", {
+      pairId: pending.pairId,
+      peerId: socket.id,
+      mode: mode,
+      iceRestart: true,
+      timestamp: Date.now(),
+    });
+
+    return true;
+  }
+
+  // Grace period ran out: tear the pair down as a normal disconnect
+  async expireReconnect(userKey) {
+    this.reconnectTimers.delete(userKey);
+
+    // Null when the user already resumed, possibly on another instance
+    const pending = await this.store.claimReconnect(userKey);
+    if (!pending) return;
+
+    logger.info("Reconnect grace period expired", {
+      userId: userKey,
+      socketId: pending.socketId,
+    });
+
+    await this.handleDisconnect(pending.socketId);
+  }
+
+  clearReconnectTimer(userKey) {
+    const timeout = this.reconnectTimers.get(userKey);
+    if (timeout) {
+      clearTimeout(timeout);
+      this.reconnectTimers.delete(userKey);
+    }
+  }
+
+  async isAwaitingReconnect(socketId) {
+    return this.store.isReconnectPending(socketId);
+  }
+
+  async handleDisconnect(socketId) {
+    const wasInQueue = await this.isUserWaiting(socketId);
+    const pair = await this.store.getPairBySocket(socketId);
+
     logger.debug("Handling user disconnect", {
       socketId: socketId,
-      wasInQueue: this.isUserWaiting(socketId),
-      wasPaired: this.isUserPaired(socketId),
+      wasInQueue: wasInQueue,
+      wasPaired: !!pair,
     });
 
     // Track disconnection
     healthMonitor.trackConnection("socket", "disconnect", {
       socketId: socketId,
-      wasInQueue: this.isUserWaiting(socketId),
-      wasPaired: this.isUserPaired(socketId),
+      wasInQueue: wasInQueue,
+      wasPaired: !!pair,
     });
 
-    this.removeFromQueue(socketId);
+    await this.removeFromQueue(socketId);
     this.clearPairingTimeout(socketId);
     this.userJoinTimes.delete(socketId);
 
-    const peerId = this.activePairs.get(socketId);
-    if (peerId) {
+    // Only the caller that actually deletes the pair notifies the peer
+    const peer = pair && this.getPairPeer(pair, socketId);
+    if (peer && (await this.store.deletePair(pair.pairId))) {
+      const peerId = peer.socketId;
+
       // Notify peer about disconnection
       logger.info("Notifying peer about disconnection", {
         disconnectedUser: socketId,
@@ -398,31 +1145,19 @@ class PairingManager {
         timestamp: Date.now(),
       });
 
-      // Clean up pair
-      this.activePairs.delete(socketId);
-      this.activePairs.delete(peerId);
-
       logger.info("Pair disconnected and cleaned up", {
         socketId: socketId,
         peerId: peerId,
-        activePairs: this.activePairs.size / 2,
+        activePairs: await this.store.countPairs(),
       });
 
       // Add peer back to queue if they're still connected
-      const peerSocket = this.userSockets.get(peerId);
-      if (peerSocket && peerSocket.connected) {
+      if (this.isMemberConnected(peer)) {
         logger.info("Adding disconnected peer back to queue", {
           peerId: peerId,
         });
 
-        // Track peer re-queueing
-        healthMonitor.trackConnection("pairing", "requeued", {
-          socketId: peerId,
-          reason: "partner_disconnected",
-        });
-
-        const userData = peerSocket.userData;
-        this.addToQueue(peerSocket, userData);
+        await this.requeueMember(peer, "partner_disconnected");
       }
     }
 
@@ -436,24 +1171,27 @@ class PairingManager {
   }
 
   // Utility methods
-  isUserWaiting(socketId) {
-    return this.waitingQueue.some((user) => user.socketId === socketId);
+  async isUserWaiting(socketId) {
+    return !!(await this.store.getQueueEntry(socketId));
   }
 
-  isUserPaired(socketId) {
-    return this.activePairs.has(socketId);
+  async isUserPaired(socketId) {
+    return !!(await this.store.getPairBySocket(socketId));
   }
 
   isSocketConnected(socketId) {
     const socket = this.userSockets.get(socketId);
-    return socket && socket.connected;
+    return !!socket && socket.connected;
   }
 
-  removeFromQueue(socketId) {
-    const initialLength = this.waitingQueue.length;
-    this.waitingQueue = this.waitingQueue.filter(
-      (user) => user.socketId !== socketId
-    );
+  // Sockets on other instances are cleaned up by the instance that owns them
+  isMemberConnected(member) {
+    if (member.nodeId && member.nodeId !== this.nodeId) return true;
+    return this.isSocketConnected(member.socketId);
+  }
+
+  async removeFromQueue(socketId) {
+    const removed = await this.store.removeFromQueue(socketId);
 
     // Clear timeout and interval for this socket
     this.clearPairingTimeout(socketId);
@@ -462,23 +1200,24 @@ class PairingManager {
       clearInterval(socket.encouragementInterval);
     }
 
-    if (this.waitingQueue.length !== initialLength) {
+    if (removed) {
       logger.debug("User removed from queue", {
         socketId: socketId,
-        previousQueueSize: initialLength,
-        newQueueSize: this.waitingQueue.length,
+        newQueueSize: await this.store.getQueueSize(),
       });
 
       // Update queue positions after removal
-      this.updateQueuePositions();
+      await this.updateQueuePositions();
     }
 
-    return initialLength !== this.waitingQueue.length;
+    return !!removed;
   }
 
   setPairingTimeout(socket) {
     const timeout = setTimeout(() => {
-      this.handlePairingTimeout(socket.id);
+      this.runAsync("Pairing timeout handling failed", () =>
+        this.handlePairingTimeout(socket.id)
+      );
     }, this.pairingTimeout);
 
     this.pairingTimeouts.set(socket.id, timeout);
@@ -508,8 +1247,8 @@ class PairingManager {
   }
 
   // UPDATED: Handle pairing timeout with better messaging
-  handlePairingTimeout(socketId) {
-    const wasInQueue = this.removeFromQueue(socketId);
+  async handlePairingTimeout(socketId) {
+    const wasInQueue = await this.removeFromQueue(socketId);
 
     logger.info("Pairing timeout occurred", {
       socketId: socketId,
@@ -550,31 +1289,47 @@ class PairingManager {
 
     logger.info("User notified of pairing timeout", {
       socketId: socketId,
-      remainingQueue: this.waitingQueue.length,
+      remainingQueue: await this.store.getQueueSize(),
     });
   }
 
-  updateQueuePositions() {
-    this.waitingQueue.forEach((user, index) => {
-      const socket = this.userSockets.get(user.socketId);
-      if (socket && socket.connected) {
-        const position = index + 1;
-        const estimatedWait = this.calculateEstimatedWait(position);
-
-        socket.emit("queue-update", {
-          position: position,
-          queueSize: this.waitingQueue.length,
-          estimatedWait: estimatedWait,
-          waitingTime: Date.now() - user.joinedAt,
-        });
+  // Positions are counted within each user's own mode
+  async updateQueuePositions() {
+    const queues = await this.getQueuesByMode();
 
-        logger.debug("Queue position updated", {
-          socketId: user.socketId,
-          position: position,
-          queueSize: this.waitingQueue.length,
-          estimatedWait: estimatedWait,
-        });
+    Object.entries(queues).forEach(([mode, queue]) => {
+      this.notifyQueuePositions(mode, queue);
+    });
+  }
+
+  notifyQueuePositions(mode, queue) {
+    queue.forEach((user, index) => {
+      if (!this.isMemberConnected(user)) return;
+
+      const position = index + 1;
+      const estimatedWait = this.calculateEstimatedWait(position);
+      const update = {
+        mode: mode,
+        position: position,
+        queueSize: queue.length,
+        estimatedWait: estimatedWait,
+        waitingTime: Date.now() - user.joinedAt,
+      };
+
+      const socket = this.userSockets.get(user.socketId);
+      if (socket) {
+        socket.emit("queue-update", update);
+      } else {
+        this.io.to(user.socketId).emit("queue-update", update);
       }
+
+      logger.debug("Queue position updated", {
+        socketId: user.socketId,
+        mode: mode,
+        position: position,
+        queueSize: queue.length,
+        estimatedWait: estimatedWait,
+      });
     });
   }
 
@@ -593,166 +1348,173 @@ class PairingManager {
   }
 
   // NEW: Enhanced queue status method for API
-  getDetailedQueueStatus() {
+  async getDetailedQueueStatus() {
+    const [queues, pairs] = await Promise.all([
+      this.getQueuesByMode(),
+      this.store.listPairs(),
+    ]);
+    const queue = Object.values(queues)
+      .flat()
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+
     return {
-      waiting: this.waitingQueue.length,
-      paired: this.activePairs.size / 2,
+      waiting: queue.length,
+      paired: pairs.length,
       totalUsers: this.userSockets.size,
-      usersInQueue: this.waitingQueue.map((user) => ({
-        email: user.userData?.email,
-        socketId: user.socketId,
-        joinTime: user.joinedAt,
-        waitTime: Math.floor((Date.now() - user.joinedAt) / 1000),
-      })),
-      activePairs: Array.from(this.activePairs.entries()).reduce(
-        (pairs, [key, value]) => {
-          if (key < value) {
-            // Avoid duplicates
-            const user1Socket = this.userSockets.get(key);
-            const user2Socket = this.userSockets.get(value);
-            pairs.push({
-              user1: key,
-              user2: value,
-              user1Email: user1Socket?.userData?.email || "unknown",
-              user2Email: user2Socket?.userData?.email || "unknown",
-            });
-          }
-          return pairs;
-        },
-        []
+      queues: this.countByMode(queues),
+      usersInQueue: await Promise.all(
+        queue.map(async (user) => ({
+          email: user.userData?.email,
+          socketId: user.socketId,
+          mode: user.mode,
+          joinTime: user.joinedAt,
+          waitTime: Math.floor((Date.now() - user.joinedAt) / 1000),
+          recentPartners: await this.getRecentPartners(this.getUserKey(user)),
+        }))
       ),
+      activePairs: pairs.map((pair) => this.describePair(pair)),
     };
   }
 
-  getQueueStatus() {
+  async getQueueStatus() {
+    const [queues, pairs] = await Promise.all([
+      this.getQueuesByMode(),
+      this.store.listPairs(),
+    ]);
+    const queue = Object.values(queues)
+      .flat()
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+
     return {
-      waitingUsers: this.waitingQueue.length,
-      activePairs: this.activePairs.size / 2,
+      waitingUsers: queue.length,
+      activePairs: pairs.length,
       totalUsers: this.userSockets.size,
-      averageWaitTime: this.calculateAverageWaitTime(),
-      queue: this.waitingQueue.map((user) => ({
+      averageWaitTime: this.calculateAverageWaitTime(queue),
+      queues: this.countByMode(queues),
+      queue: queue.map((user) => ({
         socketId: user.socketId,
         email: user.userData.email,
+        mode: user.mode,
         waitingTime: Date.now() - user.joinedAt,
         joinedAt: user.joinedAt,
       })),
-      activePairsList: Array.from(this.activePairs.entries()).reduce(
-        (pairs, [key, value]) => {
-          if (key < value) {
-            // Avoid duplicates
-            const user1Socket = this.userSockets.get(key);
-            const user2Socket = this.userSockets.get(value);
-
-            pairs.push({
-              user1: key,
-              user2: value,
-              user1Email: user1Socket?.userData?.email || "unknown",
-              user2Email: user2Socket?.userData?.email || "unknown",
-            });
-          }
-          return pairs;
-        },
-        []
-      ),
+      activePairsList: pairs.map((pair) => this.describePair(pair)),
+    };
+  }
+
+  describePair(pair) {
+    const [user1, user2] = pair.members;
+    return {
+      pairId: pair.pairId,
+      mode: this.normalizeMode(pair.mode),
+      user1: user1.socketId,
+      user2: user2.socketId,
+      user1Email: user1.email || "unknown",
+      user2Email: user2.email || "unknown",
     };
   }
 
-  calculateAverageWaitTime() {
-    if (this.waitingQueue.length === 0) return 0;
+  calculateAverageWaitTime(queue) {
+    if (queue.length === 0) return 0;
 
-    const totalWaitTime = this.waitingQueue.reduce((total, user) => {
+    const totalWaitTime = queue.reduce((total, user) => {
       return total + (Date.now() - user.joinedAt);
     }, 0);
 
-    return Math.round(totalWaitTime / this.waitingQueue.length / 1000); // in seconds
+    return Math.round(totalWaitTime / queue.length / 1000); // in seconds
   }
 
   // Method to manually remove user (for admin purposes)
-  removeUser(socketId) {
+  async removeUser(socketId) {
     logger.warn("Manual user removal requested", { socketId: socketId });
-    this.handleDisconnect(socketId);
+    await this.handleDisconnect(socketId);
   }
 
   // Get user statistics
-  getUserStats(socketId) {
-    const inQueue = this.isUserWaiting(socketId);
-    const pairedWith = this.activePairs.get(socketId);
+  async getUserStats(socketId) {
+    const [entry, pairCount, peer] = await Promise.all([
+      this.store.getQueueEntry(socketId),
+      this.store.countPairs(),
+      this.getPeer(socketId),
+    ]);
+    const inQueue = !!entry;
+    const queue = inQueue ? await this.store.getQueue(entry.mode) : [];
+    const queueIndex = queue.findIndex((user) => user.socketId === socketId);
+    const socket = this.userSockets.get(socketId);
+    const userKey = socket ? this.getSocketUserKey(socket) : socketId;
 
     return {
       inQueue: inQueue,
-      queuePosition: inQueue
-        ? this.waitingQueue.findIndex((user) => user.socketId === socketId) + 1
-        : null,
-      pairedWith: pairedWith,
-      isPaired: !!pairedWith,
-      waitingTime: inQueue
-        ? Date.now() -
-          this.waitingQueue.find((user) => user.socketId === socketId).joinedAt
-        : null,
-      totalQueueSize: this.waitingQueue.length,
-      activePairsCount: this.activePairs.size / 2,
+      mode: entry?.mode || peer?.mode || null,
+      queuePosition: inQueue ? queueIndex + 1 : null,
+      pairedWith: peer?.socketId,
+      isPaired: !!peer,
+      waitingTime: inQueue ? Date.now() - entry.joinedAt : null,
+      totalQueueSize: await this.store.getQueueSize(),
+      activePairsCount: pairCount,
+      recentPartners: await this.getRecentPartners(userKey),
     };
   }
 
-  // Clean up method for orphaned users
-  cleanupOrphanedUsers() {
+  // Clean up method for orphaned users. Entries owned by other instances
+  // are only removed once they are too old to be real.
+  async cleanupOrphanedUsers() {
     const now = Date.now();
     const orphanTimeout = 5 * 60 * 1000; // 5 minutes
 
     let cleanedCount = 0;
 
     // Clean orphaned queue users
-    this.waitingQueue = this.waitingQueue.filter((user) => {
-      const socket = this.userSockets.get(user.socketId);
+    const queue = await this.store.getQueue();
+    for (const user of queue) {
       const isOrphaned =
-        !socket || !socket.connected || now - user.joinedAt > orphanTimeout;
+        !this.isMemberConnected(user) || now - user.joinedAt > orphanTimeout;
+      if (!isOrphaned) continue;
 
-      if (isOrphaned) {
-        logger.warn("Cleaning orphaned queue user", {
-          socketId: user.socketId,
-          joinedAt: user.joinedAt,
-          waitingTime: now - user.joinedAt,
-        });
+      logger.warn("Cleaning orphaned queue user", {
+        socketId: user.socketId,
+        joinedAt: user.joinedAt,
+        waitingTime: now - user.joinedAt,
+      });
 
-        this.clearPairingTimeout(user.socketId);
-        this.userSockets.delete(user.socketId);
-        this.userJoinTimes.delete(user.socketId);
-        cleanedCount++;
-        return false;
-      }
-      return true;
-    });
+      await this.store.removeFromQueue(user.socketId);
+      this.clearPairingTimeout(user.socketId);
+      this.userSockets.delete(user.socketId);
+      this.userJoinTimes.delete(user.socketId);
+      cleanedCount++;
+    }
 
     // Clean orphaned pairs
-    const pairsToRemove = [];
-    this.activePairs.forEach((peerId, socketId) => {
-      const socket = this.userSockets.get(socketId);
-      if (!socket || !socket.connected) {
-        pairsToRemove.push(socketId);
-      }
-    });
+    const pairs = await this.store.listPairs();
+    for (const pair of pairs) {
+      for (const member of pair.members) {
+        if (this.isMemberConnected(member)) continue;
+        if (await this.isAwaitingReconnect(member.socketId)) continue;
 
-    pairsToRemove.forEach((socketId) => {
-      this.handleDisconnect(socketId);
-      cleanedCount++;
-    });
+        await this.handleDisconnect(member.socketId);
+        cleanedCount++;
+        break;
+      }
+    }
 
     if (cleanedCount > 0) {
       logger.info("Cleanup completed", {
         orphanedUsersRemoved: cleanedCount,
-        remainingQueue: this.waitingQueue.length,
-        remainingPairs: this.activePairs.size / 2,
+        remainingQueue: await this.store.getQueueSize(),
+        remainingPairs: await this.store.countPairs(),
       });
     }
 
     return cleanedCount;
   }
 
-  // Emergency reset method
-  emergencyReset() {
+  // Emergency reset method. Clears the shared store for every instance.
+  async emergencyReset() {
+    const queue = await this.store.getQueue();
+
     logger.warn("EMERGENCY RESET INITIATED", {
-      queueSize: this.waitingQueue.length,
-      activePairs: this.activePairs.size / 2,
+      queueSize: queue.length,
+      activePairs: await this.store.countPairs(),
       totalUsers: this.userSockets.size,
     });
 
@@ -760,6 +1522,7 @@ class PairingManager {
     this.pairingTimeouts.forEach((timeout, socketId) => {
       clearTimeout(timeout);
     });
+    this.reconnectTimers.forEach((timeout) => clearTimeout(timeout));
 
     // Clear all encouragement intervals
     this.userSockets.forEach((socket) => {
@@ -769,7 +1532,7 @@ class PairingManager {
     });
 
     // Notify all users
-    this.waitingQueue.forEach((user) => {
+    queue.forEach((user) => {
       const socket = this.userSockets.get(user.socketId);
       if (socket) {
         socket.emit("system-reset", {
@@ -780,11 +1543,11 @@ class PairingManager {
     });
 
     // Reset all state
-    this.waitingQueue = [];
-    this.activePairs.clear();
+    await this.store.clear();
     this.pairingTimeouts.clear();
     this.userSockets.clear();
     this.userJoinTimes.clear();
+    this.reconnectTimers.clear();
 
     logger.warn("EMERGENCY RESET COMPLETED");
   }
@@ -0,0 +1,20 @@
+const MemoryPairingStore = require("./memoryStore");
+const RedisPairingStore = require("./redisStore");
+
+// A pairing store holds everything two server instances need to agree on:
+// the per-mode waiting queues, active pairs, reconnect reservations, recent
+// partners, skip cooldowns, media encryption state, chat message receipts
+// and the matching lock. Every method returns a promise.
+// Timers and socket objects stay with the instance that owns the socket.
+function createPairingStore({ redisClient, prefix } = {}) {
+  if (redisClient) {
+    return new RedisPairingStore(redisClient, { prefix });
+  }
+  return new MemoryPairingStore();
+}
+
+module.exports = {
+  createPairingStore,
+  MemoryPairingStore,
+  RedisPairingStore,
+};
@@ -0,0 +1,352 @@
+const crypto = require("crypto");
+
+// Single-process pairing state. Every method is async so it can be swapped
+// for the Redis store without touching PairingManager.
+class MemoryPairingStore {
+  constructor() {
+    this.name = "memory";
+    this.queue = [];
+    this.pairs = new Map(); // pairId -> pair
+    this.pairSockets = new Map(); // socketId -> pairId
+    this.reconnects = new Map(); // userId -> { reservation, expiresAt }
+    this.history = new Map(); // userId -> { partners, expiresAt }
+    this.cooldowns = new Map(); // userId -> Map of partnerId -> expiresAt
+    this.locks = new Map(); // name -> { token, expiresAt }
+    // pairId -> { state, ready, verifiedBy, expiresAt } for media E2EE
+    this.encryption = new Map();
+    // id -> { message, states, expiresAt } in send order
+    this.chatMessages = new Map();
+    this.chatClientIds = new Map(); // "userId:clientMessageId" -> id
+  }
+
+  // Queue. Entries carry a `mode`; passing one to the getters narrows them
+  // to that mode's queue, leaving it out covers every mode.
+
+  // Returns the entry's position within its own mode's queue
+  async enqueue(entry) {
+    this.queue.push({ ...entry });
+    this.queue.sort((a, b) => a.joinedAt - b.joinedAt);
+    return (
+      this.queue
+        .filter((item) => item.mode === entry.mode)
+        .findIndex((item) => item.socketId === entry.socketId) + 1
+    );
+  }
+
+  async removeFromQueue(socketId) {
+    const index = this.queue.findIndex((item) => item.socketId === socketId);
+    if (index === -1) return null;
+    return this.queue.splice(index, 1)[0];
+  }
+
+  async getQueue(mode) {
+    return this.queue
+      .filter((entry) => !mode || entry.mode === mode)
+      .map((entry) => ({ ...entry }));
+  }
+
+  async getQueueEntry(socketId) {
+    const entry = this.queue.find((item) => item.socketId === socketId);
+    return entry ? { ...entry } : null;
+  }
+
+  async getQueueSize(mode) {
+    return (await this.getQueue(mode)).length;
+  }
+
+  // Pairs
+
+  async savePair(pair) {
+    this.pairs.set(pair.pairId, clone(pair));
+    pair.members.forEach((member) => {
+      this.pairSockets.set(member.socketId, pair.pairId);
+    });
+  }
+
+  async getPairBySocket(socketId) {
+    const pairId = this.pairSockets.get(socketId);
+    const pair = pairId && this.pairs.get(pairId);
+    return pair ? clone(pair) : null;
+  }
+
+  // Returns the removed pair, or null if it was already gone
+  async deletePair(pairId) {
+    const pair = this.pairs.get(pairId);
+    if (!pair) return null;
+
+    this.pairs.delete(pairId);
+    pair.members.forEach((member) => {
+      this.pairSockets.delete(member.socketId);
+    });
+    return pair;
+  }
+
+  async replacePairMember(pairId, oldSocketId, member) {
+    const pair = this.pairs.get(pairId);
+    if (!pair) return null;
+
+    pair.members = pair.members.map((existing) =>
+      existing.socketId === oldSocketId ? { ...member } : existing
+    );
+    this.pairSockets.delete(oldSocketId);
+    this.pairSockets.set(member.socketId, pairId);
+    return clone(pair);
+  }
+
+  async listPairs() {
+    return Array.from(this.pairs.values()).map(clone);
+  }
+
+  async countPairs() {
+    return this.pairs.size;
+  }
+
+  // Reconnect reservations
+
+  async reserveReconnect(userId, reservation, ttlMs) {
+    this.reconnects.set(userId, {
+      reservation: { ...reservation },
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  // Take a reservation so only one socket can resume it
+  async claimReconnect(userId) {
+    const entry = this.reconnects.get(userId);
+    this.reconnects.delete(userId);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.reservation;
+  }
+
+  async isReconnectPending(socketId) {
+    const now = Date.now();
+    for (const entry of this.reconnects.values()) {
+      if (entry.reservation.socketId === socketId && entry.expiresAt > now) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Match history
+
+  async getRecentPartners(userId) {
+    const entry = this.history.get(userId);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.history.delete(userId);
+      return [];
+    }
+    return entry.partners.map((partner) => ({ ...partner }));
+  }
+
+  async setRecentPartners(userId, partners, ttlMs) {
+    if (partners.length === 0) {
+      this.history.delete(userId);
+      return;
+    }
+    this.history.set(userId, {
+      partners: partners.map((partner) => ({ ...partner })),
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  async addSkipCooldown(userId1, userId2, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    [
+      [userId1, userId2],
+      [userId2, userId1],
+    ].forEach(([userId, partnerId]) => {
+      if (!this.cooldowns.has(userId)) {
+        this.cooldowns.set(userId, new Map());
+      }
+      this.cooldowns.get(userId).set(partnerId, expiresAt);
+    });
+  }
+
+  // partnerId -> expiresAt for cooldowns that are still running
+  async getSkipCooldowns(userId) {
+    const cooldowns = this.cooldowns.get(userId);
+    if (!cooldowns) return {};
+
+    const now = Date.now();
+    const active = {};
+    cooldowns.forEach((expiresAt, partnerId) => {
+      if (expiresAt > now) {
+        active[partnerId] = expiresAt;
+      } else {
+        cooldowns.delete(partnerId);
+      }
+    });
+    if (cooldowns.size === 0) this.cooldowns.delete(userId);
+    return active;
+  }
+
+  // Media encryption. Each pair has a decided { encrypted, reason } state
+  // once known, the sockets that reported "ready" and that verified the
+  // safety number, and the users whose chat key was relayed.
+
+  async resetEncryption(pairId, ttlMs) {
+    this.encryption.set(pairId, {
+      state: null,
+      ready: new Set(),
+      verifiedBy: new Set(),
+      chatKeys: new Set(),
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  // { encrypted, reason, ready, verifiedBy, chatKeys }, or null for no
+  // state
+  async getEncryption(pairId) {
+    const entry = this.readEncryption(pairId);
+    if (!entry) return null;
+
+    return {
+      encrypted: entry.state ? entry.state.encrypted : false,
+      reason: entry.state ? entry.state.reason : null,
+      ready: Array.from(entry.ready),
+      verifiedBy: Array.from(entry.verifiedBy),
+      chatKeys: Array.from(entry.chatKeys),
+    };
+  }
+
+  // Adds a socket to the "ready" or "verifiedBy" list, or a user to
+  // "chatKeys". Returns { added, count }, with `added` false if it was
+  // already there.
+  async addEncryptionMember(pairId, list, memberId, ttlMs) {
+    const entry = this.touchEncryption(pairId, ttlMs);
+    const added = !entry[list].has(memberId);
+    entry[list].add(memberId);
+    return { added: added, count: entry[list].size };
+  }
+
+  // Returns true if no state had been decided since the last reset
+  async setEncryptionState(pairId, state, ttlMs) {
+    const entry = this.touchEncryption(pairId, ttlMs);
+    const decided = entry.state === null;
+    entry.state = { encrypted: state.encrypted, reason: state.reason };
+    return decided;
+  }
+
+  async deleteEncryption(pairId) {
+    this.encryption.delete(pairId);
+  }
+
+  readEncryption(pairId) {
+    const entry = this.encryption.get(pairId);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.encryption.delete(pairId);
+      return null;
+    }
+    return entry || null;
+  }
+
+  touchEncryption(pairId, ttlMs) {
+    if (!this.readEncryption(pairId)) {
+      this.encryption.set(pairId, {
+        state: null,
+        ready: new Set(),
+        verifiedBy: new Set(),
+        chatKeys: new Set(),
+      });
+    }
+    const entry = this.encryption.get(pairId);
+    entry.expiresAt = Date.now() + ttlMs;
+    return entry;
+  }
+
+  // Chat messages. `message` is { id, pairId, fromUserId, clientMessageId,
+  // sentAt }; `states` are the receipt states it has been marked with.
+
+  async saveChatMessage(message, ttlMs) {
+    this.sweepChatMessages();
+    this.chatMessages.set(message.id, {
+      message: { ...message },
+      states: new Set(["sent"]),
+      expiresAt: Date.now() + ttlMs,
+    });
+    if (message.clientMessageId) {
+      this.chatClientIds.set(
+        `${message.fromUserId}:${message.clientMessageId}`,
+        message.id
+      );
+    }
+  }
+
+  // The message with its `states`, or null once it has expired
+  async getChatMessage(id) {
+    const entry = this.chatMessages.get(id);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { ...entry.message, states: Array.from(entry.states) };
+  }
+
+  async findChatMessage(userId, clientMessageId) {
+    const id = this.chatClientIds.get(`${userId}:${clientMessageId}`);
+    return id ? this.getChatMessage(id) : null;
+  }
+
+  // Marks a message with a state. Returns the states it had before, or
+  // null if the message is unknown.
+  async markChatMessage(id, state) {
+    const entry = this.chatMessages.get(id);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+
+    const before = Array.from(entry.states);
+    entry.states.add(state);
+    return before;
+  }
+
+  // Every message gets the same TTL, so the expired ones are the oldest
+  sweepChatMessages() {
+    const now = Date.now();
+    for (const [id, entry] of this.chatMessages) {
+      if (entry.expiresAt > now) break;
+
+      this.chatMessages.delete(id);
+      const { fromUserId, clientMessageId } = entry.message;
+      if (clientMessageId) {
+        this.chatClientIds.delete(`${fromUserId}:${clientMessageId}`);
+      }
+    }
+  }
+
+  // Locks
+
+  // Returns a token for releaseLock(), or null if someone else holds it
+  async acquireLock(name, ttlMs) {
+    const lock = this.locks.get(name);
+    if (lock && lock.expiresAt > Date.now()) return null;
+
+    const token = crypto.randomUUID();
+    this.locks.set(name, { token, expiresAt: Date.now() + ttlMs });
+    return token;
+  }
+
+  async releaseLock(name, token) {
+    if (this.locks.get(name)?.token === token) {
+      this.locks.delete(name);
+    }
+  }
+
+  async clear() {
+    this.queue = [];
+    this.pairs.clear();
+    this.pairSockets.clear();
+    this.reconnects.clear();
+    this.history.clear();
+    this.cooldowns.clear();
+    this.locks.clear();
+    this.encryption.clear();
+    this.chatMessages.clear();
+    this.chatClientIds.clear();
+  }
+}
+
+function clone(pair) {
+  return {
+    ...pair,
+    members: pair.members.map((member) => ({ ...member })),
+  };
+}
+
+module.exports = MemoryPairingStore;
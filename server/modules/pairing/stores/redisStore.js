@@ -0,0 +1,416 @@
+const crypto = require("crypto");
+
+// Pairing state shared by every server instance through Redis.
+// Queue order is kept in sorted sets scored by join time, with the entries
+// themselves in a hash; pairs are stored whole and indexed by socket ID.
+class RedisPairingStore {
+  constructor(redisClient, options = {}) {
+    this.name = "redis";
+    this.client = redisClient;
+    this.prefix = options.prefix || "pairing:";
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(":");
+  }
+
+  // Queue. Every entry is in the combined `queue` set and in its mode's
+  // `queue:mode:<mode>` set, so either can be read in join order.
+
+  queueKey(mode) {
+    return mode ? this.key("queue", "mode", mode) : this.key("queue");
+  }
+
+  // Returns the entry's position within its own mode's queue
+  async enqueue(entry) {
+    await this.client
+      .multi()
+      .hset(
+        this.key("queue", "entries"),
+        entry.socketId,
+        JSON.stringify(entry)
+      )
+      .zadd(this.queueKey(), entry.joinedAt, entry.socketId)
+      .zadd(this.queueKey(entry.mode), entry.joinedAt, entry.socketId)
+      .exec();
+
+    const rank = await this.client.zrank(
+      this.queueKey(entry.mode),
+      entry.socketId
+    );
+    return rank === null ? 0 : rank + 1;
+  }
+
+  async removeFromQueue(socketId) {
+    const entry = await this.client.hget(
+      this.key("queue", "entries"),
+      socketId
+    );
+    if (!entry) return null;
+
+    const parsed = JSON.parse(entry);
+    const results = await this.client
+      .multi()
+      .hdel(this.key("queue", "entries"), socketId)
+      .zrem(this.queueKey(), socketId)
+      .zrem(this.queueKey(parsed.mode), socketId)
+      .exec();
+
+    // Another instance removed it first
+    if (results[0][1] === 0) return null;
+    return parsed;
+  }
+
+  async getQueue(mode) {
+    const socketIds = await this.client.zrange(this.queueKey(mode), 0, -1);
+    if (socketIds.length === 0) return [];
+
+    const entries = await this.client.hmget(
+      this.key("queue", "entries"),
+      ...socketIds
+    );
+    return entries.filter(Boolean).map((entry) => JSON.parse(entry));
+  }
+
+  async getQueueEntry(socketId) {
+    const entry = await this.client.hget(
+      this.key("queue", "entries"),
+      socketId
+    );
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async getQueueSize(mode) {
+    return this.client.zcard(this.queueKey(mode));
+  }
+
+  // Pairs
+
+  async savePair(pair) {
+    const pipeline = this.client
+      .multi()
+      .hset(this.key("pairs"), pair.pairId, JSON.stringify(pair));
+    pair.members.forEach((member) => {
+      pipeline.hset(this.key("pairs", "sockets"), member.socketId, pair.pairId);
+    });
+    await pipeline.exec();
+  }
+
+  async getPairBySocket(socketId) {
+    const pairId = await this.client.hget(
+      this.key("pairs", "sockets"),
+      socketId
+    );
+    if (!pairId) return null;
+
+    const pair = await this.client.hget(this.key("pairs"), pairId);
+    return pair ? JSON.parse(pair) : null;
+  }
+
+  // Returns the removed pair, or null if it was already gone
+  async deletePair(pairId) {
+    const pair = await this.client.hget(this.key("pairs"), pairId);
+    if (!pair) return null;
+
+    const parsed = JSON.parse(pair);
+    const results = await this.client
+      .multi()
+      .hdel(this.key("pairs"), pairId)
+      .hdel(
+        this.key("pairs", "sockets"),
+        ...parsed.members.map((member) => member.socketId)
+      )
+      .exec();
+
+    // Only the instance that actually deleted it gets to tear it down
+    return results[0][1] === 0 ? null : parsed;
+  }
+
+  async replacePairMember(pairId, oldSocketId, member) {
+    const pair = await this.client.hget(this.key("pairs"), pairId);
+    if (!pair) return null;
+
+    const parsed = JSON.parse(pair);
+    parsed.members = parsed.members.map((existing) =>
+      existing.socketId === oldSocketId ? { ...member } : existing
+    );
+
+    await this.client
+      .multi()
+      .hset(this.key("pairs"), pairId, JSON.stringify(parsed))
+      .hdel(this.key("pairs", "sockets"), oldSocketId)
+      .hset(this.key("pairs", "sockets"), member.socketId, pairId)
+      .exec();
+    return parsed;
+  }
+
+  async listPairs() {
+    const pairs = await this.client.hvals(this.key("pairs"));
+    return pairs.map((pair) => JSON.parse(pair));
+  }
+
+  async countPairs() {
+    return this.client.hlen(this.key("pairs"));
+  }
+
+  // Reconnect reservations
+
+  async reserveReconnect(userId, reservation, ttlMs) {
+    await this.client
+      .multi()
+      .set(
+        this.key("reconnect", userId),
+        JSON.stringify(reservation),
+        "PX",
+        ttlMs
+      )
+      .set(
+        this.key("reconnect-socket", reservation.socketId),
+        userId,
+        "PX",
+        ttlMs
+      )
+      .exec();
+  }
+
+  // Take a reservation so only one socket can resume it
+  async claimReconnect(userId) {
+    const results = await this.client
+      .multi()
+      .get(this.key("reconnect", userId))
+      .del(this.key("reconnect", userId))
+      .exec();
+
+    const reservation = results[0][1];
+    if (!reservation) return null;
+
+    const parsed = JSON.parse(reservation);
+    await this.client.del(this.key("reconnect-socket", parsed.socketId));
+    return parsed;
+  }
+
+  async isReconnectPending(socketId) {
+    const exists = await this.client.exists(
+      this.key("reconnect-socket", socketId)
+    );
+    return exists === 1;
+  }
+
+  // Match history
+
+  async getRecentPartners(userId) {
+    const partners = await this.client.get(this.key("history", userId));
+    return partners ? JSON.parse(partners) : [];
+  }
+
+  async setRecentPartners(userId, partners, ttlMs) {
+    if (partners.length === 0) {
+      await this.client.del(this.key("history", userId));
+      return;
+    }
+    await this.client.set(
+      this.key("history", userId),
+      JSON.stringify(partners),
+      "PX",
+      ttlMs
+    );
+  }
+
+  async addSkipCooldown(userId1, userId2, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    await this.client
+      .multi()
+      .hset(this.key("cooldowns", userId1), userId2, expiresAt)
+      .pexpire(this.key("cooldowns", userId1), ttlMs)
+      .hset(this.key("cooldowns", userId2), userId1, expiresAt)
+      .pexpire(this.key("cooldowns", userId2), ttlMs)
+      .exec();
+  }
+
+  // partnerId -> expiresAt for cooldowns that are still running
+  async getSkipCooldowns(userId) {
+    const cooldowns = await this.client.hgetall(this.key("cooldowns", userId));
+    const now = Date.now();
+    const active = {};
+
+    Object.entries(cooldowns || {}).forEach(([partnerId, expiresAt]) => {
+      if (Number(expiresAt) > now) {
+        active[partnerId] = Number(expiresAt);
+      }
+    });
+    return active;
+  }
+
+  // Media encryption, one hash per pair: `state` holds the decided
+  // { encrypted, reason } as JSON, `ready:<socketId>` and
+  // `verifiedBy:<socketId>` mark the sockets on each list, and
+  // `chatKeys:<userId>` the users whose chat key was relayed.
+
+  async resetEncryption(pairId, ttlMs) {
+    await this.client
+      .multi()
+      .del(this.key("encryption", pairId))
+      .hset(this.key("encryption", pairId), "resetAt", Date.now())
+      .pexpire(this.key("encryption", pairId), ttlMs)
+      .exec();
+  }
+
+  // { encrypted, reason, ready, verifiedBy, chatKeys }, or null for no
+  // state
+  async getEncryption(pairId) {
+    const fields = await this.client.hgetall(this.key("encryption", pairId));
+    if (!fields || Object.keys(fields).length === 0) return null;
+
+    const state = fields.state ? JSON.parse(fields.state) : null;
+    return {
+      encrypted: state ? state.encrypted : false,
+      reason: state ? state.reason : null,
+      ready: listFields(fields, "ready"),
+      verifiedBy: listFields(fields, "verifiedBy"),
+      chatKeys: listFields(fields, "chatKeys"),
+    };
+  }
+
+  // Adds a socket to the "ready" or "verifiedBy" list, or a user to
+  // "chatKeys". Returns { added, count }, with `added` false if it was
+  // already there.
+  async addEncryptionMember(pairId, list, memberId, ttlMs) {
+    const results = await this.client
+      .multi()
+      .hset(this.key("encryption", pairId), `${list}:${memberId}`, 1)
+      .pexpire(this.key("encryption", pairId), ttlMs)
+      .hgetall(this.key("encryption", pairId))
+      .exec();
+
+    return {
+      added: results[0][1] === 1,
+      count: listFields(results[2][1], list).length,
+    };
+  }
+
+  // Returns true if no state had been decided since the last reset. Both
+  // partners' instances can get here at once; HSET tells them apart.
+  async setEncryptionState(pairId, state, ttlMs) {
+    const results = await this.client
+      .multi()
+      .hset(
+        this.key("encryption", pairId),
+        "state",
+        JSON.stringify({ encrypted: state.encrypted, reason: state.reason })
+      )
+      .pexpire(this.key("encryption", pairId), ttlMs)
+      .exec();
+    return results[0][1] === 1;
+  }
+
+  async deleteEncryption(pairId) {
+    await this.client.del(this.key("encryption", pairId));
+  }
+
+  // Chat messages, one hash per message: `message` holds { id, pairId,
+  // fromUserId, clientMessageId, sentAt } as JSON, and a field per receipt
+  // state it has been marked with. `chat:client:<userId>:<clientMessageId>`
+  // points retries at the message.
+
+  async saveChatMessage(message, ttlMs) {
+    const pipeline = this.client
+      .multi()
+      .hset(
+        this.key("chat", "message", message.id),
+        "message",
+        JSON.stringify(message)
+      )
+      .hset(this.key("chat", "message", message.id), "sent", 1)
+      .pexpire(this.key("chat", "message", message.id), ttlMs);
+    if (message.clientMessageId) {
+      pipeline.set(
+        this.key("chat", "client", message.fromUserId, message.clientMessageId),
+        message.id,
+        "PX",
+        ttlMs
+      );
+    }
+    await pipeline.exec();
+  }
+
+  // The message with its `states`, or null once it has expired
+  async getChatMessage(id) {
+    const fields = await this.client.hgetall(this.key("chat", "message", id));
+    return parseChatMessage(fields);
+  }
+
+  async findChatMessage(userId, clientMessageId) {
+    const id = await this.client.get(
+      this.key("chat", "client", userId, clientMessageId)
+    );
+    return id ? this.getChatMessage(id) : null;
+  }
+
+  // Marks a message with a state. Returns the states it had before, or
+  // null if the message is unknown. The read and the write go together, so
+  // receipts handled on two instances at once still see each other.
+  async markChatMessage(id, state) {
+    const key = this.key("chat", "message", id);
+    const results = await this.client
+      .multi()
+      .hgetall(key)
+      .hset(key, state, 1)
+      .exec();
+
+    const message = parseChatMessage(results[0][1]);
+    if (!message) {
+      // Don't leave a stray field behind for a message that expired
+      await this.client.hdel(key, state);
+      return null;
+    }
+    return message.states;
+  }
+
+  // Locks
+
+  // Returns a token for releaseLock(), or null if someone else holds it
+  async acquireLock(name, ttlMs) {
+    const token = crypto.randomUUID();
+    const result = await this.client.set(
+      this.key("lock", name),
+      token,
+      "PX",
+      ttlMs,
+      "NX"
+    );
+    return result === "OK" ? token : null;
+  }
+
+  // The TTL covers the gap between the check and the delete
+  async releaseLock(name, token) {
+    const holder = await this.client.get(this.key("lock", name));
+    if (holder === token) {
+      await this.client.del(this.key("lock", name));
+    }
+  }
+
+  async clear() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+}
+
+// The IDs from a pair's encryption hash fields named `<list>:<id>`
+function listFields(fields, list) {
+  return Object.keys(fields || {})
+    .filter((field) => field.startsWith(`${list}:`))
+    .map((field) => field.slice(list.length + 1));
+}
+
+function parseChatMessage(fields) {
+  if (!fields || !fields.message) return null;
+
+  return {
+    ...JSON.parse(fields.message),
+    states: Object.keys(fields).filter((field) => field !== "message"),
+  };
+}
+
+module.exports = RedisPairingStore;
@@ -0,0 +1,19 @@
+const pairInOrder = require("./pairInOrder");
+
+// Pairs users strictly in the order they joined the queue
+class FifoStrategy {
+  constructor() {
+    this.name = "fifo";
+  }
+
+  selectPairs(queue, context = {}) {
+    const canPair = context.canPair || (() => true);
+
+    return pairInOrder(queue, canPair, () => ({
+      strategy: this.name,
+      summary: "You were matched with the next student in line",
+    }));
+  }
+}
+
+module.exports = FifoStrategy;
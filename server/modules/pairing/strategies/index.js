@@ -0,0 +1,53 @@
+const FifoStrategy = require("./fifoStrategy");
+const RandomStrategy = require("./randomStrategy");
+const InterestWeightedStrategy = require("./interestWeightedStrategy");
+const SameCollegeStrategy = require("./sameCollegeStrategy");
+
+// A strategy is any object with a `name` and a
+// `selectPairs(queue, context)` method returning [{ user1, user2, matchReason }].
+// Queue entries are never mutated; the caller removes paired users.
+// `context.canPair(user1, user2)` must be honoured when provided.
+const strategies = new Map();
+
+function registerStrategy(name, factory) {
+  if (!name || typeof name !== "string") {
+    throw new Error("Strategy name must be a non-empty string");
+  }
+  if (typeof factory !== "function") {
+    throw new Error(`Strategy "${name}" must be registered with a factory`);
+  }
+
+  strategies.set(name, factory);
+}
+
+function createStrategy(name, options = {}) {
+  const factory = strategies.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown matchmaking strategy "${name}". Available: ${listStrategies().join(
+        ", "
+      )}`
+    );
+  }
+
+  return factory(options);
+}
+
+function listStrategies() {
+  return Array.from(strategies.keys());
+}
+
+// Built-in strategies
+registerStrategy("fifo", () => new FifoStrategy());
+registerStrategy("random", () => new RandomStrategy());
+registerStrategy(
+  "interest-weighted",
+  (options) => new InterestWeightedStrategy(options)
+);
+registerStrategy("same-college", () => new SameCollegeStrategy());
+
+module.exports = {
+  registerStrategy,
+  createStrategy,
+  listStrategies,
+};
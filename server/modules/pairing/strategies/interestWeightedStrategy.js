@@ -0,0 +1,73 @@
+const MatchScorer = require("../matchScorer");
+
+// Pairs users by shared interests, major, college and wait time.
+// The required score relaxes the longer someone waits.
+class InterestWeightedStrategy {
+  constructor(options = {}) {
+    this.name = "interest-weighted";
+    this.scorer = options.scorer || new MatchScorer(options);
+  }
+
+  selectPairs(queue, context = {}) {
+    const now = context.now || Date.now();
+    const canPair = context.canPair || (() => true);
+    const remaining = [...queue];
+    const pairs = [];
+
+    // Longest-waiting users get first pick of the best-scoring partner
+    let index = 0;
+    while (index < remaining.length - 1) {
+      const user1 = remaining[index];
+      const match = this.findBestMatch(
+        user1,
+        remaining,
+        index + 1,
+        now,
+        canPair
+      );
+
+      if (!match) {
+        index++;
+        continue;
+      }
+
+      remaining.splice(remaining.indexOf(match.user), 1);
+      remaining.splice(index, 1);
+      pairs.push({
+        user1: user1,
+        user2: match.user,
+        matchReason: { strategy: this.name, ...match.reason },
+      });
+    }
+
+    return pairs;
+  }
+
+  // Find the highest-scoring partner that satisfies the (relaxing) threshold
+  findBestMatch(user, candidates, startIndex, now, canPair) {
+    let best = null;
+
+    for (let i = startIndex; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      if (!canPair(user, candidate)) continue;
+
+      const result = this.scorer.score(user, candidate, now);
+      const requiredScore = this.scorer.getRequiredScore(user, candidate, now);
+
+      if (result.score < requiredScore) continue;
+
+      if (!best || result.score > best.result.score) {
+        best = { user: candidate, result: result };
+      }
+    }
+
+    if (!best) return null;
+
+    return {
+      user: best.user,
+      reason: this.scorer.buildMatchReason(best.result, user, best.user),
+    };
+  }
+}
+
+module.exports = InterestWeightedStrategy;
@@ -0,0 +1,27 @@
+// Greedily pair each user with the next eligible user after them
+function pairInOrder(queue, canPair, buildReason) {
+  const remaining = [...queue];
+  const pairs = [];
+
+  let index = 0;
+  while (index < remaining.length - 1) {
+    const user1 = remaining[index];
+    const partnerIndex = remaining.findIndex(
+      (candidate, i) => i > index && canPair(user1, candidate)
+    );
+
+    if (partnerIndex === -1) {
+      index++;
+      continue;
+    }
+
+    const user2 = remaining[partnerIndex];
+    remaining.splice(partnerIndex, 1);
+    remaining.splice(index, 1);
+    pairs.push({ user1, user2, matchReason: buildReason(user1, user2) });
+  }
+
+  return pairs;
+}
+
+module.exports = pairInOrder;
@@ -0,0 +1,27 @@
+const pairInOrder = require("./pairInOrder");
+
+// Pairs users in a random order, ignoring preferences
+class RandomStrategy {
+  constructor() {
+    this.name = "random";
+  }
+
+  selectPairs(queue, context = {}) {
+    const random = context.random || Math.random;
+    const canPair = context.canPair || (() => true);
+    const shuffled = [...queue];
+
+    // Fisher-Yates shuffle
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return pairInOrder(shuffled, canPair, () => ({
+      strategy: this.name,
+      summary: "You were matched with a random student",
+    }));
+  }
+}
+
+module.exports = RandomStrategy;
@@ -0,0 +1,47 @@
+// Only pairs users from the same college, oldest entries first
+class SameCollegeStrategy {
+  constructor() {
+    this.name = "same-college";
+  }
+
+  selectPairs(queue, context = {}) {
+    const canPair = context.canPair || (() => true);
+    const waitingByCollege = new Map();
+    const pairs = [];
+
+    queue.forEach((user) => {
+      const college = this.normalize(user.userData?.preferences?.college);
+      if (!college) return;
+
+      const waitingList = waitingByCollege.get(college) || [];
+      const waitingIndex = waitingList.findIndex((waitingUser) =>
+        canPair(waitingUser, user)
+      );
+
+      if (waitingIndex === -1) {
+        waitingList.push(user);
+        waitingByCollege.set(college, waitingList);
+        return;
+      }
+
+      const [waiting] = waitingList.splice(waitingIndex, 1);
+      pairs.push({
+        user1: waiting,
+        user2: user,
+        matchReason: {
+          strategy: this.name,
+          sameCollege: true,
+          summary: `You're both at ${waiting.userData.preferences.college}`,
+        },
+      });
+    });
+
+    return pairs;
+  }
+
+  normalize(value) {
+    return typeof value === "string" ? value.trim().toLowerCase() : "";
+  }
+}
+
+module.exports = SameCollegeStrategy;
@@ -0,0 +1,324 @@
+// fileTransferHandler.js - files the partners of a call send each other.
+//
+// The bytes go peer to peer over the call's RTCDataChannel and never pass
+// through the server. It only relays the metadata, with the same event
+// names in both directions:
+//
+//   sender -> receiver   file:offer     { transferId, name, size, mimeType,
+//                                         sha256 }
+//   receiver -> sender   file:accept    { transferId }
+//   receiver -> sender   file:decline   { transferId }
+//   either -> other      file:cancel    { transferId }
+//   receiver -> sender   file:complete  { transferId, verified }
+//
+// Relayed events also carry `from` and `timestamp`, and always go to the
+// sender's partner. Nothing is sent before the receiver accepts, and the
+// receiver reports whether the bytes matched the offer's SHA-256. Refused
+// events get an `error` { message, code, transferId }.
+const logger = require("../../utils/logger");
+const healthMonitor = require("../../utils/healthMonitor");
+const { fileTransferValidation } = require("../../utils/validation");
+const { FILE_TRANSFER } = require("../../config/constants");
+
+// Which states each event moves a transfer out of, into, and who may send it
+const TRANSITIONS = {
+  accept: { from: ["offered"], to: "accepted", by: "receiver" },
+  decline: { from: ["offered"], to: "declined", by: "receiver" },
+  cancel: { from: ["offered", "accepted"], to: "cancelled", by: "either" },
+  complete: { from: ["accepted"], to: "completed", by: "receiver" },
+};
+
+class FileTransferHandler {
+  constructor(io, pairingManager, blockManager = null) {
+    this.io = io;
+    this.pairingManager = pairingManager;
+    this.blockManager = blockManager;
+    // transferId -> { pairId, senderUserId, receiverUserId, size, mimeType,
+    // state, offeredAt }, until the transfer finishes or lapses. Users rather
+    // than sockets, so a transfer survives either side reconnecting.
+    this.transfers = new Map();
+    this.offerCounts = new Map(); // socketId -> recent offer timestamps
+    this.rateLimitWindow = FILE_TRANSFER.RATE_LIMIT_WINDOW_MS;
+    this.rateLimitMax = FILE_TRANSFER.RATE_LIMIT_MAX;
+    this.maxPending = FILE_TRANSFER.MAX_PENDING;
+
+    logger.info("FileTransferHandler initialized", {
+      maxFileSize: FILE_TRANSFER.MAX_FILE_SIZE,
+      rateLimitWindow: this.rateLimitWindow,
+      rateLimitMax: this.rateLimitMax,
+    });
+  }
+
+  async handleOffer(socket, data) {
+    const { value, error } = fileTransferValidation.offer.validate(data, {
+      stripUnknown: true,
+    });
+    if (error) {
+      const field = error.details[0].context.key;
+      const code =
+        field === "size"
+          ? "FILE_TOO_LARGE"
+          : field === "mimeType"
+          ? "FILE_TYPE_NOT_ALLOWED"
+          : "INVALID_FILE_OFFER";
+      this.rejectOffer(socket, data, error.details[0].message, code);
+      return;
+    }
+
+    if (this.transfers.has(value.transferId)) {
+      this.sendError(socket, value.transferId, {
+        message: "Duplicate file transfer",
+        code: "INVALID_FILE_OFFER",
+      });
+      return;
+    }
+
+    if (!this.checkRateLimit(socket.id)) {
+      this.rejectOffer(
+        socket,
+        value,
+        "You're sharing files too quickly",
+        "RATE_LIMIT_EXCEEDED"
+      );
+      return;
+    }
+
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer) {
+      this.sendError(socket, value.transferId, {
+        message: "No active pair",
+        code: "NO_ACTIVE_PAIR",
+      });
+      return;
+    }
+
+    // Peers on other instances are removed by their own instance
+    if (!this.pairingManager.isMemberConnected(peer)) {
+      this.sendError(socket, value.transferId, {
+        message: "Peer disconnected",
+        code: "PEER_DISCONNECTED",
+      });
+      return;
+    }
+
+    // Text-only pairs have no peer connection to carry the file
+    if (peer.mode === "text") {
+      this.sendError(socket, value.transferId, {
+        message: "File sharing needs a call",
+        code: "MEDIA_NOT_ALLOWED",
+      });
+      return;
+    }
+
+    if (
+      this.blockManager &&
+      this.blockManager.isBlocked(socket.userId, peer.userId)
+    ) {
+      this.rejectOffer(
+        socket,
+        value,
+        "File sharing not allowed",
+        "USER_BLOCKED"
+      );
+      return;
+    }
+
+    if (this.countPending(socket.userId, peer.pairId) >= this.maxPending) {
+      this.rejectOffer(
+        socket,
+        value,
+        "Wait for your other files to finish first",
+        "TOO_MANY_PENDING_FILES"
+      );
+      return;
+    }
+
+    this.transfers.set(value.transferId, {
+      pairId: peer.pairId,
+      senderUserId: socket.userId,
+      receiverUserId: peer.userId,
+      size: value.size,
+      mimeType: value.mimeType,
+      state: "offered",
+      offeredAt: Date.now(),
+    });
+
+    healthMonitor.trackFileTransfer("offered", socket.id, {
+      userId: socket.userId,
+      pairId: peer.pairId,
+      transferId: value.transferId,
+      size: value.size,
+      mimeType: value.mimeType,
+    });
+
+    logger.info("File offered", {
+      socketId: socket.id,
+      pairId: peer.pairId,
+      transferId: value.transferId,
+      size: value.size,
+    });
+
+    this.io.to(peer.socketId).emit("file:offer", {
+      ...value,
+      from: socket.id,
+      timestamp: Date.now(),
+    });
+  }
+
+  // file:accept, file:decline, file:cancel and file:complete. A complete
+  // that failed the hash check ends the transfer as "failed".
+  async handleUpdate(socket, data, action) {
+    const schema =
+      action === "complete"
+        ? fileTransferValidation.complete
+        : fileTransferValidation.transfer;
+    const { value, error } = schema.validate(data, { stripUnknown: true });
+    if (error) {
+      this.sendError(socket, null, {
+        message: error.details[0].message,
+        code: "INVALID_FILE_TRANSFER",
+      });
+      return;
+    }
+
+    const transition = TRANSITIONS[action];
+    const transfer = this.transfers.get(value.transferId);
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (
+      !transfer ||
+      !peer ||
+      transfer.pairId !== peer.pairId ||
+      !transition.from.includes(transfer.state) ||
+      (transition.by === "receiver" &&
+        transfer.receiverUserId !== socket.userId)
+    ) {
+      this.sendError(socket, value.transferId, {
+        message: "Unknown or finished file transfer",
+        code: "INVALID_FILE_TRANSFER",
+      });
+      return;
+    }
+
+    transfer.state =
+      action === "complete" && !value.verified ? "failed" : transition.to;
+    if (transfer.state !== "accepted") {
+      this.transfers.delete(value.transferId);
+    }
+
+    healthMonitor.trackFileTransfer(transfer.state, socket.id, {
+      userId: socket.userId,
+      pairId: peer.pairId,
+      transferId: value.transferId,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+    });
+
+    if (transfer.state === "failed") {
+      logger.warn("File transfer failed its integrity check", {
+        socketId: socket.id,
+        pairId: peer.pairId,
+        transferId: value.transferId,
+      });
+    }
+
+    this.io.to(peer.socketId).emit(`file:${action}`, {
+      ...value,
+      from: socket.id,
+      timestamp: Date.now(),
+    });
+  }
+
+  // "offered" or "accepted", or null once the transfer is over
+  getTransferState(transferId) {
+    return this.transfers.get(transferId)?.state || null;
+  }
+
+  // Unfinished transfers the user is sending in this pair. Lapsed ones, and
+  // any left over from the user's earlier pairs, are dropped on the way.
+  countPending(userId, pairId) {
+    const now = Date.now();
+    let pending = 0;
+
+    this.transfers.forEach((transfer, transferId) => {
+      const timeout =
+        transfer.state === "offered"
+          ? FILE_TRANSFER.OFFER_TIMEOUT_MS
+          : FILE_TRANSFER.TRANSFER_TIMEOUT_MS;
+      if (transfer.offeredAt + timeout <= now) {
+        this.transfers.delete(transferId);
+      } else if (transfer.senderUserId !== userId) {
+        return;
+      } else if (transfer.pairId !== pairId) {
+        this.transfers.delete(transferId);
+      } else {
+        pending++;
+      }
+    });
+
+    return pending;
+  }
+
+  // Offers refused for size, type, rate or blocking count towards abuse
+  rejectOffer(socket, data, message, code) {
+    const transferId =
+      typeof data?.transferId === "string"
+        ? data.transferId.slice(0, 64)
+        : null;
+
+    healthMonitor.trackFileTransfer("rejected", socket.id, {
+      userId: socket.userId,
+      transferId: transferId,
+      reason: code,
+    });
+    logger.warn("File offer rejected", {
+      socketId: socket.id,
+      userId: socket.userId,
+      code: code,
+    });
+
+    this.sendError(socket, transferId, { message: message, code: code });
+  }
+
+  sendError(socket, transferId, { message, code }) {
+    socket.emit("error", {
+      message: message,
+      code: code,
+      transferId: transferId,
+    });
+  }
+
+  // Sliding window over this socket's recent offers
+  checkRateLimit(socketId) {
+    const now = Date.now();
+    const offers = (this.offerCounts.get(socketId) || []).filter(
+      (timestamp) => timestamp > now - this.rateLimitWindow
+    );
+
+    if (offers.length >= this.rateLimitMax) {
+      this.offerCounts.set(socketId, offers);
+      return false;
+    }
+
+    offers.push(now);
+    this.offerCounts.set(socketId, offers);
+    return true;
+  }
+
+  // Transfers outlive a disconnect, since the data channel may too; they
+  // lapse in countPending() instead
+  cleanup(socketId) {
+    this.offerCounts.delete(socketId);
+  }
+
+  getStats() {
+    return {
+      totalSockets: this.offerCounts.size,
+      activeTransfers: this.transfers.size,
+      maxFileSize: FILE_TRANSFER.MAX_FILE_SIZE,
+      rateLimitWindow: this.rateLimitWindow,
+      rateLimitMax: this.rateLimitMax,
+    };
+  }
+}
+
+module.exports = FileTransferHandler;
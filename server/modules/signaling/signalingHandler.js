@@ -1,46 +1,83 @@
 const logger = require("../../utils/logger"); // ✅ Correct path
+const healthMonitor = require("../../utils/healthMonitor");
+const { signalingValidation } = require("../../utils/validation");
+const { SIGNAL_TYPES, SIGNALING } = require("../../config/constants");
+const { MemoryPairingStore } = require("../pairing/stores");
 
 class SignalingHandler {
-  constructor(io, pairingManager) {
+  constructor(io, pairingManager, blockManager = null) {
     this.io = io;
     this.pairingManager = pairingManager;
+    this.blockManager = blockManager;
     this.messageCounts = new Map();
     this.rateLimitWindow = 60000;
     this.rateLimitMax = 50;
+    this.iceRestartCounts = new Map();
+    this.iceRestartWindow = SIGNALING.ICE_RESTART_WINDOW_MS;
+    this.iceRestartMax = SIGNALING.ICE_RESTART_MAX;
+    this.screenShares = new Map(); // socketId -> { pairId, startedAt }
+    // Media E2EE state lives in the pairing store, since the partners can be
+    // on different instances; this maps our sockets to the pair they set up
+    this.store = pairingManager.store || new MemoryPairingStore();
+    this.encryptionStateTtl = SIGNALING.ENCRYPTION_STATE_TTL_MS;
+    this.encryptionPairs = new Map(); // socketId -> pairId
+    this.encryptionConfirmed = 0;
 
     logger.info("SignalingHandler initialized", {
       rateLimitWindow: this.rateLimitWindow,
       rateLimitMax: this.rateLimitMax,
+      iceRestartMax: this.iceRestartMax,
     });
   }
 
-  handleSignal(socket, data) {
+  async handleSignal(socket, data) {
     const startTime = Date.now();
 
     try {
       logger.debug("Processing signal", {
         from: socket.id,
-        to: data.to,
-        signalType: data.signal?.type,
+        to: data?.to,
+        signalType: data?.signal?.type,
         timestamp: startTime,
       });
 
-      // Validate signaling data
-      if (!this.validateSignalData(data)) {
+      // Validate signaling data; only the validated copy is relayed
+      const { value: signalData, error: validationError } =
+        this.validateSignalData(data);
+      if (validationError) {
         logger.warn("Invalid signal data received", {
           socketId: socket.id,
           data: this.sanitizeData(data),
+          code: validationError.code,
+          reason: validationError.message,
           email: socket.userData?.email,
         });
+        socket.emit("error", validationError);
+        return;
+      }
+
+      // ICE restarts have their own budget, so a flapping connection can
+      // still recover after a burst of candidates, and vice versa
+      const isIceRestart =
+        signalData.signal.type === SIGNAL_TYPES.ICE_RESTART;
+      if (isIceRestart && !this.checkIceRestartLimit(socket.id)) {
+        logger.warn("ICE restart rate limit exceeded", {
+          socketId: socket.id,
+          email: socket.userData?.email,
+        });
+        healthMonitor.trackIceRestart("rate_limited", {
+          socketId: socket.id,
+          userId: socket.userId,
+        });
         socket.emit("error", {
-          message: "Invalid signal data",
-          code: "INVALID_SIGNAL",
+          message: "Too many ICE restarts",
+          code: "ICE_RESTART_RATE_LIMITED",
         });
         return;
       }
 
       // Rate limit signaling messages
-      if (!this.checkRateLimit(socket.id)) {
+      if (!isIceRestart && !this.checkRateLimit(socket.id)) {
         logger.warn("Signaling rate limit exceeded", {
           socketId: socket.id,
           email: socket.userData?.email,
@@ -52,14 +89,15 @@ class SignalingHandler {
         return;
       }
 
-      // Check if users are paired using the pairingManager instance
-      const peerId = this.pairingManager.activePairs.get(socket.id);
+      // Check if users are paired; the pair may live on another instance
+      const peer = await this.pairingManager.getPeer(socket.id);
+      const peerId = peer?.socketId;
 
       if (!peerId) {
         logger.warn("Signaling attempt without active pair", {
           socketId: socket.id,
           email: socket.userData?.email,
-          targetPeer: data.to,
+          targetPeer: signalData.to,
         });
         socket.emit("error", {
           message: "No active pair",
@@ -68,10 +106,10 @@ class SignalingHandler {
         return;
       }
 
-      if (peerId !== data.to) {
+      if (peerId !== signalData.to) {
         logger.warn("Signaling to wrong peer", {
           socketId: socket.id,
-          intendedPeer: data.to,
+          intendedPeer: signalData.to,
           actualPeer: peerId,
           email: socket.userData?.email,
         });
@@ -82,9 +120,9 @@ class SignalingHandler {
         return;
       }
 
-      // Check if peer is still connected
-      const peerSocket = this.io.sockets.sockets.get(peerId);
-      if (!peerSocket || !peerSocket.connected) {
+      // Check if peer is still connected. Peers on other instances are
+      // removed from the pair by their own instance when they drop.
+      if (!this.pairingManager.isMemberConnected(peer)) {
         logger.warn("Signaling to disconnected peer", {
           socketId: socket.id,
           peerId: peerId,
@@ -96,20 +134,68 @@ class SignalingHandler {
         return;
       }
 
+      // Text-only pairs never negotiate media; app signals still go through
+      if (
+        peer.mode === "text" &&
+        signalData.signal.type !== SIGNAL_TYPES.APP
+      ) {
+        logger.warn("Signaling attempt in a text-only pair", {
+          socketId: socket.id,
+          peerId: peerId,
+          pairId: peer.pairId,
+        });
+        socket.emit("error", {
+          message: "Media is not available in text chat",
+          code: "MEDIA_NOT_ALLOWED",
+        });
+        return;
+      }
+
+      // Never relay anything between users who have blocked each other
+      if (
+        this.blockManager &&
+        this.blockManager.isBlocked(socket.userId, peer.userId)
+      ) {
+        logger.warn("Signaling between blocked users rejected", {
+          socketId: socket.id,
+          peerId: peerId,
+          userId: socket.userId,
+        });
+        socket.emit("error", {
+          message: "Signaling not allowed",
+          code: "USER_BLOCKED",
+        });
+        return;
+      }
+
       // Forward signal to peer
       this.io.to(peerId).emit("signal", {
         from: socket.id,
-        signal: data.signal,
-        type: data.type || "webrtc",
+        signal: signalData.signal,
+        type: signalData.type,
         timestamp: Date.now(),
       });
 
+      if (isIceRestart) {
+        healthMonitor.trackIceRestart("requested", {
+          socketId: socket.id,
+          userId: socket.userId,
+          pairId: peer.pairId,
+        });
+      } else if (signalData.signal.type === SIGNAL_TYPES.MEDIA_STATE) {
+        logger.info("Video state changed for bandwidth", {
+          socketId: socket.id,
+          pairId: peer.pairId,
+          video: signalData.signal.video,
+        });
+      }
+
       const processingTime = Date.now() - startTime;
 
       logger.debug("Signal forwarded successfully", {
         from: socket.id,
         to: peerId,
-        type: data.signal.type,
+        type: signalData.signal.type,
         processingTime: processingTime,
       });
     } catch (error) {
@@ -126,97 +212,407 @@ class SignalingHandler {
     }
   }
 
-  validateSignalData(data) {
-    if (!data || typeof data !== "object") {
-      logger.debug("Signal data validation failed: not an object");
-      return false;
+  // Screen sharing itself is negotiated over `signal`; this event only
+  // tells the partner's UI and the metrics that it started or stopped
+  async handleScreenShare(socket, data) {
+    const { value, error } = signalingValidation.screenShare.validate(data, {
+      stripUnknown: true,
+    });
+    if (error) {
+      socket.emit("error", {
+        message: error.details[0].message,
+        code: "INVALID_SCREEN_SHARE",
+      });
+      return;
     }
 
-    if (!data.signal || typeof data.signal !== "object") {
-      logger.debug(
-        "Signal data validation failed: missing or invalid signal object"
-      );
-      return false;
+    if (!this.checkRateLimit(socket.id)) {
+      socket.emit("error", {
+        message: "Rate limit exceeded",
+        code: "RATE_LIMIT_EXCEEDED",
+      });
+      return;
     }
 
-    if (!data.to || typeof data.to !== "string") {
-      logger.debug(
-        "Signal data validation failed: missing or invalid 'to' field"
-      );
-      return false;
+    // Stopping always clears our state, even once the pair has ended
+    if (!value.active) {
+      const share = this.endScreenShare(socket.id, socket.userId);
+      const peer = await this.pairingManager.getPeer(socket.id);
+      if (share && peer) {
+        this.io.to(peer.socketId).emit("media:screen-share", {
+          from: socket.id,
+          active: false,
+          timestamp: Date.now(),
+        });
+      }
+      return;
     }
 
-    // Validate signal type
-    if (!data.signal.type || typeof data.signal.type !== "string") {
-      logger.debug(
-        "Signal data validation failed: missing or invalid signal type"
-      );
-      return false;
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer) {
+      socket.emit("error", {
+        message: "No active pair",
+        code: "NO_ACTIVE_PAIR",
+      });
+      return;
     }
 
-    const validSignalTypes = ["offer", "answer", "ice-candidate", "candidate"];
-    if (!validSignalTypes.includes(data.signal.type)) {
-      logger.debug("Signal data validation failed: invalid signal type", {
-        type: data.signal.type,
+    if (peer.mode === "text") {
+      socket.emit("error", {
+        message: "Media is not available in text chat",
+        code: "MEDIA_NOT_ALLOWED",
       });
-      return false;
+      return;
     }
 
-    // Validate SDP messages
-    if (data.signal.sdp) {
-      if (typeof data.signal.sdp !== "string") {
-        logger.debug("Signal data validation failed: SDP not a string");
-        return false;
-      }
-      if (data.signal.sdp.length > 10000) {
-        logger.debug("Signal data validation failed: SDP too long", {
-          length: data.signal.sdp.length,
-        });
-        return false;
-      }
+    if (this.screenShares.has(socket.id)) return;
+
+    this.screenShares.set(socket.id, {
+      pairId: peer.pairId,
+      startedAt: Date.now(),
+    });
+    healthMonitor.trackScreenShare(true, {
+      socketId: socket.id,
+      userId: socket.userId,
+      pairId: peer.pairId,
+    });
+
+    logger.info("Screen share started", {
+      socketId: socket.id,
+      pairId: peer.pairId,
+    });
+
+    this.io.to(peer.socketId).emit("media:screen-share", {
+      from: socket.id,
+      active: true,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Returns the share that ended, or null if the socket wasn't sharing
+  endScreenShare(socketId, userId) {
+    const share = this.screenShares.get(socketId);
+    if (!share) return null;
+
+    this.screenShares.delete(socketId);
+    const durationMs = Date.now() - share.startedAt;
+    healthMonitor.trackScreenShare(false, {
+      socketId: socketId,
+      userId: userId,
+      pairId: share.pairId,
+      durationMs: durationMs,
+    });
+
+    logger.info("Screen share stopped", {
+      socketId: socketId,
+      pairId: share.pairId,
+      durationMs: durationMs,
+    });
+    return share;
+  }
+
+  // Relays the media E2EE handshake: each side sends its ECDH public key,
+  // then "ready" once it has derived the media key, or "unsupported" when
+  // its browser can't encrypt frames. The server never sees the media key;
+  // it confirms `encrypted: true` to both sides once both are ready.
+  async handleEncryptionKeyExchange(socket, data) {
+    const { value, error } = signalingValidation.keyExchange.validate(data, {
+      stripUnknown: true,
+    });
+    if (error) {
+      socket.emit("error", {
+        message: error.details[0].message,
+        code: "INVALID_KEY_EXCHANGE",
+      });
+      return;
     }
 
-    // Validate ICE candidates
-    if (data.signal.candidate) {
-      if (typeof data.signal.candidate !== "object") {
-        logger.debug("Signal data validation failed: candidate not an object");
-        return false;
-      }
-      if (!data.signal.candidate.candidate) {
-        logger.debug("Signal data validation failed: missing candidate string");
-        return false;
+    if (!this.checkRateLimit(socket.id)) {
+      socket.emit("error", {
+        message: "Rate limit exceeded",
+        code: "RATE_LIMIT_EXCEEDED",
+      });
+      return;
+    }
+
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer) {
+      socket.emit("error", {
+        message: "No active pair",
+        code: "NO_ACTIVE_PAIR",
+      });
+      return;
+    }
+
+    if (peer.socketId !== value.to) {
+      socket.emit("error", {
+        message: "Invalid peer",
+        code: "INVALID_PEER",
+      });
+      return;
+    }
+
+    if (peer.mode === "text" && value.channel === "media") {
+      socket.emit("error", {
+        message: "Media is not available in text chat",
+        code: "MEDIA_NOT_ALLOWED",
+      });
+      return;
+    }
+
+    if (
+      this.blockManager &&
+      this.blockManager.isBlocked(socket.userId, peer.userId)
+    ) {
+      socket.emit("error", {
+        message: "Key exchange not allowed",
+        code: "USER_BLOCKED",
+      });
+      return;
+    }
+
+    if (value.channel === "media" || peer.mode === "text") {
+      this.encryptionPairs.set(socket.id, peer.pairId);
+    }
+
+    if (value.type === "ready") {
+      await this.markEncryptionReady(socket.id, peer);
+      return;
+    }
+
+    // A new public key means new media keys, so readiness starts over,
+    // unless one side already said it can't encrypt. Chat keys are only
+    // relayed: the server sees nothing but ciphertext either way.
+    if (value.channel === "media" && value.type === "public-key") {
+      const state = await this.store.getEncryption(peer.pairId);
+      if (!state?.reason) {
+        await this.store.resetEncryption(peer.pairId, this.encryptionStateTtl);
       }
-      if (data.signal.candidate.candidate.length > 1000) {
-        logger.debug("Signal data validation failed: candidate too long");
-        return false;
+    }
+
+    // A text pair has no media to confirm, so its safety number can be
+    // verified once both partners' chat keys went through
+    if (peer.mode === "text" && value.type === "public-key") {
+      await this.store.addEncryptionMember(
+        peer.pairId,
+        "chatKeys",
+        socket.userId,
+        this.encryptionStateTtl
+      );
+    }
+
+    this.io.to(peer.socketId).emit("encryption:key-exchange", {
+      from: socket.id,
+      channel: value.channel,
+      type: value.type,
+      publicKey: value.publicKey,
+      timestamp: Date.now(),
+    });
+
+    if (value.type === "unsupported") {
+      await this.setEncryptionState(socket.id, peer, false, "unsupported");
+    }
+  }
+
+  async markEncryptionReady(socketId, peer) {
+    const state = await this.store.getEncryption(peer.pairId);
+    // "ready" before any public key went through can't be trusted
+    if (!state || state.reason) return;
+
+    const { count } = await this.store.addEncryptionMember(
+      peer.pairId,
+      "ready",
+      socketId,
+      this.encryptionStateTtl
+    );
+    if (state.encrypted || count < 2) return;
+
+    await this.setEncryptionState(socketId, peer, true);
+  }
+
+  async setEncryptionState(socketId, peer, encrypted, reason = null) {
+    const decided = await this.store.setEncryptionState(
+      peer.pairId,
+      { encrypted: encrypted, reason: reason },
+      this.encryptionStateTtl
+    );
+    // With the partners on different instances, both can see the second
+    // "ready"; only the first announces it
+    if (encrypted && !decided) return;
+    if (encrypted) this.encryptionConfirmed++;
+
+    const state = {
+      pairId: peer.pairId,
+      encrypted: encrypted,
+      reason: reason,
+      timestamp: Date.now(),
+    };
+    this.io.to(socketId).emit("encryption:state", state);
+    this.io.to(peer.socketId).emit("encryption:state", state);
+
+    healthMonitor.trackSecurityEvent(
+      encrypted ? "media_e2ee_confirmed" : "media_e2ee_unavailable",
+      {
+        pairId: peer.pairId,
+        reason: reason,
+        severity: encrypted ? "low" : "medium",
       }
+    );
+    logger.info("Media encryption state confirmed", {
+      pairId: peer.pairId,
+      encrypted: encrypted,
+      reason: reason,
+    });
+  }
+
+  // A user marked the call or chat verified after comparing safety numbers.
+  // The numbers themselves never reach the server; it only records the
+  // claim and tells the partner.
+  async handleSafetyNumberVerified(socket, data) {
+    const { value, error } = signalingValidation.safetyNumberVerified.validate(
+      data,
+      { stripUnknown: true }
+    );
+    if (error) {
+      socket.emit("error", {
+        message: error.details[0].message,
+        code: "INVALID_VERIFICATION",
+      });
+      return;
     }
 
-    return true;
+    const peer = await this.pairingManager.getPeer(socket.id);
+    if (!peer || peer.socketId !== value.to) {
+      socket.emit("error", {
+        message: "Invalid peer",
+        code: "INVALID_PEER",
+      });
+      return;
+    }
+
+    const state = await this.store.getEncryption(peer.pairId);
+    const confirmed =
+      peer.mode === "text"
+        ? state?.chatKeys.length >= 2
+        : Boolean(state?.encrypted);
+    if (!confirmed) {
+      socket.emit("error", {
+        message:
+          peer.mode === "text"
+            ? "The chat keys have not been exchanged"
+            : "The call is not end-to-end encrypted",
+        code: "ENCRYPTION_NOT_CONFIRMED",
+      });
+      return;
+    }
+
+    const { added, count } = await this.store.addEncryptionMember(
+      peer.pairId,
+      "verifiedBy",
+      socket.id,
+      this.encryptionStateTtl
+    );
+    if (!added) return;
+
+    healthMonitor.trackSafetyNumberVerified(socket.id, {
+      userId: socket.userId,
+      pairId: peer.pairId,
+      mutual: count === 2,
+    });
+
+    this.io.to(peer.socketId).emit("encryption:verified", {
+      from: socket.id,
+      mutual: count === 2,
+      timestamp: Date.now(),
+    });
+  }
+
+  // { encrypted, reason } for a pair, or null before any key exchange
+  async getEncryptionState(pairId) {
+    const state = await this.store.getEncryption(pairId);
+    return state ? { encrypted: state.encrypted, reason: state.reason } : null;
+  }
+
+  // Checks the envelope, then the signal against the schema for its type.
+  // Returns { value } with unknown fields stripped, or { error } shaped as
+  // the "error" event payload: { message, code, field }.
+  validateSignalData(data) {
+    const options = { stripUnknown: true };
+    const envelope = signalingValidation.envelope.validate(data, options);
+    if (envelope.error) {
+      return { error: this.describeSignalError(envelope.error) };
+    }
+
+    const schema = signalingValidation.signals[envelope.value.signal.type];
+    const signal = schema.validate(envelope.value.signal, options);
+    if (signal.error) {
+      return { error: this.describeSignalError(signal.error, "signal") };
+    }
+
+    return { value: { ...envelope.value, signal: signal.value } };
+  }
+
+  describeSignalError(error, prefix = null) {
+    const detail = error.details[0];
+    const field = [prefix, ...detail.path].filter(Boolean).join(".");
+
+    let code = "INVALID_SIGNAL";
+    if (["string.max", "signal.dataTooLarge"].includes(detail.type)) {
+      code = "SIGNAL_TOO_LARGE";
+    } else if (field === "signal.type" && detail.type === "any.only") {
+      code = "UNSUPPORTED_SIGNAL_TYPE";
+    }
+
+    logger.debug("Signal data validation failed", {
+      code: code,
+      field: field,
+      reason: detail.type,
+    });
+
+    return { message: detail.message, code: code, field: field };
   }
 
   checkRateLimit(socketId) {
+    return this.consumeRateLimit(
+      this.messageCounts,
+      socketId,
+      this.rateLimitWindow,
+      this.rateLimitMax
+    );
+  }
+
+  checkIceRestartLimit(socketId) {
+    return this.consumeRateLimit(
+      this.iceRestartCounts,
+      socketId,
+      this.iceRestartWindow,
+      this.iceRestartMax
+    );
+  }
+
+  // Sliding window over the timestamps kept in `counts` for this socket
+  consumeRateLimit(counts, socketId, window, max) {
     const now = Date.now();
-    const windowStart = now - this.rateLimitWindow;
+    const windowStart = now - window;
 
-    let messages = this.messageCounts.get(socketId) || [];
+    let messages = counts.get(socketId) || [];
 
     // Remove old messages outside the current window
     messages = messages.filter((timestamp) => timestamp > windowStart);
 
     // Check limit
-    if (messages.length >= this.rateLimitMax) {
+    if (messages.length >= max) {
       logger.debug("Rate limit exceeded for socket", {
         socketId: socketId,
         messageCount: messages.length,
-        limit: this.rateLimitMax,
+        limit: max,
       });
       return false;
     }
 
     // Add current message timestamp
     messages.push(now);
-    this.messageCounts.set(socketId, messages);
+    counts.set(socketId, messages);
 
     return true;
   }
@@ -224,6 +620,20 @@ class SignalingHandler {
   cleanup(socketId) {
     const messageCount = this.messageCounts.get(socketId)?.length || 0;
     this.messageCounts.delete(socketId);
+    this.iceRestartCounts.delete(socketId);
+    this.endScreenShare(socketId);
+
+    const pairId = this.encryptionPairs.get(socketId);
+    if (pairId) {
+      this.encryptionPairs.delete(socketId);
+      this.store.deleteEncryption(pairId).catch((error) => {
+        logger.error("Failed to clear encryption state", {
+          socketId: socketId,
+          pairId: pairId,
+          error: error.message,
+        });
+      });
+    }
 
     logger.debug("Signaling handler cleaned up", {
       socketId: socketId,
@@ -232,17 +642,25 @@ class SignalingHandler {
   }
 
   sanitizeData(data) {
-    // Remove large fields for logging
+    // Remove large fields for logging without touching the original
+    if (!data || typeof data !== "object") return data;
     const sanitized = { ...data };
 
-    if (sanitized.signal) {
-      if (sanitized.signal.sdp) {
-        sanitized.signal.sdp = sanitized.signal.sdp.substring(0, 100) + "...";
+    if (sanitized.signal && typeof sanitized.signal === "object") {
+      const signal = { ...sanitized.signal };
+      if (typeof signal.sdp === "string") {
+        signal.sdp = signal.sdp.substring(0, 100) + "...";
+      }
+      if (typeof signal.candidate?.candidate === "string") {
+        signal.candidate = {
+          ...signal.candidate,
+          candidate: signal.candidate.candidate.substring(0, 50) + "...",
+        };
       }
-      if (sanitized.signal.candidate && sanitized.signal.candidate.candidate) {
-        sanitized.signal.candidate.candidate =
-          sanitized.signal.candidate.candidate.substring(0, 50) + "...";
+      if (signal.data !== undefined) {
+        signal.data = "[omitted]";
       }
+      sanitized.signal = signal;
     }
 
     return sanitized;
@@ -261,13 +679,18 @@ class SignalingHandler {
       totalMessages: totalMessages,
       rateLimitWindow: this.rateLimitWindow,
       rateLimitMax: this.rateLimitMax,
+      iceRestartMax: this.iceRestartMax,
+      activeScreenShares: this.screenShares.size,
+      encryptionConfirmed: this.encryptionConfirmed,
     };
   }
 
   // Reset rate limiting for a specific socket (for testing/admin)
   resetRateLimit(socketId) {
-    const hadEntries = this.messageCounts.has(socketId);
+    const hadEntries =
+      this.messageCounts.has(socketId) || this.iceRestartCounts.has(socketId);
     this.messageCounts.delete(socketId);
+    this.iceRestartCounts.delete(socketId);
 
     logger.info("Rate limit reset for socket", {
       socketId: socketId,
@@ -0,0 +1,188 @@
+const logger = require("../../utils/logger");
+const { CALL_STATS } = require("../../config/constants");
+
+// Metrics summarised as percentiles, in the units clients report them
+const METRICS = [
+  "rttMs",
+  "packetLossPct",
+  "jitterMs",
+  "inboundKbps",
+  "outboundKbps",
+  "frameRate",
+];
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarize(samples) {
+  const summary = { samples: samples.length };
+
+  METRICS.forEach((metric) => {
+    const values = samples
+      .map((sample) => sample[metric])
+      .filter((value) => typeof value === "number")
+      .sort((a, b) => a - b);
+
+    summary[metric] = {
+      p50: percentile(values, 50),
+      p95: percentile(values, 95),
+    };
+  });
+  return summary;
+}
+
+// Aggregates the getStats() samples clients send during calls, per pair and
+// across all calls. Samples live in memory on the instance the reporting
+// socket is connected to; a pair that stops reporting is summarised to the
+// log and dropped.
+class CallQualityMonitor {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || CALL_STATS.WINDOW_MS;
+    this.maxSamples = options.maxSamples || CALL_STATS.MAX_SAMPLES;
+    this.minSampleInterval =
+      options.minSampleInterval !== undefined
+        ? options.minSampleInterval
+        : CALL_STATS.MIN_SAMPLE_INTERVAL_MS;
+    this.pairIdleMs = options.pairIdleMs || CALL_STATS.PAIR_IDLE_MS;
+
+    this.samples = []; // every sample in the window, oldest first
+    this.pairs = new Map(); // pairId -> { mode, startedAt, lastSampleAt, ... }
+    this.lastSampleAt = new Map(); // socketId -> timestamp
+
+    logger.info("CallQualityMonitor initialized", {
+      windowMs: this.windowMs,
+      maxSamples: this.maxSamples,
+    });
+  }
+
+  // `call` is { pairId, mode, userId } from the pairing manager, never from
+  // the client. Returns false when the sample was dropped for arriving too
+  // soon after the socket's previous one.
+  recordSample(socketId, call, stats, now = Date.now()) {
+    const last = this.lastSampleAt.get(socketId);
+    if (last !== undefined && now - last < this.minSampleInterval) {
+      return false;
+    }
+    this.lastSampleAt.set(socketId, now);
+
+    const sample = {
+      ...stats,
+      pairId: call.pairId,
+      socketId: socketId,
+      timestamp: now,
+    };
+
+    this.samples.push(sample);
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    let pair = this.pairs.get(call.pairId);
+    if (!pair) {
+      // New calls are rare enough to sweep out the ones that ended here
+      this.prune(now);
+      pair = {
+        mode: call.mode,
+        startedAt: now,
+        lastSampleAt: now,
+        samples: [],
+        candidateTypes: {},
+      };
+      this.pairs.set(call.pairId, pair);
+    }
+
+    pair.lastSampleAt = now;
+    pair.samples.push(sample);
+    if (pair.samples.length > this.maxSamples) {
+      pair.samples.shift();
+    }
+    if (stats.candidateType) {
+      pair.candidateTypes[socketId] = stats.candidateType;
+    }
+
+    return true;
+  }
+
+  removeSocket(socketId) {
+    this.lastSampleAt.delete(socketId);
+  }
+
+  getPairSummary(pairId) {
+    const pair = this.pairs.get(pairId);
+    if (!pair) return null;
+
+    return {
+      pairId: pairId,
+      mode: pair.mode,
+      durationMs: pair.lastSampleAt - pair.startedAt,
+      relayed: Object.values(pair.candidateTypes).includes("relay"),
+      ...summarize(pair.samples),
+    };
+  }
+
+  // Global p50/p95 over the window, plus the pairs still reporting
+  getSummary(now = Date.now()) {
+    this.prune(now);
+
+    const candidateTypes = { host: 0, srflx: 0, prflx: 0, relay: 0 };
+    this.pairs.forEach((pair) => {
+      Object.values(pair.candidateTypes).forEach((type) => {
+        candidateTypes[type]++;
+      });
+    });
+
+    return {
+      ...summarize(this.samples),
+      windowMs: this.windowMs,
+      activePairs: this.pairs.size,
+      candidateTypes: candidateTypes,
+      pairs: Array.from(this.pairs.keys()).map((pairId) =>
+        this.getPairSummary(pairId)
+      ),
+    };
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - this.windowMs;
+    while (this.samples.length > 0 && this.samples[0].timestamp < cutoff) {
+      this.samples.shift();
+    }
+
+    this.pairs.forEach((pair, pairId) => {
+      if (now - pair.lastSampleAt < this.pairIdleMs) return;
+
+      const summary = this.getPairSummary(pairId);
+      logger.info("Call quality summary", {
+        pairId: pairId,
+        mode: summary.mode,
+        durationMs: summary.durationMs,
+        samples: summary.samples,
+        relayed: summary.relayed,
+        rttMs: summary.rttMs,
+        packetLossPct: summary.packetLossPct,
+        jitterMs: summary.jitterMs,
+      });
+      this.pairs.delete(pairId);
+    });
+
+    this.lastSampleAt.forEach((timestamp, socketId) => {
+      if (now - timestamp >= this.pairIdleMs) {
+        this.lastSampleAt.delete(socketId);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      samples: this.samples.length,
+      activePairs: this.pairs.size,
+      reportingSockets: this.lastSampleAt.size,
+    };
+  }
+}
+
+module.exports = CallQualityMonitor;
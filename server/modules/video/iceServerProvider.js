@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+const { ICE_SERVERS, TURN } = require("../../config/constants");
+
+// Hands out ICE configuration for WebRTC clients. TURN credentials follow the
+// TURN REST scheme: the username is "<expiry unix time>:<user ID>" and the
+// password is base64(HMAC-SHA1(shared secret, username)), so the TURN server
+// can check them with the same secret and no per-user state.
+class IceServerProvider {
+  constructor(options = {}) {
+    this.stunServers = options.stunServers || ICE_SERVERS;
+    this.turnUrls = this.parseUrls(
+      options.turnUrls !== undefined ? options.turnUrls : TURN.URLS
+    );
+    this.secret =
+      options.secret !== undefined ? options.secret : TURN.SECRET || null;
+    this.ttl = options.ttl || TURN.CREDENTIAL_TTL;
+
+    logger.info("IceServerProvider initialized", {
+      stunServers: this.stunServers.length,
+      turnUrls: this.turnUrls,
+      turnEnabled: this.isTurnEnabled(),
+      credentialTtl: this.ttl,
+    });
+
+    if (this.turnUrls.length > 0 && !this.secret) {
+      logger.warn("TURN URLs configured without TURN_SECRET; relays disabled");
+    }
+  }
+
+  parseUrls(urls) {
+    if (!urls) return [];
+    const list = Array.isArray(urls) ? urls : String(urls).split(",");
+    return list.map((url) => url.trim()).filter(Boolean);
+  }
+
+  isTurnEnabled() {
+    return this.turnUrls.length > 0 && !!this.secret;
+  }
+
+  createCredential(userId, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + this.ttl;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto
+      .createHmac("sha1", this.secret)
+      .update(username)
+      .digest("base64");
+
+    return { username, credential, expiresAt: expiresAt * 1000 };
+  }
+
+  // RTCConfiguration-ready ICE servers for one user. Without TURN configured
+  // this is just the STUN list and never expires.
+  getIceServers(userId, now = Date.now()) {
+    const iceServers = this.stunServers.map((server) => ({ ...server }));
+    if (!this.isTurnEnabled()) {
+      return { iceServers, ttl: null, expiresAt: null };
+    }
+
+    const { username, credential, expiresAt } = this.createCredential(
+      userId,
+      now
+    );
+    iceServers.push({
+      urls: this.turnUrls,
+      username: username,
+      credential: credential,
+    });
+
+    return { iceServers, ttl: this.ttl, expiresAt };
+  }
+}
+
+module.exports = IceServerProvider;
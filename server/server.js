@@ -86,6 +86,8 @@ if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const Redis = require("ioredis");
 const helmet = require("helmet");
 const { createClient } = require("@supabase/supabase-js");
 
@@ -128,7 +130,21 @@ console.log("✅ Supabase client initialized");
 // Import modules - CORRECT PATHS:
 const authMiddleware = require("./modules/auth/authMiddleware");
 const PairingManager = require("./modules/pairing/pairingManager");
+const { createPairingStore } = require("./modules/pairing/stores");
 const SignalingHandler = require("./modules/signaling/signalingHandler");
+const ChatHandler = require("./modules/chat/chatHandler");
+const FileTransferHandler = require("./modules/signaling/fileTransferHandler");
+const BlockManager = require("./modules/moderation/blockManager");
+const ContentFilter = require("./modules/moderation/contentFilter");
+const ModerationManager = require("./modules/moderation/moderationManager");
+const BanManager = require("./modules/moderation/banManager");
+const IceServerProvider = require("./modules/video/iceServerProvider");
+const CallQualityMonitor = require("./modules/video/callQualityMonitor");
+const {
+  pairingValidation,
+  moderationValidation,
+  signalingValidation,
+} = require("./utils/validation");
 const logger = require("./utils/logger");
 
 class CampusConnectServer {
@@ -152,12 +168,57 @@ class CampusConnectServer {
       pingInterval: 25000,
     });
 
+    // Share pairing state and route socket events across instances
+    this.redisClient = this.createRedisClient("pairing");
+    if (this.redisClient) {
+      this.io.adapter(
+        createAdapter(
+          this.redisClient,
+          // Subscriptions wait for Redis to come back instead of failing
+          this.createRedisClient("socket.io subscriber", {
+            maxRetriesPerRequest: null,
+          })
+        )
+      );
+    }
+
     // Initialize health monitor
     this.healthMonitor = require("./utils/healthMonitor");
 
-    // Initialize modules with proper dependency injection
-    this.pairingManager = new PairingManager(this.io);
-    this.signalingHandler = new SignalingHandler(this.io, this.pairingManager);
+    // Initialize modules with proper dependency injection. Block and ban
+    // caches hear about changes made on other instances through the adapter.
+    const sharedIo = this.redisClient ? this.io : null;
+    this.blockManager = new BlockManager(supabase, { io: sharedIo });
+    this.banManager = new BanManager(supabase, { io: sharedIo });
+    this.pairingManager = new PairingManager(this.io, {
+      blockManager: this.blockManager,
+      store: createPairingStore({ redisClient: this.redisClient }),
+    });
+    this.signalingHandler = new SignalingHandler(
+      this.io,
+      this.pairingManager,
+      this.blockManager
+    );
+    this.moderationManager = new ModerationManager({
+      pairingManager: this.pairingManager,
+      supabase: supabase,
+    });
+    this.chatHandler = new ChatHandler(
+      this.io,
+      this.pairingManager,
+      this.blockManager
+    );
+    this.fileTransferHandler = new FileTransferHandler(
+      this.io,
+      this.pairingManager,
+      this.blockManager
+    );
+    this.contentFilter = new ContentFilter({
+      pairingManager: this.pairingManager,
+      moderationManager: this.moderationManager,
+    });
+    this.iceServerProvider = new IceServerProvider();
+    this.callQualityMonitor = new CallQualityMonitor();
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -702,7 +763,7 @@ class CampusConnectServer {
         // Get user's MFA data from database
         const { data: user, error } = await supabase
           .from("profiles") // Use your actual table name
-          .select("mfa_secret, mfa_backup_codes, mfa_enabled")
+          .select("id, mfa_secret, mfa_backup_codes, mfa_enabled")
           .eq("email", email)
           .single();
 
@@ -734,15 +795,7 @@ class CampusConnectServer {
 
         if (verified) {
           // Generate MFA session token
-          const jwt = require("jsonwebtoken");
-          const mfaToken = jwt.sign(
-            {
-              email: email,
-              mfa_verified: true,
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "5m" } // Short expiry for MFA token
-          );
+          const mfaToken = authMiddleware.generateMfaToken(user.id, email);
 
           res.json({
             success: true,
@@ -855,9 +908,9 @@ class CampusConnectServer {
     });
 
     // Add this to your routes for debugging
-    this.app.get("/api/debug/queue-status", (req, res) => {
+    this.app.get("/api/debug/queue-status", async (req, res) => {
       try {
-        const queueStatus = this.pairingManager.getDetailedQueueStatus();
+        const queueStatus = await this.pairingManager.getDetailedQueueStatus();
         const sockets = Array.from(this.io.sockets.sockets.values());
 
         const connectedUsers = sockets.map((socket) => ({
@@ -1141,48 +1194,53 @@ class CampusConnectServer {
         email = sanitizeInput(email?.toString() || "");
 
         // Check if MFA token is provided (step 2 of login)
-        if (mfa_token) {
-          try {
-            const jwt = require("jsonwebtoken");
-            const decoded = jwt.verify(mfa_token, process.env.JWT_SECRET);
-
-            if (decoded.email === email && decoded.mfa_verified) {
-              // MFA verified, generate final auth token
-              const finalToken = jwt.sign(
-                {
-                  userId: decoded.userId,
-                  email: email,
-                  sessionId: encryptionManager.generateSecureToken(16),
-                  mfa_verified: true,
-                },
-                process.env.JWT_SECRET,
-                { expiresIn: "24h" }
-              );
-
-              // Track successful login with MFA
-              this.healthMonitor.trackSecurityEvent("login_success_mfa", {
-                requestId: requestId,
-                email: email,
-                ip: req.ip,
-                severity: "low",
-              });
-
-              return res.json({
-                message: "Login successful",
-                token: finalToken,
-                user: {
-                  email: email,
-                  mfa_enabled: true,
-                },
-              });
-            }
-          } catch (error) {
-            // Invalid MFA token, continue with normal login
-            logger.warn("Invalid MFA token provided", {
-              email,
-              error: error.message,
+        const mfaUser =
+          mfa_token && authMiddleware.verifyMfaToken(mfa_token, email);
+        if (mfaUser) {
+          const ban = await this.banManager.getActiveBan(mfaUser.userId);
+          if (ban) {
+            const banPayload = this.banManager.toClientPayload(ban);
+            this.healthMonitor.trackSecurityEvent("banned_user_login", {
+              requestId: requestId,
+              userId: mfaUser.userId,
+              ip: req.ip,
+              banType: ban.type,
+              severity: "medium",
             });
+            return res
+              .status(403)
+              .json({ error: banPayload.message, ban: banPayload });
           }
+
+          // MFA verified, generate final auth token
+          const jwt = require("jsonwebtoken");
+          const finalToken = jwt.sign(
+            {
+              userId: mfaUser.userId,
+              email: email,
+              sessionId: encryptionManager.generateSecureToken(16),
+              mfa_verified: true,
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: "24h" }
+          );
+
+          // Track successful login with MFA
+          this.healthMonitor.trackSecurityEvent("login_success_mfa", {
+            requestId: requestId,
+            email: email,
+            ip: req.ip,
+            severity: "low",
+          });
+
+          return res.json({
+            message: "Login successful",
+            token: finalToken,
+            user: {
+              email: email,
+              mfa_enabled: true,
+            },
+          });
         }
 
         // Normal login flow (step 1)
@@ -1197,6 +1255,23 @@ class CampusConnectServer {
           return res.status(401).json({ error: "Invalid credentials" });
         }
 
+        // Suspended or banned accounts can't log in
+        const ban = await this.banManager.getActiveBan(data.user.id);
+        if (ban) {
+          const banPayload = this.banManager.toClientPayload(ban);
+          this.healthMonitor.trackSecurityEvent("banned_user_login", {
+            requestId: requestId,
+            userId: data.user.id,
+            email: email,
+            ip: req.ip,
+            banType: ban.type,
+            severity: "medium",
+          });
+          return res
+            .status(403)
+            .json({ error: banPayload.message, ban: banPayload });
+        }
+
         // Check if user has MFA enabled
         const { data: userProfile } = await supabase
           .from("profiles") // Use your actual table name
@@ -1334,6 +1409,7 @@ class CampusConnectServer {
           const metrics = this.healthMonitor.getRealTimeMetrics();
           // Add security context to metrics
           metrics.security = this.healthMonitor.getSecurityMetrics();
+          metrics.video.quality = this.callQualityMonitor.getSummary();
           res.write(`data: ${JSON.stringify(metrics)}\n\n`);
         } catch (error) {
           console.error("Error sending metrics:", error);
@@ -1361,6 +1437,7 @@ class CampusConnectServer {
 
         const metrics = this.healthMonitor.getRealTimeMetrics();
         metrics.security = this.healthMonitor.getSecurityMetrics();
+        metrics.video.quality = this.callQualityMonitor.getSummary();
 
         res.json({
           status: "success",
@@ -1679,9 +1756,9 @@ class CampusConnectServer {
     // =========================================================================
 
     // Queue status endpoint for monitoring
-    this.app.get("/api/queue/status", (req, res) => {
+    this.app.get("/api/queue/status", async (req, res) => {
       try {
-        const queueStatus = this.pairingManager.getDetailedQueueStatus();
+        const queueStatus = await this.pairingManager.getDetailedQueueStatus();
 
         res.json({
           status: "success",
@@ -1711,9 +1788,10 @@ class CampusConnectServer {
       res.setHeader("Access-Control-Allow-Origin", "*");
       res.setHeader("X-Content-Type-Options", "nosniff");
 
-      const sendQueueUpdate = () => {
+      const sendQueueUpdate = async () => {
         try {
-          const queueStatus = this.pairingManager.getDetailedQueueStatus();
+          const queueStatus =
+            await this.pairingManager.getDetailedQueueStatus();
           res.write(`data: ${JSON.stringify(queueStatus)}\n\n`);
         } catch (error) {
           console.error("Error sending queue update:", error);
@@ -1731,55 +1809,269 @@ class CampusConnectServer {
     });
 
     // =========================================================================
-    // EXISTING APPLICATION ROUTES
+    // WEBRTC ROUTES
     // =========================================================================
 
-    // Server info endpoint (for debugging)
-    this.app.get("/api/info", (req, res) => {
-      const info = {
-        server: {
-          nodeVersion: process.version,
-          platform: process.platform,
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-        },
-        pairing: this.pairingManager.getQueueStatus(),
-        environment: process.env.NODE_ENV || "development",
-        security: {
-          level: "enhanced",
-          encryption: "enabled",
-          monitoring: "active",
-        },
-      };
-      res.json(info);
-    });
+    // Short-lived TURN credentials, fetched by clients before each call
+    this.app.get(
+      "/api/webrtc/ice-servers",
+      authMiddleware.authenticateRequest,
+      (req, res) => {
+        try {
+          const config = this.iceServerProvider.getIceServers(req.user.userId);
 
-    // Config endpoint
-    this.app.get("/api/config", (req, res) => {
-      res.json({
-        supabaseUrl: process.env.SUPABASE_URL ? "configured" : "missing",
-        supabaseKey: process.env.SUPABASE_ANON_KEY ? "configured" : "missing",
-        environment: process.env.NODE_ENV || "development",
-        security: "enhanced",
-      });
-    });
+          logger.debug("ICE servers issued", {
+            userId: req.user.userId,
+            servers: config.iceServers.length,
+            expiresAt: config.expiresAt,
+          });
 
-    // Health monitoring endpoints
-    this.app.get("/api/health/detailed", async (req, res) => {
+          res.set("Cache-Control", "no-store");
+          res.json({
+            status: "success",
+            data: config,
+          });
+        } catch (error) {
+          logger.error("Error issuing ICE servers", {
+            userId: req.user?.userId,
+            error: error.message,
+          });
+          this.healthMonitor.trackError(error, { endpoint: "ice_servers" });
+          res.status(500).json({
+            status: "error",
+            message: "Failed to load ICE servers",
+            error:
+              process.env.NODE_ENV === "production"
+                ? "Internal error"
+                : error.message,
+          });
+        }
+      }
+    );
+
+    // =========================================================================
+    // USER SAFETY ROUTES
+    // =========================================================================
+
+    // Block a user so they are never paired with the caller again
+    this.app.post(
+      "/api/users/block",
+      authMiddleware.authenticateRequest,
+      async (req, res) => {
+        try {
+          const blockedUserId = sanitizeInput(
+            req.body?.userId?.toString() || ""
+          );
+
+          if (!blockedUserId) {
+            return res.status(400).json({
+              status: "error",
+              message: "userId is required",
+            });
+          }
+          if (blockedUserId === req.user.userId) {
+            return res.status(400).json({
+              status: "error",
+              message: "You cannot block yourself",
+            });
+          }
+
+          await this.blockManager.loadForUser(req.user.userId);
+          const created = await this.blockManager.block(
+            req.user.userId,
+            blockedUserId
+          );
+          const endedPairs = await this.pairingManager.handleBlock(
+            req.user.userId,
+            blockedUserId
+          );
+
+          this.healthMonitor.trackSecurityEvent("user_blocked", {
+            userId: req.user.userId,
+            blockedUserId: blockedUserId,
+            endedPairs: endedPairs,
+            source: "api",
+            ip: req.ip,
+            severity: "low",
+          });
+
+          res.status(created ? 201 : 200).json({
+            status: "success",
+            data: {
+              blockedUserId: blockedUserId,
+              endedPairs: endedPairs,
+              blockedUsers: this.blockManager.getBlockedUsers(req.user.userId),
+            },
+          });
+        } catch (error) {
+          logger.error("Error blocking user", {
+            userId: req.user?.userId,
+            error: error.message,
+          });
+          this.healthMonitor.trackError(error, { endpoint: "users_block" });
+          res.status(500).json({
+            status: "error",
+            message: "Failed to block user",
+            error:
+              process.env.NODE_ENV === "production"
+                ? "Internal error"
+                : error.message,
+          });
+        }
+      }
+    );
+
+    this.app.delete(
+      "/api/users/block/:userId",
+      authMiddleware.authenticateRequest,
+      async (req, res) => {
+        try {
+          const blockedUserId = sanitizeInput(req.params.userId);
+
+          await this.blockManager.loadForUser(req.user.userId);
+          const removed = await this.blockManager.unblock(
+            req.user.userId,
+            blockedUserId
+          );
+
+          if (!removed) {
+            return res.status(404).json({
+              status: "error",
+              message: "User is not blocked",
+            });
+          }
+
+          this.healthMonitor.trackSecurityEvent("user_unblocked", {
+            userId: req.user.userId,
+            blockedUserId: blockedUserId,
+            ip: req.ip,
+            severity: "low",
+          });
+
+          res.json({
+            status: "success",
+            data: {
+              unblockedUserId: blockedUserId,
+              blockedUsers: this.blockManager.getBlockedUsers(req.user.userId),
+            },
+          });
+        } catch (error) {
+          logger.error("Error unblocking user", {
+            userId: req.user?.userId,
+            error: error.message,
+          });
+          this.healthMonitor.trackError(error, { endpoint: "users_unblock" });
+          res.status(500).json({
+            status: "error",
+            message: "Failed to unblock user",
+            error:
+              process.env.NODE_ENV === "production"
+                ? "Internal error"
+                : error.message,
+          });
+        }
+      }
+    );
+
+    // Report the current or a recent partner
+    this.app.post(
+      "/api/reports",
+      authMiddleware.authenticateRequest,
+      async (req, res) => {
+        try {
+          const { error, value } = moderationValidation.report.validate(
+            req.body || {},
+            { stripUnknown: true }
+          );
+
+          if (error) {
+            return res.status(400).json({
+              status: "error",
+              message: error.details[0].message,
+            });
+          }
+
+          const result = await this.moderationManager.submitReport(
+            req.user,
+            {
+              ...value,
+              comment: sanitizeInput(value.comment),
+              transcript: value.transcript.map((entry) => ({
+                ...entry,
+                message: sanitizeInput(entry.message),
+              })),
+            },
+            "api"
+          );
+
+          if (result.error) {
+            return res.status(400).json({
+              status: "error",
+              message: result.error,
+              code: result.code,
+            });
+          }
+
+          res.status(201).json({
+            status: "success",
+            data: {
+              caseId: result.case.id,
+              status: result.case.status,
+            },
+          });
+        } catch (error) {
+          logger.error("Error creating report", {
+            userId: req.user?.userId,
+            error: error.message,
+          });
+          this.healthMonitor.trackError(error, { endpoint: "reports" });
+          res.status(500).json({
+            status: "error",
+            message: "Failed to submit report",
+            error:
+              process.env.NODE_ENV === "production"
+                ? "Internal error"
+                : error.message,
+          });
+        }
+      }
+    );
+
+    // =========================================================================
+    // MODERATION ADMIN ROUTES
+    // =========================================================================
+
+    const adminOnly = [
+      authMiddleware.authenticateRequest,
+      authMiddleware.requireAdmin,
+    ];
+
+    this.app.get("/api/admin/moderation/cases", adminOnly, async (req, res) => {
       try {
-        const health = this.healthMonitor.getRealTimeMetrics();
-        health.security = this.healthMonitor.getSecurityMetrics();
+        const { error, value } = moderationValidation.caseQuery.validate(
+          req.query,
+          { stripUnknown: true }
+        );
+
+        if (error) {
+          return res.status(400).json({
+            status: "error",
+            message: error.details[0].message,
+          });
+        }
 
+        const result = await this.moderationManager.listCases(value);
         res.json({
           status: "success",
-          data: health,
-          timestamp: new Date().toISOString(),
+          data: result.cases,
+          total: result.total,
+          counts: result.counts,
         });
       } catch (error) {
-        this.healthMonitor.trackError(error, { endpoint: "health_detailed" });
+        this.healthMonitor.trackError(error, { endpoint: "moderation_cases" });
         res.status(500).json({
           status: "error",
-          message: "Health check failed",
+          message: "Failed to get moderation cases",
           error:
             process.env.NODE_ENV === "production"
               ? "Internal error"
@@ -1788,51 +2080,345 @@ class CampusConnectServer {
       }
     });
 
-    // Quick health check
-    this.app.get("/api/health/quick", (req, res) => {
-      const metrics = this.healthMonitor.getApplicationMetrics();
+    this.app.get(
+      "/api/admin/moderation/cases/:caseId",
+      adminOnly,
+      async (req, res) => {
+        try {
+          const moderationCase = await this.moderationManager.getCase(
+            req.params.caseId
+          );
 
-      res.json({
-        status: "healthy",
-        uptime: metrics.uptime,
-        requests: metrics.requests.total,
-        activeConnections: metrics.connections.active,
-        timestamp: new Date().toISOString(),
-        security: "enhanced",
-      });
-    });
+          if (!moderationCase) {
+            return res.status(404).json({
+              status: "error",
+              message: "Case not found",
+            });
+          }
 
-    // Metrics endpoint for monitoring
-    this.app.get("/api/health/metrics", (req, res) => {
-      res.json({
-        status: "success",
-        data: {
-          application: this.healthMonitor.getApplicationMetrics(),
-          system: this.healthMonitor.getSystemMetrics(),
-          security: this.healthMonitor.getSecurityMetrics(),
-          timestamp: new Date().toISOString(),
-        },
-      });
-    });
+          res.json({ status: "success", data: moderationCase });
+        } catch (error) {
+          this.healthMonitor.trackError(error, { endpoint: "moderation_case" });
+          res.status(500).json({
+            status: "error",
+            message: "Failed to get moderation case",
+            error:
+              process.env.NODE_ENV === "production"
+                ? "Internal error"
+                : error.message,
+          });
+        }
+      }
+    );
 
-    // Reset metrics (protected endpoint)
-    this.app.post("/api/health/reset", (req, res) => {
-      this.healthMonitor.trackSecurityEvent("health_metrics_reset", {
-        ip: req.ip,
-        endpoint: "/api/health/reset",
-        severity: "medium",
-      });
+    this.app.post(
+      "/api/admin/moderation/cases/:caseId/resolve",
+      adminOnly,
+      async (req, res) => {
+        try {
+          const { error, value } = moderationValidation.resolveCase.validate(
+            req.body || {},
+            { stripUnknown: true }
+          );
 
-      this.healthMonitor.resetMetrics();
+          if (error) {
+            return res.status(400).json({
+              status: "error",
+              message: error.details[0].message,
+            });
+          }
 
-      res.json({
-        status: "success",
-        message: "Metrics reset successfully",
-        timestamp: new Date().toISOString(),
-      });
-    });
+          const result = await this.moderationManager.updateCaseStatus(
+            req.params.caseId,
+            value.status,
+            {
+              moderator: value.moderator
+                ? sanitizeInput(value.moderator)
+                : req.user.email,
+              note: sanitizeInput(value.note),
+            }
+          );
 
-    // =========================================================================
+          if (result.error) {
+            return res
+              .status(result.code === "CASE_NOT_FOUND" ? 404 : 409)
+              .json({
+                status: "error",
+                message: result.error,
+                code: result.code,
+              });
+          }
+
+          this.healthMonitor.trackSecurityEvent("admin_moderation_action", {
+            ip: req.ip,
+            caseId: req.params.caseId,
+            status: value.status,
+            severity: "medium",
+          });
+
+          // An upheld report counts as a strike against the reported user
+          let sanction = null;
+          if (value.status === "actioned") {
+            sanction = await this.banManager.addStrike(
+              result.case.reported.userId,
+              {
+                reason: `Report upheld: ${result.case.category}`,
+                issuedBy: value.moderator || req.user.email,
+                caseId: result.case.id,
+              }
+            );
+            if (sanction.ban) {
+              this.disconnectBannedUser(
+                result.case.reported.userId,
+                sanction.ban
+              );
+            }
+          }
+
+          res.json({
+            status: "success",
+            data: result.case,
+            sanction: sanction,
+          });
+        } catch (error) {
+          this.healthMonitor.trackError(error, {
+            endpoint: "moderation_resolve",
+          });
+          res.status(500).json({
+            status: "error",
+            message: "Failed to update moderation case",
+            error:
+              process.env.NODE_ENV === "production"
+                ? "Internal error"
+                : error.message,
+          });
+        }
+      }
+    );
+
+    // Account sanctions keyed on user ID
+    this.app.get("/api/admin/users/:id/ban", adminOnly, async (req, res) => {
+      try {
+        const status = await this.banManager.getStatus(req.params.id);
+        res.json({ status: "success", data: status });
+      } catch (error) {
+        this.healthMonitor.trackError(error, { endpoint: "admin_ban_status" });
+        res.status(500).json({
+          status: "error",
+          message: "Failed to get ban status",
+          error:
+            process.env.NODE_ENV === "production"
+              ? "Internal error"
+              : error.message,
+        });
+      }
+    });
+
+    this.app.post("/api/admin/users/:id/ban", adminOnly, async (req, res) => {
+      try {
+        const { error, value } = moderationValidation.ban.validate(
+          req.body || {},
+          { stripUnknown: true }
+        );
+
+        if (error) {
+          return res.status(400).json({
+            status: "error",
+            message: error.details[0].message,
+          });
+        }
+
+        const userId = sanitizeInput(req.params.id);
+        const reason = sanitizeInput(value.reason);
+        const issuedBy = value.issuedBy
+          ? sanitizeInput(value.issuedBy)
+          : req.user.email;
+
+        let ban = null;
+        let strikes = null;
+        if (value.action === "suspend") {
+          ban = await this.banManager.suspend(userId, {
+            duration: value.durationHours * 60 * 60 * 1000,
+            reason: reason,
+            issuedBy: issuedBy,
+          });
+        } else if (value.action === "ban") {
+          ban = await this.banManager.banPermanently(userId, {
+            reason: reason,
+            issuedBy: issuedBy,
+          });
+        } else {
+          const result = await this.banManager.addStrike(userId, {
+            reason: reason,
+            issuedBy: issuedBy,
+          });
+          ban = result.ban;
+          strikes = result.strikes;
+        }
+
+        if (ban) {
+          this.disconnectBannedUser(userId, ban);
+        }
+
+        this.healthMonitor.trackSecurityEvent("admin_user_sanction", {
+          ip: req.ip,
+          userId: userId,
+          action: value.action,
+          severity: "high",
+        });
+
+        res.json({
+          status: "success",
+          data: {
+            userId: userId,
+            action: value.action,
+            ban: ban,
+            strikes: strikes,
+          },
+        });
+      } catch (error) {
+        this.healthMonitor.trackError(error, { endpoint: "admin_ban" });
+        res.status(500).json({
+          status: "error",
+          message: "Failed to apply sanction",
+          error:
+            process.env.NODE_ENV === "production"
+              ? "Internal error"
+              : error.message,
+        });
+      }
+    });
+
+    this.app.delete("/api/admin/users/:id/ban", adminOnly, async (req, res) => {
+      try {
+        const lifted = await this.banManager.liftBan(req.params.id, {
+          issuedBy: req.user.email,
+        });
+
+        if (!lifted) {
+          return res.status(404).json({
+            status: "error",
+            message: "User is not banned",
+          });
+        }
+
+        res.json({ status: "success", data: { userId: req.params.id } });
+      } catch (error) {
+        this.healthMonitor.trackError(error, { endpoint: "admin_unban" });
+        res.status(500).json({
+          status: "error",
+          message: "Failed to lift ban",
+          error:
+            process.env.NODE_ENV === "production"
+              ? "Internal error"
+              : error.message,
+        });
+      }
+    });
+
+    // =========================================================================
+    // EXISTING APPLICATION ROUTES
+    // =========================================================================
+
+    // Server info endpoint (for debugging)
+    this.app.get("/api/info", async (req, res) => {
+      const info = {
+        server: {
+          nodeVersion: process.version,
+          platform: process.platform,
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+        },
+        pairing: await this.pairingManager.getQueueStatus(),
+        environment: process.env.NODE_ENV || "development",
+        security: {
+          level: "enhanced",
+          encryption: "enabled",
+          monitoring: "active",
+        },
+      };
+      res.json(info);
+    });
+
+    // Config endpoint
+    this.app.get("/api/config", (req, res) => {
+      res.json({
+        supabaseUrl: process.env.SUPABASE_URL ? "configured" : "missing",
+        supabaseKey: process.env.SUPABASE_ANON_KEY ? "configured" : "missing",
+        environment: process.env.NODE_ENV || "development",
+        security: "enhanced",
+      });
+    });
+
+    // Health monitoring endpoints
+    this.app.get("/api/health/detailed", async (req, res) => {
+      try {
+        const health = this.healthMonitor.getRealTimeMetrics();
+        health.security = this.healthMonitor.getSecurityMetrics();
+
+        res.json({
+          status: "success",
+          data: health,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (error) {
+        this.healthMonitor.trackError(error, { endpoint: "health_detailed" });
+        res.status(500).json({
+          status: "error",
+          message: "Health check failed",
+          error:
+            process.env.NODE_ENV === "production"
+              ? "Internal error"
+              : error.message,
+        });
+      }
+    });
+
+    // Quick health check
+    this.app.get("/api/health/quick", (req, res) => {
+      const metrics = this.healthMonitor.getApplicationMetrics();
+
+      res.json({
+        status: "healthy",
+        uptime: metrics.uptime,
+        requests: metrics.requests.total,
+        activeConnections: metrics.connections.active,
+        timestamp: new Date().toISOString(),
+        security: "enhanced",
+      });
+    });
+
+    // Metrics endpoint for monitoring
+    this.app.get("/api/health/metrics", (req, res) => {
+      res.json({
+        status: "success",
+        data: {
+          application: this.healthMonitor.getApplicationMetrics(),
+          system: this.healthMonitor.getSystemMetrics(),
+          security: this.healthMonitor.getSecurityMetrics(),
+          timestamp: new Date().toISOString(),
+        },
+      });
+    });
+
+    // Reset metrics (protected endpoint)
+    this.app.post("/api/health/reset", (req, res) => {
+      this.healthMonitor.trackSecurityEvent("health_metrics_reset", {
+        ip: req.ip,
+        endpoint: "/api/health/reset",
+        severity: "medium",
+      });
+
+      this.healthMonitor.resetMetrics();
+
+      res.json({
+        status: "success",
+        message: "Metrics reset successfully",
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    // =========================================================================
     // STATIC FILE SERVING AND SPA FALLBACK
     // =========================================================================
 
@@ -1956,7 +2542,7 @@ class CampusConnectServer {
     logger.info("Setting up enhanced Socket.IO with security");
 
     // Enhanced authentication middleware for Socket.IO
-    this.io.use((socket, next) => {
+    this.io.use(async (socket, next) => {
       try {
         const token = socket.handshake.auth.token;
 
@@ -1984,6 +2570,30 @@ class CampusConnectServer {
         socket.sessionId =
           decoded.sessionId || encryptionManager.generateSecureToken(16);
 
+        // Banned accounts are turned away with the reason and expiry
+        const ban = await this.banManager.getActiveBan(socket.userId);
+        if (ban) {
+          const banPayload = this.banManager.toClientPayload(ban);
+
+          logger.warn("Banned user tried to connect", {
+            socketId: socket.id,
+            userId: socket.userId,
+            banType: ban.type,
+          });
+
+          this.healthMonitor.trackSecurityEvent("banned_user_connection", {
+            socketId: socket.id,
+            userId: socket.userId,
+            ip: socket.handshake.address,
+            banType: ban.type,
+            severity: "medium",
+          });
+
+          const banError = new Error(banPayload.message);
+          banError.data = banPayload;
+          return next(banError);
+        }
+
         // Track successful socket authentication
         this.healthMonitor.trackSecurityEvent("socket_auth_success", {
           socketId: socket.id,
@@ -2000,6 +2610,8 @@ class CampusConnectServer {
           email: socket.userEmail,
         });
 
+        // Make sure the matcher knows this user's blocks before they queue
+        await this.blockManager.loadForUser(socket.userId);
         next();
       } catch (error) {
         logger.error("Socket authentication failed", {
@@ -2055,6 +2667,23 @@ class CampusConnectServer {
         connectionId: connectionId,
       });
 
+      // Lets any instance reach this user's sockets, e.g. to apply a ban
+      socket.join(`user:${socket.userId}`);
+
+      // The chat filter runs in the browser; see contentFilter.js
+      socket.emit("chat:filter-rules", {
+        rules: this.contentFilter.getClientRules(),
+      });
+
+      // Pick up a pair this user was holding while reconnecting
+      this.pairingManager.resumePair(socket).catch((error) => {
+        logger.error("Error resuming pair", {
+          socketId: socket.id,
+          userId: socket.userId,
+          error: error.message,
+        });
+      });
+
       // AUTO-JOIN DEBUG: Add automatic queue join after 2 seconds
       setTimeout(() => {
         if (socket.connected) {
@@ -2106,6 +2735,22 @@ class CampusConnectServer {
 
         this.healthMonitor.trackDisconnection(socket.id, reason);
 
+        // Network drops keep the pair reserved for a short grace period
+        this.pairingManager
+          .handleSocketDisconnect(socket, reason)
+          .catch((error) => {
+            logger.error("Error releasing pairing state", {
+              socketId: socket.id,
+              userId: socket.userId,
+              error: error.message,
+            });
+          });
+        this.signalingHandler.cleanup(socket.id);
+        this.chatHandler.cleanup(socket.id);
+        this.fileTransferHandler.cleanup(socket.id);
+        this.contentFilter.cleanup(socket.id);
+        this.callQualityMonitor.removeSocket(socket.id);
+
         // Track disconnection security event
         this.healthMonitor.trackSecurityEvent("socket_disconnect", {
           socketId: socket.id,
@@ -2117,39 +2762,53 @@ class CampusConnectServer {
       });
 
       // Enhanced pairing events
-      socket.on("join_queue", (data) => {
+      socket.on("join_queue", async (data = {}) => {
         try {
+          const { error, value } = pairingValidation.joinQueue.validate(data, {
+            stripUnknown: true,
+          });
+
+          if (error) {
+            socket.emit("pairing-error", {
+              message: error.details[0].message,
+              code: "INVALID_JOIN_REQUEST",
+            });
+            return;
+          }
+
           // Sanitize user preferences
           const sanitizedData = {
-            ...data,
-            preferences: data.preferences
-              ? {
-                  ...data.preferences,
-                  college: sanitizeInput(data.preferences.college || ""),
-                  major: sanitizeInput(data.preferences.major || ""),
-                  interests: (data.preferences.interests || []).map(
-                    (interest) => sanitizeInput(interest)
-                  ),
-                }
-              : {},
+            mode: value.mode,
+            preflight: value.preflight,
+            preferences: {
+              ...value.preferences,
+              college: sanitizeInput(value.preferences.college || ""),
+              major: sanitizeInput(value.preferences.major || ""),
+              interests: (value.preferences.interests || []).map(
+                (interest) => sanitizeInput(interest)
+              ),
+            },
           };
 
           logger.info("User joining queue", {
             socketId: socket.id,
             userId: socket.userId,
+            mode: sanitizedData.mode,
             preferences: sanitizedData.preferences,
+            preflight: sanitizedData.preflight,
             connectionId: connectionId,
           });
 
           this.healthMonitor.trackSecurityEvent("queue_join", {
             socketId: socket.id,
             userId: socket.userId,
+            mode: sanitizedData.mode,
             preferences: sanitizedData.preferences,
             connectionId: connectionId,
             severity: "low",
           });
 
-          this.pairingManager.joinQueue(socket, sanitizedData);
+          await this.pairingManager.joinQueue(socket, sanitizedData);
         } catch (error) {
           logger.error("Error joining queue", {
             socketId: socket.id,
@@ -2185,8 +2844,180 @@ class CampusConnectServer {
         this.pairingManager.leaveQueue(socket.id);
       });
 
+      socket.on("pairing:skip", async () => {
+        try {
+          logger.info("User skipping partner", {
+            socketId: socket.id,
+            userId: socket.userId,
+            connectionId: connectionId,
+          });
+
+          this.healthMonitor.trackSecurityEvent("pairing_skip", {
+            socketId: socket.id,
+            userId: socket.userId,
+            connectionId: connectionId,
+            severity: "low",
+          });
+
+          await this.pairingManager.skipPartner(socket);
+        } catch (error) {
+          logger.error("Error skipping partner", {
+            socketId: socket.id,
+            userId: socket.userId,
+            error: error.message,
+            connectionId: connectionId,
+          });
+
+          this.healthMonitor.trackSecurityEvent("pairing_skip_error", {
+            socketId: socket.id,
+            userId: socket.userId,
+            error: error.message,
+            connectionId: connectionId,
+            severity: "medium",
+          });
+        }
+      });
+
+      // Block the current partner (or a given user) mid-call
+      socket.on("user:block", async (data = {}) => {
+        try {
+          const peer = await this.pairingManager.getPeer(socket.id);
+          const blockedUserId = data.userId
+            ? sanitizeInput(data.userId.toString())
+            : peer?.userId;
+
+          if (!blockedUserId || blockedUserId === socket.userId) {
+            socket.emit("user:block-error", {
+              message: "No user to block",
+              code: "INVALID_BLOCK_TARGET",
+            });
+            return;
+          }
+
+          await this.blockManager.block(socket.userId, blockedUserId);
+          const endedPairs = await this.pairingManager.handleBlock(
+            socket.userId,
+            blockedUserId
+          );
+
+          logger.info("User blocked via socket", {
+            socketId: socket.id,
+            userId: socket.userId,
+            blockedUserId: blockedUserId,
+            endedPairs: endedPairs,
+            connectionId: connectionId,
+          });
+
+          this.healthMonitor.trackSecurityEvent("user_blocked", {
+            socketId: socket.id,
+            userId: socket.userId,
+            blockedUserId: blockedUserId,
+            endedPairs: endedPairs,
+            source: "socket",
+            connectionId: connectionId,
+            severity: "low",
+          });
+
+          socket.emit("user:blocked", {
+            userId: blockedUserId,
+            endedPairs: endedPairs,
+            timestamp: Date.now(),
+          });
+        } catch (error) {
+          logger.error("Error blocking user", {
+            socketId: socket.id,
+            userId: socket.userId,
+            error: error.message,
+            connectionId: connectionId,
+          });
+
+          this.healthMonitor.trackSecurityEvent("user_block_error", {
+            socketId: socket.id,
+            userId: socket.userId,
+            error: error.message,
+            connectionId: connectionId,
+            severity: "medium",
+          });
+
+          socket.emit("user:block-error", {
+            message: "Failed to block user",
+            code: "BLOCK_FAILED",
+          });
+        }
+      });
+
+      socket.on("report:partner", async (data = {}) => {
+        try {
+          const { error, value } = moderationValidation.report.validate(data, {
+            stripUnknown: true,
+          });
+
+          if (error) {
+            socket.emit("report:error", {
+              message: error.details[0].message,
+              code: "INVALID_REPORT",
+            });
+            return;
+          }
+
+          const result = await this.moderationManager.submitReport(
+            { userId: socket.userId, email: socket.userEmail },
+            {
+              ...value,
+              comment: sanitizeInput(value.comment),
+              transcript: value.transcript.map((entry) => ({
+                ...entry,
+                message: sanitizeInput(entry.message),
+              })),
+            },
+            "socket"
+          );
+
+          if (result.error) {
+            socket.emit("report:error", {
+              message: result.error,
+              code: result.code,
+            });
+            return;
+          }
+
+          logger.info("Partner reported", {
+            socketId: socket.id,
+            userId: socket.userId,
+            caseId: result.case.id,
+            category: result.case.category,
+            connectionId: connectionId,
+          });
+
+          socket.emit("report:submitted", {
+            caseId: result.case.id,
+            timestamp: Date.now(),
+          });
+        } catch (error) {
+          logger.error("Error reporting partner", {
+            socketId: socket.id,
+            userId: socket.userId,
+            error: error.message,
+            connectionId: connectionId,
+          });
+
+          this.healthMonitor.trackSecurityEvent("report_error", {
+            socketId: socket.id,
+            userId: socket.userId,
+            error: error.message,
+            connectionId: connectionId,
+            severity: "medium",
+          });
+
+          socket.emit("report:error", {
+            message: "Failed to submit report",
+            code: "REPORT_FAILED",
+          });
+        }
+      });
+
       // Enhanced signaling events
-      socket.on("signal", (data) => {
+      socket.on("signal", async (data) => {
         try {
           logger.debug("Processing signal", {
             from: socket.id,
@@ -2206,7 +3037,7 @@ class CampusConnectServer {
             severity: "low",
           });
 
-          this.signalingHandler.handleSignal(socket, data);
+          await this.signalingHandler.handleSignal(socket, data);
         } catch (error) {
           logger.error("Error handling signal", {
             socketId: socket.id,
@@ -2225,34 +3056,97 @@ class CampusConnectServer {
         }
       });
 
-      // Enhanced chat message handling
-      socket.on("chat_message", (data) => {
+      // Clients report how each ICE restart ended
+      socket.on("video:ice-restart", async (data = {}) => {
         try {
-          // Sanitize chat message
-          const sanitizedMessage = sanitizeInput(data.message);
+          const { value: report, error: validationError } =
+            signalingValidation.iceRestartReport.validate(data, {
+              stripUnknown: true,
+            });
+          if (validationError) {
+            logger.debug("Invalid ICE restart report", {
+              socketId: socket.id,
+              error: validationError.message,
+            });
+            return;
+          }
 
-          logger.debug("Processing chat message", {
-            from: socket.id,
-            to: data.to,
-            messageLength: sanitizedMessage.length,
+          logger.info("ICE restart finished", {
+            socketId: socket.id,
+            userId: socket.userId,
+            outcome: report.outcome,
+            attempts: report.attempts,
+            durationMs: report.durationMs,
             connectionId: connectionId,
           });
 
-          // Track chat message for monitoring
-          this.healthMonitor.trackSecurityEvent("chat_message", {
-            fromSocket: socket.id,
-            toSocket: data.to,
-            messageLength: sanitizedMessage.length,
+          this.healthMonitor.trackIceRestart(report.outcome, {
+            socketId: socket.id,
+            userId: socket.userId,
+            pairId: await this.pairingManager.getPairId(socket.id),
+            attempts: report.attempts,
+            durationMs: report.durationMs,
+            trigger: report.trigger,
+          });
+        } catch (error) {
+          logger.error("Error handling ICE restart report", {
+            socketId: socket.id,
+            error: error.message,
             connectionId: connectionId,
-            severity: "low",
           });
+        }
+      });
 
-          // Broadcast the sanitized message
-          socket.to(data.to).emit("chat_message", {
-            from: socket.id,
-            message: sanitizedMessage,
-            timestamp: Date.now(),
+      // Screen share state, so the partner's UI and metrics can follow it
+      socket.on("media:screen-share", async (data = {}) => {
+        try {
+          await this.signalingHandler.handleScreenShare(socket, data);
+        } catch (error) {
+          logger.error("Error handling screen share state", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
           });
+        }
+      });
+
+      // Call quality samples from RTCPeerConnection.getStats()
+      socket.on("telemetry:call-stats", async (data = {}) => {
+        try {
+          const { value: stats, error: validationError } =
+            signalingValidation.callStats.validate(data, {
+              stripUnknown: true,
+            });
+          if (validationError) {
+            logger.debug("Invalid call stats sample", {
+              socketId: socket.id,
+              error: validationError.message,
+            });
+            return;
+          }
+
+          // Only samples from a call in progress count
+          const peer = await this.pairingManager.getPeer(socket.id);
+          if (!peer || peer.mode === "text") return;
+
+          this.callQualityMonitor.recordSample(
+            socket.id,
+            { pairId: peer.pairId, mode: peer.mode, userId: socket.userId },
+            stats
+          );
+        } catch (error) {
+          logger.error("Error handling call stats sample", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      // Text chat; see chatHandler.js for the event contract
+      socket.on("chat_message", async (data = {}) => {
+        try {
+          await this.chatHandler.handleMessage(socket, data);
         } catch (error) {
           logger.error("Error handling chat message", {
             socketId: socket.id,
@@ -2269,8 +3163,96 @@ class CampusConnectServer {
         }
       });
 
-      // Enhanced encryption key exchange
-      socket.on("encryption:key-exchange", (data) => {
+      socket.on("message_delivered", async (data = {}) => {
+        try {
+          await this.chatHandler.handleReceipt(socket, data, "delivered");
+        } catch (error) {
+          logger.error("Error handling delivery receipt", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      socket.on("message_read", async (data = {}) => {
+        try {
+          await this.chatHandler.handleReceipt(socket, data, "read");
+        } catch (error) {
+          logger.error("Error handling read receipt", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      socket.on("typing_start", async () => {
+        try {
+          await this.chatHandler.handleTyping(socket, true);
+        } catch (error) {
+          logger.error("Error handling typing start", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      socket.on("typing_stop", async () => {
+        try {
+          await this.chatHandler.handleTyping(socket, false);
+        } catch (error) {
+          logger.error("Error handling typing stop", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      socket.on("chat:filter-hit", async (data = {}) => {
+        try {
+          await this.contentFilter.handleHit(socket, data);
+        } catch (error) {
+          logger.error("Error handling chat filter hit", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      // Files go over the call's data channel; see fileTransferHandler.js
+      socket.on("file:offer", async (data = {}) => {
+        try {
+          await this.fileTransferHandler.handleOffer(socket, data);
+        } catch (error) {
+          logger.error("Error handling file offer", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
+      ["accept", "decline", "cancel", "complete"].forEach((action) => {
+        socket.on(`file:${action}`, async (data = {}) => {
+          try {
+            await this.fileTransferHandler.handleUpdate(socket, data, action);
+          } catch (error) {
+            logger.error("Error handling file transfer update", {
+              socketId: socket.id,
+              action: action,
+              error: error.message,
+              connectionId: connectionId,
+            });
+          }
+        });
+      });
+
+      // Media E2EE handshake; only public keys pass through
+      socket.on("encryption:key-exchange", async (data = {}) => {
         try {
           logger.info("Processing encryption key exchange", {
             from: socket.id,
@@ -2288,7 +3270,10 @@ class CampusConnectServer {
             severity: "medium",
           });
 
-          this.signalingHandler.handleEncryptionKeyExchange(socket, data);
+          await this.signalingHandler.handleEncryptionKeyExchange(
+            socket,
+            data
+          );
         } catch (error) {
           logger.error("Error handling encryption key exchange", {
             socketId: socket.id,
@@ -2305,6 +3290,18 @@ class CampusConnectServer {
         }
       });
 
+      socket.on("encryption:verified", async (data = {}) => {
+        try {
+          await this.signalingHandler.handleSafetyNumberVerified(socket, data);
+        } catch (error) {
+          logger.error("Error handling safety number verification", {
+            socketId: socket.id,
+            error: error.message,
+            connectionId: connectionId,
+          });
+        }
+      });
+
       // Admin events
       socket.on("admin:get_metrics", () => {
         try {
@@ -2332,6 +3329,45 @@ class CampusConnectServer {
     logger.info("Enhanced Socket.IO setup completed");
   }
 
+  // Kick every live socket belonging to a user who was just banned, on
+  // every instance, through the user's room.
+  // A server-side disconnect isn't transient, so each socket's own
+  // disconnect handler ends its pair straight away.
+  disconnectBannedUser(userId, ban) {
+    const room = `user:${userId}`;
+
+    this.io
+      .to(room)
+      .emit("account:banned", this.banManager.toClientPayload(ban));
+    this.io.in(room).disconnectSockets(true);
+  }
+
+  // Redis connection for shared pairing state and the Socket.IO adapter.
+  // Returns null without REDIS_URL so a single instance runs in memory.
+  createRedisClient(purpose, options = {}) {
+    if (!process.env.REDIS_URL) return null;
+
+    const client = new Redis(process.env.REDIS_URL, {
+      retryDelayOnFailover: 100,
+      maxRetriesPerRequest: 3,
+      enableReadyCheck: true,
+      ...options,
+    });
+
+    client.on("connect", () => {
+      logger.info("Redis connected", { purpose: purpose });
+    });
+
+    client.on("error", (error) => {
+      logger.error("Redis connection error", {
+        purpose: purpose,
+        error: error.message,
+      });
+    });
+
+    return client;
+  }
+
   start(port = process.env.PORT || 3000) {
     return new Promise((resolve, reject) => {
       this.server
@@ -0,0 +1,192 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackSecurityEvent: jest.fn(),
+}));
+
+const jwt = require("jsonwebtoken");
+const authMiddleware = require("../../modules/auth/authMiddleware");
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Runs a request through the same chain the admin routes use
+function runAdminChain(headers) {
+  const req = { headers: headers, path: "/api/admin/moderation/cases" };
+  const res = createResponse();
+  const next = jest.fn();
+
+  authMiddleware.authenticateRequest(req, res, () => {
+    authMiddleware.requireAdmin(req, res, next);
+  });
+  return { res, next };
+}
+
+function bearer(email, claims = { sessionId: "session-1" }) {
+  const token = jwt.sign(
+    { userId: `id-${email}`, email: email, ...claims },
+    authMiddleware.jwtSecret
+  );
+  return { authorization: `Bearer ${token}` };
+}
+
+describe("AuthMiddleware admin routes", () => {
+  const adminEmails = authMiddleware.adminEmails;
+
+  beforeEach(() => {
+    authMiddleware.adminEmails = ["mod@college.edu"];
+  });
+
+  afterAll(() => {
+    authMiddleware.adminEmails = adminEmails;
+  });
+
+  test("rejects requests without a token", () => {
+    const { res, next } = runAdminChain({});
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("rejects requests with a forged token", () => {
+    const forged = jwt.sign(
+      { userId: "id", email: "mod@college.edu" },
+      "not-the-secret"
+    );
+    const { res, next } = runAdminChain({ authorization: `Bearer ${forged}` });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  // The tokens /api/auth/login and /api/auth/mfa/verify hand out mid-MFA
+  test.each([
+    ["a password-only MFA token", { mfa_required: true }],
+    ["an MFA code token", { mfa_verified: true }],
+  ])("rejects %s, even for an admin", (label, claims) => {
+    const { res, next } = runAdminChain(bearer("mod@college.edu", claims));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("rejects signed-in users who aren't admins", () => {
+    const { res, next } = runAdminChain(bearer("student@college.edu"));
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("lets admins through, whatever the email's case", () => {
+    const { res, next } = runAdminChain(bearer("Mod@College.edu"));
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe("AuthMiddleware over HTTP", () => {
+  const express = require("express");
+  const adminEmails = authMiddleware.adminEmails;
+  let server;
+  let baseUrl;
+  let banUser;
+
+  beforeAll((done) => {
+    authMiddleware.adminEmails = ["mod@college.edu"];
+    banUser = jest.fn();
+
+    // Mounted the way server.js mounts the ban routes
+    const app = express();
+    app.post(
+      "/api/admin/users/:id/ban",
+      [authMiddleware.authenticateRequest, authMiddleware.requireAdmin],
+      (req, res) => {
+        banUser(req.params.id, req.user.email);
+        res.json({ status: "success" });
+      }
+    );
+    server = app.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    authMiddleware.adminEmails = adminEmails;
+    server.close(done);
+  });
+
+  test.each([
+    ["no token", {}, 401],
+    ["a non-admin token", bearer("student@college.edu"), 403],
+    [
+      "an MFA-pending admin token",
+      bearer("mod@college.edu", { mfa_required: true }),
+      401,
+    ],
+  ])("refuses to ban with %s", async (label, headers, status) => {
+    const response = await fetch(`${baseUrl}/api/admin/users/victim/ban`, {
+      method: "POST",
+      headers: headers,
+    });
+
+    expect(response.status).toBe(status);
+    expect(banUser).not.toHaveBeenCalled();
+  });
+
+  test("bans on behalf of an admin", async () => {
+    const response = await fetch(`${baseUrl}/api/admin/users/victim/ban`, {
+      method: "POST",
+      headers: bearer("mod@college.edu"),
+    });
+
+    expect(response.status).toBe(200);
+    expect(banUser).toHaveBeenCalledWith("victim", "mod@college.edu");
+  });
+});
+
+describe("AuthMiddleware MFA tokens", () => {
+  const BanManager = require("../../modules/moderation/banManager");
+
+  test("let login find a banned MFA user's ban", async () => {
+    const bans = new BanManager();
+    await bans.banPermanently("user-1", { reason: "spam", issuedBy: "mod" });
+
+    const token = authMiddleware.generateMfaToken("user-1", "a@college.edu");
+    const mfaUser = authMiddleware.verifyMfaToken(token, "a@college.edu");
+
+    expect(mfaUser).toEqual({ userId: "user-1", email: "a@college.edu" });
+    expect(await bans.getActiveBan(mfaUser.userId)).toEqual(
+      expect.objectContaining({ type: "permanent" })
+    );
+  });
+
+  test("rejects tokens without a user ID or for another email", () => {
+    const legacy = jwt.sign(
+      { email: "a@college.edu", mfa_verified: true },
+      authMiddleware.jwtSecret
+    );
+    const token = authMiddleware.generateMfaToken("user-1", "a@college.edu");
+
+    expect(authMiddleware.verifyMfaToken(legacy, "a@college.edu")).toBeNull();
+    expect(authMiddleware.verifyMfaToken(token, "b@college.edu")).toBeNull();
+  });
+
+  test("rejects the password-only token from the first login step", () => {
+    const pending = jwt.sign(
+      { userId: "user-1", email: "a@college.edu", mfa_required: true },
+      authMiddleware.jwtSecret
+    );
+
+    expect(authMiddleware.verifyMfaToken(pending, "a@college.edu")).toBeNull();
+  });
+});
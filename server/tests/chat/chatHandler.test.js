@@ -0,0 +1,366 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackSecurityEvent: jest.fn(),
+}));
+
+const ChatHandler = require("../../modules/chat/chatHandler");
+const { CHAT } = require("../../config/constants");
+const { createFakeSocket, createFakeIo } = require("../pairing/fakes");
+const { RedisPairingStore } = require("../../modules/pairing/stores");
+const FakeRedis = require("../pairing/fakeRedis");
+
+// What a browser sends: AES-GCM output the server can't read
+function envelope(overrides = {}) {
+  return {
+    ciphertext: Buffer.alloc(32, 7).toString("base64"),
+    iv: Buffer.alloc(12, 1).toString("base64"),
+    ...overrides,
+  };
+}
+
+describe("ChatHandler", () => {
+  let io;
+  let pairingManager;
+  let blockManager;
+  let handler;
+  let alice;
+
+  beforeEach(() => {
+    io = createFakeIo();
+    pairingManager = {
+      getPeer: jest.fn(async () => ({
+        socketId: "bob",
+        userId: "user-bob",
+        pairId: "pair-1",
+        mode: "text",
+      })),
+      isMemberConnected: jest.fn(() => true),
+    };
+    blockManager = { isBlocked: jest.fn(() => false) };
+    handler = new ChatHandler(io, pairingManager, blockManager);
+    alice = createFakeSocket("alice");
+  });
+
+  function errorCodes(socket) {
+    return socket.emit.mock.calls
+      .filter(([event]) => event === "error")
+      .map(([, data]) => data.code);
+  }
+
+  test("relays the ciphertext with an id and acks the sender", async () => {
+    await handler.handleMessage(alice, {
+      ...envelope(),
+      clientMessageId: "local-1",
+    });
+
+    expect(io.emitted).toEqual([
+      {
+        room: "bob",
+        event: "chat_message",
+        data: {
+          id: expect.any(String),
+          from: "alice",
+          ...envelope(),
+          timestamp: expect.any(Number),
+        },
+      },
+    ]);
+    const { id } = io.emitted[0].data;
+    expect(alice.emit).toHaveBeenCalledWith("message_sent", {
+      id: id,
+      clientMessageId: "local-1",
+      timestamp: expect.any(Number),
+    });
+  });
+
+  test("never relays plaintext sent alongside the envelope", async () => {
+    await handler.handleMessage(alice, envelope({ message: "hello" }));
+
+    expect(io.emitted[0].data).not.toHaveProperty("message");
+  });
+
+  test("ignores any recipient the client names", async () => {
+    await handler.handleMessage(alice, { ...envelope(), to: "carol" });
+
+    expect(io.emitted.map((entry) => entry.room)).toEqual(["bob"]);
+  });
+
+  test.each([
+    ["a plaintext message", { message: "hello" }],
+    ["an envelope without an iv", envelope({ iv: undefined })],
+    ["an iv of the wrong size", envelope({ iv: "AAAA" })],
+    ["ciphertext that isn't base64", envelope({ ciphertext: "<b>hi</b>" })],
+    [
+      "oversized ciphertext",
+      envelope({ ciphertext: "A".repeat(CHAT.MAX_CIPHERTEXT_LENGTH + 4) }),
+    ],
+  ])("rejects %s", async (label, data) => {
+    await handler.handleMessage(alice, data);
+
+    expect(errorCodes(alice)).toEqual(["INVALID_MESSAGE"]);
+    expect(io.emitted).toHaveLength(0);
+  });
+
+  test("rejects messages without an active pair", async () => {
+    pairingManager.getPeer.mockResolvedValue(null);
+
+    await handler.handleMessage(alice, envelope());
+
+    expect(errorCodes(alice)).toEqual(["NO_ACTIVE_PAIR"]);
+    expect(io.emitted).toHaveLength(0);
+  });
+
+  test("never delivers between blocked users", async () => {
+    blockManager.isBlocked.mockReturnValue(true);
+
+    await handler.handleMessage(alice, envelope());
+    await handler.handleTyping(alice, true);
+
+    expect(errorCodes(alice)).toEqual(["USER_BLOCKED"]);
+    expect(io.emitted).toHaveLength(0);
+  });
+
+  test("rate limits bursts of messages", async () => {
+    for (let i = 0; i <= CHAT.RATE_LIMIT_MAX; i++) {
+      await handler.handleMessage(alice, envelope());
+    }
+
+    expect(io.emitted).toHaveLength(CHAT.RATE_LIMIT_MAX);
+    expect(errorCodes(alice)).toEqual(["RATE_LIMIT_EXCEEDED"]);
+  });
+
+  test("relays typing only when it changes", async () => {
+    await handler.handleTyping(alice, true);
+    await handler.handleTyping(alice, true);
+    await handler.handleTyping(alice, false);
+    await handler.handleTyping(alice, false);
+
+    expect(io.emitted.map((entry) => entry.event)).toEqual([
+      "typing_start",
+      "typing_stop",
+    ]);
+    expect(io.emitted[0]).toEqual(
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({ from: "alice" }),
+      })
+    );
+  });
+
+  test("starts typing afresh with a new partner", async () => {
+    await handler.handleTyping(alice, true);
+    pairingManager.getPeer.mockResolvedValue({
+      socketId: "carol",
+      userId: "user-carol",
+      pairId: "pair-2",
+      mode: "text",
+    });
+    await handler.handleTyping(alice, true);
+
+    expect(io.emitted.map((entry) => entry.room)).toEqual(["bob", "carol"]);
+  });
+
+  test("a sent message ends typing", async () => {
+    await handler.handleTyping(alice, true);
+    await handler.handleMessage(alice, envelope());
+    await handler.handleTyping(alice, true);
+
+    expect(io.emitted.map((entry) => entry.event)).toEqual([
+      "typing_start",
+      "chat_message",
+      "typing_start",
+    ]);
+    expect(handler.getStats()).toEqual(
+      expect.objectContaining({ messagesRelayed: 1, typing: 1 })
+    );
+
+    handler.cleanup("alice");
+    expect(handler.getStats()).toEqual(
+      expect.objectContaining({ totalSockets: 0, typing: 0 })
+    );
+  });
+
+  describe("receipts", () => {
+    let bob;
+
+    beforeEach(() => {
+      bob = createFakeSocket("bob");
+      pairingManager.getPeer.mockImplementation(async (socketId) =>
+        socketId === "alice"
+          ? { socketId: "bob", userId: "user-bob", pairId: "pair-1" }
+          : { socketId: "alice", userId: "user-alice", pairId: "pair-1" }
+      );
+    });
+
+    async function send(clientMessageId = "local-1") {
+      await handler.handleMessage(alice, {
+        ...envelope(),
+        clientMessageId: clientMessageId,
+      });
+      return io.emitted[io.emitted.length - 1].data.id;
+    }
+
+    function receipts() {
+      return io.emitted.filter((entry) => entry.event.startsWith("message_"));
+    }
+
+    test("reports delivery and then reading to the sender", async () => {
+      const id = await send();
+      expect(await handler.getMessageState(id)).toBe("sent");
+
+      await handler.handleReceipt(bob, { ids: [id] }, "delivered");
+      await handler.handleReceipt(bob, { ids: [id] }, "read");
+
+      expect(receipts()).toEqual([
+        {
+          room: "alice",
+          event: "message_delivered",
+          data: { ids: [id], timestamp: expect.any(Number) },
+        },
+        {
+          room: "alice",
+          event: "message_read",
+          data: { ids: [id], timestamp: expect.any(Number) },
+        },
+      ]);
+      expect(await handler.getMessageState(id)).toBe("read");
+    });
+
+    test("only moves states forward", async () => {
+      const id = await send();
+
+      await handler.handleReceipt(bob, { ids: [id] }, "read");
+      await handler.handleReceipt(bob, { ids: [id] }, "delivered");
+      await handler.handleReceipt(bob, { ids: [id] }, "read");
+
+      expect(receipts().map((entry) => entry.event)).toEqual(["message_read"]);
+    });
+
+    test("ignores receipts from the sender or another pair", async () => {
+      const id = await send();
+
+      await handler.handleReceipt(alice, { ids: [id] }, "delivered");
+      pairingManager.getPeer.mockResolvedValue({
+        socketId: "dave",
+        userId: "user-dave",
+        pairId: "pair-2",
+      });
+      await handler.handleReceipt(
+        createFakeSocket("carol"),
+        { ids: [id, "unknown"] },
+        "read"
+      );
+
+      expect(receipts()).toHaveLength(0);
+      expect(await handler.getMessageState(id)).toBe("sent");
+    });
+
+    test("rejects malformed receipts", async () => {
+      await handler.handleReceipt(bob, { ids: [] }, "delivered");
+
+      expect(errorCodes(bob)).toEqual(["INVALID_RECEIPT"]);
+    });
+
+    test("redelivers a retried message the partner never got", async () => {
+      const id = await send();
+      // Retries are encrypted afresh, perhaps under a newer key
+      const retry = envelope({ iv: Buffer.alloc(12, 2).toString("base64") });
+      await handler.handleMessage(alice, {
+        ...retry,
+        clientMessageId: "local-1",
+      });
+
+      const deliveries = io.emitted.filter(
+        (entry) => entry.event === "chat_message"
+      );
+      expect(deliveries.map((entry) => entry.data.id)).toEqual([id, id]);
+      expect(deliveries[1].data.iv).toBe(retry.iv);
+      expect(
+        alice.emit.mock.calls
+          .filter(([event]) => event === "message_sent")
+          .map(([, data]) => data)
+      ).toEqual([
+        expect.objectContaining({ id: id, clientMessageId: "local-1" }),
+        expect.objectContaining({ id: id, clientMessageId: "local-1" }),
+      ]);
+      expect(handler.getStats().messagesRelayed).toBe(1);
+    });
+
+    test("only re-acks a retried message that was delivered", async () => {
+      const id = await send();
+      await handler.handleReceipt(bob, { ids: [id] }, "delivered");
+
+      await handler.handleMessage(alice, {
+        ...envelope(),
+        clientMessageId: "local-1",
+      });
+
+      expect(
+        io.emitted.filter((entry) => entry.event === "chat_message")
+      ).toHaveLength(1);
+      expect(alice.emit).toHaveBeenLastCalledWith(
+        "message_sent",
+        expect.objectContaining({ id: id })
+      );
+    });
+
+    test("does not count retries against the rate limit", async () => {
+      await send();
+      for (let i = 0; i < CHAT.RATE_LIMIT_MAX; i++) {
+        await send();
+      }
+
+      expect(errorCodes(alice)).toEqual([]);
+    });
+
+    test("works when the partners are on different instances", async () => {
+      const store = new RedisPairingStore(new FakeRedis());
+      const createInstance = () =>
+        new ChatHandler(io, { ...pairingManager, store: store });
+      const aliceInstance = createInstance();
+      const bobInstance = createInstance();
+
+      await aliceInstance.handleMessage(alice, {
+        ...envelope(),
+        clientMessageId: "local-1",
+      });
+      const id = io.emitted[io.emitted.length - 1].data.id;
+      await bobInstance.handleReceipt(bob, { ids: [id] }, "delivered");
+
+      expect(receipts()).toEqual([
+        expect.objectContaining({ room: "alice", event: "message_delivered" }),
+      ]);
+
+      // Alice reconnects to another instance and retries
+      await bobInstance.handleMessage(alice, {
+        ...envelope(),
+        clientMessageId: "local-1",
+      });
+
+      expect(
+        io.emitted.filter((entry) => entry.event === "chat_message")
+      ).toHaveLength(1);
+      expect(alice.emit).toHaveBeenLastCalledWith(
+        "message_sent",
+        expect.objectContaining({ id: id, clientMessageId: "local-1" })
+      );
+    });
+
+    test("rate limits retries of the same message", async () => {
+      await send();
+      for (let i = 0; i <= CHAT.RESEND_RATE_LIMIT_MAX; i++) {
+        await send();
+      }
+
+      expect(errorCodes(alice)).toEqual(["RATE_LIMIT_EXCEEDED"]);
+      expect(
+        io.emitted.filter((entry) => entry.event === "chat_message")
+      ).toHaveLength(CHAT.RESEND_RATE_LIMIT_MAX + 1);
+    });
+  });
+});
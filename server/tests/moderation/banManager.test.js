@@ -0,0 +1,141 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackSecurityEvent: jest.fn(),
+}));
+
+const BanManager = require("../../modules/moderation/banManager");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("BanManager", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("suspensions expire on their own", async () => {
+    const bans = new BanManager();
+    await bans.suspend("alice", {
+      duration: DAY,
+      reason: "spam",
+      issuedBy: "mod",
+    });
+
+    expect((await bans.getActiveBan("alice")).type).toBe("suspension");
+
+    jest.advanceTimersByTime(DAY);
+    expect(await bans.getActiveBan("alice")).toBeNull();
+  });
+
+  test("strikes escalate from warning to suspension to permanent", async () => {
+    const bans = new BanManager();
+    const strike = () =>
+      bans.addStrike("alice", { reason: "harassment", issuedBy: "mod" });
+
+    expect((await strike()).penalty).toBe("warning");
+    expect(await bans.getActiveBan("alice")).toBeNull();
+
+    const second = await strike();
+    expect(second.penalty).toBe("suspension");
+    expect(second.ban.expiresAt).toBe(Date.now() + DAY);
+
+    await strike();
+    const fourth = await strike();
+    expect(fourth.ban).toEqual(
+      expect.objectContaining({
+        type: "permanent",
+        reason: "Strike 4: harassment",
+      })
+    );
+  });
+
+  test("strikes don't shorten an existing permanent ban", async () => {
+    const bans = new BanManager();
+    await bans.banPermanently("alice", { reason: "abuse", issuedBy: "mod" });
+    await bans.addStrike("alice", { reason: "spam", issuedBy: "mod" });
+    const result = await bans.addStrike("alice", {
+      reason: "spam",
+      issuedBy: "mod",
+    });
+
+    expect(result.ban.type).toBe("permanent");
+  });
+
+  test("old strikes stop counting after the TTL", async () => {
+    const bans = new BanManager(null, { strikeTtl: DAY });
+    await bans.addStrike("alice", { reason: "spam", issuedBy: "mod" });
+
+    jest.advanceTimersByTime(DAY);
+    const result = await bans.addStrike("alice", {
+      reason: "spam",
+      issuedBy: "mod",
+    });
+
+    expect(result.strikes).toBe(1);
+    expect(result.penalty).toBe("warning");
+  });
+
+  test("builds a client payload with reason and expiry", async () => {
+    const bans = new BanManager();
+    const ban = await bans.suspend("alice", {
+      duration: DAY,
+      reason: "spam",
+      issuedBy: "mod",
+    });
+
+    expect(bans.toClientPayload(ban)).toEqual({
+      code: "ACCOUNT_SUSPENDED",
+      type: "suspension",
+      reason: "spam",
+      expiresAt: new Date(ban.expiresAt).toISOString(),
+      message: expect.stringContaining("Reason: spam"),
+    });
+  });
+
+  test("other instances reload a user whose sanctions changed", async () => {
+    let stored = null;
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      maybeSingle: jest.fn(async () => ({ data: stored, error: null })),
+      upsert: jest.fn(async (row) => {
+        stored = row;
+        return { error: null };
+      }),
+    };
+    const supabase = { from: jest.fn(() => query) };
+    const handlers = {};
+    const io = {
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+      }),
+      serverSideEmit: jest.fn(),
+    };
+    const bans = new BanManager(supabase, { io: io });
+
+    expect(await bans.getActiveBan("alice")).toBeNull();
+
+    // Another instance bans alice and tells this one
+    stored = {
+      user_id: "alice",
+      ban: { type: "permanent", reason: "spam", issuedBy: "mod" },
+      strikes: [],
+    };
+    handlers["moderation:sanctions-changed"]({ userId: "alice" });
+    expect((await bans.getActiveBan("alice")).type).toBe("permanent");
+
+    await bans.liftBan("alice", { issuedBy: "mod" });
+    expect(io.serverSideEmit).toHaveBeenCalledWith(
+      "moderation:sanctions-changed",
+      { userId: "alice" }
+    );
+  });
+});
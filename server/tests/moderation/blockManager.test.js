@@ -0,0 +1,107 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const BlockManager = require("../../modules/moderation/blockManager");
+
+function createFakeSupabase(rows = []) {
+  const calls = [];
+  const query = {
+    select: jest.fn(() => ({
+      eq: jest.fn(async (column, value) => ({
+        data: rows.filter((row) => row[column] === value),
+        error: null,
+      })),
+    })),
+    upsert: jest.fn(async (row) => {
+      calls.push(["upsert", row]);
+      return { error: null };
+    }),
+    delete: jest.fn(() => query),
+    eq: jest.fn(() => query),
+  };
+  return { calls, from: jest.fn(() => query) };
+}
+
+// Stands in for the Redis adapter: serverSideEmit reaches every other io
+function createFakeCluster() {
+  const nodes = [];
+  return function createIo() {
+    const handlers = {};
+    const io = {
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+      }),
+      serverSideEmit: jest.fn((event, payload) => {
+        nodes
+          .filter((node) => node !== handlers)
+          .forEach((node) => node[event]?.(payload));
+      }),
+    };
+    nodes.push(handlers);
+    return io;
+  };
+}
+
+describe("BlockManager", () => {
+  test("blocks in both directions for matching purposes", async () => {
+    const manager = new BlockManager();
+
+    expect(await manager.block("alice", "bob")).toBe(true);
+    expect(manager.isBlocked("alice", "bob")).toBe(true);
+    expect(manager.isBlocked("bob", "alice")).toBe(true);
+    expect(manager.getBlockedUsers("bob")).toEqual([]);
+  });
+
+  test("rejects blocking yourself", async () => {
+    const manager = new BlockManager();
+
+    await expect(manager.block("alice", "alice")).rejects.toThrow(
+      "You cannot block yourself"
+    );
+  });
+
+  test("unblocks and reports whether a block existed", async () => {
+    const manager = new BlockManager();
+    await manager.block("alice", "bob");
+
+    expect(await manager.unblock("alice", "bob")).toBe(true);
+    expect(await manager.unblock("alice", "bob")).toBe(false);
+    expect(manager.isBlocked("alice", "bob")).toBe(false);
+  });
+
+  test("persists new blocks and loads existing ones", async () => {
+    const supabase = createFakeSupabase([
+      { blocker_id: "carol", blocked_id: "alice" },
+      { blocker_id: "carol", blocked_id: "dave" },
+    ]);
+    const manager = new BlockManager(supabase);
+
+    await manager.loadForUser("alice");
+    expect(manager.isBlocked("alice", "carol")).toBe(true);
+    expect(manager.isBlocked("alice", "dave")).toBe(false);
+
+    await manager.block("alice", "bob");
+    expect(supabase.calls).toEqual([
+      [
+        "upsert",
+        expect.objectContaining({ blocker_id: "alice", blocked_id: "bob" }),
+      ],
+    ]);
+  });
+
+  test("shares blocks and unblocks with other instances", async () => {
+    const createIo = createFakeCluster();
+    const first = new BlockManager(createFakeSupabase(), { io: createIo() });
+    const second = new BlockManager(createFakeSupabase(), { io: createIo() });
+
+    await first.block("alice", "bob");
+    expect(second.isBlocked("bob", "alice")).toBe(true);
+
+    await second.unblock("alice", "bob");
+    expect(first.isBlocked("alice", "bob")).toBe(false);
+  });
+});
@@ -0,0 +1,222 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackSecurityEvent: jest.fn(),
+}));
+
+const healthMonitor = require("../../utils/healthMonitor");
+const ContentFilter = require("../../modules/moderation/contentFilter");
+const { CHAT } = require("../../config/constants");
+const { createFakeSocket } = require("../pairing/fakes");
+
+const RULES = [
+  {
+    id: "profanity",
+    category: "abusive_language",
+    severity: "low",
+    action: "mask",
+    words: ["darn", "heck off"],
+  },
+  {
+    id: "threats",
+    category: "harassment",
+    severity: "high",
+    action: "block",
+    words: ["kys"],
+  },
+  {
+    id: "invite-link",
+    category: "spam",
+    severity: "medium",
+    action: "flag",
+    pattern: "discord\\.gg/\\S+",
+  },
+];
+
+describe("ContentFilter", () => {
+  let pairingManager;
+  let moderationManager;
+  let filter;
+  let alice;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pairingManager = {
+      getPeer: jest.fn(async () => ({
+        socketId: "bob",
+        userId: "user-bob",
+        pairId: "pair-1",
+        mode: "text",
+      })),
+      endPairForModeration: jest.fn(async () => true),
+    };
+    moderationManager = {
+      submitReport: jest.fn(async () => ({ case: { id: "case-1" } })),
+    };
+    filter = new ContentFilter({
+      pairingManager,
+      moderationManager,
+      rules: RULES,
+    });
+    alice = createFakeSocket("alice");
+  });
+
+  function events() {
+    return healthMonitor.trackSecurityEvent.mock.calls;
+  }
+
+  test("loads the bundled rules", () => {
+    const bundled = new ContentFilter({ pairingManager });
+
+    expect(bundled.getStats().rules).toBeGreaterThan(0);
+  });
+
+  test("rejects invalid and duplicate rules", () => {
+    expect(() => filter.setRules([{ ...RULES[2], pattern: "(" }])).toThrow(
+      /invite-link/
+    );
+    expect(() => filter.setRules([{ ...RULES[0], action: "ban" }])).toThrow(
+      /Invalid chat filter rule/
+    );
+    expect(() => filter.setRules([RULES[0], RULES[0]])).toThrow(/Duplicate/);
+  });
+
+  test("hands out word lists as whole-word patterns", () => {
+    const [profanity] = filter.getClientRules();
+    const regex = new RegExp(profanity.source, profanity.flags);
+
+    expect(profanity).toEqual(
+      expect.objectContaining({ id: "profanity", action: "mask" })
+    );
+    expect(regex.test("oh DARN it")).toBe(true);
+    expect(regex.test("heck   off")).toBe(true);
+    expect(regex.test("darning socks")).toBe(false);
+  });
+
+  test("skips rules with an empty word list", () => {
+    filter.setRules([{ ...RULES[0], words: [] }, RULES[1]]);
+
+    expect(filter.getClientRules().map((rule) => rule.id)).toEqual([
+      "threats",
+    ]);
+  });
+
+  test("records a blocked message against its sender", async () => {
+    await filter.handleHit(alice, { ruleIds: ["threats"], direction: "sent" });
+
+    expect(events()).toEqual([
+      [
+        "chat_filter_block",
+        expect.objectContaining({
+          userId: "user-alice",
+          pairId: "pair-1",
+          categories: ["harassment"],
+          severity: "high",
+        }),
+      ],
+    ]);
+  });
+
+  test("files a received message as an unverified report", async () => {
+    await filter.handleHit(alice, {
+      ruleIds: ["profanity", "invite-link"],
+      direction: "received",
+    });
+
+    expect(events()).toEqual([
+      [
+        "chat_filter_reported",
+        expect.objectContaining({
+          userId: "user-alice",
+          reportedUserId: "user-bob",
+          ruleIds: ["profanity", "invite-link"],
+          verified: false,
+        }),
+      ],
+    ]);
+    expect(moderationManager.submitReport).toHaveBeenCalledWith(
+      { userId: "user-alice", email: "alice@college.edu" },
+      expect.objectContaining({
+        pairId: "pair-1",
+        reportedUserId: "user-bob",
+        category: "spam",
+      }),
+      "chat_filter"
+    );
+  });
+
+  test("never ends a pair over what the partner was said to send", async () => {
+    const hit = { ruleIds: ["threats"], direction: "received" };
+    for (let i = 0; i < 5; i++) {
+      await filter.handleHit(alice, hit);
+    }
+
+    expect(pairingManager.endPairForModeration).not.toHaveBeenCalled();
+    expect(events().map(([type]) => type)).not.toContain(
+      "chat_filter_escalated"
+    );
+    expect(moderationManager.submitReport).toHaveBeenCalledTimes(1);
+    expect(filter.getStats().trackedUsers).toBe(0);
+  });
+
+  test("ignores unknown rules and malformed reports", async () => {
+    await filter.handleHit(alice, { ruleIds: ["made-up"], direction: "sent" });
+    await filter.handleHit(alice, { ruleIds: [], direction: "sent" });
+
+    expect(events()).toHaveLength(0);
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "INVALID_FILTER_HIT" })
+    );
+  });
+
+  test("ends the pair once a user collects enough points", async () => {
+    await filter.handleHit(alice, { ruleIds: ["threats"], direction: "sent" });
+    expect(pairingManager.endPairForModeration).not.toHaveBeenCalled();
+
+    await filter.handleHit(alice, { ruleIds: ["threats"], direction: "sent" });
+
+    expect(pairingManager.endPairForModeration).toHaveBeenCalledWith(
+      alice,
+      "content_violation"
+    );
+    expect(events()[2]).toEqual([
+      "chat_filter_escalated",
+      expect.objectContaining({ userId: "user-alice", points: 8 }),
+    ]);
+    expect(filter.getStats().trackedUsers).toBe(0);
+  });
+
+  test("lets points expire after the escalation window", async () => {
+    jest.useFakeTimers();
+    try {
+      filter = new ContentFilter({
+        pairingManager,
+        rules: RULES,
+        escalationWindow: 1000,
+      });
+      const hit = { ruleIds: ["threats"], direction: "sent" };
+
+      await filter.handleHit(alice, hit);
+      jest.advanceTimersByTime(1500);
+      await filter.handleHit(alice, hit);
+
+      expect(pairingManager.endPairForModeration).not.toHaveBeenCalled();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("rate limits reports", async () => {
+    const hit = { ruleIds: ["profanity"], direction: "received" };
+    for (let i = 0; i <= CHAT.RATE_LIMIT_MAX; i++) {
+      await filter.handleHit(alice, hit);
+    }
+
+    expect(events()).toHaveLength(CHAT.RATE_LIMIT_MAX);
+  });
+});
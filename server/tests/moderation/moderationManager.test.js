@@ -0,0 +1,263 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackConnection: jest.fn(),
+  trackError: jest.fn(),
+  trackSecurityEvent: jest.fn(),
+}));
+
+const healthMonitor = require("../../utils/healthMonitor");
+const ModerationManager = require("../../modules/moderation/moderationManager");
+const PairingManager = require("../../modules/pairing/pairingManager");
+const { createFakeSocket, createFakeIo } = require("../pairing/fakes");
+
+const alice = { userId: "user-alice", email: "alice@college.edu" };
+
+// One table's worth of Supabase: rows go in and come out as JSON, as they
+// would through the real client
+function createFakeSupabase() {
+  const rows = [];
+
+  function createQuery() {
+    const filters = [];
+    let action = "select";
+    let payload = null;
+    let options = {};
+    let range = null;
+    let single = false;
+
+    function run() {
+      if (action === "insert") {
+        rows.push(JSON.parse(JSON.stringify(payload)));
+        return { data: [{ id: payload.id }], error: null };
+      }
+
+      const matches = rows.filter((row) =>
+        filters.every(([column, value]) => row[column] === value)
+      );
+      if (action === "update") {
+        matches.forEach((row) =>
+          Object.assign(row, JSON.parse(JSON.stringify(payload)))
+        );
+        return { data: matches.map((row) => ({ id: row.id })), error: null };
+      }
+
+      const sorted = matches
+        .slice()
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      const page = range ? sorted.slice(range[0], range[1] + 1) : sorted;
+      return {
+        data: options.head ? null : single ? page[0] || null : page,
+        count: sorted.length,
+        error: null,
+      };
+    }
+
+    const query = {
+      select: (columns, selectOptions = {}) => {
+        if (action === "select") options = selectOptions;
+        return query;
+      },
+      insert: (row) => {
+        action = "insert";
+        payload = row;
+        return query;
+      },
+      update: (row) => {
+        action = "update";
+        payload = row;
+        return query;
+      },
+      eq: (column, value) => {
+        filters.push([column, value]);
+        return query;
+      },
+      order: () => query,
+      range: (from, to) => {
+        range = [from, to];
+        return query;
+      },
+      maybeSingle: () => {
+        single = true;
+        return query;
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return query;
+  }
+
+  return { rows, from: jest.fn(() => createQuery()) };
+}
+
+describe("ModerationManager", () => {
+  let pairingManager;
+  let moderation;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+
+    pairingManager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+    await pairingManager.joinQueue(createFakeSocket("alice"));
+    await pairingManager.joinQueue(createFakeSocket("bob"));
+    moderation = new ModerationManager({ pairingManager: pairingManager });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("opens a case against the current partner", async () => {
+    const pairId = await pairingManager.getPairId("alice");
+
+    const result = await moderation.submitReport(
+      alice,
+      { category: "harassment", comment: "rude" },
+      "socket"
+    );
+
+    expect(result.case).toEqual(
+      expect.objectContaining({
+        status: "open",
+        pairId: pairId,
+        reporter: alice,
+        reported: { userId: "user-bob", email: "bob@college.edu" },
+        comment: "rude",
+      })
+    );
+    expect(result.case.transcript).toEqual([]);
+    expect(healthMonitor.trackSecurityEvent).toHaveBeenCalledWith(
+      "abuse_report",
+      expect.objectContaining({
+        caseId: result.case.id,
+        reportedUserId: "user-bob",
+        severity: "high",
+      })
+    );
+  });
+
+  test("keeps the transcript the reporter's client attached", async () => {
+    const result = await moderation.submitReport(
+      alice,
+      {
+        category: "harassment",
+        transcript: [
+          { fromPartner: false, message: "hi", timestamp: 1000 },
+          { fromPartner: true, message: "go away", timestamp: 2000 },
+        ],
+      },
+      "socket"
+    );
+
+    expect(result.case.transcript).toEqual([
+      { fromUserId: "user-alice", message: "hi", timestamp: 1000 },
+      { fromUserId: "user-bob", message: "go away", timestamp: 2000 },
+    ]);
+  });
+
+  test("allows reporting a recent partner by pair ID after the pair ends", async () => {
+    const pairId = await pairingManager.getPairId("alice");
+    await pairingManager.endPair("alice", "test");
+
+    const withoutPair = await moderation.submitReport(alice, {
+      category: "spam",
+    });
+    expect(withoutPair.error).toBe("You don't have a partner to report");
+
+    const withPair = await moderation.submitReport(alice, {
+      category: "spam",
+      pairId,
+    });
+    expect(withPair.case.reported.userId).toBe("user-bob");
+  });
+
+  test("rejects reports against someone who wasn't a partner", async () => {
+    const result = await moderation.submitReport(alice, {
+      category: "spam",
+      reportedUserId: "user-mallory",
+    });
+
+    expect(result.code).toBe("PARTNER_MISMATCH");
+  });
+
+  test("filters cases and enforces status transitions", async () => {
+    const first = (await moderation.submitReport(alice, { category: "spam" }))
+      .case;
+    await moderation.submitReport(alice, { category: "harassment" });
+
+    expect((await moderation.listCases({ category: "spam" })).cases).toEqual([
+      first,
+    ]);
+
+    const reviewing = await moderation.updateCaseStatus(first.id, "reviewing");
+    expect(reviewing.case.status).toBe("reviewing");
+    const resolved = (
+      await moderation.updateCaseStatus(first.id, "dismissed", {
+        moderator: "mod-1",
+        note: "not abusive",
+      })
+    ).case;
+    expect(resolved.resolution).toEqual(
+      expect.objectContaining({ status: "dismissed", by: "mod-1" })
+    );
+    const reopened = await moderation.updateCaseStatus(first.id, "actioned");
+    expect(reopened.code).toBe("INVALID_TRANSITION");
+
+    const listing = await moderation.listCases({ status: "open" });
+    expect(listing.total).toBe(1);
+    expect(listing.counts).toEqual({
+      open: 1,
+      reviewing: 0,
+      actioned: 0,
+      dismissed: 1,
+    });
+  });
+
+  test("shares cases through Supabase across instances", async () => {
+    const supabase = createFakeSupabase();
+    const reporting = new ModerationManager({ pairingManager, supabase });
+    const other = new ModerationManager({ pairingManager, supabase });
+
+    const { case: filed } = await reporting.submitReport(alice, {
+      category: "spam",
+    });
+
+    expect(supabase.rows).toEqual([
+      expect.objectContaining({
+        id: filed.id,
+        status: "open",
+        reporter_id: "user-alice",
+        reported_user_id: "user-bob",
+      }),
+    ]);
+    expect(await other.getCase(filed.id)).toEqual(filed);
+    const listing = await other.listCases({ reportedUserId: "user-bob" });
+    expect(listing.cases).toEqual([filed]);
+    expect(listing.total).toBe(1);
+    expect(listing.counts.open).toBe(1);
+  });
+
+  test("lets only one instance resolve a case", async () => {
+    const supabase = createFakeSupabase();
+    const first = new ModerationManager({ pairingManager, supabase });
+    const second = new ModerationManager({ pairingManager, supabase });
+    const { case: filed } = await first.submitReport(alice, {
+      category: "spam",
+    });
+
+    const results = await Promise.all([
+      first.updateCaseStatus(filed.id, "actioned"),
+      second.updateCaseStatus(filed.id, "dismissed"),
+    ]);
+
+    expect(results.map((result) => result.case?.status || result.code)).toEqual(
+      ["actioned", "CASE_CHANGED"]
+    );
+    expect((await second.getCase(filed.id)).status).toBe("actioned");
+  });
+});
@@ -0,0 +1,182 @@
+// In-memory stand-in for the ioredis commands the pairing store uses.
+// Set REDIS_TEST_URL to run the store tests against a real server instead.
+
+class FakeRedis {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+  }
+
+  read(key) {
+    const entry = this.data.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  write(key, value, expiresAt = null) {
+    this.data.set(key, { value, expiresAt });
+  }
+
+  container(key, create) {
+    let value = this.read(key);
+    if (value === undefined) {
+      value = create();
+      this.write(key, value);
+    }
+    return value;
+  }
+
+  // Strings
+
+  async get(key) {
+    const value = this.read(key);
+    return typeof value === "string" ? value : null;
+  }
+
+  async set(key, value, ...args) {
+    const options = args.map((arg) =>
+      typeof arg === "string" ? arg.toUpperCase() : arg
+    );
+    if (options.includes("NX") && this.read(key) !== undefined) return null;
+
+    const pxIndex = options.indexOf("PX");
+    const expiresAt = pxIndex === -1 ? null : Date.now() + options[pxIndex + 1];
+    this.write(key, String(value), expiresAt);
+    return "OK";
+  }
+
+  async del(...keys) {
+    return keys.filter((key) => {
+      const existed = this.read(key) !== undefined;
+      this.data.delete(key);
+      return existed;
+    }).length;
+  }
+
+  async exists(key) {
+    return this.read(key) === undefined ? 0 : 1;
+  }
+
+  async pexpire(key, ttlMs) {
+    const entry = this.read(key) !== undefined && this.data.get(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ttlMs;
+    return 1;
+  }
+
+  async keys(pattern) {
+    const prefix = pattern.replace(/\*$/, "");
+    return Array.from(this.data.keys()).filter(
+      (key) => key.startsWith(prefix) && this.read(key) !== undefined
+    );
+  }
+
+  // Hashes
+
+  async hset(key, field, value) {
+    const hash = this.container(key, () => new Map());
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    return added;
+  }
+
+  async hget(key, field) {
+    return this.read(key)?.get(field) ?? null;
+  }
+
+  async hmget(key, ...fields) {
+    const hash = this.read(key);
+    return fields.map((field) => hash?.get(field) ?? null);
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this.read(key);
+    if (!hash) return 0;
+    const removed = fields.filter((field) => hash.delete(field)).length;
+    if (hash.size === 0) this.data.delete(key);
+    return removed;
+  }
+
+  async hvals(key) {
+    return Array.from(this.read(key)?.values() || []);
+  }
+
+  async hlen(key) {
+    return this.read(key)?.size || 0;
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.read(key) || []);
+  }
+
+  // Sorted sets, kept as member -> score
+
+  async zadd(key, score, member) {
+    const set = this.container(key, () => new Map());
+    const added = set.has(member) ? 0 : 1;
+    set.set(member, Number(score));
+    return added;
+  }
+
+  async zrem(key, ...members) {
+    const set = this.read(key);
+    if (!set) return 0;
+    const removed = members.filter((member) => set.delete(member)).length;
+    if (set.size === 0) this.data.delete(key);
+    return removed;
+  }
+
+  sortedMembers(key) {
+    return Array.from(this.read(key) || [])
+      .sort(([a, scoreA], [b, scoreB]) =>
+        scoreA === scoreB ? (a < b ? -1 : 1) : scoreA - scoreB
+      )
+      .map(([member]) => member);
+  }
+
+  async zrange(key, start, stop) {
+    const members = this.sortedMembers(key);
+    return members.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async zrank(key, member) {
+    const index = this.sortedMembers(key).indexOf(member);
+    return index === -1 ? null : index;
+  }
+
+  async zcard(key) {
+    return this.read(key)?.size || 0;
+  }
+
+  // MULTI runs queued commands back to back, which is all a single-threaded
+  // fake needs to be atomic
+  multi() {
+    const commands = [];
+    const transaction = new Proxy(
+      {},
+      {
+        get: (target, name) => {
+          if (name === "exec") {
+            return async () => {
+              const results = [];
+              for (const [command, args] of commands) {
+                results.push([null, await this[command](...args)]);
+              }
+              return results;
+            };
+          }
+          return (...args) => {
+            commands.push([name, args]);
+            return transaction;
+          };
+        },
+      }
+    );
+    return transaction;
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,34 @@
+// Minimal Socket.IO stand-ins for pairing tests
+
+function createFakeSocket(id, { email, userId, preferences } = {}) {
+  return {
+    id: id,
+    connected: true,
+    userEmail: email || `${id}@college.edu`,
+    userId: userId || `user-${id}`,
+    userData: preferences ? { preferences } : undefined,
+    emit: jest.fn(),
+  };
+}
+
+function createFakeIo() {
+  const emitted = [];
+  const io = {
+    emitted: emitted,
+    sockets: { sockets: new Map() },
+    to: jest.fn((room) => ({
+      emit: (event, data) => emitted.push({ room, event, data }),
+    })),
+  };
+  return io;
+}
+
+function createQueueEntry(socketId, preferences = {}, joinedAt = 0) {
+  return {
+    socketId: socketId,
+    userData: { email: `${socketId}@college.edu`, preferences },
+    joinedAt: joinedAt,
+  };
+}
+
+module.exports = { createFakeSocket, createFakeIo, createQueueEntry };
@@ -0,0 +1,558 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackConnection: jest.fn(),
+  trackError: jest.fn(),
+  trackSecurityEvent: jest.fn(),
+}));
+
+const PairingManager = require("../../modules/pairing/pairingManager");
+const BlockManager = require("../../modules/moderation/blockManager");
+const { createFakeSocket, createFakeIo } = require("./fakes");
+
+async function peerOf(manager, socketId) {
+  const peer = await manager.getPeer(socketId);
+  return peer ? peer.socketId : undefined;
+}
+
+describe("PairingManager with a configured strategy", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("uses the strategy passed through options", () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+
+    expect(manager.matchStrategy.name).toBe("fifo");
+  });
+
+  test("pairs joined sockets and reports the match reason", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "same-college" });
+
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+    const carol = createFakeSocket("carol");
+
+    await manager.joinQueue(alice, { preferences: { college: "CMRIT" } });
+    await manager.joinQueue(bob, { preferences: { college: "MIT" } });
+    await manager.joinQueue(carol, { preferences: { college: "CMRIT" } });
+
+    expect(await peerOf(manager, "alice")).toBe("carol");
+    expect(await peerOf(manager, "carol")).toBe("alice");
+    expect(await manager.isUserWaiting("bob")).toBe(true);
+
+    const matched = io.emitted.filter(
+      (entry) => entry.event === "pairing:matched"
+    );
+    expect(matched).toHaveLength(2);
+    expect(matched[0].data.matchReason.summary).toBe("You're both at CMRIT");
+  });
+
+  test("skips sockets that disconnected while waiting", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "fifo" });
+
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+    const carol = createFakeSocket("carol");
+
+    await manager.joinQueue(alice);
+    bob.connected = false;
+    await manager.joinQueue(bob);
+    await manager.joinQueue(carol);
+
+    expect(await peerOf(manager, "alice")).toBe("carol");
+    expect(await manager.isUserWaiting("bob")).toBe(false);
+  });
+});
+
+describe("PairingManager skip flow", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  async function pairAliceAndBob(manager) {
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+    await manager.joinQueue(alice);
+    await manager.joinQueue(bob);
+    return { alice, bob };
+  }
+
+  test("notifies the partner and re-queues both users", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "fifo" });
+    const { alice } = await pairAliceAndBob(manager);
+
+    expect(await manager.skipPartner(alice)).toBe(true);
+
+    expect(io.emitted).toContainEqual(
+      expect.objectContaining({
+        room: "bob",
+        event: "peer-disconnected",
+        data: expect.objectContaining({ reason: "partner_skipped" }),
+      })
+    );
+    expect(alice.emit).toHaveBeenCalledWith(
+      "pairing:skipped",
+      expect.objectContaining({ peerId: "bob" })
+    );
+    const queue = await manager.store.getQueue();
+    expect(queue.map((user) => user.socketId)).toEqual(["bob", "alice"]);
+  });
+
+  test("keeps the skipped pair apart until the cooldown expires", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, {
+      strategy: "fifo",
+      skipCooldown: 60000,
+    });
+    const { alice } = await pairAliceAndBob(manager);
+
+    await manager.skipPartner(alice);
+    expect(await manager.isUserPaired("alice")).toBe(false);
+
+    const carol = createFakeSocket("carol");
+    await manager.joinQueue(carol);
+    expect(await peerOf(manager, "bob")).toBe("carol");
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await manager.tryPairing();
+    expect(await manager.isUserWaiting("alice")).toBe(true);
+  });
+
+  test("lets the pair rematch once the cooldown has passed", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, {
+      strategy: "fifo",
+      skipCooldown: 1000,
+      recentPartnerTtl: 1000,
+    });
+    const { alice } = await pairAliceAndBob(manager);
+
+    await manager.skipPartner(alice);
+    await jest.advanceTimersByTimeAsync(1500);
+    await manager.tryPairing();
+
+    expect(await peerOf(manager, "alice")).toBe("bob");
+  });
+
+  test("ends a pair for moderation and tells both users why", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, {
+      strategy: "fifo",
+      skipCooldown: 60000,
+    });
+    const { alice } = await pairAliceAndBob(manager);
+
+    expect(
+      await manager.endPairForModeration(alice, "content_violation")
+    ).toBe(true);
+
+    expect(io.emitted).toContainEqual(
+      expect.objectContaining({
+        room: "bob",
+        event: "peer-disconnected",
+        data: expect.objectContaining({ reason: "content_violation" }),
+      })
+    );
+    expect(alice.emit).toHaveBeenCalledWith(
+      "peer-disconnected",
+      expect.objectContaining({ reason: "content_violation" })
+    );
+    await manager.tryPairing();
+    expect(await manager.isUserWaiting("alice")).toBe(true);
+    expect(await manager.isUserWaiting("bob")).toBe(true);
+  });
+
+  test("rejects a skip without an active pair", async () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+    const alice = createFakeSocket("alice");
+
+    expect(await manager.skipPartner(alice)).toBe(false);
+    expect(alice.emit).toHaveBeenCalledWith(
+      "pairing-error",
+      expect.objectContaining({ code: "NOT_PAIRED" })
+    );
+  });
+});
+
+describe("PairingManager recent partner history", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  async function pairAndSplit(manager, socket1, socket2) {
+    await manager.joinQueue(socket1);
+    await manager.joinQueue(socket2);
+    await manager.endPair(socket1.id, "test");
+  }
+
+  test("records partners for both users and exposes them in stats", async () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+
+    await manager.joinQueue(alice);
+    await manager.joinQueue(bob);
+
+    expect((await manager.getUserStats("alice")).recentPartners).toEqual([
+      expect.objectContaining({ userId: "user-bob", email: "bob@college.edu" }),
+    ]);
+    expect((await manager.getUserStats("bob")).recentPartners[0].userId).toBe(
+      "user-alice"
+    );
+  });
+
+  test("prefers a new partner over a recent one", async () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+    await pairAndSplit(manager, alice, bob);
+
+    await manager.joinQueue(alice);
+    await manager.joinQueue(bob);
+    expect(await manager.isUserPaired("alice")).toBe(false);
+
+    const carol = createFakeSocket("carol");
+    await manager.joinQueue(carol);
+    expect(await peerOf(manager, "alice")).toBe("carol");
+  });
+
+  test("rematches recent partners once the queue stalls", async () => {
+    const manager = new PairingManager(createFakeIo(), {
+      strategy: "fifo",
+      stallAfter: 10000,
+    });
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+    await pairAndSplit(manager, alice, bob);
+
+    await manager.joinQueue(alice);
+    await manager.joinQueue(bob);
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(await peerOf(manager, "alice")).toBe("bob");
+  });
+
+  test("keeps only the configured number of partners", async () => {
+    const manager = new PairingManager(createFakeIo(), {
+      strategy: "fifo",
+      recentPartnerLimit: 2,
+    });
+    const alice = createFakeSocket("alice");
+
+    for (const id of ["bob", "carol", "dave"]) {
+      await pairAndSplit(manager, alice, createFakeSocket(id));
+    }
+
+    const { recentPartners } = await manager.getUserStats("alice");
+    expect(recentPartners.map((entry) => entry.userId)).toEqual([
+      "user-dave",
+      "user-carol",
+    ]);
+  });
+
+  test("forgets partners after the TTL", async () => {
+    const manager = new PairingManager(createFakeIo(), {
+      strategy: "fifo",
+      recentPartnerTtl: 5000,
+    });
+    await pairAndSplit(
+      manager,
+      createFakeSocket("alice"),
+      createFakeSocket("bob")
+    );
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect((await manager.getUserStats("alice")).recentPartners).toEqual([]);
+  });
+});
+
+describe("PairingManager with blocked users", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("never pairs users who blocked each other, even when stalled", async () => {
+    const blockManager = new BlockManager();
+    await blockManager.block("user-bob", "user-alice");
+    const manager = new PairingManager(createFakeIo(), {
+      strategy: "fifo",
+      blockManager: blockManager,
+    });
+
+    await manager.joinQueue(createFakeSocket("alice"));
+    await manager.joinQueue(createFakeSocket("bob"));
+    await jest.advanceTimersByTimeAsync(20000);
+
+    expect(await manager.isUserPaired("alice")).toBe(false);
+    expect(await manager.isUserPaired("bob")).toBe(false);
+  });
+
+  test("ends the pair and re-queues only the blocked user", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "fifo" });
+    await manager.joinQueue(createFakeSocket("alice"));
+    await manager.joinQueue(createFakeSocket("bob"));
+
+    expect(await manager.handleBlock("user-alice", "user-bob")).toBe(1);
+
+    expect(await manager.isUserPaired("alice")).toBe(false);
+    expect(await manager.isUserWaiting("bob")).toBe(true);
+    expect(await manager.isUserWaiting("alice")).toBe(false);
+    expect(io.emitted).toContainEqual(
+      expect.objectContaining({
+        room: "bob",
+        event: "peer-disconnected",
+        data: expect.objectContaining({ reason: "partner_left" }),
+      })
+    );
+  });
+});
+
+describe("PairingManager reconnect grace period", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  async function setup() {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, {
+      strategy: "fifo",
+      reconnectGracePeriod: 10000,
+    });
+    const alice = createFakeSocket("alice");
+    const bob = createFakeSocket("bob");
+    await manager.joinQueue(alice);
+    await manager.joinQueue(bob);
+    return { io, manager, alice, bob };
+  }
+
+  test("holds the pair and tells the partner they are reconnecting", async () => {
+    const { io, manager, alice } = await setup();
+
+    alice.connected = false;
+    expect(
+      await manager.handleSocketDisconnect(alice, "transport close")
+    ).toBe(true);
+
+    expect(await peerOf(manager, "bob")).toBe("alice");
+    expect(io.emitted.map((entry) => entry.event)).toContain(
+      "peer-reconnecting"
+    );
+    expect(io.emitted.map((entry) => entry.event)).not.toContain(
+      "peer-disconnected"
+    );
+  });
+
+  test("resumes the pair on the user's new socket", async () => {
+    const { io, manager, alice } = await setup();
+    const pairId = await manager.getPairId("alice");
+
+    alice.connected = false;
+    await manager.handleSocketDisconnect(alice, "ping timeout");
+
+    const aliceAgain = createFakeSocket("alice-2", { userId: "user-alice" });
+    expect(await manager.resumePair(aliceAgain)).toBe(true);
+
+    expect(await peerOf(manager, "bob")).toBe("alice-2");
+    expect(await peerOf(manager, "alice-2")).toBe("bob");
+    expect(await manager.isUserPaired("alice")).toBe(false);
+    expect(await manager.getPairId("alice-2")).toBe(pairId);
+    expect(aliceAgain.emit).toHaveBeenCalledWith(
+      "pairing:resumed",
+      expect.objectContaining({ peerId: "bob", iceRestart: true })
+    );
+    expect(io.emitted).toContainEqual(
+      expect.objectContaining({
+        room: "bob",
+        event: "peer-reconnected",
+        data: expect.objectContaining({ peerId: "alice-2" }),
+      })
+    );
+
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(await peerOf(manager, "bob")).toBe("alice-2");
+  });
+
+  test("ends the pair and re-queues the partner once the grace expires", async () => {
+    const { io, manager, alice } = await setup();
+
+    alice.connected = false;
+    await manager.handleSocketDisconnect(alice, "transport close");
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(await manager.isUserPaired("bob")).toBe(false);
+    expect(await manager.isUserWaiting("bob")).toBe(true);
+    expect(io.emitted).toContainEqual(
+      expect.objectContaining({ room: "bob", event: "peer-disconnected" })
+    );
+  });
+
+  test("tears down immediately when the user leaves on purpose", async () => {
+    const { manager, alice } = await setup();
+
+    alice.connected = false;
+    expect(
+      await manager.handleSocketDisconnect(alice, "client namespace disconnect")
+    ).toBe(false);
+
+    expect(await manager.isUserPaired("bob")).toBe(false);
+    expect(await manager.isAwaitingReconnect("alice")).toBe(false);
+  });
+});
+
+describe("PairingManager queue modes", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("only pairs users who asked for the same mode", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "fifo" });
+
+    await manager.joinQueue(createFakeSocket("alice"), { mode: "text" });
+    await manager.joinQueue(createFakeSocket("bob"), { mode: "video" });
+    expect(await manager.isUserPaired("alice")).toBe(false);
+
+    await manager.joinQueue(createFakeSocket("carol"), { mode: "text" });
+
+    expect(await peerOf(manager, "alice")).toBe("carol");
+    expect(await manager.isUserWaiting("bob")).toBe(true);
+  });
+
+  test("tells text and audio pairs which media to negotiate", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "fifo" });
+
+    await manager.joinQueue(createFakeSocket("alice"), { mode: "text" });
+    await manager.joinQueue(createFakeSocket("bob"), { mode: "audio" });
+    await manager.joinQueue(createFakeSocket("carol"), { mode: "text" });
+    await manager.joinQueue(createFakeSocket("dave"), { mode: "audio" });
+
+    const matched = (room) =>
+      io.emitted.find(
+        (entry) => entry.room === room && entry.event === "pairing:matched"
+      ).data;
+    expect(matched("alice")).toEqual(
+      expect.objectContaining({
+        mode: "text",
+        media: { audio: false, video: false },
+      })
+    );
+    expect(matched("dave")).toEqual(
+      expect.objectContaining({
+        mode: "audio",
+        media: { audio: true, video: false },
+      })
+    );
+    expect((await manager.getPeer("bob")).mode).toBe("audio");
+  });
+
+  test("routes users whose camera failed the check to audio", async () => {
+    const io = createFakeIo();
+    const manager = new PairingManager(io, { strategy: "fifo" });
+    const preflight = (camera) => ({
+      camera: camera,
+      microphone: "pass",
+      network: "pass",
+    });
+
+    const alice = createFakeSocket("alice");
+
+    await manager.joinQueue(alice, {
+      mode: "video",
+      preflight: preflight("fail"),
+    });
+    await manager.joinQueue(createFakeSocket("bob"), {
+      mode: "video",
+      preflight: preflight("pass"),
+    });
+    await manager.joinQueue(createFakeSocket("carol"), { mode: "audio" });
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "pairing:queued",
+      expect.objectContaining({ mode: "audio" })
+    );
+    expect(await peerOf(manager, "alice")).toBe("carol");
+    expect(await manager.isUserWaiting("bob")).toBe(true);
+  });
+
+  test("falls back to video for a missing or unknown mode", async () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+
+    await manager.joinQueue(createFakeSocket("alice"));
+    await manager.joinQueue(createFakeSocket("bob"), { mode: "hologram" });
+
+    expect((await manager.getPeer("alice")).mode).toBe("video");
+  });
+
+  test("keeps a skipped pair in their own mode's queue", async () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+    const alice = createFakeSocket("alice");
+
+    await manager.joinQueue(alice, { mode: "audio" });
+    await manager.joinQueue(createFakeSocket("bob"), { mode: "audio" });
+    await manager.skipPartner(alice);
+
+    expect(await manager.store.getQueueSize("audio")).toBe(2);
+    expect(await manager.store.getQueueSize("video")).toBe(0);
+  });
+
+  test("reports queue sizes per mode", async () => {
+    const manager = new PairingManager(createFakeIo(), { strategy: "fifo" });
+
+    await manager.joinQueue(createFakeSocket("alice"), { mode: "text" });
+    await manager.joinQueue(createFakeSocket("bob"), { mode: "video" });
+    await manager.joinQueue(createFakeSocket("carol"), { mode: "video" });
+    await manager.joinQueue(createFakeSocket("dave"), { mode: "audio" });
+
+    const status = await manager.getDetailedQueueStatus();
+    expect(status.queues).toEqual({ video: 0, audio: 1, text: 1 });
+    expect(status.waiting).toBe(2);
+    expect(status.activePairs).toEqual([
+      expect.objectContaining({ mode: "video", user1: "bob" }),
+    ]);
+    expect(status.usersInQueue.map((user) => user.mode).sort()).toEqual([
+      "audio",
+      "text",
+    ]);
+  });
+});
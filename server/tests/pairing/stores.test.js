@@ -0,0 +1,317 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackConnection: jest.fn(),
+  trackError: jest.fn(),
+  trackSecurityEvent: jest.fn(),
+}));
+
+const Redis = require("ioredis");
+const PairingManager = require("../../modules/pairing/pairingManager");
+const {
+  MemoryPairingStore,
+  RedisPairingStore,
+} = require("../../modules/pairing/stores");
+const FakeRedis = require("./fakeRedis");
+const { createFakeSocket, createFakeIo } = require("./fakes");
+
+const storeFactories = [
+  ["memory", () => new MemoryPairingStore()],
+  ["redis (fake)", () => new RedisPairingStore(new FakeRedis())],
+];
+
+if (process.env.REDIS_TEST_URL) {
+  storeFactories.push([
+    "redis",
+    () =>
+      new RedisPairingStore(new Redis(process.env.REDIS_TEST_URL), {
+        prefix: `pairing-test:${Date.now()}:`,
+      }),
+  ]);
+}
+
+function entry(socketId, joinedAt, mode = "video") {
+  return {
+    socketId: socketId,
+    nodeId: "node-a",
+    mode: mode,
+    userData: { email: `${socketId}@college.edu`, userId: `user-${socketId}` },
+    joinedAt: joinedAt,
+  };
+}
+
+function pair(pairId, socketId1, socketId2) {
+  return {
+    pairId: pairId,
+    members: [
+      { socketId: socketId1, nodeId: "node-a", userId: `user-${socketId1}` },
+      { socketId: socketId2, nodeId: "node-b", userId: `user-${socketId2}` },
+    ],
+    pairedAt: 1000,
+  };
+}
+
+describe.each(storeFactories)("%s pairing store", (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(async () => {
+    await store.clear();
+    if (store.client && store.client.quit) {
+      await store.client.quit();
+    }
+  });
+
+  test("keeps the queue in join order", async () => {
+    expect(await store.enqueue(entry("bob", 2000))).toBe(1);
+    expect(await store.enqueue(entry("alice", 1000))).toBe(1);
+    await store.enqueue(entry("carol", 3000));
+
+    const queue = await store.getQueue();
+    expect(queue.map((user) => user.socketId)).toEqual([
+      "alice",
+      "bob",
+      "carol",
+    ]);
+    expect(queue[0].userData.userId).toBe("user-alice");
+    expect(await store.getQueueSize()).toBe(3);
+  });
+
+  test("keeps a separate queue per mode", async () => {
+    expect(await store.enqueue(entry("alice", 1000, "text"))).toBe(1);
+    expect(await store.enqueue(entry("bob", 2000, "video"))).toBe(1);
+    expect(await store.enqueue(entry("carol", 3000, "text"))).toBe(2);
+
+    const textQueue = await store.getQueue("text");
+    expect(textQueue.map((user) => user.socketId)).toEqual(["alice", "carol"]);
+    expect(await store.getQueueSize("video")).toBe(1);
+    expect(await store.getQueueSize("audio")).toBe(0);
+    expect(await store.getQueueSize()).toBe(3);
+
+    await store.removeFromQueue("alice");
+    expect(await store.getQueueSize("text")).toBe(1);
+    expect(await store.getQueueSize()).toBe(2);
+  });
+
+  test("removes a queue entry only once", async () => {
+    await store.enqueue(entry("alice", 1000));
+
+    expect(await store.removeFromQueue("alice")).toEqual(
+      expect.objectContaining({ socketId: "alice", joinedAt: 1000 })
+    );
+    expect(await store.removeFromQueue("alice")).toBeNull();
+    expect(await store.getQueueEntry("alice")).toBeNull();
+  });
+
+  test("looks pairs up by either socket and deletes them once", async () => {
+    await store.savePair(pair("pair-1", "alice", "bob"));
+
+    expect((await store.getPairBySocket("bob")).pairId).toBe("pair-1");
+    expect(await store.countPairs()).toBe(1);
+
+    expect(await store.deletePair("pair-1")).toEqual(
+      expect.objectContaining({ pairId: "pair-1" })
+    );
+    expect(await store.deletePair("pair-1")).toBeNull();
+    expect(await store.getPairBySocket("alice")).toBeNull();
+  });
+
+  test("moves a pair member to a new socket", async () => {
+    await store.savePair(pair("pair-1", "alice", "bob"));
+
+    await store.replacePairMember("pair-1", "alice", {
+      socketId: "alice-2",
+      nodeId: "node-b",
+      userId: "user-alice",
+    });
+
+    expect(await store.getPairBySocket("alice")).toBeNull();
+    const moved = await store.getPairBySocket("alice-2");
+    expect(moved.members.map((member) => member.socketId)).toEqual([
+      "alice-2",
+      "bob",
+    ]);
+  });
+
+  test("hands a reconnect reservation out exactly once", async () => {
+    await store.reserveReconnect(
+      "user-alice",
+      { socketId: "alice", pairId: "pair-1", disconnectedAt: 1000 },
+      60000
+    );
+
+    expect(await store.isReconnectPending("alice")).toBe(true);
+    expect(await store.claimReconnect("user-alice")).toEqual(
+      expect.objectContaining({ socketId: "alice", pairId: "pair-1" })
+    );
+    expect(await store.claimReconnect("user-alice")).toBeNull();
+    expect(await store.isReconnectPending("alice")).toBe(false);
+  });
+
+  test("stores recent partners and skip cooldowns per user", async () => {
+    await store.setRecentPartners(
+      "user-alice",
+      [{ userId: "user-bob", pairId: "pair-1", pairedAt: 1000 }],
+      60000
+    );
+    await store.addSkipCooldown("user-alice", "user-bob", 60000);
+
+    expect(await store.getRecentPartners("user-alice")).toEqual([
+      expect.objectContaining({ userId: "user-bob" }),
+    ]);
+    expect(Object.keys(await store.getSkipCooldowns("user-bob"))).toEqual([
+      "user-alice",
+    ]);
+    expect(await store.getSkipCooldowns("user-carol")).toEqual({});
+  });
+
+  test("tracks a pair's media encryption until it is reset", async () => {
+    expect(await store.getEncryption("pair-1")).toBeNull();
+    await store.resetEncryption("pair-1", 60000);
+
+    expect(
+      await store.addEncryptionMember("pair-1", "ready", "alice", 60000)
+    ).toEqual({ added: true, count: 1 });
+    expect(
+      await store.addEncryptionMember("pair-1", "ready", "alice", 60000)
+    ).toEqual({ added: false, count: 1 });
+    await store.addEncryptionMember("pair-1", "ready", "bob", 60000);
+
+    const state = { encrypted: true, reason: null };
+    expect(await store.setEncryptionState("pair-1", state, 60000)).toBe(true);
+    expect(await store.setEncryptionState("pair-1", state, 60000)).toBe(false);
+    expect(await store.getEncryption("pair-1")).toEqual({
+      encrypted: true,
+      reason: null,
+      ready: expect.arrayContaining(["alice", "bob"]),
+      verifiedBy: [],
+      chatKeys: [],
+    });
+
+    await store.resetEncryption("pair-1", 60000);
+    expect(await store.getEncryption("pair-1")).toEqual(
+      expect.objectContaining({ encrypted: false, ready: [] })
+    );
+
+    await store.deleteEncryption("pair-1");
+    expect(await store.getEncryption("pair-1")).toBeNull();
+  });
+
+  test("keeps chat messages and the states they are marked with", async () => {
+    const message = {
+      id: "message-1",
+      pairId: "pair-1",
+      fromUserId: "user-alice",
+      clientMessageId: "local-1",
+      sentAt: 1000,
+    };
+    await store.saveChatMessage(message, 60000);
+
+    expect(await store.findChatMessage("user-alice", "local-1")).toEqual({
+      ...message,
+      states: ["sent"],
+    });
+    expect(await store.findChatMessage("user-bob", "local-1")).toBeNull();
+
+    expect(await store.markChatMessage("message-1", "read")).toEqual(["sent"]);
+    expect(
+      (await store.markChatMessage("message-1", "delivered")).sort()
+    ).toEqual(["read", "sent"]);
+    expect(await store.markChatMessage("unknown", "read")).toBeNull();
+    expect(await store.getChatMessage("unknown")).toBeNull();
+  });
+
+  test("lets only one holder take a lock at a time", async () => {
+    const token = await store.acquireLock("matching", 60000);
+
+    expect(token).toBeTruthy();
+    expect(await store.acquireLock("matching", 60000)).toBeNull();
+
+    await store.releaseLock("matching", "someone-else");
+    expect(await store.acquireLock("matching", 60000)).toBeNull();
+
+    await store.releaseLock("matching", token);
+    expect(await store.acquireLock("matching", 60000)).toBeTruthy();
+  });
+});
+
+describe("PairingManager instances sharing a Redis store", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  function createNode(redis, nodeId) {
+    const io = createFakeIo();
+    io.serverSideEmit = jest.fn();
+    const manager = new PairingManager(io, {
+      strategy: "fifo",
+      nodeId: nodeId,
+      store: new RedisPairingStore(redis),
+    });
+    return { io, manager };
+  }
+
+  test("pairs users connected to different instances", async () => {
+    const redis = new FakeRedis();
+    const nodeA = createNode(redis, "node-a");
+    const nodeB = createNode(redis, "node-b");
+
+    await nodeA.manager.joinQueue(createFakeSocket("alice"));
+    await nodeB.manager.joinQueue(createFakeSocket("bob"));
+
+    expect((await nodeA.manager.getPeer("alice")).socketId).toBe("bob");
+    expect((await nodeB.manager.getPeer("bob")).socketId).toBe("alice");
+    expect(nodeB.io.emitted).toContainEqual(
+      expect.objectContaining({ room: "alice", event: "pairing:matched" })
+    );
+  });
+
+  test("asks the owning instance to re-queue a remote partner", async () => {
+    const redis = new FakeRedis();
+    const nodeA = createNode(redis, "node-a");
+    const nodeB = createNode(redis, "node-b");
+
+    await nodeA.manager.joinQueue(createFakeSocket("alice"));
+    await nodeB.manager.joinQueue(createFakeSocket("bob"));
+    await nodeB.manager.handleDisconnect("bob");
+
+    expect(await nodeA.manager.isUserPaired("alice")).toBe(false);
+    expect(nodeB.io.serverSideEmit).toHaveBeenCalledWith("pairing:requeue", {
+      socketId: "alice",
+      reason: "partner_disconnected",
+    });
+  });
+
+  test("resumes a pair on a different instance after a reconnect", async () => {
+    const redis = new FakeRedis();
+    const nodeA = createNode(redis, "node-a");
+    const nodeB = createNode(redis, "node-b");
+    const alice = createFakeSocket("alice");
+
+    await nodeA.manager.joinQueue(alice);
+    await nodeB.manager.joinQueue(createFakeSocket("bob"));
+
+    alice.connected = false;
+    await nodeA.manager.handleSocketDisconnect(alice, "transport close");
+
+    const aliceAgain = createFakeSocket("alice-2", { userId: "user-alice" });
+    expect(await nodeB.manager.resumePair(aliceAgain)).toBe(true);
+    expect((await nodeB.manager.getPeer("bob")).socketId).toBe("alice-2");
+
+    // The original instance's grace timer finds nothing left to expire
+    await jest.advanceTimersByTimeAsync(15000);
+    expect((await nodeA.manager.getPeer("alice-2")).socketId).toBe("bob");
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  createStrategy,
+  registerStrategy,
+  listStrategies,
+} = require("../../modules/pairing/strategies");
+const { createQueueEntry } = require("./fakes");
+
+const pairIds = (pairs) =>
+  pairs.map(({ user1, user2 }) => [user1.socketId, user2.socketId]);
+
+describe("matchmaking strategy registry", () => {
+  test("registers the built-in strategies", () => {
+    expect(listStrategies()).toEqual(
+      expect.arrayContaining([
+        "fifo",
+        "random",
+        "interest-weighted",
+        "same-college",
+      ])
+    );
+  });
+
+  test("throws for unknown strategies", () => {
+    expect(() => createStrategy("does-not-exist")).toThrow(
+      /Unknown matchmaking strategy/
+    );
+  });
+
+  test("accepts custom strategies", () => {
+    registerStrategy("reverse", () => ({
+      name: "reverse",
+      selectPairs: (queue) => [{ user1: queue[1], user2: queue[0] }],
+    }));
+
+    const strategy = createStrategy("reverse");
+    const queue = [createQueueEntry("a"), createQueueEntry("b")];
+
+    expect(pairIds(strategy.selectPairs(queue))).toEqual([["b", "a"]]);
+  });
+});
+
+describe("fifo strategy", () => {
+  test("pairs users in join order and leaves the odd one out", () => {
+    const strategy = createStrategy("fifo");
+    const queue = ["a", "b", "c", "d", "e"].map((id) => createQueueEntry(id));
+
+    expect(pairIds(strategy.selectPairs(queue))).toEqual([
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+  });
+
+  test("skips pairs rejected by canPair", () => {
+    const strategy = createStrategy("fifo");
+    const queue = ["a", "b", "c"].map((id) => createQueueEntry(id));
+    const canPair = (user1, user2) =>
+      !(user1.socketId === "a" && user2.socketId === "b");
+
+    expect(pairIds(strategy.selectPairs(queue, { canPair }))).toEqual([
+      ["a", "c"],
+    ]);
+  });
+});
+
+describe("random strategy", () => {
+  test("is deterministic with an injected random source", () => {
+    const strategy = createStrategy("random");
+    const queue = ["a", "b", "c", "d"].map((id) => createQueueEntry(id));
+
+    // Always picking index 0 rotates the queue: [b, c, d, a]
+    const pairs = strategy.selectPairs(queue, { random: () => 0 });
+
+    expect(pairIds(pairs)).toEqual([
+      ["b", "c"],
+      ["d", "a"],
+    ]);
+  });
+
+  test("does not mutate the queue", () => {
+    const strategy = createStrategy("random");
+    const queue = ["a", "b"].map((id) => createQueueEntry(id));
+
+    strategy.selectPairs(queue, { random: () => 0 });
+
+    expect(queue.map((user) => user.socketId)).toEqual(["a", "b"]);
+  });
+});
+
+describe("interest-weighted strategy", () => {
+  const now = 100000;
+
+  test("prefers the partner with shared interests", () => {
+    const strategy = createStrategy("interest-weighted");
+    const queue = [
+      createQueueEntry("a", { interests: ["Chess"] }, now),
+      createQueueEntry("b", { interests: ["Football"] }, now),
+      createQueueEntry("c", { interests: ["chess"] }, now),
+    ];
+
+    const pairs = strategy.selectPairs(queue, { now });
+
+    expect(pairIds(pairs)).toEqual([["a", "c"]]);
+    expect(pairs[0].matchReason).toMatchObject({
+      strategy: "interest-weighted",
+      sharedInterests: ["Chess"],
+      summary: "You both like Chess",
+    });
+  });
+
+  test("holds back poor matches until the wait relaxes the threshold", () => {
+    const strategy = createStrategy("interest-weighted");
+    const fresh = [
+      createQueueEntry("a", { interests: ["Chess"] }, now),
+      createQueueEntry("b", { interests: ["Football"] }, now),
+    ];
+
+    expect(strategy.selectPairs(fresh, { now })).toEqual([]);
+
+    const waiting = [
+      createQueueEntry("a", { interests: ["Chess"] }, now - 20000),
+      createQueueEntry("b", { interests: ["Football"] }, now),
+    ];
+
+    expect(pairIds(strategy.selectPairs(waiting, { now }))).toEqual([
+      ["a", "b"],
+    ]);
+  });
+});
+
+describe("same-college strategy", () => {
+  test("only pairs users from the same college", () => {
+    const strategy = createStrategy("same-college");
+    const queue = [
+      createQueueEntry("a", { college: "CMRIT" }),
+      createQueueEntry("b", { college: "MIT" }),
+      createQueueEntry("c", { college: "cmrit" }),
+      createQueueEntry("d", {}),
+    ];
+
+    const pairs = strategy.selectPairs(queue);
+
+    expect(pairIds(pairs)).toEqual([["a", "c"]]);
+    expect(pairs[0].matchReason.summary).toBe("You're both at CMRIT");
+  });
+});
@@ -0,0 +1,242 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackFileTransfer: jest.fn(),
+}));
+
+const crypto = require("crypto");
+const healthMonitor = require("../../utils/healthMonitor");
+const FileTransferHandler = require("../../modules/signaling/fileTransferHandler");
+const { FILE_TRANSFER } = require("../../config/constants");
+const { createFakeSocket, createFakeIo } = require("../pairing/fakes");
+
+function offer(overrides = {}) {
+  return {
+    transferId: crypto.randomUUID(),
+    name: "notes.pdf",
+    size: 120000,
+    mimeType: "application/pdf",
+    sha256: "ab".repeat(32),
+    ...overrides,
+  };
+}
+
+describe("FileTransferHandler", () => {
+  let io;
+  let pairingManager;
+  let blockManager;
+  let handler;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    io = createFakeIo();
+    const pair = { pairId: "pair-1", mode: "video" };
+    pairingManager = {
+      getPeer: jest.fn(async (socketId) =>
+        socketId === "alice"
+          ? { ...pair, socketId: "bob", userId: "user-bob" }
+          : { ...pair, socketId: "alice", userId: "user-alice" }
+      ),
+      isMemberConnected: jest.fn(() => true),
+    };
+    blockManager = { isBlocked: jest.fn(() => false) };
+    handler = new FileTransferHandler(io, pairingManager, blockManager);
+    alice = createFakeSocket("alice");
+    bob = createFakeSocket("bob");
+  });
+
+  function errorCodes(socket) {
+    return socket.emit.mock.calls
+      .filter(([event]) => event === "error")
+      .map(([, data]) => data.code);
+  }
+
+  function outcomes() {
+    return healthMonitor.trackFileTransfer.mock.calls.map(
+      ([outcome]) => outcome
+    );
+  }
+
+  test("relays the offer's metadata to the partner", async () => {
+    const data = offer();
+
+    await handler.handleOffer(alice, { ...data, to: "carol", file: "AAAA" });
+
+    expect(io.emitted).toEqual([
+      {
+        room: "bob",
+        event: "file:offer",
+        data: { ...data, from: "alice", timestamp: expect.any(Number) },
+      },
+    ]);
+    expect(handler.getTransferState(data.transferId)).toBe("offered");
+    expect(healthMonitor.trackFileTransfer).toHaveBeenCalledWith(
+      "offered",
+      "alice",
+      expect.objectContaining({
+        pairId: "pair-1",
+        size: data.size,
+        mimeType: "application/pdf",
+      })
+    );
+  });
+
+  test.each([
+    [
+      "oversized files",
+      { size: FILE_TRANSFER.MAX_FILE_SIZE + 1 },
+      "FILE_TOO_LARGE",
+    ],
+    ["SVG images", { mimeType: "image/svg+xml" }, "FILE_TYPE_NOT_ALLOWED"],
+    ["names with paths", { name: "../../etc/passwd" }, "INVALID_FILE_OFFER"],
+    ["malformed hashes", { sha256: "not-a-hash" }, "INVALID_FILE_OFFER"],
+  ])("rejects %s and records it", async (label, overrides, code) => {
+    await handler.handleOffer(alice, offer(overrides));
+
+    expect(errorCodes(alice)).toEqual([code]);
+    expect(io.emitted).toHaveLength(0);
+    expect(outcomes()).toEqual(["rejected"]);
+  });
+
+  test("rejects offers to blocked users and in text chats", async () => {
+    blockManager.isBlocked.mockReturnValueOnce(true);
+    await handler.handleOffer(alice, offer());
+
+    pairingManager.getPeer.mockResolvedValueOnce({
+      socketId: "bob",
+      userId: "user-bob",
+      pairId: "pair-1",
+      mode: "text",
+    });
+    await handler.handleOffer(alice, offer());
+
+    expect(errorCodes(alice)).toEqual(["USER_BLOCKED", "MEDIA_NOT_ALLOWED"]);
+    expect(io.emitted).toHaveLength(0);
+  });
+
+  test("limits how many files are unfinished at once", async () => {
+    for (let i = 0; i <= FILE_TRANSFER.MAX_PENDING; i++) {
+      await handler.handleOffer(alice, offer());
+    }
+
+    expect(io.emitted).toHaveLength(FILE_TRANSFER.MAX_PENDING);
+    expect(errorCodes(alice)).toEqual(["TOO_MANY_PENDING_FILES"]);
+  });
+
+  test("rate limits offers", async () => {
+    for (let i = 0; i <= FILE_TRANSFER.RATE_LIMIT_MAX; i++) {
+      const data = offer();
+      await handler.handleOffer(alice, data);
+      await handler.handleUpdate(bob, data, "decline");
+    }
+
+    expect(errorCodes(alice)).toEqual(["RATE_LIMIT_EXCEEDED"]);
+  });
+
+  test("lets unanswered offers lapse", async () => {
+    jest.useFakeTimers();
+    try {
+      const stale = offer();
+      await handler.handleOffer(alice, stale);
+      jest.advanceTimersByTime(FILE_TRANSFER.OFFER_TIMEOUT_MS);
+
+      await handler.handleOffer(alice, offer());
+
+      expect(handler.getTransferState(stale.transferId)).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("runs a transfer from offer to a verified download", async () => {
+    const data = offer();
+    await handler.handleOffer(alice, data);
+
+    await handler.handleUpdate(bob, data, "accept");
+    expect(handler.getTransferState(data.transferId)).toBe("accepted");
+    await handler.handleUpdate(
+      bob,
+      { transferId: data.transferId, verified: true },
+      "complete"
+    );
+
+    expect(io.emitted.map(({ room, event }) => [room, event])).toEqual([
+      ["bob", "file:offer"],
+      ["alice", "file:accept"],
+      ["alice", "file:complete"],
+    ]);
+    expect(io.emitted[2].data).toEqual(
+      expect.objectContaining({ transferId: data.transferId, verified: true })
+    );
+    expect(outcomes()).toEqual(["offered", "accepted", "completed"]);
+    expect(handler.getTransferState(data.transferId)).toBeNull();
+  });
+
+  test("records transfers that fail the hash check", async () => {
+    const data = offer();
+    await handler.handleOffer(alice, data);
+    await handler.handleUpdate(bob, data, "accept");
+
+    await handler.handleUpdate(
+      bob,
+      { transferId: data.transferId, verified: false },
+      "complete"
+    );
+
+    expect(outcomes()).toEqual(["offered", "accepted", "failed"]);
+    expect(io.emitted[2].data.verified).toBe(false);
+  });
+
+  test("only the receiver can accept or complete", async () => {
+    const data = offer();
+    await handler.handleOffer(alice, data);
+
+    await handler.handleUpdate(alice, data, "accept");
+    await handler.handleUpdate(
+      alice,
+      { transferId: data.transferId, verified: true },
+      "complete"
+    );
+
+    expect(errorCodes(alice)).toEqual([
+      "INVALID_FILE_TRANSFER",
+      "INVALID_FILE_TRANSFER",
+    ]);
+    expect(handler.getTransferState(data.transferId)).toBe("offered");
+  });
+
+  test("either side can cancel, once", async () => {
+    const data = offer();
+    await handler.handleOffer(alice, data);
+    await handler.handleUpdate(bob, data, "accept");
+
+    await handler.handleUpdate(alice, data, "cancel");
+    await handler.handleUpdate(bob, data, "cancel");
+
+    expect(io.emitted[2]).toEqual(
+      expect.objectContaining({ room: "bob", event: "file:cancel" })
+    );
+    expect(errorCodes(bob)).toEqual(["INVALID_FILE_TRANSFER"]);
+  });
+
+  test("ignores updates from another pair", async () => {
+    const data = offer();
+    await handler.handleOffer(alice, data);
+
+    pairingManager.getPeer.mockResolvedValueOnce({
+      socketId: "dave",
+      userId: "user-dave",
+      pairId: "pair-2",
+      mode: "video",
+    });
+    await handler.handleUpdate(createFakeSocket("carol"), data, "accept");
+
+    expect(handler.getTransferState(data.transferId)).toBe("offered");
+  });
+});
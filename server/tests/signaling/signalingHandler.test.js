@@ -0,0 +1,840 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock("../../utils/healthMonitor", () => ({
+  trackIceRestart: jest.fn(),
+  trackScreenShare: jest.fn(),
+  trackSecurityEvent: jest.fn(),
+  trackSafetyNumberVerified: jest.fn(),
+}));
+
+const SignalingHandler = require("../../modules/signaling/signalingHandler");
+const healthMonitor = require("../../utils/healthMonitor");
+const { SIGNALING } = require("../../config/constants");
+const { MemoryPairingStore } = require("../../modules/pairing/stores");
+const { createFakeSocket, createFakeIo } = require("../pairing/fakes");
+
+const SDP = "v=0\r\no=- 4611731400430051336 2 IN IP4 127.0.0.1\r\ns=-\r\n";
+
+function createPairingManager(mode = "video") {
+  return {
+    getPeer: jest.fn(async () => ({
+      socketId: "bob",
+      userId: "user-bob",
+      pairId: "pair-1",
+      mode: mode,
+    })),
+    isMemberConnected: jest.fn(() => true),
+  };
+}
+
+describe("SignalingHandler signal validation", () => {
+  let io;
+  let handler;
+  let alice;
+
+  beforeEach(() => {
+    io = createFakeIo();
+    handler = new SignalingHandler(io, createPairingManager());
+    alice = createFakeSocket("alice");
+  });
+
+  function relayed() {
+    return io.emitted.filter((entry) => entry.event === "signal");
+  }
+
+  function rejection() {
+    const call = alice.emit.mock.calls.find(([event]) => event === "error");
+    return call && call[1];
+  }
+
+  test("relays a valid offer with unknown fields stripped", async () => {
+    await handler.handleSignal(alice, {
+      to: "bob",
+      extra: "dropped",
+      signal: { type: "offer", sdp: SDP, injected: { html: "<script>" } },
+    });
+
+    expect(rejection()).toBeUndefined();
+    expect(relayed()).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({
+          from: "alice",
+          type: "webrtc",
+          signal: { type: "offer", sdp: SDP },
+        }),
+      }),
+    ]);
+  });
+
+  test("relays ICE candidates, including end-of-candidates", async () => {
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: {
+        type: "ice-candidate",
+        candidate: {
+          candidate: "candidate:1 1 udp 2122260223 10.0.0.2 54400 typ host",
+          sdpMid: "0",
+          sdpMLineIndex: 0,
+          usernameFragment: "abcd",
+        },
+      },
+    });
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: {
+        type: "ice-candidate",
+        candidate: { candidate: "", sdpMid: null, sdpMLineIndex: null },
+      },
+    });
+
+    expect(rejection()).toBeUndefined();
+    expect(relayed()).toHaveLength(2);
+  });
+
+  test.each([
+    ["a missing payload", undefined, "INVALID_SIGNAL", ""],
+    ["a non-object payload", "offer", "INVALID_SIGNAL", ""],
+    [
+      "a missing recipient",
+      { signal: { type: "offer", sdp: SDP } },
+      "INVALID_SIGNAL",
+      "to",
+    ],
+    ["a missing signal", { to: "bob" }, "INVALID_SIGNAL", "signal"],
+    [
+      "an unknown signal type",
+      { to: "bob", signal: { type: "exploit" } },
+      "UNSUPPORTED_SIGNAL_TYPE",
+      "signal.type",
+    ],
+    [
+      "an unknown envelope type",
+      { to: "bob", type: "raw", signal: { type: "offer", sdp: SDP } },
+      "INVALID_SIGNAL",
+      "type",
+    ],
+    [
+      "an SDP that is not a session description",
+      { to: "bob", signal: { type: "answer", sdp: "<html>" } },
+      "INVALID_SIGNAL",
+      "signal.sdp",
+    ],
+    [
+      "a non-string SDP",
+      { to: "bob", signal: { type: "offer", sdp: { v: 0 } } },
+      "INVALID_SIGNAL",
+      "signal.sdp",
+    ],
+    [
+      "a candidate without its candidate line",
+      { to: "bob", signal: { type: "ice-candidate", candidate: {} } },
+      "INVALID_SIGNAL",
+      "signal.candidate.candidate",
+    ],
+    [
+      "a candidate with a bad m-line index",
+      {
+        to: "bob",
+        signal: {
+          type: "candidate",
+          candidate: { candidate: "candidate:1", sdpMLineIndex: "zero" },
+        },
+      },
+      "INVALID_SIGNAL",
+      "signal.candidate.sdpMLineIndex",
+    ],
+    [
+      "an app signal with an invalid name",
+      { to: "bob", signal: { type: "app", name: "Drop Table" } },
+      "INVALID_SIGNAL",
+      "signal.name",
+    ],
+    [
+      "a media state with an unknown video value",
+      { to: "bob", signal: { type: "media-state", video: "off" } },
+      "INVALID_SIGNAL",
+      "signal.video",
+    ],
+  ])("rejects %s", async (label, data, code, field) => {
+    await handler.handleSignal(alice, data);
+
+    expect(rejection()).toEqual(
+      expect.objectContaining({ code: code, field: field })
+    );
+    expect(relayed()).toHaveLength(0);
+  });
+
+  test.each([
+    [
+      "an oversized SDP",
+      {
+        type: "offer",
+        sdp: SDP + "a=x\r\n".repeat(SIGNALING.MAX_SDP_LENGTH / 4),
+      },
+      "signal.sdp",
+    ],
+    [
+      "an oversized ICE candidate",
+      {
+        type: "ice-candidate",
+        candidate: {
+          candidate: "c".repeat(SIGNALING.MAX_CANDIDATE_LENGTH + 1),
+        },
+      },
+      "signal.candidate.candidate",
+    ],
+    [
+      "an oversized app payload",
+      {
+        type: "app",
+        name: "notes:share",
+        data: { text: "x".repeat(SIGNALING.MAX_APP_DATA_LENGTH) },
+      },
+      "signal.data",
+    ],
+  ])("rejects %s as too large", async (label, signal, field) => {
+    await handler.handleSignal(alice, { to: "bob", signal });
+
+    expect(rejection()).toEqual(
+      expect.objectContaining({ code: "SIGNAL_TOO_LARGE", field: field })
+    );
+    expect(relayed()).toHaveLength(0);
+  });
+
+  test("leaves the caller's payload untouched when logging it", async () => {
+    const data = { to: "bob", signal: { type: "offer", sdp: "x".repeat(200) } };
+
+    await handler.handleSignal(alice, data);
+
+    expect(data.signal.sdp).toBe("x".repeat(200));
+  });
+
+  test("relays renegotiation requests and app signals", async () => {
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: { type: "renegotiate", reason: "screen-share" },
+    });
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: { type: "app", name: "whiteboard:clear", data: { page: 2 } },
+    });
+
+    expect(relayed().map((entry) => entry.data.signal)).toEqual([
+      { type: "renegotiate", reason: "screen-share" },
+      { type: "app", name: "whiteboard:clear", data: { page: 2 } },
+    ]);
+  });
+
+  test("relays bandwidth fallbacks to audio only", async () => {
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: { type: "media-state", video: "paused", reason: "bandwidth" },
+    });
+
+    expect(rejection()).toBeUndefined();
+    expect(relayed()).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({
+          signal: { type: "media-state", video: "paused", reason: "bandwidth" },
+        }),
+      }),
+    ]);
+  });
+
+  test("only lets app signals through in text-only pairs", async () => {
+    handler = new SignalingHandler(io, createPairingManager("text"));
+
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: { type: "offer", sdp: SDP },
+    });
+    expect(rejection()).toEqual(
+      expect.objectContaining({ code: "MEDIA_NOT_ALLOWED" })
+    );
+
+    await handler.handleSignal(alice, {
+      to: "bob",
+      signal: { type: "app", name: "typing" },
+    });
+    expect(relayed()).toEqual([
+      expect.objectContaining({
+        data: expect.objectContaining({
+          signal: { type: "app", name: "typing", data: {} },
+        }),
+      }),
+    ]);
+  });
+});
+
+describe("SignalingHandler ICE restarts", () => {
+  let io;
+  let handler;
+  let alice;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    healthMonitor.trackIceRestart.mockClear();
+    io = createFakeIo();
+    handler = new SignalingHandler(io, createPairingManager());
+    alice = createFakeSocket("alice");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function iceRestart() {
+    return handler.handleSignal(alice, {
+      to: "bob",
+      signal: { type: "ice-restart", sdp: SDP },
+    });
+  }
+
+  function candidate() {
+    return handler.handleSignal(alice, {
+      to: "bob",
+      signal: {
+        type: "ice-candidate",
+        candidate: { candidate: "candidate:1", sdpMid: "0" },
+      },
+    });
+  }
+
+  function errorCodes() {
+    return alice.emit.mock.calls
+      .filter(([event]) => event === "error")
+      .map(([, data]) => data.code);
+  }
+
+  test("relays restart offers and reports them", async () => {
+    await iceRestart();
+
+    expect(io.emitted).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        event: "signal",
+        data: expect.objectContaining({
+          signal: { type: "ice-restart", sdp: SDP },
+        }),
+      }),
+    ]);
+    expect(healthMonitor.trackIceRestart).toHaveBeenCalledWith(
+      "requested",
+      expect.objectContaining({ socketId: "alice", pairId: "pair-1" })
+    );
+  });
+
+  test("still relays a restart after the signal budget is spent", async () => {
+    for (let i = 0; i <= handler.rateLimitMax; i++) {
+      await candidate();
+    }
+    expect(errorCodes()).toEqual(["RATE_LIMIT_EXCEEDED"]);
+
+    await iceRestart();
+
+    expect(errorCodes()).toEqual(["RATE_LIMIT_EXCEEDED"]);
+    expect(io.emitted[io.emitted.length - 1].data.signal.type).toBe(
+      "ice-restart"
+    );
+  });
+
+  test("limits restarts separately and recovers after the window", async () => {
+    for (let i = 0; i < SIGNALING.ICE_RESTART_MAX; i++) {
+      await iceRestart();
+    }
+    await iceRestart();
+
+    expect(errorCodes()).toEqual(["ICE_RESTART_RATE_LIMITED"]);
+    expect(healthMonitor.trackIceRestart).toHaveBeenCalledWith(
+      "rate_limited",
+      expect.objectContaining({ socketId: "alice" })
+    );
+
+    // Regular signals are unaffected
+    await candidate();
+    expect(errorCodes()).toHaveLength(1);
+
+    jest.advanceTimersByTime(SIGNALING.ICE_RESTART_WINDOW_MS + 1);
+    await iceRestart();
+    expect(errorCodes()).toHaveLength(1);
+  });
+
+  test("forgets a socket's restart budget on cleanup", async () => {
+    for (let i = 0; i < SIGNALING.ICE_RESTART_MAX; i++) {
+      await iceRestart();
+    }
+
+    handler.cleanup("alice");
+    await iceRestart();
+
+    expect(errorCodes()).toEqual([]);
+  });
+});
+
+describe("SignalingHandler screen share state", () => {
+  let io;
+  let handler;
+  let alice;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    healthMonitor.trackScreenShare.mockClear();
+    io = createFakeIo();
+    handler = new SignalingHandler(io, createPairingManager());
+    alice = createFakeSocket("alice");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function shareEvents() {
+    return io.emitted.filter((entry) => entry.event === "media:screen-share");
+  }
+
+  test("tells the partner when sharing starts and stops", async () => {
+    await handler.handleScreenShare(alice, { active: true });
+    await handler.handleScreenShare(alice, { active: true });
+    jest.advanceTimersByTime(5000);
+    await handler.handleScreenShare(alice, { active: false });
+
+    expect(shareEvents()).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({ from: "alice", active: true }),
+      }),
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({ from: "alice", active: false }),
+      }),
+    ]);
+    expect(healthMonitor.trackScreenShare.mock.calls).toEqual([
+      [true, expect.objectContaining({ pairId: "pair-1" })],
+      [false, expect.objectContaining({ pairId: "pair-1", durationMs: 5000 })],
+    ]);
+    expect(handler.getStats().activeScreenShares).toBe(0);
+  });
+
+  test("ignores a stop without a share", async () => {
+    await handler.handleScreenShare(alice, { active: false });
+
+    expect(shareEvents()).toHaveLength(0);
+    expect(healthMonitor.trackScreenShare).not.toHaveBeenCalled();
+  });
+
+  test("ends an active share when the socket goes away", async () => {
+    await handler.handleScreenShare(alice, { active: true });
+
+    handler.cleanup("alice");
+
+    expect(healthMonitor.trackScreenShare).toHaveBeenLastCalledWith(
+      false,
+      expect.objectContaining({ socketId: "alice" })
+    );
+    expect(handler.getStats().activeScreenShares).toBe(0);
+  });
+
+  test.each([
+    ["a malformed state", "video", { active: "yes" }, "INVALID_SCREEN_SHARE"],
+    ["a text-only pair", "text", { active: true }, "MEDIA_NOT_ALLOWED"],
+  ])("rejects %s", async (label, mode, data, code) => {
+    handler = new SignalingHandler(io, createPairingManager(mode));
+
+    await handler.handleScreenShare(alice, data);
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: code })
+    );
+    expect(shareEvents()).toHaveLength(0);
+  });
+
+  test("rejects sharing without a partner", async () => {
+    const pairingManager = createPairingManager();
+    pairingManager.getPeer.mockResolvedValue(null);
+    handler = new SignalingHandler(io, pairingManager);
+
+    await handler.handleScreenShare(alice, { active: true });
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "NO_ACTIVE_PAIR" })
+    );
+  });
+});
+
+describe("SignalingHandler media encryption handshake", () => {
+  // 65-byte uncompressed P-256 points; the server only checks the shape
+  const ALICE_KEY = Buffer.alloc(65, 4).toString("base64");
+  const BOB_KEY = Buffer.alloc(65, 5).toString("base64");
+
+  let io;
+  let handler;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    healthMonitor.trackSecurityEvent.mockClear();
+    io = createFakeIo();
+    const members = {
+      alice: { socketId: "alice", userId: "user-alice" },
+      bob: { socketId: "bob", userId: "user-bob" },
+    };
+    handler = new SignalingHandler(io, {
+      getPeer: jest.fn(async (socketId) => ({
+        ...members[socketId === "alice" ? "bob" : "alice"],
+        pairId: "pair-1",
+        mode: "video",
+      })),
+      isMemberConnected: jest.fn(() => true),
+    });
+    alice = createFakeSocket("alice");
+    bob = createFakeSocket("bob");
+  });
+
+  function events(event) {
+    return io.emitted.filter((entry) => entry.event === event);
+  }
+
+  async function exchangeKeys() {
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "public-key",
+      publicKey: ALICE_KEY,
+    });
+    await handler.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "public-key",
+      publicKey: BOB_KEY,
+    });
+  }
+
+  test("relays public keys between the partners", async () => {
+    await exchangeKeys();
+
+    expect(events("encryption:key-exchange")).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({
+          from: "alice",
+          type: "public-key",
+          publicKey: ALICE_KEY,
+        }),
+      }),
+      expect.objectContaining({
+        room: "alice",
+        data: expect.objectContaining({ from: "bob", publicKey: BOB_KEY }),
+      }),
+    ]);
+    expect(await handler.getEncryptionState("pair-1")).toEqual({
+      encrypted: false,
+      reason: null,
+    });
+  });
+
+  test("confirms encryption to both sides once both are ready", async () => {
+    await exchangeKeys();
+
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "ready",
+    });
+    expect(events("encryption:state")).toHaveLength(0);
+
+    await handler.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "ready",
+    });
+
+    expect(events("encryption:state")).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({ pairId: "pair-1", encrypted: true }),
+      }),
+      expect.objectContaining({
+        room: "alice",
+        data: expect.objectContaining({ pairId: "pair-1", encrypted: true }),
+      }),
+    ]);
+    // "ready" itself is never relayed
+    expect(events("encryption:key-exchange")).toHaveLength(2);
+    expect((await handler.getEncryptionState("pair-1")).encrypted).toBe(true);
+    expect(handler.getStats().encryptionConfirmed).toBe(1);
+    expect(healthMonitor.trackSecurityEvent).toHaveBeenCalledWith(
+      "media_e2ee_confirmed",
+      expect.objectContaining({ pairId: "pair-1" })
+    );
+  });
+
+  test("ignores readiness before any public key went through", async () => {
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "ready",
+    });
+    await handler.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "ready",
+    });
+
+    expect(events("encryption:state")).toHaveLength(0);
+    expect(await handler.getEncryptionState("pair-1")).toBeNull();
+  });
+
+  test("falls back when one browser can't encrypt", async () => {
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "unsupported",
+    });
+    await handler.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "public-key",
+      publicKey: BOB_KEY,
+    });
+
+    expect(events("encryption:state").map((entry) => entry.data)).toEqual([
+      expect.objectContaining({ encrypted: false, reason: "unsupported" }),
+      expect.objectContaining({ encrypted: false, reason: "unsupported" }),
+    ]);
+    expect(await handler.getEncryptionState("pair-1")).toEqual({
+      encrypted: false,
+      reason: "unsupported",
+    });
+  });
+
+  test.each([
+    [
+      "a public key that is not a P-256 point",
+      { to: "bob", type: "public-key", publicKey: "bm90IGEga2V5" },
+      "INVALID_KEY_EXCHANGE",
+    ],
+    [
+      "a key sent along with readiness",
+      { to: "bob", type: "ready", publicKey: ALICE_KEY },
+      "INVALID_KEY_EXCHANGE",
+    ],
+    [
+      "an unknown message",
+      { to: "bob", type: "session-key" },
+      "INVALID_KEY_EXCHANGE",
+    ],
+    [
+      "a message for someone else",
+      { to: "carol", type: "ready" },
+      "INVALID_PEER",
+    ],
+  ])("rejects %s", async (label, data, code) => {
+    await handler.handleEncryptionKeyExchange(alice, data);
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: code })
+    );
+    expect(events("encryption:key-exchange")).toHaveLength(0);
+  });
+
+  test("relays chat keys without touching the media state", async () => {
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      channel: "chat",
+      type: "public-key",
+      publicKey: ALICE_KEY,
+    });
+
+    expect(events("encryption:key-exchange")).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({
+          from: "alice",
+          channel: "chat",
+          publicKey: ALICE_KEY,
+        }),
+      }),
+    ]);
+    expect(await handler.getEncryptionState("pair-1")).toBeNull();
+
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      channel: "chat",
+      type: "ready",
+    });
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "INVALID_KEY_EXCHANGE" })
+    );
+  });
+
+  test("lets text-only pairs exchange chat keys but not media keys", async () => {
+    handler = new SignalingHandler(io, createPairingManager("text"));
+
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "public-key",
+      publicKey: ALICE_KEY,
+    });
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      channel: "chat",
+      type: "public-key",
+      publicKey: ALICE_KEY,
+    });
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "MEDIA_NOT_ALLOWED" })
+    );
+    expect(
+      events("encryption:key-exchange").map((entry) => entry.data.channel)
+    ).toEqual(["chat"]);
+  });
+
+  test("forgets the pair's state when a member goes away", async () => {
+    await exchangeKeys();
+
+    handler.cleanup("bob");
+
+    expect(await handler.getEncryptionState("pair-1")).toBeNull();
+  });
+
+  async function confirmEncryption() {
+    await exchangeKeys();
+    await handler.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "ready",
+    });
+    await handler.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "ready",
+    });
+  }
+
+  test("records safety number verification and tells the partner", async () => {
+    healthMonitor.trackSafetyNumberVerified.mockClear();
+    await confirmEncryption();
+
+    await handler.handleSafetyNumberVerified(alice, { to: "bob" });
+    // Repeated clicks are recorded once
+    await handler.handleSafetyNumberVerified(alice, { to: "bob" });
+    await handler.handleSafetyNumberVerified(bob, { to: "alice" });
+
+    expect(events("encryption:verified")).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({ from: "alice", mutual: false }),
+      }),
+      expect.objectContaining({
+        room: "alice",
+        data: expect.objectContaining({ from: "bob", mutual: true }),
+      }),
+    ]);
+    expect(healthMonitor.trackSafetyNumberVerified).toHaveBeenCalledTimes(2);
+    expect(healthMonitor.trackSafetyNumberVerified).toHaveBeenCalledWith(
+      "alice",
+      expect.objectContaining({ pairId: "pair-1", mutual: false })
+    );
+  });
+
+  test("confirms encryption for partners on different instances", async () => {
+    // Each instance only ever hears from its own member of the pair
+    const store = new MemoryPairingStore();
+    const createInstance = () =>
+      new SignalingHandler(io, {
+        store: store,
+        getPeer: handler.pairingManager.getPeer,
+        isMemberConnected: () => true,
+      });
+    const first = createInstance();
+    const second = createInstance();
+
+    await first.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "public-key",
+      publicKey: ALICE_KEY,
+    });
+    await second.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "public-key",
+      publicKey: BOB_KEY,
+    });
+    await first.handleEncryptionKeyExchange(alice, {
+      to: "bob",
+      type: "ready",
+    });
+    await second.handleEncryptionKeyExchange(bob, {
+      to: "alice",
+      type: "ready",
+    });
+
+    expect(events("encryption:state")).toHaveLength(2);
+    expect(await first.getEncryptionState("pair-1")).toEqual({
+      encrypted: true,
+      reason: null,
+    });
+
+    await first.handleSafetyNumberVerified(alice, { to: "bob" });
+    await second.handleSafetyNumberVerified(bob, { to: "alice" });
+
+    expect(alice.emit).not.toHaveBeenCalledWith("error", expect.anything());
+    expect(events("encryption:verified").map((entry) => entry.data)).toEqual([
+      expect.objectContaining({ from: "alice", mutual: false }),
+      expect.objectContaining({ from: "bob", mutual: true }),
+    ]);
+  });
+
+  test("refuses verification before encryption is confirmed", async () => {
+    await exchangeKeys();
+
+    await handler.handleSafetyNumberVerified(alice, { to: "bob" });
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "ENCRYPTION_NOT_CONFIRMED" })
+    );
+    expect(events("encryption:verified")).toHaveLength(0);
+  });
+
+  test("lets a text pair verify once both chat keys went through", async () => {
+    const getPeer = handler.pairingManager.getPeer;
+    handler = new SignalingHandler(io, {
+      getPeer: async (socketId) => ({
+        ...(await getPeer(socketId)),
+        mode: "text",
+      }),
+      isMemberConnected: () => true,
+    });
+    const sendChatKey = (socket, to, publicKey) =>
+      handler.handleEncryptionKeyExchange(socket, {
+        to: to,
+        channel: "chat",
+        type: "public-key",
+        publicKey: publicKey,
+      });
+
+    await sendChatKey(alice, "bob", ALICE_KEY);
+    await handler.handleSafetyNumberVerified(alice, { to: "bob" });
+
+    expect(alice.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "ENCRYPTION_NOT_CONFIRMED" })
+    );
+
+    await sendChatKey(bob, "alice", BOB_KEY);
+    await handler.handleSafetyNumberVerified(alice, { to: "bob" });
+
+    expect(events("encryption:verified")).toEqual([
+      expect.objectContaining({
+        room: "bob",
+        data: expect.objectContaining({ from: "alice", mutual: false }),
+      }),
+    ]);
+
+    handler.cleanup("alice");
+
+    expect(await handler.getEncryptionState("pair-1")).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const logger = require("../../utils/logger");
+const CallQualityMonitor = require("../../modules/video/callQualityMonitor");
+
+const CALL = { pairId: "pair-1", mode: "video", userId: "user-alice" };
+
+function stats(overrides = {}) {
+  return {
+    rttMs: 50,
+    packetLossPct: 0,
+    jitterMs: 5,
+    inboundKbps: 800,
+    outboundKbps: 750,
+    frameRate: 30,
+    candidateType: "srflx",
+    ...overrides,
+  };
+}
+
+describe("CallQualityMonitor", () => {
+  let monitor;
+
+  beforeEach(() => {
+    logger.info.mockClear();
+    monitor = new CallQualityMonitor({
+      windowMs: 60000,
+      minSampleInterval: 2000,
+      pairIdleMs: 30000,
+    });
+  });
+
+  test("reports nearest-rank p50 and p95 across all calls", () => {
+    for (let i = 1; i <= 20; i++) {
+      monitor.recordSample(
+        `socket-${i}`,
+        { ...CALL, pairId: `pair-${i}` },
+        stats({ rttMs: i * 10, packetLossPct: i === 20 ? 12 : 0 }),
+        1000
+      );
+    }
+
+    const summary = monitor.getSummary(1000);
+    expect(summary.samples).toBe(20);
+    expect(summary.rttMs).toEqual({ p50: 100, p95: 190 });
+    expect(summary.packetLossPct).toEqual({ p50: 0, p95: 0 });
+    expect(summary.activePairs).toBe(20);
+    expect(summary.candidateTypes.srflx).toBe(20);
+  });
+
+  test("leaves metrics nobody reported out of the percentiles", () => {
+    monitor.recordSample("alice", CALL, stats({ frameRate: null }), 1000);
+    monitor.recordSample("bob", CALL, stats({ frameRate: 24 }), 1000);
+    monitor.recordSample(
+      "carol",
+      { ...CALL, pairId: "pair-2", mode: "audio" },
+      stats({ frameRate: null, rttMs: null }),
+      1000
+    );
+
+    const summary = monitor.getSummary(1000);
+    expect(summary.frameRate).toEqual({ p50: 24, p95: 24 });
+    expect(summary.rttMs).toEqual({ p50: 50, p95: 50 });
+    expect(monitor.getPairSummary("pair-2").rttMs).toEqual({
+      p50: null,
+      p95: null,
+    });
+  });
+
+  test("drops samples a socket sends faster than the minimum interval", () => {
+    expect(monitor.recordSample("alice", CALL, stats(), 1000)).toBe(true);
+    expect(monitor.recordSample("alice", CALL, stats(), 2500)).toBe(false);
+    expect(monitor.recordSample("bob", CALL, stats(), 2500)).toBe(true);
+    expect(monitor.recordSample("alice", CALL, stats(), 3000)).toBe(true);
+
+    expect(monitor.getPairSummary("pair-1").samples).toBe(3);
+  });
+
+  test("keeps per-pair summaries and notices relayed calls", () => {
+    monitor.recordSample("alice", CALL, stats({ rttMs: 40 }), 1000);
+    monitor.recordSample(
+      "bob",
+      CALL,
+      stats({ rttMs: 60, candidateType: "relay" }),
+      6000
+    );
+
+    expect(monitor.getPairSummary("pair-1")).toEqual(
+      expect.objectContaining({
+        pairId: "pair-1",
+        mode: "video",
+        durationMs: 5000,
+        relayed: true,
+        samples: 2,
+        rttMs: { p50: 40, p95: 60 },
+      })
+    );
+    expect(monitor.getPairSummary("pair-2")).toBeNull();
+  });
+
+  test("summarises and drops pairs that stopped reporting", () => {
+    monitor.recordSample("alice", CALL, stats(), 1000);
+    monitor.recordSample(
+      "carol",
+      { ...CALL, pairId: "pair-2" },
+      stats(),
+      20000
+    );
+
+    const summary = monitor.getSummary(40000);
+    expect(summary.pairs.map((pair) => pair.pairId)).toEqual(["pair-2"]);
+    expect(logger.info).toHaveBeenCalledWith(
+      "Call quality summary",
+      expect.objectContaining({ pairId: "pair-1", samples: 1 })
+    );
+    expect(monitor.getStats().reportingSockets).toBe(1);
+  });
+
+  test("forgets samples older than the window", () => {
+    monitor.recordSample("alice", CALL, stats({ rttMs: 500 }), 1000);
+    monitor.recordSample("alice", CALL, stats({ rttMs: 50 }), 55000);
+
+    const summary = monitor.getSummary(70000);
+    expect(summary.samples).toBe(1);
+    expect(summary.rttMs.p95).toBe(50);
+  });
+});
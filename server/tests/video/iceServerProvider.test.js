@@ -0,0 +1,75 @@
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const crypto = require("crypto");
+const IceServerProvider = require("../../modules/video/iceServerProvider");
+
+const STUN = [{ urls: "stun:stun.example.edu:3478" }];
+
+describe("IceServerProvider", () => {
+  test("issues TURN REST credentials signed with the shared secret", () => {
+    const provider = new IceServerProvider({
+      stunServers: STUN,
+      turnUrls: "turn:turn.example.edu:3478, turns:turn.example.edu:5349",
+      secret: "shared-secret",
+      ttl: 600,
+    });
+
+    const config = provider.getIceServers("user-alice", 1000000);
+    const turn = config.iceServers[1];
+
+    expect(config.iceServers[0]).toEqual(STUN[0]);
+    expect(turn.urls).toEqual([
+      "turn:turn.example.edu:3478",
+      "turns:turn.example.edu:5349",
+    ]);
+    expect(turn.username).toBe("1600:user-alice");
+    expect(turn.credential).toBe(
+      crypto
+        .createHmac("sha1", "shared-secret")
+        .update("1600:user-alice")
+        .digest("base64")
+    );
+    expect(config.ttl).toBe(600);
+    expect(config.expiresAt).toBe(1600000);
+  });
+
+  test("gives each user their own credential", () => {
+    const provider = new IceServerProvider({
+      turnUrls: ["turn:turn.example.edu:3478"],
+      secret: "shared-secret",
+    });
+
+    const alice = provider.getIceServers("user-alice", 0).iceServers.pop();
+    const bob = provider.getIceServers("user-bob", 0).iceServers.pop();
+
+    expect(alice.username).not.toBe(bob.username);
+    expect(alice.credential).not.toBe(bob.credential);
+  });
+
+  test("falls back to STUN only when TURN is not fully configured", () => {
+    const withoutSecret = new IceServerProvider({
+      stunServers: STUN,
+      turnUrls: "turn:turn.example.edu:3478",
+      secret: "",
+    });
+    const withoutUrls = new IceServerProvider({
+      stunServers: STUN,
+      turnUrls: "",
+      secret: "shared-secret",
+    });
+
+    [withoutSecret, withoutUrls].forEach((provider) => {
+      expect(provider.isTurnEnabled()).toBe(false);
+      expect(provider.getIceServers("user-alice")).toEqual({
+        iceServers: STUN,
+        ttl: null,
+        expiresAt: null,
+      });
+    });
+  });
+});
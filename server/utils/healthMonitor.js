@@ -96,6 +96,30 @@ class EnhancedHealthMonitor {
         activeCalls: 0,
         totalCallsToday: 0,
         averageCallDuration: 0,
+        iceRestarts: {
+          requested: 0,
+          recovered: 0,
+          failed: 0,
+          rateLimited: 0,
+          averageRecoveryTime: 0,
+        },
+        screenShares: {
+          active: 0,
+          totalToday: 0,
+          ended: 0,
+          averageDuration: 0,
+        },
+        safetyNumbersVerified: 0,
+        fileTransfers: {
+          offered: 0,
+          accepted: 0,
+          declined: 0,
+          cancelled: 0,
+          completed: 0,
+          failed: 0,
+          rejected: 0,
+          bytesCompleted: 0,
+        },
       },
     };
 
@@ -625,6 +649,124 @@ class EnhancedHealthMonitor {
     }
   }
 
+  /**
+   * Track ICE restarts. The server sees "requested" and "rate_limited";
+   * clients report whether the call "recovered" or "failed".
+   */
+  trackIceRestart(outcome, details = {}) {
+    const restarts = this.metrics.video.iceRestarts;
+
+    if (outcome === "requested") {
+      restarts.requested++;
+    } else if (outcome === "rate_limited") {
+      restarts.rateLimited++;
+    } else if (outcome === "recovered") {
+      restarts.recovered++;
+      if (typeof details.durationMs === "number") {
+        restarts.averageRecoveryTime =
+          (restarts.averageRecoveryTime * (restarts.recovered - 1) +
+            details.durationMs) /
+          restarts.recovered;
+      }
+    } else if (outcome === "failed") {
+      restarts.failed++;
+    } else {
+      return;
+    }
+
+    this.trackSecurityEvent(`ice_restart_${outcome}`, {
+      ...details,
+      severity: outcome === "rate_limited" ? "medium" : "low",
+    });
+  }
+
+  /**
+   * Track a user starting or stopping screen sharing
+   */
+  trackScreenShare(active, details = {}) {
+    const shares = this.metrics.video.screenShares;
+
+    if (active) {
+      shares.active++;
+      shares.totalToday++;
+    } else {
+      shares.active = Math.max(0, shares.active - 1);
+      shares.ended++;
+      if (typeof details.durationMs === "number") {
+        shares.averageDuration =
+          (shares.averageDuration * (shares.ended - 1) + details.durationMs) /
+          shares.ended;
+      }
+    }
+
+    this.trackSecurityEvent(
+      active ? "screen_share_started" : "screen_share_stopped",
+      { ...details, severity: "low" }
+    );
+  }
+
+  /**
+   * Record a user marking their call verified after comparing safety numbers,
+   * on the socket's connection and the user's session
+   */
+  trackSafetyNumberVerified(socketId, details = {}) {
+    const connection = this.activeSockets.get(socketId);
+    if (connection) {
+      connection.safetyNumbersVerified =
+        (connection.safetyNumbersVerified || 0) + 1;
+      connection.lastActivity = Date.now();
+
+      const session = this.userSessions.get(connection.userId);
+      if (session) {
+        session.safetyNumbersVerified =
+          (session.safetyNumbersVerified || 0) + 1;
+      }
+    }
+
+    this.metrics.video.safetyNumbersVerified++;
+
+    this.trackSecurityEvent("safety_number_verified", {
+      ...details,
+      socketId: socketId,
+      severity: "low",
+    });
+  }
+
+  /**
+   * Track a step of a peer-to-peer file transfer: offered, accepted,
+   * declined, cancelled, completed, failed (the receiver's hash check) or
+   * rejected (the server refused the offer). Only metadata is recorded.
+   */
+  trackFileTransfer(outcome, socketId, details = {}) {
+    const transfers = this.metrics.video.fileTransfers;
+    if (!(outcome in transfers)) return;
+
+    transfers[outcome]++;
+    if (outcome === "completed" && typeof details.size === "number") {
+      transfers.bytesCompleted += details.size;
+    }
+
+    // Offers per connection and session, to spot users flooding partners
+    const connection = this.activeSockets.get(socketId);
+    if (connection && outcome === "offered") {
+      connection.filesOffered = (connection.filesOffered || 0) + 1;
+      connection.lastActivity = Date.now();
+
+      const session = this.userSessions.get(connection.userId);
+      if (session) {
+        session.filesOffered = (session.filesOffered || 0) + 1;
+      }
+    }
+
+    const severity =
+      outcome === "failed" || outcome === "rejected" ? "medium" : "low";
+    this.trackSecurityEvent(`file_transfer_${outcome}`, {
+      ...details,
+      socketId: socketId,
+      severity: severity,
+    });
+  }
+
   // ===========================================================================
   // PERFORMANCE AND REQUEST TRACKING
   // ===========================================================================
@@ -1005,6 +1147,14 @@ class EnhancedHealthMonitor {
         totalToday: this.metrics.pairing.totalPairsToday,
         averageDuration: this.metrics.pairing.averagePairDuration,
       },
+
+      // Video
+      video: {
+        screenShares: this.metrics.video.screenShares,
+        iceRestarts: this.metrics.video.iceRestarts,
+        safetyNumbersVerified: this.metrics.video.safetyNumbersVerified,
+        fileTransfers: this.metrics.video.fileTransfers,
+      },
     };
   }
 
@@ -1160,6 +1310,30 @@ class EnhancedHealthMonitor {
         activeCalls: 0,
         totalCallsToday: 0,
         averageCallDuration: 0,
+        iceRestarts: {
+          requested: 0,
+          recovered: 0,
+          failed: 0,
+          rateLimited: 0,
+          averageRecoveryTime: 0,
+        },
+        screenShares: {
+          active: 0,
+          totalToday: 0,
+          ended: 0,
+          averageDuration: 0,
+        },
+        safetyNumbersVerified: 0,
+        fileTransfers: {
+          offered: 0,
+          accepted: 0,
+          declined: 0,
+          cancelled: 0,
+          completed: 0,
+          failed: 0,
+          rejected: 0,
+          bytesCompleted: 0,
+        },
       },
     };
 
@@ -1,5 +1,14 @@
 // server/utils/validation.js
 const Joi = require("joi");
+const {
+  CHAT,
+  CONTENT_FILTER,
+  FILE_TRANSFER,
+  MATCHMAKING,
+  MODERATION,
+  SIGNAL_TYPES,
+  SIGNALING,
+} = require("../config/constants");
 
 const authValidation = {
   register: Joi.object({
@@ -19,6 +28,29 @@ const chatValidation = {
     message: Joi.string().max(1000).required(),
     roomId: Joi.string().max(50).required(),
   }),
+
+  // chat_message from a client; it always goes to the sender's partner.
+  // The text is encrypted between the partners, so only the envelope can be
+  // checked here.
+  message: Joi.object({
+    ciphertext: Joi.string()
+      .base64()
+      .min(24) // the 16-byte GCM tag alone
+      .max(CHAT.MAX_CIPHERTEXT_LENGTH)
+      .required(),
+    iv: Joi.string().base64().length(16).required(), // 12 bytes
+    clientMessageId: Joi.string().max(64).optional(),
+  }).required(),
+
+  // message_delivered and message_read from the recipient
+  receipt: Joi.object({
+    ids: Joi.array()
+      .items(Joi.string().max(64))
+      .min(1)
+      .max(CHAT.MAX_RECEIPT_IDS)
+      .unique()
+      .required(),
+  }).required(),
 };
 
 const userValidation = {
@@ -28,8 +60,295 @@ const userValidation = {
   }),
 };
 
+const pairingValidation = {
+  joinQueue: Joi.object({
+    mode: Joi.string()
+      .valid(...MATCHMAKING.MODES)
+      .default(MATCHMAKING.DEFAULT_MODE),
+    preferences: Joi.object({
+      college: Joi.string().allow("").max(100).optional(),
+      major: Joi.string().allow("").max(100).optional(),
+      interests: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+    }).default({}),
+    // Results of the client's pre-call device and network check
+    preflight: Joi.object({
+      camera: Joi.string().valid("pass", "fail", "skipped").required(),
+      microphone: Joi.string().valid("pass", "fail").required(),
+      network: Joi.string().valid("pass", "warn", "fail").required(),
+      mediaTier: Joi.string().valid("ideal", "fallback", "audio").allow(null),
+      candidateTypes: Joi.array()
+        .items(Joi.string().valid("host", "srflx", "prflx", "relay"))
+        .unique()
+        .max(4),
+    }).optional(),
+  }),
+};
+
+const sessionDescription = (type) =>
+  Joi.object({
+    type: Joi.string().valid(type).required(),
+    sdp: Joi.string()
+      .max(SIGNALING.MAX_SDP_LENGTH)
+      .pattern(/^v=0\r?\n/, "SDP")
+      .required(),
+  });
+
+const iceCandidate = (type) =>
+  Joi.object({
+    type: Joi.string().valid(type).required(),
+    candidate: Joi.object({
+      // An empty candidate marks the end of gathering
+      candidate: Joi.string()
+        .allow("")
+        .max(SIGNALING.MAX_CANDIDATE_LENGTH)
+        .required(),
+      sdpMid: Joi.string().max(64).allow(null),
+      sdpMLineIndex: Joi.number().integer().min(0).max(255).allow(null),
+      usernameFragment: Joi.string().max(256).allow(null),
+    }).required(),
+  });
+
+// The relayed `signal` is checked against the schema for its type
+const signalingValidation = {
+  envelope: Joi.object({
+    to: Joi.string().max(100).required(),
+    type: Joi.string().valid("webrtc").default("webrtc"),
+    signal: Joi.object({
+      type: Joi.string()
+        .valid(
+          SIGNAL_TYPES.OFFER,
+          SIGNAL_TYPES.ANSWER,
+          SIGNAL_TYPES.ICE_CANDIDATE,
+          SIGNAL_TYPES.ICE_CANDIDATE_LEGACY,
+          SIGNAL_TYPES.RENEGOTIATE,
+          SIGNAL_TYPES.ICE_RESTART,
+          SIGNAL_TYPES.MEDIA_STATE,
+          SIGNAL_TYPES.APP
+        )
+        .required(),
+    })
+      .unknown(true)
+      .required(),
+  }).required(),
+
+  signals: {
+    [SIGNAL_TYPES.OFFER]: sessionDescription(SIGNAL_TYPES.OFFER),
+    [SIGNAL_TYPES.ANSWER]: sessionDescription(SIGNAL_TYPES.ANSWER),
+    [SIGNAL_TYPES.ICE_CANDIDATE]: iceCandidate(SIGNAL_TYPES.ICE_CANDIDATE),
+    [SIGNAL_TYPES.ICE_CANDIDATE_LEGACY]: iceCandidate(
+      SIGNAL_TYPES.ICE_CANDIDATE_LEGACY
+    ),
+    [SIGNAL_TYPES.ICE_RESTART]: sessionDescription(SIGNAL_TYPES.ICE_RESTART),
+    [SIGNAL_TYPES.RENEGOTIATE]: Joi.object({
+      type: Joi.string().valid(SIGNAL_TYPES.RENEGOTIATE).required(),
+      reason: Joi.string().max(50).optional(),
+    }),
+    [SIGNAL_TYPES.MEDIA_STATE]: Joi.object({
+      type: Joi.string().valid(SIGNAL_TYPES.MEDIA_STATE).required(),
+      video: Joi.string().valid("paused", "active").required(),
+      reason: Joi.string().valid("bandwidth").required(),
+    }),
+    [SIGNAL_TYPES.APP]: Joi.object({
+      type: Joi.string().valid(SIGNAL_TYPES.APP).required(),
+      name: Joi.string()
+        .pattern(/^[a-z][a-z0-9:_-]*$/, "app signal name")
+        .max(50)
+        .required(),
+      data: Joi.object()
+        .unknown(true)
+        .default({})
+        .custom((value, helpers) => {
+          if (JSON.stringify(value).length > SIGNALING.MAX_APP_DATA_LENGTH) {
+            return helpers.error("signal.dataTooLarge", {
+              limit: SIGNALING.MAX_APP_DATA_LENGTH,
+            });
+          }
+          return value;
+        })
+        .messages({
+          "signal.dataTooLarge": "{{#label}} must be at most {{#limit}} bytes",
+        }),
+    }),
+  },
+
+  // Sent by the client once an ICE restart has recovered the call or given up
+  iceRestartReport: Joi.object({
+    outcome: Joi.string().valid("recovered", "failed").required(),
+    attempts: Joi.number().integer().min(1).max(20).required(),
+    durationMs: Joi.number().integer().min(0).max(600000).required(),
+    trigger: Joi.string().valid("disconnected", "failed").optional(),
+  }),
+
+  screenShare: Joi.object({
+    active: Joi.boolean().required(),
+  }),
+
+  // Media E2EE handshake. Only public keys pass through the server.
+  keyExchange: Joi.object({
+    to: Joi.string().max(100).required(),
+    // Call media and text chat each derive their own key
+    channel: Joi.string().valid("media", "chat").default("media"),
+    // Chat keys need no readiness handshake; see ChatHandler
+    type: Joi.when("channel", {
+      is: "chat",
+      then: Joi.string().valid("public-key").required(),
+      otherwise: Joi.string()
+        .valid("public-key", "ready", "unsupported")
+        .required(),
+    }),
+    // Raw uncompressed P-256 point: 65 bytes, 88 base64 characters
+    publicKey: Joi.when("type", {
+      is: "public-key",
+      then: Joi.string().base64().length(88).required(),
+      otherwise: Joi.forbidden(),
+    }),
+  }).required(),
+
+  // The user compared safety numbers with their partner and they matched
+  safetyNumberVerified: Joi.object({
+    to: Joi.string().max(100).required(),
+  }).required(),
+
+  // Metrics a browser cannot measure yet (no RTT before the first STUN
+  // response, no frame rate in audio calls) are sent as null
+  callStats: Joi.object({
+    rttMs: Joi.number().min(0).max(60000).allow(null).required(),
+    packetLossPct: Joi.number().min(0).max(100).allow(null).required(),
+    jitterMs: Joi.number().min(0).max(60000).allow(null).required(),
+    inboundKbps: Joi.number().min(0).max(100000).allow(null).required(),
+    outboundKbps: Joi.number().min(0).max(100000).allow(null).required(),
+    frameRate: Joi.number().min(0).max(240).allow(null).default(null),
+    candidateType: Joi.string()
+      .valid("host", "srflx", "prflx", "relay")
+      .allow(null)
+      .default(null),
+  }),
+};
+
+// Metadata of files sent over the call's data channel. The file itself
+// never passes through the server.
+const fileTransferValidation = {
+  offer: Joi.object({
+    transferId: Joi.string().guid().required(),
+    // Shown to the partner; no paths or control characters
+    name: Joi.string()
+      .trim()
+      .max(255)
+      .pattern(/^[^\\/\u0000-\u001f\u007f]+$/, "file name")
+      .required(),
+    size: Joi.number()
+      .integer()
+      .min(1)
+      .max(FILE_TRANSFER.MAX_FILE_SIZE)
+      .required(),
+    mimeType: Joi.string()
+      .valid(...FILE_TRANSFER.ALLOWED_TYPES)
+      .required(),
+    sha256: Joi.string().hex().length(64).lowercase().required(),
+  }).required(),
+
+  // file:accept, file:decline and file:cancel
+  transfer: Joi.object({
+    transferId: Joi.string().guid().required(),
+  }).required(),
+
+  // The receiver checked the bytes against the offer's hash
+  complete: Joi.object({
+    transferId: Joi.string().guid().required(),
+    verified: Joi.boolean().required(),
+  }).required(),
+};
+
+const moderationValidation = {
+  report: Joi.object({
+    pairId: Joi.string().max(100).optional(),
+    reportedUserId: Joi.string().max(255).optional(),
+    category: Joi.string()
+      .valid(...Object.keys(MODERATION.REPORT_CATEGORIES))
+      .required(),
+    comment: Joi.string()
+      .allow("")
+      .max(MODERATION.COMMENT_MAX_LENGTH)
+      .default(""),
+    // Chat is end-to-end encrypted, so the reporter's client attaches the
+    // messages it decrypted
+    transcript: Joi.array()
+      .items(
+        Joi.object({
+          fromPartner: Joi.boolean().required(),
+          message: Joi.string().max(CHAT.MAX_MESSAGE_LENGTH).required(),
+          timestamp: Joi.number().integer().min(0).required(),
+        })
+      )
+      .max(MODERATION.TRANSCRIPT_SIZE)
+      .default([]),
+  }),
+
+  caseQuery: Joi.object({
+    status: Joi.string()
+      .valid(...MODERATION.CASE_STATUSES)
+      .optional(),
+    category: Joi.string()
+      .valid(...Object.keys(MODERATION.REPORT_CATEGORIES))
+      .optional(),
+    reportedUserId: Joi.string().max(255).optional(),
+    reporterId: Joi.string().max(255).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+  }),
+
+  resolveCase: Joi.object({
+    status: Joi.string()
+      .valid(...MODERATION.CASE_STATUSES.filter((status) => status !== "open"))
+      .required(),
+    note: Joi.string().allow("").max(MODERATION.COMMENT_MAX_LENGTH).default(""),
+    moderator: Joi.string().max(255).optional(),
+  }),
+
+  // A chat filter rule from config: a word list or a regular expression
+  filterRule: Joi.object({
+    id: Joi.string().pattern(/^[a-z0-9-]+$/, "rule id").max(64).required(),
+    category: Joi.string().max(50).required(),
+    severity: Joi.string()
+      .valid(...Object.keys(CONTENT_FILTER.SEVERITY_POINTS))
+      .required(),
+    action: Joi.string()
+      .valid(...CONTENT_FILTER.ACTIONS)
+      .required(),
+    description: Joi.string().max(500).optional(),
+    words: Joi.array().items(Joi.string().trim().min(1).max(100)),
+    pattern: Joi.string().max(1000),
+    flags: Joi.string().pattern(/^[imsu]*$/, "regex flags").default("iu"),
+  }).xor("words", "pattern"),
+
+  // chat:filter-hit from a browser whose filter caught a message
+  filterHit: Joi.object({
+    ruleIds: Joi.array()
+      .items(Joi.string().max(64))
+      .min(1)
+      .max(CONTENT_FILTER.MAX_RULE_IDS)
+      .unique()
+      .required(),
+    direction: Joi.string().valid("sent", "received").required(),
+  }).required(),
+
+  ban: Joi.object({
+    action: Joi.string().valid("suspend", "ban", "strike").required(),
+    durationHours: Joi.number()
+      .positive()
+      .max(24 * 365)
+      .when("action", { is: "suspend", then: Joi.required() }),
+    reason: Joi.string().max(500).required(),
+    issuedBy: Joi.string().max(255).optional(),
+  }),
+};
+
 module.exports = {
   authValidation,
   chatValidation,
   userValidation,
+  pairingValidation,
+  signalingValidation,
+  fileTransferValidation,
+  moderationValidation,
 };